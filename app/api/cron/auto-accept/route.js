@@ -0,0 +1,22 @@
+// app/api/cron/auto-accept/route.js
+// Scheduled job - accepts invoices customers have left without action
+
+import { NextResponse } from 'next/server'
+import { createAdminClient } from '@/lib/supabase-admin'
+import { autoAcceptInvoices } from '@/lib/acknowledgements'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET
+  if (!secret || request.headers.get('authorization') !== `Bearer ${secret}`) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const result = await autoAcceptInvoices(createAdminClient())
+    return NextResponse.json(result)
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
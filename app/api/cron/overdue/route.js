@@ -0,0 +1,22 @@
+// app/api/cron/overdue/route.js
+// Scheduled job - marks unpaid invoices overdue once their due date passes
+
+import { NextResponse } from 'next/server'
+import { createAdminClient } from '@/lib/supabase-admin'
+import { syncInvoiceStatuses } from '@/lib/overdue'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET
+  if (!secret || request.headers.get('authorization') !== `Bearer ${secret}`) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const result = await syncInvoiceStatuses(createAdminClient())
+    return NextResponse.json(result)
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
@@ -0,0 +1,25 @@
+// app/api/cron/reminders/route.js
+// Scheduled job - sends payment reminders that are due today
+
+import { NextResponse } from 'next/server'
+import { createAdminClient } from '@/lib/supabase-admin'
+import { createMessenger } from '@/lib/messaging'
+import { sendDueReminders } from '@/lib/reminders'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET
+  if (!secret || request.headers.get('authorization') !== `Bearer ${secret}`) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+  }
+
+  try {
+    const result = await sendDueReminders(createAdminClient(), createMessenger(), {
+      baseUrl: new URL(request.url).origin
+    })
+    return NextResponse.json(result)
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
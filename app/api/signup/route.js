@@ -0,0 +1,82 @@
+// app/api/signup/route.js
+// Create an account: the auth user, the business or customer profile and the
+// role. If any step fails the auth user is deleted again. Invited team
+// members get only the auth user here and join their business on sign-in.
+
+import { NextResponse } from 'next/server'
+import { createClient } from '@supabase/supabase-js'
+import { createAdminClient } from '@/lib/supabase-admin'
+import { readJsonBody } from '@/lib/request-body'
+import { signupError, signupProfile } from '@/lib/signup'
+
+export const dynamic = 'force-dynamic'
+
+// Supabase auth error codes worth explaining to the user
+const AUTH_ERRORS = {
+  email_exists: 'An account already exists for this email address - sign in instead',
+  phone_exists: 'An account already exists for this phone number - sign in with a code instead',
+  weak_password: 'Choose a stronger password'
+}
+
+export async function POST(request) {
+  const body = await readJsonBody(request)
+  if (!body) {
+    return NextResponse.json({ error: 'Invalid request body' }, { status: 400 })
+  }
+
+  const { userType, ...form } = body
+
+  const problem = signupError(form, userType)
+  if (problem) {
+    return NextResponse.json({ error: problem }, { status: 400 })
+  }
+
+  const profile = signupProfile(form, userType)
+  const admin = createAdminClient()
+
+  // Customers sign in with a code sent to their phone, so the number goes
+  // on their auth user; businesses sign in with email and password
+  const { data: { user } = {}, error: userError } = await admin.auth.admin.createUser({
+    email: profile.email,
+    password: form.password,
+    phone: userType === 'customer' ? profile.phone_number : undefined,
+    user_metadata: { name: form.name || form.businessName, phone: profile.phone_number }
+  })
+
+  if (userError) {
+    return NextResponse.json(
+      { error: AUTH_ERRORS[userError.code] || userError.message },
+      { status: userError.status || 400 }
+    )
+  }
+
+  // Deleting the user only unlinks a customer profile, so it goes first
+  async function rollback(error) {
+    await admin.from('customers').delete().eq('user_id', user.id)
+    await admin.auth.admin.deleteUser(user.id)
+    return NextResponse.json({ error: error.message }, { status: 400 })
+  }
+
+  const { data: created, error: profileError } = await admin.rpc('complete_signup', {
+    p_user_id: user.id,
+    p_role: userType,
+    p_profile: profile
+  })
+
+  if (profileError) return rollback(profileError)
+
+  // The confirmation email goes out through the normal signup flow
+  const anon = createClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL,
+    process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+    { auth: { persistSession: false, autoRefreshToken: false } }
+  )
+  const { error: emailError } = await anon.auth.resend({ type: 'signup', email: profile.email })
+
+  if (emailError) {
+    // Removes the new profile, the user and with it the role
+    return rollback(emailError)
+  }
+
+  return NextResponse.json({ role: userType, profile: created })
+}
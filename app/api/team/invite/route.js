@@ -0,0 +1,62 @@
+// app/api/team/invite/route.js
+// Invite someone to the signed-in owner's business team by email
+
+import { cookies } from 'next/headers'
+import { NextResponse } from 'next/server'
+import { createServerSupabaseClient } from '@/lib/supabase'
+import { createMessenger } from '@/lib/messaging'
+import { readJsonBody } from '@/lib/request-body'
+import { invitationError, invitationMessage } from '@/lib/team'
+
+export const dynamic = 'force-dynamic'
+
+export async function POST(request) {
+  const body = await readJsonBody(request)
+  if (!body) {
+    return NextResponse.json({ error: 'Invalid request body' }, { status: 400 })
+  }
+
+  const { businessId, email, role } = body
+  const supabase = createServerSupabaseClient(await cookies())
+
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Not signed in' }, { status: 401 })
+  }
+
+  const problem = invitationError(email, role)
+  if (problem) {
+    return NextResponse.json({ error: problem }, { status: 400 })
+  }
+
+  // Only members who may manage the team get past the insert policy
+  const { data: invitation, error } = await supabase
+    .from('business_invitations')
+    .insert({ business_id: businessId, email: email.trim().toLowerCase(), role })
+    .select(`
+      *,
+      business:businesses(business_name)
+    `)
+    .single()
+
+  if (error) {
+    const message = error.code === '23505'
+      ? 'This email address has already been invited'
+      : error.message
+    return NextResponse.json({ error: message }, { status: 400 })
+  }
+
+  try {
+    const { subject, body } = invitationMessage(
+      invitation.business.business_name,
+      role,
+      new URL(request.url).origin
+    )
+    await createMessenger().send('email', { to: invitation.email, subject, body })
+  } catch (sendError) {
+    await supabase.from('business_invitations').delete().eq('id', invitation.id)
+    return NextResponse.json({ error: 'Could not send the invitation: ' + sendError.message }, { status: 500 })
+  }
+
+  return NextResponse.json(invitation)
+}
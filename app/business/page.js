@@ -5,8 +5,82 @@
 
 import { useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
+import Link from 'next/link'
 import { createClient } from '@/lib/supabase'
 import { signOut } from '@/lib/auth'
+import {
+  PAYMENT_METHODS,
+  allocatePayment,
+  canTransition,
+  creditCheck,
+  customerOutstanding,
+  invoiceBalance,
+  isBilled,
+  statusBadgeClass,
+  statusLabel
+} from '@/lib/invoices'
+import {
+  INDIAN_STATES,
+  computeInvoiceTotals,
+  isInterState,
+  loadGstRates,
+  supplierState
+} from '@/lib/gst'
+import {
+  DEFAULT_NUMBER_PATTERN,
+  financialYear,
+  formatInvoiceNumber,
+  isValidNumberPattern,
+  noteNumberPattern
+} from '@/lib/numbering'
+import { NOTE_TYPES, noteLinesForChange } from '@/lib/notes'
+import { catalogueLine } from '@/lib/catalogue'
+import CatalogueAutocomplete from '@/components/catalogue-autocomplete'
+import CatalogueManager from '@/components/catalogue-manager'
+import RecurringInvoices from '@/components/recurring-invoices'
+import AgeingReport from '@/components/ageing-report'
+import {
+  ACKNOWLEDGEMENT_FILTERS,
+  acknowledgementLabel,
+  describeDevice,
+  isAcknowledged,
+  matchesAcknowledgementFilter
+} from '@/lib/acknowledgements'
+import {
+  buildProposal,
+  currentProposal,
+  defaultDecisions,
+  diffEditRequest
+} from '@/lib/edit-requests'
+import CommentThread from '@/components/comment-thread'
+import EditRequestDiff from '@/components/edit-request-diff'
+import EditRequestReview from '@/components/edit-request-review'
+import EditRequestRounds from '@/components/edit-request-rounds'
+import InvoiceHistory from '@/components/invoice-history'
+import InvoiceReminders from '@/components/invoice-reminders'
+import ReminderSettings from '@/components/reminder-settings'
+import AcknowledgementSettings from '@/components/acknowledgement-settings'
+import TeamSettings from '@/components/team-settings'
+import BranchSettings from '@/components/branch-settings'
+import PhoneInput from '@/components/phone-input'
+import { TEAM_ROLES, can, loadMembership } from '@/lib/team'
+import { ALL_BRANCHES, branchSupplier, branchTotals, inBranch } from '@/lib/branches'
+import { DEFAULT_PHONE_COUNTRY, formatPhone, normalizePhone, phoneError } from '@/lib/phone'
+
+function emptyInvoiceItem(gstRate = 0) {
+  return { item_name: '', hsn_sac: '', unit: '', quantity: '', unit_price: '', gst_rate: gstRate }
+}
+
+function emptyPaymentForm() {
+  return {
+    customerId: '',
+    invoiceIds: [],
+    amount: '',
+    date: new Date().toISOString().split('T')[0],
+    method: PAYMENT_METHODS[0],
+    reference: ''
+  }
+}
 
 export default function BusinessDashboard() {
   const router = useRouter()
@@ -14,17 +88,24 @@ export default function BusinessDashboard() {
 
   // State
   const [business, setBusiness] = useState(null)
+  const [member, setMember] = useState(null)
   const [loading, setLoading] = useState(true)
-  const [activeTab, setActiveTab] = useState('invoices') // invoices, customers, requests
+  const [activeTab, setActiveTab] = useState('invoices') // invoices, recurring, customers, catalogue, requests, ageing, settings
+
+  // Branches, and the one the dashboard is showing (or all of them)
+  const [branches, setBranches] = useState([])
+  const [branchId, setBranchId] = useState(ALL_BRANCHES)
   
   // Customers
   const [customers, setCustomers] = useState([])
   const [showAddCustomer, setShowAddCustomer] = useState(false)
   const [newCustomer, setNewCustomer] = useState({
     phone: '',
+    phoneCountry: DEFAULT_PHONE_COUNTRY,
     name: '',
     email: '',
     address: '',
+    stateCode: '',
     creditLimit: '',
     paymentTerms: 30
   })
@@ -33,83 +114,165 @@ export default function BusinessDashboard() {
   const [invoices, setInvoices] = useState([])
   const [showCreateInvoice, setShowCreateInvoice] = useState(false)
   const [selectedCustomerId, setSelectedCustomerId] = useState('')
-  const [invoiceItems, setInvoiceItems] = useState([
-    { item_name: '', quantity: '', unit_price: '' }
-  ])
+  const [invoiceItems, setInvoiceItems] = useState([emptyInvoiceItem()])
   const [invoiceDate, setInvoiceDate] = useState(new Date().toISOString().split('T')[0])
+  const [placeOfSupply, setPlaceOfSupply] = useState('')
+  const [invoiceBranchId, setInvoiceBranchId] = useState('')
+  const [creditWarning, setCreditWarning] = useState(null)
+  const [overrideReason, setOverrideReason] = useState('')
+
+  // Payments
+  const [showRecordPayment, setShowRecordPayment] = useState(false)
+  const [historyInvoice, setHistoryInvoice] = useState(null)
+  const [remindersInvoice, setRemindersInvoice] = useState(null)
+  const [acknowledgementFilter, setAcknowledgementFilter] = useState('all')
+  const [withdrawing, setWithdrawing] = useState(null)
+  const [withdrawReason, setWithdrawReason] = useState('')
+  const [paymentForm, setPaymentForm] = useState(emptyPaymentForm)
+
+  // Catalogue
+  const [catalogue, setCatalogue] = useState([])
+  const [gstRates, setGstRates] = useState([])
+
+  // Credit & Debit Notes
+  const [notes, setNotes] = useState([])
+  const [noteForm, setNoteForm] = useState(null)
 
   // Edit Requests
   const [editRequests, setEditRequests] = useState([])
+  const [reviewingRequestId, setReviewingRequestId] = useState(null)
+  const [rejectingRequestId, setRejectingRequestId] = useState(null)
+  const [rejectNote, setRejectNote] = useState('')
+
+  // Settings
+  const [numberingForm, setNumberingForm] = useState({ prefix: '', pattern: '', creditNotePrefix: '', debitNotePrefix: '' })
+
+  const [dataVersion, setDataVersion] = useState(0)
+  const businessId = business?.id
 
+  function reloadData() {
+    setDataVersion(version => version + 1)
+  }
+
+  // Middleware has already checked the session and role before render;
+  // this loads the business the user works for and what their role allows,
+  // and catches a session that has since expired
   useEffect(() => {
-    checkAuth()
-  }, [])
+    async function checkAuth() {
+      const { data: { user } } = await supabase.auth.getUser()
+      if (!user) {
+        router.push('/login')
+        return
+      }
 
-  async function checkAuth() {
-    const { data: { user } } = await supabase.auth.getUser()
-    if (!user) {
-      router.push('/login')
-      return
+      const membership = await loadMembership(supabase, user.id)
+
+      if (!membership) {
+        router.push('/login')
+        return
+      }
+
+      const businessData = membership.business
+      setMember(membership)
+      setBusiness(businessData)
+      setNumberingForm({
+        prefix: businessData.invoice_prefix || '',
+        pattern: businessData.invoice_number_pattern || DEFAULT_NUMBER_PATTERN,
+        creditNotePrefix: businessData.credit_note_prefix || '',
+        debitNotePrefix: businessData.debit_note_prefix || ''
+      })
+      loadGstRates(supabase).then(setGstRates)
+      setLoading(false)
     }
 
-    // Get business profile
-    const { data: businessData } = await supabase
-      .from('businesses')
-      .select('*')
-      .eq('user_id', user.id)
-      .single()
+    checkAuth()
+  }, [supabase, router])
 
-    if (!businessData) {
-      router.push('/login')
-      return
+  // Runs again whenever reloadData bumps dataVersion
+  useEffect(() => {
+    if (!businessId) return
+
+    async function loadData() {
+      // Load branches, main branch first
+      const { data: branchesData } = await supabase
+        .from('branches')
+        .select('*')
+        .eq('business_id', businessId)
+        .order('is_main', { ascending: false })
+        .order('branch_name')
+
+      setBranches(branchesData || [])
+
+      // Load customers
+      const { data: customersData } = await supabase
+        .from('business_customers')
+        .select(`
+          *,
+          customer:customers(*)
+        `)
+        .eq('business_id', businessId)
+
+      setCustomers(customersData || [])
+
+      // Load the catalogue with any customer-specific prices
+      const { data: catalogueData } = await supabase
+        .from('catalogue_items')
+        .select(`
+          *,
+          prices:catalogue_customer_prices(customer_id, unit_price)
+        `)
+        .eq('business_id', businessId)
+        .order('item_name')
+
+      setCatalogue(catalogueData || [])
+
+      // Load invoices
+      const { data: invoicesData } = await supabase
+        .from('invoices')
+        .select(`
+          *,
+          customer:customers(customer_name),
+          items:invoice_items(*)
+        `)
+        .eq('business_id', businessId)
+        .order('created_at', { ascending: false })
+
+      setInvoices(invoicesData || [])
+
+      // Load edit requests
+      const { data: requestsData } = await supabase
+        .from('invoice_edit_requests')
+        .select(`
+          *,
+          invoice:invoices(invoice_number, paid_amount),
+          customer:customers(customer_name),
+          comments:edit_request_comments(*)
+        `)
+        .eq('business_id', businessId)
+        .in('status', ['pending', 'countered'])
+
+      setEditRequests(requestsData || [])
+
+      // Load credit and debit notes
+      const { data: notesData } = await supabase
+        .from('invoice_notes')
+        .select(`
+          *,
+          invoice:invoices(invoice_number),
+          customer:customers(customer_name)
+        `)
+        .eq('business_id', businessId)
+        .order('created_at', { ascending: false })
+
+      setNotes(notesData || [])
     }
 
-    setBusiness(businessData)
-    loadData(businessData.id)
-    setupRealtimeSubscriptions(businessData.id)
-    setLoading(false)
-  }
+    loadData()
+  }, [supabase, businessId, dataVersion])
 
-  async function loadData(businessId) {
-    // Load customers
-    const { data: customersData } = await supabase
-      .from('business_customers')
-      .select(`
-        *,
-        customer:customers(*)
-      `)
-      .eq('business_id', businessId)
-
-    setCustomers(customersData || [])
-
-    // Load invoices
-    const { data: invoicesData } = await supabase
-      .from('invoices')
-      .select(`
-        *,
-        customer:customers(customer_name),
-        items:invoice_items(*)
-      `)
-      .eq('business_id', businessId)
-      .order('created_at', { ascending: false })
-
-    setInvoices(invoicesData || [])
-
-    // Load edit requests
-    const { data: requestsData } = await supabase
-      .from('invoice_edit_requests')
-      .select(`
-        *,
-        invoice:invoices(invoice_number),
-        customer:customers(customer_name)
-      `)
-      .eq('status', 'pending')
-      .in('invoice_id', (invoicesData || []).map(inv => inv.id))
-
-    setEditRequests(requestsData || [])
-  }
+  useEffect(() => {
+    if (!businessId) return
 
-  function setupRealtimeSubscriptions(businessId) {
     // Subscribe to invoice changes
     const invoiceChannel = supabase
       .channel('invoice-changes')
@@ -122,7 +285,7 @@ export default function BusinessDashboard() {
           filter: `business_id=eq.${businessId}`
         },
         () => {
-          loadData(businessId)
+          reloadData()
         }
       )
       .subscribe()
@@ -135,10 +298,22 @@ export default function BusinessDashboard() {
         {
           event: '*',
           schema: 'public',
-          table: 'invoice_edit_requests'
+          table: 'invoice_edit_requests',
+          filter: `business_id=eq.${businessId}`
+        },
+        () => {
+          reloadData()
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'edit_request_comments'
         },
         () => {
-          loadData(businessId)
+          reloadData()
         }
       )
       .subscribe()
@@ -147,145 +322,231 @@ export default function BusinessDashboard() {
       supabase.removeChannel(invoiceChannel)
       supabase.removeChannel(requestChannel)
     }
-  }
+  }, [supabase, businessId])
 
   // Add customer
   async function handleAddCustomer(e) {
     e.preventDefault()
 
-    // First, check if customer exists with this phone
-    const formattedPhone = newCustomer.phone.startsWith('+') 
-      ? newCustomer.phone 
-      : `+91${newCustomer.phone}`
-
-    let { data: existingCustomer } = await supabase
-      .from('customers')
-      .select('*')
-      .eq('phone_number', formattedPhone)
-      .single()
-
-    let customerId
-
-    if (!existingCustomer) {
-      // Create new customer (they'll need to sign up to access their dashboard)
-      const { data: newCustomerData, error } = await supabase
-        .from('customers')
-        .insert({
-          customer_name: newCustomer.name,
-          phone_number: formattedPhone,
-          email: newCustomer.email,
-          address: newCustomer.address,
-        })
-        .select()
-        .single()
-
-      if (error) {
-        alert('Error creating customer: ' + error.message)
-        return
-      }
-      customerId = newCustomerData.id
-    } else {
-      customerId = existingCustomer.id
+    // The same number typed differently must find the same customer
+    const formattedPhone = normalizePhone(newCustomer.phone, newCustomer.phoneCountry)
+    if (!formattedPhone) {
+      alert(phoneError(newCustomer.phone, newCustomer.phoneCountry))
+      return
     }
 
-    // Link customer to business
-    const { error: linkError } = await supabase
-      .from('business_customers')
-      .insert({
-        business_id: business.id,
-        customer_id: customerId,
-        credit_limit: parseFloat(newCustomer.creditLimit) || 0,
-        payment_terms_days: parseInt(newCustomer.paymentTerms)
-      })
+    // Links the customer with this phone if they already exist, or creates
+    // them (they'll need to sign up to access their dashboard)
+    const { error } = await supabase.rpc('add_business_customer', {
+      p_business_id: business.id,
+      p_customer_name: newCustomer.name,
+      p_phone_number: formattedPhone,
+      p_email: newCustomer.email,
+      p_address: newCustomer.address,
+      p_state_code: newCustomer.stateCode || null,
+      p_credit_limit: parseFloat(newCustomer.creditLimit) || 0,
+      p_payment_terms_days: parseInt(newCustomer.paymentTerms),
+      p_branch_id: branchId === ALL_BRANCHES ? null : branchId
+    })
 
-    if (linkError) {
-      alert('Error linking customer: ' + linkError.message)
+    if (error) {
+      alert('Error adding customer: ' + error.message)
       return
     }
 
     setShowAddCustomer(false)
     setNewCustomer({
       phone: '',
+      phoneCountry: DEFAULT_PHONE_COUNTRY,
       name: '',
       email: '',
       address: '',
+      stateCode: '',
       creditLimit: '',
       paymentTerms: 30
     })
-    loadData(business.id)
+    reloadData()
   }
 
   // Create invoice
   async function handleCreateInvoice(e) {
     e.preventDefault()
 
-    // Calculate total
-    const total = invoiceItems.reduce((sum, item) => {
-      return sum + (parseFloat(item.quantity) * parseFloat(item.unit_price))
-    }, 0)
+    // "Save as Draft" submits the same form; drafts stay hidden from the customer
+    const draft = e.nativeEvent.submitter?.name === 'draft'
 
-    // Get payment terms for due date
+    // Calculate taxable value, GST and grand total
+    const totals = computeInvoiceTotals(invoiceItems, supplierState(branchSupplierOf(invoiceBranchId)), placeOfSupply)
+    const total = totals.total_amount
+
+    // Get the credit limit
     const { data: bcData } = await supabase
       .from('business_customers')
-      .select('payment_terms_days')
+      .select('credit_limit')
       .eq('business_id', business.id)
       .eq('customer_id', selectedCustomerId)
       .single()
 
-    const paymentTerms = bcData?.payment_terms_days || 30
-    const dueDate = new Date(invoiceDate)
-    dueDate.setDate(dueDate.getDate() + paymentTerms)
-
-    // Create invoice
-    const invoiceNumber = `INV-${Date.now()}`
-    
-    const { data: invoice, error: invError } = await supabase
-      .from('invoices')
-      .insert({
-        business_id: business.id,
-        customer_id: selectedCustomerId,
-        invoice_number: invoiceNumber,
-        invoice_date: invoiceDate,
-        due_date: dueDate.toISOString().split('T')[0],
-        total_amount: total,
-        paid_amount: 0,
-        status: 'sent'
-      })
-      .select()
-      .single()
+    // Stop and warn if this invoice takes the customer over their credit limit
+    const credit = creditCheck(
+      bcData?.credit_limit,
+      customerOutstanding(invoices, selectedCustomerId),
+      total
+    )
+    if (credit.exceeded && !overrideReason.trim()) {
+      setCreditWarning(credit)
+      return
+    }
+
+    // Create the invoice and its items in one transaction. The database
+    // recomputes GST, sets the due date from the payment terms and assigns
+    // the next number in the business's series.
+    const { error } = await supabase.rpc('create_invoice', {
+      p_business_id: business.id,
+      p_customer_id: selectedCustomerId,
+      p_invoice_date: invoiceDate,
+      p_place_of_supply: placeOfSupply || null,
+      p_items: invoiceItems,
+      p_credit_override_reason: credit.exceeded ? overrideReason.trim() : null,
+      p_draft: draft,
+      p_branch_id: invoiceBranchId || null
+    })
+
+    if (error) {
+      alert('Error creating invoice: ' + error.message)
+      return
+    }
+
+    closeCreateInvoice()
+    reloadData()
+  }
+
+  // Open the create invoice modal with a blank first line. The invoice goes
+  // to the branch being shown, or to the customer's branch once one is chosen.
+  function openCreateInvoice() {
+    const invoiceBranch = branchId === ALL_BRANCHES ? '' : branchId
+    setInvoiceItems([newInvoiceItem()])
+    setInvoiceBranchId(invoiceBranch)
+    setPlaceOfSupply(supplierState(branchSupplierOf(invoiceBranch)))
+    setShowCreateInvoice(true)
+  }
+
+  // The business as it appears on invoices from a branch; the main branch
+  // when none is given
+  function branchSupplierOf(id) {
+    return branchSupplier(business, branches.find(branch => branch.id === id) || branches.find(branch => branch.is_main))
+  }
+
+  // Move a customer to another branch; their new invoices go there
+  async function moveCustomer(bc, newBranchId) {
+    const { error } = await supabase
+      .from('business_customers')
+      .update({ branch_id: newBranchId })
+      .eq('id', bc.id)
+
+    if (error) {
+      alert('Error moving customer: ' + error.message)
+      return
+    }
+
+    reloadData()
+  }
+
+  // Issue a draft: it gets its number and becomes visible to the customer
+  async function issueInvoice(invoice) {
+    const { error } = await supabase.rpc('transition_invoice', {
+      p_invoice_id: invoice.id,
+      p_status: 'sent'
+    })
+
+    if (error) {
+      alert('Error issuing invoice: ' + error.message)
+      return
+    }
+
+    reloadData()
+  }
 
-    if (invError) {
-      alert('Error creating invoice: ' + invError.message)
+  function openWithdrawInvoice(invoice, status) {
+    setWithdrawing({ invoice, status })
+    setWithdrawReason('')
+  }
+
+  // Void or cancel an issued invoice. It keeps its number and stays on record.
+  async function handleWithdrawInvoice(e) {
+    e.preventDefault()
+
+    const { error } = await supabase.rpc('transition_invoice', {
+      p_invoice_id: withdrawing.invoice.id,
+      p_status: withdrawing.status,
+      p_reason: withdrawReason.trim()
+    })
+
+    if (error) {
+      alert('Error updating invoice: ' + error.message)
       return
     }
 
-    // Create invoice items
-    const items = invoiceItems.map(item => ({
-      invoice_id: invoice.id,
-      item_name: item.item_name,
-      quantity: parseFloat(item.quantity),
-      unit_price: parseFloat(item.unit_price),
-      total_price: parseFloat(item.quantity) * parseFloat(item.unit_price)
-    }))
-
-    const { error: itemsError } = await supabase
-      .from('invoice_items')
-      .insert(items)
-
-    if (itemsError) {
-      alert('Error creating invoice items: ' + itemsError.message)
+    setWithdrawing(null)
+    reloadData()
+  }
+
+  // Open the credit/debit note modal for an issued invoice
+  function openIssueNote(invoice) {
+    setNoteForm({
+      invoice,
+      type: 'credit',
+      reason: '',
+      items: [emptyInvoiceItem(business?.gst_number ? 18 : 0)]
+    })
+  }
+
+  function updateNoteItem(index, field, value) {
+    const items = [...noteForm.items]
+    items[index] = { ...items[index], [field]: value }
+    setNoteForm({ ...noteForm, items })
+  }
+
+  // Issue a credit or debit note. The database numbers it, recomputes GST
+  // and adjusts the invoice's balance.
+  async function handleIssueNote(e) {
+    e.preventDefault()
+
+    const { error } = await supabase.rpc('issue_invoice_note', {
+      p_invoice_id: noteForm.invoice.id,
+      p_note_type: noteForm.type,
+      p_reason: noteForm.reason.trim(),
+      p_items: noteForm.items
+    })
+
+    if (error) {
+      alert('Error issuing note: ' + error.message)
       return
     }
 
+    setNoteForm(null)
+    reloadData()
+  }
+
+  // Close the create invoice modal and reset the form
+  function closeCreateInvoice() {
     setShowCreateInvoice(false)
     setSelectedCustomerId('')
-    setInvoiceItems([{ item_name: '', quantity: '', unit_price: '' }])
-    loadData(business.id)
+    setPlaceOfSupply('')
+    setInvoiceBranchId('')
+    setInvoiceItems([emptyInvoiceItem()])
+    setCreditWarning(null)
+    setOverrideReason('')
+  }
+
+  // New line item, defaulting to 18% GST for GST-registered businesses
+  function newInvoiceItem() {
+    return emptyInvoiceItem(business?.gst_number ? 18 : 0)
   }
 
   // Add invoice item row
   function addInvoiceItem() {
-    setInvoiceItems([...invoiceItems, { item_name: '', quantity: '', unit_price: '' }])
+    setInvoiceItems([...invoiceItems, newInvoiceItem()])
   }
 
   // Remove invoice item row
@@ -300,93 +561,154 @@ export default function BusinessDashboard() {
     setInvoiceItems(updated)
   }
 
-  // Mark invoice as paid
-  async function markAsPaid(invoiceId, totalAmount) {
-    const { error } = await supabase
-      .from('invoices')
-      .update({ 
-        status: 'paid',
-        paid_amount: totalAmount
-      })
-      .eq('id', invoiceId)
+  // Fill an invoice line from the catalogue, at the price agreed with the
+  // selected customer. The quantity is kept.
+  function applyCatalogueItem(index, item) {
+    const updated = [...invoiceItems]
+    updated[index] = { ...updated[index], ...catalogueLine(item, selectedCustomerId) }
+    setInvoiceItems(updated)
+  }
+
+  // Open the record payment modal, optionally preselecting an invoice
+  function openRecordPayment(invoice) {
+    setPaymentForm({
+      ...emptyPaymentForm(),
+      customerId: invoice?.customer_id || '',
+      invoiceIds: invoice ? [invoice.id] : [],
+      amount: invoice ? String(invoiceBalance(invoice)) : ''
+    })
+    setShowRecordPayment(true)
+  }
+
+  // Toggle an invoice in the payment allocation
+  function togglePaymentInvoice(invoiceId) {
+    const invoiceIds = paymentForm.invoiceIds.includes(invoiceId)
+      ? paymentForm.invoiceIds.filter(id => id !== invoiceId)
+      : [...paymentForm.invoiceIds, invoiceId]
+    setPaymentForm({ ...paymentForm, invoiceIds })
+  }
+
+  // Record a payment against one or more invoices
+  async function handleRecordPayment(e) {
+    e.preventDefault()
+
+    const selected = invoices.filter(inv => paymentForm.invoiceIds.includes(inv.id))
+    if (selected.length === 0) {
+      alert('Select at least one invoice')
+      return
+    }
+
+    const amount = parseFloat(paymentForm.amount)
+    if (!(amount > 0)) {
+      alert('Enter a payment amount')
+      return
+    }
+
+    const { allocations, unapplied } = allocatePayment(amount, selected)
+    if (unapplied > 0) {
+      alert(`Payment exceeds the outstanding balance of the selected invoices by ₹${unapplied.toLocaleString()}`)
+      return
+    }
+
+    // Split across the invoices and update their balances in one transaction
+    const { error } = await supabase.rpc('record_payment', {
+      p_business_id: business.id,
+      p_invoice_ids: allocations.map(({ invoice }) => invoice.id),
+      p_amount: amount,
+      p_payment_date: paymentForm.date,
+      p_payment_method: paymentForm.method,
+      p_reference_number: paymentForm.reference || null
+    })
 
     if (error) {
-      alert('Error: ' + error.message)
+      alert('Error recording payment: ' + error.message)
       return
     }
 
-    // Record payment
-    await supabase
-      .from('payments')
-      .insert({
-        invoice_id: invoiceId,
-        amount: totalAmount,
-        payment_date: new Date().toISOString().split('T')[0],
-        payment_method: 'Manual'
-      })
+    setShowRecordPayment(false)
+    setPaymentForm(emptyPaymentForm())
+    reloadData()
+  }
 
-    loadData(business.id)
+  // Settle an edit request line by line. Accepted and rejected lines are
+  // applied straight away; any countered line sends the whole set back to
+  // the customer instead. With asNotes the invoice is left as issued and
+  // the difference is settled with credit and debit notes.
+  async function reviewEditRequest(request, decisions, { asNotes } = {}) {
+    const lines = diffEditRequest(request.original_items, currentProposal(request))
+    const proposal = buildProposal(lines, decisions)
+
+    let rpc = proposal.countered ? 'counter_edit_request' : 'approve_edit_request'
+    let params = {
+      p_request_id: request.id,
+      p_items: proposal.items,
+      p_decisions: decisions
+    }
+
+    if (asNotes && !proposal.countered) {
+      const invoice = invoices.find(inv => inv.id === request.invoice_id)
+      const { items } = computeInvoiceTotals(proposal.items, supplierState(branchSupplierOf(invoice?.branch_id)), invoice?.place_of_supply)
+      const { credit, debit } = noteLinesForChange(request.original_items, items)
+      rpc = 'approve_edit_request_with_notes'
+      params = { ...params, p_credit_items: credit, p_debit_items: debit }
+    }
+
+    const { error } = await supabase.rpc(rpc, params)
+
+    if (error) {
+      alert('Error reviewing edit request: ' + error.message)
+      return
+    }
+
+    setReviewingRequestId(null)
+    reloadData()
   }
 
-  // Approve edit request
-  async function approveEditRequest(requestId, invoiceId, requestedItems) {
-    // Update invoice items
-    const { data: invoice } = await supabase
-      .from('invoices')
-      .select('*')
-      .eq('id', invoiceId)
-      .single()
+  // Reject edit request, leaving the explanation as a comment the customer can see
+  async function rejectEditRequest(request, note) {
+    const { error } = await supabase.rpc('reject_edit_request', {
+      p_request_id: request.id,
+      p_note: note
+    })
 
-    // Delete old items
-    await supabase
-      .from('invoice_items')
-      .delete()
-      .eq('invoice_id', invoiceId)
-
-    // Insert new items
-    await supabase
-      .from('invoice_items')
-      .insert(requestedItems.map(item => ({
-        invoice_id: invoiceId,
-        item_name: item.item_name,
-        quantity: item.quantity,
-        unit_price: item.unit_price,
-        total_price: item.total_price
-      })))
-
-    // Update invoice total
-    const newTotal = requestedItems.reduce((sum, item) => sum + item.total_price, 0)
-    await supabase
-      .from('invoices')
-      .update({ 
-        total_amount: newTotal,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', invoiceId)
-
-    // Mark request as approved
-    await supabase
-      .from('invoice_edit_requests')
-      .update({ 
-        status: 'approved',
-        reviewed_at: new Date().toISOString()
-      })
-      .eq('id', requestId)
+    if (error) {
+      alert('Error rejecting edit request: ' + error.message)
+      return
+    }
 
-    loadData(business.id)
+    setRejectingRequestId(null)
+    setRejectNote('')
+    reloadData()
   }
 
-  // Reject edit request
-  async function rejectEditRequest(requestId) {
-    await supabase
-      .from('invoice_edit_requests')
-      .update({ 
-        status: 'rejected',
-        reviewed_at: new Date().toISOString()
+  // Save invoice numbering settings
+  async function handleSaveNumbering(e) {
+    e.preventDefault()
+
+    if (!isValidNumberPattern(numberingForm.pattern)) {
+      alert('The pattern must include {FY} and {SEQ} or {SEQ:n}')
+      return
+    }
+
+    const { data, error } = await supabase
+      .from('businesses')
+      .update({
+        invoice_prefix: numberingForm.prefix.trim(),
+        invoice_number_pattern: numberingForm.pattern.trim(),
+        credit_note_prefix: numberingForm.creditNotePrefix.trim(),
+        debit_note_prefix: numberingForm.debitNotePrefix.trim()
       })
-      .eq('id', requestId)
+      .eq('id', business.id)
+      .select()
+      .single()
 
-    loadData(business.id)
+    if (error) {
+      alert('Error saving settings: ' + error.message)
+      return
+    }
+
+    setBusiness(data)
+    alert('Settings saved')
   }
 
   if (loading) {
@@ -397,6 +719,17 @@ export default function BusinessDashboard() {
     )
   }
 
+  // Live totals for the create invoice modal
+  const draftTotals = computeInvoiceTotals(invoiceItems, supplierState(branchSupplierOf(invoiceBranchId)), placeOfSupply)
+  const noteTotals = noteForm
+    ? computeInvoiceTotals(noteForm.items, supplierState(branchSupplierOf(noteForm.invoice.branch_id)), noteForm.invoice.place_of_supply)
+    : null
+  const branchInvoices = invoices.filter(invoice => inBranch(invoice, branchId))
+  const branchCustomers = customers.filter(bc => inBranch(bc, branchId))
+  const visibleInvoices = branchInvoices.filter(invoice => matchesAcknowledgementFilter(invoice, acknowledgementFilter))
+  const hasBranches = branches.length > 1
+  const canOverrideCredit = can(member, 'manage_credit')
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -405,14 +738,31 @@ export default function BusinessDashboard() {
           <div className="flex justify-between items-center">
             <div>
               <h1 className="text-2xl font-light text-gray-900">Sure-ty</h1>
-              <p className="text-sm text-gray-600">{business.business_name}</p>
+              <p className="text-sm text-gray-600">
+                {business.business_name} · {member.display_name || member.email} ({TEAM_ROLES[member.role]})
+              </p>
+            </div>
+            <div className="flex items-center space-x-3">
+              {hasBranches && (
+                <select
+                  value={branchId}
+                  onChange={(e) => setBranchId(e.target.value)}
+                  aria-label="Branch"
+                  className="px-4 py-2 rounded-xl border border-gray-200 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                >
+                  <option value={ALL_BRANCHES}>All branches</option>
+                  {branches.map((branch) => (
+                    <option key={branch.id} value={branch.id}>{branch.branch_name}</option>
+                  ))}
+                </select>
+              )}
+              <button
+                onClick={signOut}
+                className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900"
+              >
+                Sign out
+              </button>
             </div>
-            <button
-              onClick={signOut}
-              className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900"
-            >
-              Sign out
-            </button>
           </div>
         </div>
       </div>
@@ -431,6 +781,18 @@ export default function BusinessDashboard() {
             >
               Invoices
             </button>
+            {can(member, 'manage_recurring') && (
+              <button
+                onClick={() => setActiveTab('recurring')}
+                className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'recurring'
+                    ? 'border-gray-900 text-gray-900'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                Recurring
+              </button>
+            )}
             <button
               onClick={() => setActiveTab('customers')}
               className={`py-4 px-1 border-b-2 font-medium text-sm ${
@@ -441,6 +803,18 @@ export default function BusinessDashboard() {
             >
               Customers
             </button>
+            {can(member, 'manage_catalogue') && (
+              <button
+                onClick={() => setActiveTab('catalogue')}
+                className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'catalogue'
+                    ? 'border-gray-900 text-gray-900'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                Catalogue
+              </button>
+            )}
             <button
               onClick={() => setActiveTab('requests')}
               className={`py-4 px-1 border-b-2 font-medium text-sm ${
@@ -456,6 +830,28 @@ export default function BusinessDashboard() {
                 </span>
               )}
             </button>
+            <button
+              onClick={() => setActiveTab('ageing')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'ageing'
+                  ? 'border-gray-900 text-gray-900'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              Ageing
+            </button>
+            {can(member, 'manage_settings') && (
+              <button
+                onClick={() => setActiveTab('settings')}
+                className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'settings'
+                    ? 'border-gray-900 text-gray-900'
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                Settings
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -467,14 +863,38 @@ export default function BusinessDashboard() {
           <div>
             <div className="flex justify-between items-center mb-6">
               <h2 className="text-xl font-medium text-gray-900">Invoices</h2>
-              <button
-                onClick={() => setShowCreateInvoice(true)}
-                className="px-6 py-2 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
-              >
-                Create Invoice
-              </button>
+              <div className="flex space-x-3">
+                <select
+                  value={acknowledgementFilter}
+                  onChange={(e) => setAcknowledgementFilter(e.target.value)}
+                  aria-label="Acceptance"
+                  className="px-4 py-2 rounded-xl border border-gray-200 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                >
+                  {Object.entries(ACKNOWLEDGEMENT_FILTERS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                {can(member, 'record_payments') && (
+                  <button
+                    onClick={() => openRecordPayment(null)}
+                    className="px-6 py-2 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+                  >
+                    Record Payment
+                  </button>
+                )}
+                {can(member, 'create_invoices') && (
+                  <button
+                    onClick={openCreateInvoice}
+                    className="px-6 py-2 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+                  >
+                    Create Invoice
+                  </button>
+                )}
+              </div>
             </div>
 
+            {hasBranches && <BranchSummary invoices={invoices} branches={branches} branchId={branchId} />}
+
             {/* Invoices List */}
             <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
               <table className="w-full">
@@ -495,6 +915,9 @@ export default function BusinessDashboard() {
                     <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
                       Amount
                     </th>
+                    <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                      Balance
+                    </th>
                     <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
                       Status
                     </th>
@@ -504,10 +927,18 @@ export default function BusinessDashboard() {
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-200">
-                  {invoices.map((invoice) => (
+                  {visibleInvoices.map((invoice) => (
                     <tr key={invoice.id} className="hover:bg-gray-50">
                       <td className="px-6 py-4 text-sm font-medium text-gray-900">
-                        {invoice.invoice_number}
+                        {invoice.invoice_number || 'Draft'}
+                        {invoice.credit_override_reason && (
+                          <span
+                            title={`Credit limit override: ${invoice.credit_override_reason}`}
+                            className="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-50 text-red-700"
+                          >
+                            over limit
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 text-sm text-gray-600">
                         {invoice.customer?.customer_name}
@@ -521,24 +952,91 @@ export default function BusinessDashboard() {
                       <td className="px-6 py-4 text-sm text-gray-900 font-medium">
                         ₹{invoice.total_amount.toLocaleString()}
                       </td>
+                      <td className="px-6 py-4 text-sm text-gray-600">
+                        ₹{invoiceBalance(invoice).toLocaleString()}
+                      </td>
                       <td className="px-6 py-4 text-sm">
-                        <span className={`px-3 py-1 rounded-full text-xs font-medium ${
-                          invoice.status === 'paid' 
-                            ? 'bg-green-100 text-green-800'
-                            : invoice.status === 'overdue'
-                            ? 'bg-red-100 text-red-800'
-                            : 'bg-yellow-100 text-yellow-800'
-                        }`}>
-                          {invoice.status}
+                        <span
+                          title={invoice.status_reason || undefined}
+                          className={`px-3 py-1 rounded-full text-xs font-medium ${statusBadgeClass(invoice.status)}`}
+                        >
+                          {statusLabel(invoice.status)}
                         </span>
+                        {isBilled(invoice) && (
+                          <p
+                            title={describeDevice(invoice.acknowledgement_device) || undefined}
+                            className={`text-xs mt-1 ${isAcknowledged(invoice) ? 'text-green-700' : 'text-gray-500'}`}
+                          >
+                            {acknowledgementLabel(invoice)}
+                          </p>
+                        )}
                       </td>
-                      <td className="px-6 py-4 text-sm">
-                        {invoice.status !== 'paid' && (
+                      <td className="px-6 py-4 text-sm space-x-4 whitespace-nowrap">
+                        <a
+                          href={`/invoices/${invoice.id}`}
+                          target="_blank"
+                          className="text-gray-600 hover:text-gray-900"
+                        >
+                          View
+                        </a>
+                        <a
+                          href={`/invoices/${invoice.id}/pdf`}
+                          className="text-gray-600 hover:text-gray-900"
+                        >
+                          PDF
+                        </a>
+                        <button
+                          onClick={() => setHistoryInvoice(invoice)}
+                          className="text-gray-600 hover:text-gray-900"
+                        >
+                          History
+                        </button>
+                        {invoice.status === 'draft' && can(member, 'create_invoices') && (
+                          <button
+                            onClick={() => issueInvoice(invoice)}
+                            className="text-gray-900 hover:text-gray-700 font-medium"
+                          >
+                            Issue
+                          </button>
+                        )}
+                        {invoiceBalance(invoice) > 0 && can(member, 'send_reminders') && (
+                          <button
+                            onClick={() => setRemindersInvoice(invoice)}
+                            className="text-gray-600 hover:text-gray-900"
+                          >
+                            Remind
+                          </button>
+                        )}
+                        {isBilled(invoice) && can(member, 'issue_notes') && (
+                          <button
+                            onClick={() => openIssueNote(invoice)}
+                            className="text-gray-600 hover:text-gray-900"
+                          >
+                            Note
+                          </button>
+                        )}
+                        {invoiceBalance(invoice) > 0 && can(member, 'record_payments') && (
                           <button
-                            onClick={() => markAsPaid(invoice.id, invoice.total_amount)}
+                            onClick={() => openRecordPayment(invoice)}
                             className="text-gray-900 hover:text-gray-700 font-medium"
                           >
-                            Mark Paid
+                            Record Payment
+                          </button>
+                        )}
+                        {canTransition(invoice, 'void') && can(member, 'cancel_invoices') && (
+                          <button
+                            onClick={() => openWithdrawInvoice(invoice, 'void')}
+                            className="text-red-600 hover:text-red-700"
+                          >
+                            Void
+                          </button>
+                        )}
+                        {canTransition(invoice, 'cancelled') && can(member, 'cancel_invoices') && (
+                          <button
+                            onClick={() => openWithdrawInvoice(invoice, 'cancelled')}
+                            className="text-red-600 hover:text-red-700"
+                          >
+                            Cancel
                           </button>
                         )}
                       </td>
@@ -551,21 +1049,102 @@ export default function BusinessDashboard() {
                   No invoices yet. Create your first invoice!
                 </div>
               )}
+              {invoices.length > 0 && visibleInvoices.length === 0 && (
+                <div className="text-center py-12 text-gray-500">
+                  No invoices match this filter
+                </div>
+              )}
             </div>
+
+            {/* Credit & Debit Notes */}
+            {notes.length > 0 && (
+              <div className="mt-8">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Credit &amp; Debit Notes</h3>
+                <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
+                  <table className="w-full">
+                    <thead className="bg-gray-50 border-b border-gray-200">
+                      <tr>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                          Note #
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                          Invoice #
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                          Customer
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                          Date
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                          Amount
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                          Reason
+                        </th>
+                        <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                          Actions
+                        </th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {notes.map((note) => (
+                        <tr key={note.id} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                            {note.note_number}
+                            <span className="ml-2 text-xs text-gray-500">{NOTE_TYPES[note.note_type]}</span>
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-600">
+                            {note.invoice?.invoice_number}
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-600">
+                            {note.customer?.customer_name}
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-600">
+                            {new Date(note.note_date).toLocaleDateString()}
+                          </td>
+                          <td className={`px-6 py-4 text-sm font-medium ${note.note_type === 'credit' ? 'text-green-700' : 'text-gray-900'}`}>
+                            {note.note_type === 'credit' ? '−' : '+'}₹{Number(note.total_amount).toLocaleString()}
+                          </td>
+                          <td className="px-6 py-4 text-sm text-gray-600">
+                            {note.reason}
+                          </td>
+                          <td className="px-6 py-4 text-sm">
+                            <a
+                              href={`/notes/${note.id}/pdf`}
+                              className="text-gray-600 hover:text-gray-900"
+                            >
+                              PDF
+                            </a>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
           </div>
         )}
 
+        {/* RECURRING TAB */}
+        {activeTab === 'recurring' && (
+          <RecurringInvoices business={business} branches={branches} customers={customers} catalogue={catalogue} gstRates={gstRates} />
+        )}
+
         {/* CUSTOMERS TAB */}
         {activeTab === 'customers' && (
           <div>
             <div className="flex justify-between items-center mb-6">
               <h2 className="text-xl font-medium text-gray-900">Customers</h2>
-              <button
-                onClick={() => setShowAddCustomer(true)}
-                className="px-6 py-2 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
-              >
-                Add Customer
-              </button>
+              {can(member, 'add_customers') && (
+                <button
+                  onClick={() => setShowAddCustomer(true)}
+                  className="px-6 py-2 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+                >
+                  Add Customer
+                </button>
+              )}
             </div>
 
             {/* Customers List */}
@@ -582,45 +1161,95 @@ export default function BusinessDashboard() {
                     <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
                       Email
                     </th>
+                    {hasBranches && (
+                      <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                        Branch
+                      </th>
+                    )}
                     <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
-                      Credit Limit
+                      Credit Utilisation
                     </th>
                     <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
                       Payment Terms
                     </th>
+                    <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                      Actions
+                    </th>
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-200">
-                  {customers.map((bc) => (
+                  {branchCustomers.map((bc) => (
                     <tr key={bc.id} className="hover:bg-gray-50">
                       <td className="px-6 py-4 text-sm font-medium text-gray-900">
                         {bc.customer?.customer_name}
                       </td>
                       <td className="px-6 py-4 text-sm text-gray-600">
-                        {bc.customer?.phone_number}
+                        {formatPhone(bc.customer?.phone_number)}
                       </td>
                       <td className="px-6 py-4 text-sm text-gray-600">
                         {bc.customer?.email || '-'}
                       </td>
+                      {hasBranches && (
+                        <td className="px-6 py-4 text-sm text-gray-600">
+                          {canOverrideCredit ? (
+                            <select
+                              value={bc.branch_id}
+                              onChange={(e) => moveCustomer(bc, e.target.value)}
+                              aria-label="Branch"
+                              className="px-3 py-2 rounded-xl border border-gray-200 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900"
+                            >
+                              {branches.map((branch) => (
+                                <option key={branch.id} value={branch.id}>{branch.branch_name}</option>
+                              ))}
+                            </select>
+                          ) : (
+                            branches.find(branch => branch.id === bc.branch_id)?.branch_name
+                          )}
+                        </td>
+                      )}
                       <td className="px-6 py-4 text-sm text-gray-900">
-                        ₹{bc.credit_limit?.toLocaleString()}
+                        <CreditUtilisation
+                          outstanding={customerOutstanding(invoices, bc.customer?.id)}
+                          limit={bc.credit_limit}
+                        />
                       </td>
                       <td className="px-6 py-4 text-sm text-gray-600">
                         {bc.payment_terms_days} days
                       </td>
-                    </tr>
-                  ))}
+                      <td className="px-6 py-4 text-sm">
+                        <Link
+                          href={`/statements/${business.id}/${bc.customer?.id}`}
+                          className="text-gray-900 hover:text-gray-700 font-medium"
+                        >
+                          Statement
+                        </Link>
+                      </td>
+                    </tr>
+                  ))}
                 </tbody>
               </table>
-              {customers.length === 0 && (
+              {branchCustomers.length === 0 && (
                 <div className="text-center py-12 text-gray-500">
-                  No customers yet. Add your first customer!
+                  {customers.length === 0
+                    ? 'No customers yet. Add your first customer!'
+                    : 'No customers in this branch yet.'}
                 </div>
               )}
             </div>
           </div>
         )}
 
+        {/* CATALOGUE TAB */}
+        {activeTab === 'catalogue' && (
+          <CatalogueManager
+            business={business}
+            catalogue={catalogue}
+            customers={customers}
+            gstRates={gstRates}
+            onChange={() => reloadData()}
+          />
+        )}
+
         {/* EDIT REQUESTS TAB */}
         {activeTab === 'requests' && (
           <div>
@@ -641,47 +1270,113 @@ export default function BusinessDashboard() {
                         {new Date(request.created_at).toLocaleString()}
                       </p>
                     </div>
-                    <div className="flex space-x-3">
-                      <button
-                        onClick={() => approveEditRequest(
-                          request.id, 
-                          request.invoice_id, 
-                          request.requested_items
-                        )}
-                        className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm"
-                      >
-                        Approve
-                      </button>
-                      <button
-                        onClick={() => rejectEditRequest(request.id)}
-                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm"
-                      >
-                        Reject
-                      </button>
-                    </div>
+                    {request.status === 'countered' ? (
+                      <span className="px-4 py-2 rounded-full text-sm font-medium bg-blue-100 text-blue-800">
+                        Awaiting customer
+                      </span>
+                    ) : can(member, 'review_edit_requests') && (
+                      <div className="flex space-x-3">
+                        <button
+                          onClick={() => reviewEditRequest(
+                            request,
+                            defaultDecisions(diffEditRequest(request.original_items, currentProposal(request)))
+                          )}
+                          className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm"
+                        >
+                          Approve All
+                        </button>
+                        <button
+                          onClick={() => setReviewingRequestId(request.id)}
+                          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+                        >
+                          Review Lines
+                        </button>
+                        <button
+                          onClick={() => {
+                            setRejectingRequestId(request.id)
+                            setRejectNote('')
+                          }}
+                          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm"
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    )}
                   </div>
 
-                  <div className="grid grid-cols-2 gap-6">
-                    <div>
-                      <p className="text-sm font-medium text-gray-700 mb-2">Original Items</p>
-                      <div className="space-y-2">
-                        {request.original_items.map((item, i) => (
-                          <div key={i} className="text-sm text-gray-600 bg-gray-50 p-3 rounded-lg">
-                            {item.item_name}: {item.quantity} × ₹{item.unit_price} = ₹{item.total_price}
-                          </div>
-                        ))}
-                      </div>
+                  {request.reason && (
+                    <div className="mb-4 p-3 bg-yellow-50 rounded-lg text-sm text-gray-900">
+                      <span className="font-medium">Reason: </span>
+                      {request.reason}
                     </div>
-                    <div>
-                      <p className="text-sm font-medium text-gray-700 mb-2">Requested Changes</p>
-                      <div className="space-y-2">
-                        {request.requested_items.map((item, i) => (
-                          <div key={i} className="text-sm text-gray-900 bg-blue-50 p-3 rounded-lg font-medium">
-                            {item.item_name}: {item.quantity} × ₹{item.unit_price} = ₹{item.total_price}
-                          </div>
-                        ))}
-                      </div>
+                  )}
+
+                  <EditRequestDiff
+                    originalItems={request.original_items}
+                    requestedItems={currentProposal(request)}
+                    requestedLabel={request.status === 'countered' ? 'Counter-proposal' : 'Requested'}
+                  />
+
+                  {reviewingRequestId === request.id && (
+                    <EditRequestReview
+                      settleWithNotes={request.invoice?.paid_amount > 0}
+                      request={request}
+                      onSubmit={(decisions, options) => reviewEditRequest(request, decisions, options)}
+                      onCancel={() => setReviewingRequestId(null)}
+                    />
+                  )}
+
+                  {(request.rounds || []).length > 1 && (
+                    <div className="mt-4 pt-4 border-t border-gray-100">
+                      <p className="text-sm font-medium text-gray-700 mb-3">Rounds</p>
+                      <EditRequestRounds rounds={request.rounds} />
                     </div>
+                  )}
+
+                  {rejectingRequestId === request.id && (
+                    <form
+                      onSubmit={(e) => {
+                        e.preventDefault()
+                        rejectEditRequest(request, rejectNote)
+                      }}
+                      className="mt-4 p-4 bg-red-50 rounded-xl space-y-3"
+                    >
+                      <label className="block text-sm font-medium text-red-700">
+                        Explain the rejection to the customer *
+                      </label>
+                      <textarea
+                        value={rejectNote}
+                        onChange={(e) => setRejectNote(e.target.value)}
+                        required
+                        rows={2}
+                        className="w-full px-4 py-3 rounded-xl border border-red-200 focus:outline-none focus:ring-2 focus:ring-red-600"
+                      />
+                      <div className="flex justify-end space-x-3">
+                        <button
+                          type="button"
+                          onClick={() => setRejectingRequestId(null)}
+                          className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          type="submit"
+                          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm"
+                        >
+                          Reject Request
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  <div className="mt-4 pt-4 border-t border-gray-100">
+                    <p className="text-sm font-medium text-gray-700 mb-3">Comments</p>
+                    <CommentThread
+                      requestId={request.id}
+                      comments={request.comments}
+                      authorRole="business"
+                      onPosted={() => reloadData()}
+                    />
                   </div>
                 </div>
               ))}
@@ -694,6 +1389,120 @@ export default function BusinessDashboard() {
             </div>
           </div>
         )}
+
+        {/* AGEING TAB */}
+        {activeTab === 'ageing' && (
+          <div>
+            <h2 className="text-xl font-medium text-gray-900 mb-6">Receivables Ageing</h2>
+            {hasBranches && <BranchSummary invoices={invoices} branches={branches} branchId={branchId} />}
+            <AgeingReport businessId={businessId} branchId={branchId} dataVersion={dataVersion} />
+          </div>
+        )}
+
+        {/* SETTINGS TAB */}
+        {activeTab === 'settings' && (
+          <div>
+            <h2 className="text-xl font-medium text-gray-900 mb-6">Settings</h2>
+
+            <div className="bg-white rounded-2xl shadow-sm p-8 max-w-2xl">
+              <h3 className="font-medium text-gray-900 mb-1">Invoice Numbering</h3>
+              <p className="text-sm text-gray-600 mb-6">
+                Numbers are allocated in sequence per financial year (April to March) and
+                restart at 1 each April.
+              </p>
+              <form onSubmit={handleSaveNumbering} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Prefix
+                  </label>
+                  <input
+                    type="text"
+                    value={numberingForm.prefix}
+                    onChange={(e) => setNumberingForm({...numberingForm, prefix: e.target.value})}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                    placeholder="INV"
+                  />
+                  {hasBranches && (
+                    <p className="text-xs text-gray-500 mt-2">
+                      For the main branch; other branches have their own under Branches.
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Pattern *
+                  </label>
+                  <input
+                    type="text"
+                    value={numberingForm.pattern}
+                    onChange={(e) => setNumberingForm({...numberingForm, pattern: e.target.value})}
+                    required
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900 font-mono"
+                  />
+                  <p className="text-xs text-gray-500 mt-2">
+                    Use {'{PREFIX}'}, {'{FY}'} for the financial year and {'{SEQ:4}'} for a
+                    sequence padded to 4 digits.
+                  </p>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Credit Note Prefix
+                    </label>
+                    <input
+                      type="text"
+                      value={numberingForm.creditNotePrefix}
+                      onChange={(e) => setNumberingForm({...numberingForm, creditNotePrefix: e.target.value})}
+                      className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      placeholder="CN"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Debit Note Prefix
+                    </label>
+                    <input
+                      type="text"
+                      value={numberingForm.debitNotePrefix}
+                      onChange={(e) => setNumberingForm({...numberingForm, debitNotePrefix: e.target.value})}
+                      className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      placeholder="DN"
+                    />
+                  </div>
+                </div>
+                <div className="bg-gray-50 p-4 rounded-xl text-sm space-y-1">
+                  {isValidNumberPattern(numberingForm.pattern) ? (
+                    [
+                      ['Invoice', numberingForm.pattern, numberingForm.prefix],
+                      ['Credit note', noteNumberPattern(numberingForm.pattern), numberingForm.creditNotePrefix],
+                      ['Debit note', noteNumberPattern(numberingForm.pattern), numberingForm.debitNotePrefix]
+                    ].map(([label, pattern, prefix]) => (
+                      <p key={label}>
+                        <span className="text-gray-600">{label}: </span>
+                        <span className="font-medium text-gray-900">
+                          {formatInvoiceNumber(pattern, prefix, financialYear(invoiceDate), 1)}
+                        </span>
+                      </p>
+                    ))
+                  ) : (
+                    <p className="font-medium text-gray-900">Pattern must include {'{FY}'} and {'{SEQ}'}</p>
+                  )}
+                </div>
+                <button
+                  type="submit"
+                  className="px-6 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+                >
+                  Save Settings
+                </button>
+              </form>
+            </div>
+
+            <ReminderSettings business={business} onBusinessChange={setBusiness} />
+            <AcknowledgementSettings business={business} onBusinessChange={setBusiness} />
+            <BranchSettings business={business} branches={branches} onBranchesChange={() => reloadData()} />
+            {can(member, 'manage_team') && <TeamSettings business={business} member={member} />}
+          </div>
+        )}
       </div>
 
       {/* Add Customer Modal */}
@@ -706,13 +1515,12 @@ export default function BusinessDashboard() {
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Phone Number *
                 </label>
-                <input
-                  type="tel"
+                <PhoneInput
+                  country={newCustomer.phoneCountry}
+                  onCountryChange={(phoneCountry) => setNewCustomer({...newCustomer, phoneCountry})}
                   value={newCustomer.phone}
-                  onChange={(e) => setNewCustomer({...newCustomer, phone: e.target.value})}
+                  onChange={(phone) => setNewCustomer({...newCustomer, phone})}
                   required
-                  className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
-                  placeholder="9876543210"
                 />
               </div>
               <div>
@@ -740,30 +1548,398 @@ export default function BusinessDashboard() {
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Credit Limit (₹)
+                  State
                 </label>
-                <input
-                  type="number"
-                  value={newCustomer.creditLimit}
-                  onChange={(e) => setNewCustomer({...newCustomer, creditLimit: e.target.value})}
+                <select
+                  value={newCustomer.stateCode}
+                  onChange={(e) => setNewCustomer({...newCustomer, stateCode: e.target.value})}
+                  className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                >
+                  <option value="">Select state</option>
+                  {INDIAN_STATES.map((state) => (
+                    <option key={state.code} value={state.code}>{state.name}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-2">
+                  Used as the default place of supply for GST
+                </p>
+              </div>
+              {/* Other members add customers on the default terms */}
+              {canOverrideCredit && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Credit Limit (₹)
+                    </label>
+                    <input
+                      type="number"
+                      value={newCustomer.creditLimit}
+                      onChange={(e) => setNewCustomer({...newCustomer, creditLimit: e.target.value})}
+                      className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Payment Terms (days)
+                    </label>
+                    <input
+                      type="number"
+                      value={newCustomer.paymentTerms}
+                      onChange={(e) => setNewCustomer({...newCustomer, paymentTerms: e.target.value})}
+                      className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                    />
+                  </div>
+                </>
+              )}
+              <div className="flex space-x-3 mt-6">
+                <button
+                  type="button"
+                  onClick={() => setShowAddCustomer(false)}
+                  className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+                >
+                  Add Customer
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Void / Cancel Invoice Modal */}
+      {withdrawing && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-8">
+            <h3 className="text-xl font-medium text-gray-900 mb-2">
+              {withdrawing.status === 'void' ? 'Void' : 'Cancel'} {withdrawing.invoice.invoice_number}
+            </h3>
+            <p className="text-sm text-gray-600 mb-6">
+              {withdrawing.status === 'void'
+                ? 'Use this for an invoice raised in error. '
+                : 'The outstanding balance is written off. '}
+              The invoice keeps its number and cannot be reopened.
+            </p>
+            <form onSubmit={handleWithdrawInvoice} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Reason *</label>
+                <textarea
+                  value={withdrawReason}
+                  onChange={(e) => setWithdrawReason(e.target.value)}
+                  required
+                  rows={2}
+                  className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                />
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setWithdrawing(null)}
+                  className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+                >
+                  Back
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-3 bg-red-600 text-white rounded-xl hover:bg-red-700"
+                >
+                  {withdrawing.status === 'void' ? 'Void Invoice' : 'Cancel Invoice'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Credit / Debit Note Modal */}
+      {noteForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-xl max-w-3xl w-full p-8 max-h-[90vh] overflow-y-auto">
+            <h3 className="text-xl font-medium text-gray-900 mb-2">
+              Issue Note against {noteForm.invoice.invoice_number}
+            </h3>
+            <p className="text-sm text-gray-600 mb-6">
+              A credit note reduces what the customer owes, a debit note adds to it.
+              The invoice itself is not changed.
+            </p>
+            <form onSubmit={handleIssueNote} className="space-y-4">
+              <div className="flex space-x-3">
+                {Object.entries(NOTE_TYPES).map(([type, label]) => (
+                  <button
+                    key={type}
+                    type="button"
+                    onClick={() => setNoteForm({ ...noteForm, type })}
+                    className={`flex-1 px-4 py-3 rounded-xl border ${
+                      noteForm.type === type
+                        ? 'border-gray-900 bg-gray-900 text-white'
+                        : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              <div>
+                <div className="flex justify-between items-center mb-3">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Lines *
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => setNoteForm({ ...noteForm, items: [...noteForm.items, emptyInvoiceItem(business?.gst_number ? 18 : 0)] })}
+                    className="text-sm text-gray-900 hover:text-gray-700 font-medium"
+                  >
+                    + Add Line
+                  </button>
+                </div>
+                <div className="space-y-3">
+                  {noteForm.items.map((item, index) => (
+                    <div key={index} className="flex space-x-3">
+                      <input
+                        type="text"
+                        placeholder="Description"
+                        value={item.item_name}
+                        onChange={(e) => updateNoteItem(index, 'item_name', e.target.value)}
+                        required
+                        className="flex-1 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      />
+                      <input
+                        type="text"
+                        placeholder="HSN/SAC"
+                        value={item.hsn_sac}
+                        onChange={(e) => updateNoteItem(index, 'hsn_sac', e.target.value)}
+                        pattern="[0-9]{4,8}"
+                        title="4 to 8 digit HSN or SAC code"
+                        className="w-28 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      />
+                      <input
+                        type="number"
+                        placeholder="Qty"
+                        value={item.quantity}
+                        onChange={(e) => updateNoteItem(index, 'quantity', e.target.value)}
+                        required
+                        step="0.01"
+                        className="w-24 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      />
+                      <input
+                        type="number"
+                        placeholder="Price"
+                        value={item.unit_price}
+                        onChange={(e) => updateNoteItem(index, 'unit_price', e.target.value)}
+                        required
+                        step="0.01"
+                        className="w-32 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      />
+                      <select
+                        value={item.gst_rate}
+                        onChange={(e) => updateNoteItem(index, 'gst_rate', parseFloat(e.target.value))}
+                        className="w-24 px-3 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      >
+                        {gstRates.map((rate) => (
+                          <option key={rate} value={rate}>{rate}%</option>
+                        ))}
+                      </select>
+                      {noteForm.items.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => setNoteForm({ ...noteForm, items: noteForm.items.filter((_, i) => i !== index) })}
+                          className="px-4 py-3 text-red-600 hover:text-red-700"
+                        >
+                          ×
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="bg-gray-50 p-4 rounded-xl space-y-2">
+                <TaxBreakdown totals={noteTotals} />
+                <div className="flex justify-between items-center">
+                  <span className="font-medium text-gray-700">Note total:</span>
+                  <span className="text-2xl font-medium text-gray-900">
+                    ₹{noteTotals.total_amount.toLocaleString()}
+                  </span>
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Reason *</label>
+                <textarea
+                  value={noteForm.reason}
+                  onChange={(e) => setNoteForm({ ...noteForm, reason: e.target.value })}
+                  required
+                  rows={2}
                   className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  placeholder="e.g., Goods returned, rate difference"
                 />
               </div>
+
+              <div className="flex space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setNoteForm(null)}
+                  className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+                >
+                  Issue {NOTE_TYPES[noteForm.type]}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Invoice Reminders Modal */}
+      {remindersInvoice && (
+        <InvoiceReminders invoice={remindersInvoice} onClose={() => setRemindersInvoice(null)} />
+      )}
+
+      {/* Invoice History Modal */}
+      {historyInvoice && (
+        <InvoiceHistory invoice={historyInvoice} onClose={() => setHistoryInvoice(null)} />
+      )}
+
+      {/* Record Payment Modal */}
+      {showRecordPayment && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 overflow-y-auto">
+          <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full p-8 my-8">
+            <h3 className="text-xl font-medium text-gray-900 mb-6">Record Payment</h3>
+            <form onSubmit={handleRecordPayment} className="space-y-6">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Payment Terms (days)
+                  Customer *
                 </label>
-                <input
-                  type="number"
-                  value={newCustomer.paymentTerms}
-                  onChange={(e) => setNewCustomer({...newCustomer, paymentTerms: e.target.value})}
+                <select
+                  value={paymentForm.customerId}
+                  onChange={(e) => setPaymentForm({...paymentForm, customerId: e.target.value, invoiceIds: []})}
+                  required
                   className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
-                />
+                >
+                  <option value="">Select customer</option>
+                  {customers.map((bc) => (
+                    <option key={bc.customer.id} value={bc.customer.id}>
+                      {bc.customer.customer_name}
+                    </option>
+                  ))}
+                </select>
               </div>
-              <div className="flex space-x-3 mt-6">
+
+              {paymentForm.customerId && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-3">
+                    Apply to Invoices *
+                  </label>
+                  <div className="space-y-2">
+                    {invoices
+                      .filter(inv => inv.customer_id === paymentForm.customerId && invoiceBalance(inv) > 0)
+                      .map((invoice) => (
+                        <label key={invoice.id} className="flex items-center justify-between bg-gray-50 p-3 rounded-lg text-sm">
+                          <span className="flex items-center space-x-3">
+                            <input
+                              type="checkbox"
+                              checked={paymentForm.invoiceIds.includes(invoice.id)}
+                              onChange={() => togglePaymentInvoice(invoice.id)}
+                            />
+                            <span className="font-medium text-gray-900">{invoice.invoice_number}</span>
+                            <span className="text-gray-500">
+                              due {new Date(invoice.due_date).toLocaleDateString()}
+                            </span>
+                          </span>
+                          <span className="text-gray-900">₹{invoiceBalance(invoice).toLocaleString()}</span>
+                        </label>
+                      ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    Payments are applied to the oldest due invoice first.
+                  </p>
+                </div>
+              )}
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Amount (₹) *
+                  </label>
+                  <input
+                    type="number"
+                    value={paymentForm.amount}
+                    onChange={(e) => setPaymentForm({...paymentForm, amount: e.target.value})}
+                    required
+                    min="0.01"
+                    step="0.01"
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Payment Date *
+                  </label>
+                  <input
+                    type="date"
+                    value={paymentForm.date}
+                    onChange={(e) => setPaymentForm({...paymentForm, date: e.target.value})}
+                    required
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Method *
+                  </label>
+                  <select
+                    value={paymentForm.method}
+                    onChange={(e) => setPaymentForm({...paymentForm, method: e.target.value})}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  >
+                    {PAYMENT_METHODS.map((method) => (
+                      <option key={method} value={method}>{method}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Reference
+                  </label>
+                  <input
+                    type="text"
+                    value={paymentForm.reference}
+                    onChange={(e) => setPaymentForm({...paymentForm, reference: e.target.value})}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                    placeholder="UTR / cheque no."
+                  />
+                </div>
+              </div>
+
+              <div className="bg-gray-50 p-4 rounded-xl">
+                <div className="flex justify-between items-center">
+                  <span className="font-medium text-gray-700">Outstanding on selected:</span>
+                  <span className="text-2xl font-medium text-gray-900">
+                    ₹{invoices
+                      .filter(inv => paymentForm.invoiceIds.includes(inv.id))
+                      .reduce((sum, inv) => sum + invoiceBalance(inv), 0)
+                      .toLocaleString()}
+                  </span>
+                </div>
+              </div>
+
+              <div className="flex space-x-3">
                 <button
                   type="button"
-                  onClick={() => setShowAddCustomer(false)}
+                  onClick={() => {
+                    setShowRecordPayment(false)
+                    setPaymentForm(emptyPaymentForm())
+                  }}
                   className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
                 >
                   Cancel
@@ -772,7 +1948,7 @@ export default function BusinessDashboard() {
                   type="submit"
                   className="flex-1 px-4 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
                 >
-                  Add Customer
+                  Record Payment
                 </button>
               </div>
             </form>
@@ -783,7 +1959,7 @@ export default function BusinessDashboard() {
       {/* Create Invoice Modal */}
       {showCreateInvoice && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50 overflow-y-auto">
-          <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full p-8 my-8">
+          <div className="bg-white rounded-2xl shadow-xl max-w-4xl w-full p-8 my-8">
             <h3 className="text-xl font-medium text-gray-900 mb-6">Create Invoice</h3>
             <form onSubmit={handleCreateInvoice} className="space-y-6">
               <div className="grid grid-cols-2 gap-4">
@@ -793,7 +1969,14 @@ export default function BusinessDashboard() {
                   </label>
                   <select
                     value={selectedCustomerId}
-                    onChange={(e) => setSelectedCustomerId(e.target.value)}
+                    onChange={(e) => {
+                      const bc = customers.find(c => c.customer.id === e.target.value)
+                      const invoiceBranch = branchId === ALL_BRANCHES ? bc?.branch_id || '' : branchId
+                      setSelectedCustomerId(e.target.value)
+                      setInvoiceBranchId(invoiceBranch)
+                      setPlaceOfSupply(bc?.customer.state_code || supplierState(branchSupplierOf(invoiceBranch)))
+                      setCreditWarning(null)
+                    }}
                     required
                     className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
                   >
@@ -817,6 +2000,49 @@ export default function BusinessDashboard() {
                     className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
                   />
                 </div>
+                {hasBranches && (
+                  <div className="col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Branch
+                    </label>
+                    <select
+                      value={invoiceBranchId || branches[0].id}
+                      onChange={(e) => setInvoiceBranchId(e.target.value)}
+                      className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                    >
+                      {branches.map((branch) => (
+                        <option key={branch.id} value={branch.id}>
+                          {branch.branch_name} ({branch.invoice_prefix || business.invoice_prefix})
+                        </option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-2">
+                      The invoice is numbered in this branch&apos;s series and billed under its GSTIN
+                    </p>
+                  </div>
+                )}
+                <div className="col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Place of Supply
+                  </label>
+                  <select
+                    value={placeOfSupply}
+                    onChange={(e) => setPlaceOfSupply(e.target.value)}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  >
+                    <option value="">Not specified</option>
+                    {INDIAN_STATES.map((state) => (
+                      <option key={state.code} value={state.code}>
+                        {state.code} - {state.name}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-2">
+                    {isInterState(supplierState(branchSupplierOf(invoiceBranchId)), placeOfSupply)
+                      ? 'Inter-state supply: IGST applies'
+                      : 'Intra-state supply: CGST + SGST apply'}
+                  </p>
+                </div>
               </div>
 
               <div>
@@ -835,17 +2061,28 @@ export default function BusinessDashboard() {
                 <div className="space-y-3">
                   {invoiceItems.map((item, index) => (
                     <div key={index} className="flex space-x-3">
-                      <input
-                        type="text"
+                      <CatalogueAutocomplete
+                        catalogue={catalogue}
+                        customerId={selectedCustomerId}
                         placeholder="Item name"
                         value={item.item_name}
-                        onChange={(e) => updateInvoiceItem(index, 'item_name', e.target.value)}
+                        onChange={(value) => updateInvoiceItem(index, 'item_name', value)}
+                        onSelect={(catalogueItem) => applyCatalogueItem(index, catalogueItem)}
                         required
-                        className="flex-1 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                        className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      />
+                      <input
+                        type="text"
+                        placeholder="HSN/SAC"
+                        value={item.hsn_sac}
+                        onChange={(e) => updateInvoiceItem(index, 'hsn_sac', e.target.value)}
+                        pattern="[0-9]{4,8}"
+                        title="4 to 8 digit HSN or SAC code"
+                        className="w-28 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
                       />
                       <input
                         type="number"
-                        placeholder="Qty"
+                        placeholder={item.unit ? `Qty (${item.unit})` : 'Qty'}
                         value={item.quantity}
                         onChange={(e) => updateInvoiceItem(index, 'quantity', e.target.value)}
                         required
@@ -861,6 +2098,15 @@ export default function BusinessDashboard() {
                         step="0.01"
                         className="w-32 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
                       />
+                      <select
+                        value={item.gst_rate}
+                        onChange={(e) => updateInvoiceItem(index, 'gst_rate', parseFloat(e.target.value))}
+                        className="w-24 px-3 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      >
+                        {gstRates.map((rate) => (
+                          <option key={rate} value={rate}>{rate}%</option>
+                        ))}
+                      </select>
                       {invoiceItems.length > 1 && (
                         <button
                           type="button"
@@ -875,36 +2121,73 @@ export default function BusinessDashboard() {
                 </div>
               </div>
 
-              <div className="bg-gray-50 p-4 rounded-xl">
+              <div className="bg-gray-50 p-4 rounded-xl space-y-2">
+                <TaxBreakdown totals={draftTotals} />
                 <div className="flex justify-between items-center">
                   <span className="font-medium text-gray-700">Total:</span>
                   <span className="text-2xl font-medium text-gray-900">
-                    ₹{invoiceItems.reduce((sum, item) => {
-                      const qty = parseFloat(item.quantity) || 0
-                      const price = parseFloat(item.unit_price) || 0
-                      return sum + (qty * price)
-                    }, 0).toLocaleString()}
+                    ₹{draftTotals.total_amount.toLocaleString()}
                   </span>
                 </div>
               </div>
 
+              {creditWarning && (
+                <div className="p-4 bg-red-50 border border-red-200 rounded-xl space-y-3">
+                  <p className="text-sm text-red-700">
+                    This invoice takes the customer ₹{creditWarning.excess.toLocaleString()} over
+                    their credit limit of ₹{creditWarning.limit.toLocaleString()} (outstanding
+                    ₹{creditWarning.outstanding.toLocaleString()}, after this invoice
+                    ₹{creditWarning.projected.toLocaleString()}).
+                  </p>
+                  {canOverrideCredit ? (
+                    <div>
+                      <label className="block text-sm font-medium text-red-700 mb-2">
+                        Override reason *
+                      </label>
+                      <textarea
+                        value={overrideReason}
+                        onChange={(e) => setOverrideReason(e.target.value)}
+                        required
+                        rows={2}
+                        className="w-full px-4 py-3 rounded-xl border border-red-200 focus:outline-none focus:ring-2 focus:ring-red-600"
+                        placeholder="Why is this invoice being allowed?"
+                      />
+                    </div>
+                  ) : (
+                    <p className="text-sm font-medium text-red-700">
+                      Your role cannot override credit limits. Ask an owner or accountant to raise this invoice.
+                    </p>
+                  )}
+                </div>
+              )}
+
               <div className="flex space-x-3">
                 <button
                   type="button"
-                  onClick={() => {
-                    setShowCreateInvoice(false)
-                    setInvoiceItems([{ item_name: '', quantity: '', unit_price: '' }])
-                  }}
+                  onClick={closeCreateInvoice}
                   className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
                 >
-                  Cancel
-                </button>
-                <button
-                  type="submit"
-                  className="flex-1 px-4 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
-                >
-                  Create Invoice
+                  {creditWarning ? 'Block Invoice' : 'Cancel'}
                 </button>
+                {(!creditWarning || canOverrideCredit) && (
+                  <>
+                    <button
+                      type="submit"
+                      name="draft"
+                      className="flex-1 px-4 py-3 border border-gray-900 text-gray-900 rounded-xl hover:bg-gray-50"
+                    >
+                      Save as Draft
+                    </button>
+                    <button
+                      type="submit"
+                      className={`flex-1 px-4 py-3 text-white rounded-xl ${
+                        creditWarning ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-900 hover:bg-gray-800'
+                      }`}
+                    >
+                      {creditWarning ? 'Override & Create' : 'Create Invoice'}
+                    </button>
+                  </>
+                )}
               </div>
             </form>
           </div>
@@ -912,4 +2195,86 @@ export default function BusinessDashboard() {
       )}
     </div>
   )
-}
\ No newline at end of file
+}
+
+// Taxable value and CGST/SGST or IGST lines for an invoice total
+function TaxBreakdown({ totals }) {
+  const rows = [
+    ['Taxable value', totals.taxable_amount],
+    ['CGST', totals.cgst_amount],
+    ['SGST', totals.sgst_amount],
+    ['IGST', totals.igst_amount]
+  ].filter(([label, amount]) => label === 'Taxable value' || amount > 0)
+
+  return rows.map(([label, amount]) => (
+    <div key={label} className="flex justify-between text-sm text-gray-600">
+      <span>{label}</span>
+      <span>₹{amount.toLocaleString()}</span>
+    </div>
+  ))
+}
+
+// Outstanding amount against the customer's credit limit
+function CreditUtilisation({ outstanding, limit }) {
+  if (!limit) {
+    return <span className="text-gray-600">₹{outstanding.toLocaleString()} / no limit</span>
+  }
+
+  const percent = Math.round((outstanding / limit) * 100)
+
+  return (
+    <div className="w-40">
+      <p className={percent > 100 ? 'text-red-700' : 'text-gray-900'}>
+        ₹{outstanding.toLocaleString()} / ₹{limit.toLocaleString()}
+      </p>
+      <div className="mt-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+        <div
+          className={`h-full ${percent > 100 ? 'bg-red-600' : percent > 80 ? 'bg-yellow-500' : 'bg-gray-900'}`}
+          style={{ width: `${Math.min(percent, 100)}%` }}
+        />
+      </div>
+    </div>
+  )
+}
+
+// Billed and outstanding amounts for the branch being shown, or for every
+// branch with a consolidated total
+function BranchSummary({ invoices, branches, branchId }) {
+  const totals = branchTotals(invoices, branches)
+  const rows = totals.branches.filter(row => branchId === ALL_BRANCHES || row.branch.id === branchId)
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm overflow-hidden mb-6">
+      <table className="w-full">
+        <thead className="bg-gray-50 border-b border-gray-200">
+          <tr>
+            <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">Branch</th>
+            <th className="px-6 py-4 text-right text-xs font-medium text-gray-500 uppercase">Invoices</th>
+            <th className="px-6 py-4 text-right text-xs font-medium text-gray-500 uppercase">Billed</th>
+            <th className="px-6 py-4 text-right text-xs font-medium text-gray-500 uppercase">Outstanding</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {rows.map((row) => (
+            <tr key={row.branch.id}>
+              <td className="px-6 py-4 text-sm font-medium text-gray-900">{row.branch.branch_name}</td>
+              <td className="px-6 py-4 text-sm text-right text-gray-600">{row.count}</td>
+              <td className="px-6 py-4 text-sm text-right text-gray-600">₹{row.billed.toLocaleString()}</td>
+              <td className="px-6 py-4 text-sm text-right text-gray-900">₹{row.outstanding.toLocaleString()}</td>
+            </tr>
+          ))}
+        </tbody>
+        {branchId === ALL_BRANCHES && (
+          <tfoot className="bg-gray-50 border-t border-gray-200">
+            <tr>
+              <td className="px-6 py-4 text-sm font-medium text-gray-900">Consolidated</td>
+              <td className="px-6 py-4 text-sm text-right font-medium text-gray-900">{totals.consolidated.count}</td>
+              <td className="px-6 py-4 text-sm text-right font-medium text-gray-900">₹{totals.consolidated.billed.toLocaleString()}</td>
+              <td className="px-6 py-4 text-sm text-right font-medium text-gray-900">₹{totals.consolidated.outstanding.toLocaleString()}</td>
+            </tr>
+          </tfoot>
+        )}
+      </table>
+    </div>
+  )
+}
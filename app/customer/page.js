@@ -1,12 +1,24 @@
 // app/customer/page.js
-// Customer Dashboard - View invoices and request edits
+// Customer Dashboard - View invoices, accept them and request edits
 
 'use client'
 
 import { useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
+import Link from 'next/link'
 import { createClient } from '@/lib/supabase'
 import { signOut } from '@/lib/auth'
+import { invoiceBalance, statusBadgeClass, statusLabel } from '@/lib/invoices'
+import { computeInvoiceTotals, computeLineTax, isInterState, loadGstRates, supplierState } from '@/lib/gst'
+import { branchSupplier } from '@/lib/branches'
+import CommentThread from '@/components/comment-thread'
+import EditRequestDiff from '@/components/edit-request-diff'
+import EditRequestRounds from '@/components/edit-request-rounds'
+import InvoiceHistory from '@/components/invoice-history'
+import AcceptInvoice from '@/components/accept-invoice'
+import { currentProposal } from '@/lib/edit-requests'
+import { NOTE_TYPES } from '@/lib/notes'
+import { acknowledgementLabel, autoAcceptDate, canAcknowledge, isAcknowledged } from '@/lib/acknowledgements'
 
 export default function CustomerDashboard() {
   const router = useRouter()
@@ -18,65 +30,105 @@ export default function CustomerDashboard() {
   const [selectedInvoice, setSelectedInvoice] = useState(null)
   const [showEditModal, setShowEditModal] = useState(false)
   const [editedItems, setEditedItems] = useState([])
+  const [editReason, setEditReason] = useState('')
   const [myRequests, setMyRequests] = useState([])
+  const [paymentsInvoice, setPaymentsInvoice] = useState(null)
+  const [historyInvoice, setHistoryInvoice] = useState(null)
+  const [acceptingInvoice, setAcceptingInvoice] = useState(null)
+  const [notes, setNotes] = useState([])
+  const [gstRates, setGstRates] = useState([])
 
-  useEffect(() => {
-    checkAuth()
-  }, [])
+  const [dataVersion, setDataVersion] = useState(0)
+  const customerId = customer?.id
 
-  async function checkAuth() {
-    const { data: { user } } = await supabase.auth.getUser()
-    if (!user) {
-      router.push('/login')
-      return
+  function reloadData() {
+    setDataVersion(version => version + 1)
+  }
+
+  // Middleware has already checked the session and role before render;
+  // this loads the customer profile, and catches a session that has since expired
+  useEffect(() => {
+    async function checkAuth() {
+      const { data: { user } } = await supabase.auth.getUser()
+      if (!user) {
+        router.push('/login')
+        return
+      }
+
+      // Get customer profile
+      const { data: customerData } = await supabase
+        .from('customers')
+        .select('*')
+        .eq('user_id', user.id)
+        .single()
+
+      if (!customerData) {
+        router.push('/login')
+        return
+      }
+
+      setCustomer(customerData)
+      loadGstRates(supabase).then(setGstRates)
+      setLoading(false)
     }
 
-    // Get customer profile
-    const { data: customerData } = await supabase
-      .from('customers')
-      .select('*')
-      .eq('user_id', user.id)
-      .single()
+    checkAuth()
+  }, [supabase, router])
 
-    if (!customerData) {
-      router.push('/login')
-      return
+  // Runs again whenever reloadData bumps dataVersion
+  useEffect(() => {
+    if (!customerId) return
+
+    async function loadData() {
+      // Load invoices
+      const { data: invoicesData } = await supabase
+        .from('invoices')
+        .select(`
+          *,
+          business:businesses(business_name, gst_number, state_code, auto_accept_days),
+          branch:branches(gst_number, state_code),
+          items:invoice_items(*),
+          payments(*)
+        `)
+        .eq('customer_id', customerId)
+        .not('status', 'in', '(draft,void)')
+        .order('created_at', { ascending: false })
+
+      setInvoices(invoicesData || [])
+
+      // Load my edit requests
+      const { data: requestsData } = await supabase
+        .from('invoice_edit_requests')
+        .select(`
+          *,
+          invoice:invoices(invoice_number, business:businesses(business_name)),
+          comments:edit_request_comments(*)
+        `)
+        .eq('requested_by', customerId)
+        .order('created_at', { ascending: false })
+
+      setMyRequests(requestsData || [])
+
+      // Load credit and debit notes
+      const { data: notesData } = await supabase
+        .from('invoice_notes')
+        .select(`
+          *,
+          invoice:invoices(invoice_number),
+          business:businesses(business_name)
+        `)
+        .eq('customer_id', customerId)
+        .order('created_at', { ascending: false })
+
+      setNotes(notesData || [])
     }
 
-    setCustomer(customerData)
-    loadData(customerData.id)
-    setupRealtimeSubscriptions(customerData.id)
-    setLoading(false)
-  }
+    loadData()
+  }, [supabase, customerId, dataVersion])
 
-  async function loadData(customerId) {
-    // Load invoices
-    const { data: invoicesData } = await supabase
-      .from('invoices')
-      .select(`
-        *,
-        business:businesses(business_name),
-        items:invoice_items(*)
-      `)
-      .eq('customer_id', customerId)
-      .order('created_at', { ascending: false })
-
-    setInvoices(invoicesData || [])
-
-    // Load my edit requests
-    const { data: requestsData } = await supabase
-      .from('invoice_edit_requests')
-      .select(`
-        *,
-        invoice:invoices(invoice_number, business:businesses(business_name))
-      `)
-      .eq('requested_by', customerId)
-      .order('created_at', { ascending: false })
-
-    setMyRequests(requestsData || [])
-  }
+  useEffect(() => {
+    if (!customerId) return
 
-  function setupRealtimeSubscriptions(customerId) {
     // Subscribe to invoice changes
     const invoiceChannel = supabase
       .channel('customer-invoice-changes')
@@ -89,7 +141,7 @@ export default function CustomerDashboard() {
           filter: `customer_id=eq.${customerId}`
         },
         () => {
-          loadData(customerId)
+          reloadData()
         }
       )
       .subscribe()
@@ -106,7 +158,18 @@ export default function CustomerDashboard() {
           filter: `requested_by=eq.${customerId}`
         },
         () => {
-          loadData(customerId)
+          reloadData()
+        }
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'edit_request_comments'
+        },
+        () => {
+          reloadData()
         }
       )
       .subscribe()
@@ -115,24 +178,59 @@ export default function CustomerDashboard() {
       supabase.removeChannel(invoiceChannel)
       supabase.removeChannel(requestChannel)
     }
-  }
+  }, [supabase, customerId])
 
   function openEditModal(invoice) {
     setSelectedInvoice(invoice)
     // Clone the items for editing
     setEditedItems(JSON.parse(JSON.stringify(invoice.items)))
+    setEditReason('')
     setShowEditModal(true)
   }
 
+  function closeEditModal() {
+    setShowEditModal(false)
+    setSelectedInvoice(null)
+    setEditedItems([])
+    setEditReason('')
+  }
+
+  // A line the customer says is missing from the invoice
+  function addMissingItem() {
+    setEditedItems([...editedItems, {
+      item_name: '',
+      hsn_sac: '',
+      quantity: 1,
+      unit_price: 0,
+      gst_rate: editedItems[0]?.gst_rate ?? 0,
+      total_price: 0
+    }])
+  }
+
+  // Existing lines are flagged rather than dropped so the customer can undo;
+  // lines they added themselves are simply discarded
+  function toggleRemovedItem(index) {
+    const item = editedItems[index]
+    if (!item.id) {
+      setEditedItems(editedItems.filter((_, i) => i !== index))
+      return
+    }
+    const updated = [...editedItems]
+    updated[index] = { ...item, removed: !item.removed }
+    setEditedItems(updated)
+  }
+
   function updateEditedItem(index, field, value) {
     const updated = [...editedItems]
     updated[index][field] = value
     
-    // Recalculate total_price
-    if (field === 'quantity' || field === 'unit_price') {
-      const qty = parseFloat(updated[index].quantity) || 0
-      const price = parseFloat(updated[index].unit_price) || 0
-      updated[index].total_price = qty * price
+    // Recalculate taxable value and GST for the line
+    if (field === 'quantity' || field === 'unit_price' || field === 'gst_rate') {
+      const interState = isInterState(
+        supplierState(branchSupplier(selectedInvoice.business, selectedInvoice.branch)),
+        selectedInvoice.place_of_supply
+      )
+      updated[index] = { ...computeLineTax(updated[index], interState), [field]: value }
     }
     
     setEditedItems(updated)
@@ -141,29 +239,67 @@ export default function CustomerDashboard() {
   async function submitEditRequest() {
     if (!selectedInvoice) return
 
-    // Create edit request
-    const { error } = await supabase
-      .from('invoice_edit_requests')
-      .insert({
-        invoice_id: selectedInvoice.id,
-        requested_by: customer.id,
-        original_items: selectedInvoice.items,
-        requested_items: editedItems,
-        status: 'pending'
-      })
+    if (!editReason.trim()) {
+      alert('Please explain why the invoice should change')
+      return
+    }
+
+    const keptItems = editedItems.filter(item => !item.removed)
+    if (keptItems.length === 0) {
+      alert('An invoice needs at least one item')
+      return
+    }
+
+    if (keptItems.some(item => !item.item_name.trim() || !(parseFloat(item.quantity) > 0))) {
+      alert('Every item needs a name and a quantity')
+      return
+    }
+
+    const totals = editTotals()
+
+    // The database takes the original lines from the invoice and recomputes GST
+    const { error } = await supabase.rpc('submit_edit_request', {
+      p_invoice_id: selectedInvoice.id,
+      p_items: totals.items,
+      p_reason: editReason.trim()
+    })
 
     if (error) {
       alert('Error submitting request: ' + error.message)
       return
     }
 
-    setShowEditModal(false)
-    setSelectedInvoice(null)
-    setEditedItems([])
-    loadData(customer.id)
+    closeEditModal()
+    reloadData()
     alert('Edit request submitted successfully!')
   }
 
+  // Accept or reject the business's counter-proposal. Accepting applies it to the invoice.
+  async function respondToCounter(request, accepted) {
+    const { error } = await supabase.rpc('respond_to_counter_proposal', {
+      p_request_id: request.id,
+      p_accept: accepted
+    })
+
+    if (error) {
+      alert('Error answering counter-proposal: ' + error.message)
+      return
+    }
+
+    reloadData()
+  }
+
+  // Totals for the items being kept, with GST recomputed
+  function editTotals() {
+    return computeInvoiceTotals(
+      editedItems
+        .filter(item => !item.removed)
+        .map(({ removed, ...item }) => item),
+      supplierState(branchSupplier(selectedInvoice.business, selectedInvoice.branch)),
+      selectedInvoice.place_of_supply
+    )
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -203,20 +339,37 @@ export default function CustomerDashboard() {
           <div className="bg-white rounded-2xl shadow-sm p-6">
             <p className="text-sm text-gray-600 mb-2">Pending Payment</p>
             <p className="text-3xl font-light text-gray-900">
-              {invoices.filter(inv => inv.status !== 'paid').length}
+              {invoices.filter(inv => invoiceBalance(inv) > 0).length}
             </p>
           </div>
           <div className="bg-white rounded-2xl shadow-sm p-6">
             <p className="text-sm text-gray-600 mb-2">Total Due</p>
             <p className="text-3xl font-light text-gray-900">
               ₹{invoices
-                .filter(inv => inv.status !== 'paid')
-                .reduce((sum, inv) => sum + inv.total_amount, 0)
+                .reduce((sum, inv) => sum + invoiceBalance(inv), 0)
                 .toLocaleString()}
             </p>
           </div>
         </div>
 
+        {/* Statements */}
+        {invoices.length > 0 && (
+          <div className="mb-8">
+            <h2 className="text-xl font-medium text-gray-900 mb-4">Statements of Account</h2>
+            <div className="flex flex-wrap gap-3">
+              {[...new Map(invoices.map(inv => [inv.business_id, inv.business])).entries()].map(([businessId, business]) => (
+                <Link
+                  key={businessId}
+                  href={`/statements/${businessId}/${customer.id}`}
+                  className="px-4 py-2 bg-white rounded-xl shadow-sm text-sm text-gray-900 hover:bg-gray-100"
+                >
+                  {business?.business_name}
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Invoices */}
         <div className="mb-8">
           <h2 className="text-xl font-medium text-gray-900 mb-6">My Invoices</h2>
@@ -239,6 +392,9 @@ export default function CustomerDashboard() {
                   <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
                     Amount
                   </th>
+                  <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                    Balance
+                  </th>
                   <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
                     Status
                   </th>
@@ -265,19 +421,56 @@ export default function CustomerDashboard() {
                     <td className="px-6 py-4 text-sm text-gray-900 font-medium">
                       ₹{invoice.total_amount.toLocaleString()}
                     </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      ₹{invoiceBalance(invoice).toLocaleString()}
+                    </td>
                     <td className="px-6 py-4 text-sm">
-                      <span className={`px-3 py-1 rounded-full text-xs font-medium ${
-                        invoice.status === 'paid' 
-                          ? 'bg-green-100 text-green-800'
-                          : invoice.status === 'overdue'
-                          ? 'bg-red-100 text-red-800'
-                          : 'bg-yellow-100 text-yellow-800'
-                      }`}>
-                        {invoice.status}
+                      <span className={`px-3 py-1 rounded-full text-xs font-medium ${statusBadgeClass(invoice.status)}`}>
+                        {statusLabel(invoice.status)}
                       </span>
+                      {isAcknowledged(invoice) ? (
+                        <p className="text-xs text-green-700 mt-1">{acknowledgementLabel(invoice)}</p>
+                      ) : autoAcceptDate(invoice, invoice.business?.auto_accept_days) && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Auto-accepts {new Date(autoAcceptDate(invoice, invoice.business.auto_accept_days)).toLocaleDateString()}
+                        </p>
+                      )}
                     </td>
-                    <td className="px-6 py-4 text-sm">
-                      {invoice.status !== 'paid' && (
+                    <td className="px-6 py-4 text-sm space-x-4 whitespace-nowrap">
+                      <a
+                        href={`/invoices/${invoice.id}`}
+                        target="_blank"
+                        className="text-gray-600 hover:text-gray-900"
+                      >
+                        View
+                      </a>
+                      <a
+                        href={`/invoices/${invoice.id}/pdf`}
+                        className="text-gray-600 hover:text-gray-900"
+                      >
+                        PDF
+                      </a>
+                      <button
+                        onClick={() => setHistoryInvoice(invoice)}
+                        className="text-gray-600 hover:text-gray-900"
+                      >
+                        History
+                      </button>
+                      <button
+                        onClick={() => setPaymentsInvoice(invoice)}
+                        className="text-gray-600 hover:text-gray-900"
+                      >
+                        Payments
+                      </button>
+                      {canAcknowledge(invoice) && (
+                        <button
+                          onClick={() => setAcceptingInvoice(invoice)}
+                          className="text-gray-900 hover:text-gray-700 font-medium"
+                        >
+                          Accept
+                        </button>
+                      )}
+                      {!['paid', 'cancelled'].includes(invoice.status) && (
                         <button
                           onClick={() => openEditModal(invoice)}
                           className="text-gray-900 hover:text-gray-700 font-medium"
@@ -321,33 +514,68 @@ export default function CustomerDashboard() {
                       ? 'bg-green-100 text-green-800'
                       : request.status === 'rejected'
                       ? 'bg-red-100 text-red-800'
+                      : request.status === 'countered'
+                      ? 'bg-blue-100 text-blue-800'
                       : 'bg-yellow-100 text-yellow-800'
                   }`}>
-                    {request.status}
+                    {request.status === 'countered' ? 'counter-proposal' : request.status}
                   </span>
                 </div>
 
-                <div className="mt-4 grid grid-cols-2 gap-4">
-                  <div>
-                    <p className="text-sm font-medium text-gray-700 mb-2">Original</p>
-                    <div className="space-y-1">
-                      {request.original_items.map((item, i) => (
-                        <div key={i} className="text-sm text-gray-600">
-                          {item.item_name}: {item.quantity} × ₹{item.unit_price}
-                        </div>
-                      ))}
+                {request.reason && (
+                  <p className="mt-4 text-sm text-gray-600">
+                    <span className="font-medium text-gray-700">Reason: </span>
+                    {request.reason}
+                  </p>
+                )}
+
+                <div className="mt-4">
+                  <EditRequestDiff
+                    originalItems={request.original_items}
+                    requestedItems={request.final_items || currentProposal(request)}
+                    requestedLabel={
+                      request.final_items ? 'Agreed' : request.status === 'countered' ? 'Counter-proposal' : 'Requested'
+                    }
+                  />
+                </div>
+
+                {request.status === 'countered' && (
+                  <div className="mt-4 p-4 bg-blue-50 rounded-xl flex justify-between items-center">
+                    <p className="text-sm text-blue-800">
+                      The business has proposed different numbers. Accepting updates the invoice.
+                    </p>
+                    <div className="flex space-x-3">
+                      <button
+                        onClick={() => respondToCounter(request, true)}
+                        className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm"
+                      >
+                        Accept
+                      </button>
+                      <button
+                        onClick={() => respondToCounter(request, false)}
+                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 text-sm"
+                      >
+                        Reject
+                      </button>
                     </div>
                   </div>
-                  <div>
-                    <p className="text-sm font-medium text-gray-700 mb-2">Requested</p>
-                    <div className="space-y-1">
-                      {request.requested_items.map((item, i) => (
-                        <div key={i} className="text-sm text-gray-900 font-medium">
-                          {item.item_name}: {item.quantity} × ₹{item.unit_price}
-                        </div>
-                      ))}
-                    </div>
+                )}
+
+                {(request.rounds || []).length > 1 && (
+                  <div className="mt-4 pt-4 border-t border-gray-100">
+                    <p className="text-sm font-medium text-gray-700 mb-3">Rounds</p>
+                    <EditRequestRounds rounds={request.rounds} />
                   </div>
+                )}
+
+                <div className="mt-4 pt-4 border-t border-gray-100">
+                  <p className="text-sm font-medium text-gray-700 mb-3">Comments</p>
+                  <CommentThread
+                    requestId={request.id}
+                    comments={request.comments}
+                    authorRole="customer"
+                    onPosted={() => reloadData()}
+                  />
                 </div>
               </div>
             ))}
@@ -359,8 +587,116 @@ export default function CustomerDashboard() {
             )}
           </div>
         </div>
+
+        {/* Credit & Debit Notes */}
+        {notes.length > 0 && (
+          <div className="mt-8">
+            <h2 className="text-xl font-medium text-gray-900 mb-6">Credit &amp; Debit Notes</h2>
+            <div className="bg-white rounded-2xl shadow-sm divide-y divide-gray-200">
+              {notes.map((note) => (
+                <div key={note.id} className="p-6 flex justify-between items-start">
+                  <div>
+                    <h3 className="font-medium text-gray-900">
+                      {note.note_number}
+                      <span className="ml-2 text-xs text-gray-500">{NOTE_TYPES[note.note_type]}</span>
+                    </h3>
+                    <p className="text-sm text-gray-600">
+                      {note.business?.business_name} · against {note.invoice?.invoice_number}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {new Date(note.note_date).toLocaleDateString()} · {note.reason}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className={`font-medium ${note.note_type === 'credit' ? 'text-green-700' : 'text-gray-900'}`}>
+                      {note.note_type === 'credit' ? '−' : '+'}₹{Number(note.total_amount).toLocaleString()}
+                    </p>
+                    <a
+                      href={`/notes/${note.id}/pdf`}
+                      className="text-sm text-gray-600 hover:text-gray-900"
+                    >
+                      PDF
+                    </a>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
+      {/* Invoice History Modal */}
+      {historyInvoice && (
+        <InvoiceHistory invoice={historyInvoice} onClose={() => setHistoryInvoice(null)} />
+      )}
+
+      {/* Accept Invoice Modal */}
+      {acceptingInvoice && (
+        <AcceptInvoice
+          invoice={acceptingInvoice}
+          onAccepted={() => {
+            setAcceptingInvoice(null)
+            reloadData()
+          }}
+          onClose={() => setAcceptingInvoice(null)}
+        />
+      )}
+
+      {/* Payment History Modal */}
+      {paymentsInvoice && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-xl max-w-lg w-full p-8">
+            <h3 className="text-xl font-medium text-gray-900 mb-6">
+              Payments: {paymentsInvoice.invoice_number}
+            </h3>
+
+            <div className="space-y-2 mb-6">
+              {[...(paymentsInvoice.payments || [])]
+                .sort((a, b) => new Date(a.payment_date) - new Date(b.payment_date))
+                .map((payment) => (
+                  <div key={payment.id} className="flex justify-between items-center bg-gray-50 p-3 rounded-lg text-sm">
+                    <div>
+                      <p className="text-gray-900">
+                        {new Date(payment.payment_date).toLocaleDateString()} · {payment.payment_method}
+                      </p>
+                      {payment.reference_number && (
+                        <p className="text-xs text-gray-500">Ref: {payment.reference_number}</p>
+                      )}
+                    </div>
+                    <span className="font-medium text-gray-900">₹{payment.amount.toLocaleString()}</span>
+                  </div>
+                ))}
+
+              {(paymentsInvoice.payments || []).length === 0 && (
+                <p className="text-sm text-gray-500 text-center py-6">No payments recorded yet</p>
+              )}
+            </div>
+
+            <div className="bg-gray-50 p-4 rounded-xl mb-6 space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Invoice total</span>
+                <span className="text-gray-900">₹{paymentsInvoice.total_amount.toLocaleString()}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Paid</span>
+                <span className="text-gray-900">₹{(paymentsInvoice.paid_amount || 0).toLocaleString()}</span>
+              </div>
+              <div className="flex justify-between font-medium">
+                <span className="text-gray-700">Remaining balance</span>
+                <span className="text-gray-900">₹{invoiceBalance(paymentsInvoice).toLocaleString()}</span>
+              </div>
+            </div>
+
+            <button
+              onClick={() => setPaymentsInvoice(null)}
+              className="w-full px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Edit Invoice Modal */}
       {showEditModal && selectedInvoice && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
@@ -369,68 +705,138 @@ export default function CustomerDashboard() {
               Request Edit: {selectedInvoice.invoice_number}
             </h3>
 
-            <div className="space-y-4 mb-6">
+            <div className="space-y-4 mb-6 max-h-[50vh] overflow-y-auto">
               <p className="text-sm text-gray-600">
-                Modify the quantities or prices below. The business will review your request.
+                Change quantities or prices, remove lines you dispute, or add a missing line. The business will review your request.
               </p>
 
               {editedItems.map((item, index) => (
-                <div key={index} className="bg-gray-50 p-4 rounded-xl">
-                  <div className="flex items-center space-x-4">
-                    <div className="flex-1">
-                      <p className="text-sm font-medium text-gray-700 mb-2">
+                <div
+                  key={item.id || `new-${index}`}
+                  className={`p-4 rounded-xl ${item.removed ? 'bg-red-50' : item.id ? 'bg-gray-50' : 'bg-green-50'}`}
+                >
+                  <div className="flex justify-between items-center mb-2">
+                    {item.id ? (
+                      <p className={`text-sm font-medium ${item.removed ? 'text-red-700 line-through' : 'text-gray-700'}`}>
                         {item.item_name}
+                        {item.gst_rate > 0 && (
+                          <span className="ml-2 text-xs text-gray-500">{item.gst_rate}% GST</span>
+                        )}
                       </p>
-                      <div className="grid grid-cols-3 gap-3">
-                        <div>
-                          <label className="text-xs text-gray-600">Quantity</label>
-                          <input
-                            type="number"
-                            value={item.quantity}
-                            onChange={(e) => updateEditedItem(index, 'quantity', e.target.value)}
-                            step="0.01"
-                            className="w-full px-3 py-2 mt-1 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
-                          />
-                        </div>
+                    ) : (
+                      <p className="text-sm font-medium text-green-700">Added item</p>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => toggleRemovedItem(index)}
+                      className={`text-xs ${item.removed ? 'text-gray-700 hover:text-gray-900' : 'text-red-600 hover:text-red-700'}`}
+                    >
+                      {item.removed ? 'Undo' : 'Remove'}
+                    </button>
+                  </div>
+
+                  {!item.id && (
+                    <div className="grid grid-cols-3 gap-3 mb-3">
+                      <div className="col-span-2">
+                        <label className="text-xs text-gray-600">Item Name</label>
+                        <input
+                          type="text"
+                          value={item.item_name}
+                          onChange={(e) => updateEditedItem(index, 'item_name', e.target.value)}
+                          className="w-full px-3 py-2 mt-1 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                        />
+                      </div>
+                      <div>
+                        <label className="text-xs text-gray-600">HSN/SAC</label>
+                        <input
+                          type="text"
+                          value={item.hsn_sac}
+                          onChange={(e) => updateEditedItem(index, 'hsn_sac', e.target.value)}
+                          className="w-full px-3 py-2 mt-1 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                        />
+                      </div>
+                    </div>
+                  )}
+
+                  {!item.removed && (
+                    <div className={`grid gap-3 ${item.id ? 'grid-cols-3' : 'grid-cols-4'}`}>
+                      <div>
+                        <label className="text-xs text-gray-600">Quantity</label>
+                        <input
+                          type="number"
+                          value={item.quantity}
+                          onChange={(e) => updateEditedItem(index, 'quantity', e.target.value)}
+                          step="0.01"
+                          className="w-full px-3 py-2 mt-1 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                        />
+                      </div>
+                      <div>
+                        <label className="text-xs text-gray-600">Unit Price</label>
+                        <input
+                          type="number"
+                          value={item.unit_price}
+                          onChange={(e) => updateEditedItem(index, 'unit_price', e.target.value)}
+                          step="0.01"
+                          className="w-full px-3 py-2 mt-1 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                        />
+                      </div>
+                      {!item.id && (
                         <div>
-                          <label className="text-xs text-gray-600">Unit Price</label>
-                          <input
-                            type="number"
-                            value={item.unit_price}
-                            onChange={(e) => updateEditedItem(index, 'unit_price', e.target.value)}
-                            step="0.01"
+                          <label className="text-xs text-gray-600">GST</label>
+                          <select
+                            value={item.gst_rate}
+                            onChange={(e) => updateEditedItem(index, 'gst_rate', parseFloat(e.target.value))}
                             className="w-full px-3 py-2 mt-1 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
-                          />
-                        </div>
-                        <div>
-                          <label className="text-xs text-gray-600">Total</label>
-                          <p className="w-full px-3 py-2 mt-1 bg-gray-100 rounded-lg text-gray-900 font-medium">
-                            ₹{item.total_price.toLocaleString()}
-                          </p>
+                          >
+                            {gstRates.map(rate => (
+                              <option key={rate} value={rate}>{rate}%</option>
+                            ))}
+                          </select>
                         </div>
+                      )}
+                      <div>
+                        <label className="text-xs text-gray-600">Taxable</label>
+                        <p className="w-full px-3 py-2 mt-1 bg-gray-100 rounded-lg text-gray-900 font-medium">
+                          ₹{item.total_price.toLocaleString()}
+                        </p>
                       </div>
                     </div>
-                  </div>
+                  )}
                 </div>
               ))}
+
+              <button
+                type="button"
+                onClick={addMissingItem}
+                className="text-sm text-gray-600 hover:text-gray-900"
+              >
+                + Add missing item
+              </button>
+            </div>
+
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Reason for the change *</label>
+              <textarea
+                value={editReason}
+                onChange={(e) => setEditReason(e.target.value)}
+                rows={2}
+                placeholder="e.g. Only 8 cartons were delivered"
+                className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+              />
             </div>
 
             <div className="bg-gray-50 p-4 rounded-xl mb-6">
               <div className="flex justify-between items-center">
                 <span className="font-medium text-gray-700">New Total:</span>
                 <span className="text-2xl font-medium text-gray-900">
-                  ₹{editedItems.reduce((sum, item) => sum + (item.total_price || 0), 0).toLocaleString()}
+                  ₹{editTotals().total_amount.toLocaleString()}
                 </span>
               </div>
             </div>
 
             <div className="flex space-x-3">
               <button
-                onClick={() => {
-                  setShowEditModal(false)
-                  setSelectedInvoice(null)
-                  setEditedItems([])
-                }}
+                onClick={closeEditModal}
                 className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
               >
                 Cancel
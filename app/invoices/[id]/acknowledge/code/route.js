@@ -0,0 +1,68 @@
+// app/invoices/[id]/acknowledge/code/route.js
+// Send the customer a one-time code to accept this invoice with. The code
+// is made here and sent to the phone number on their customer record.
+
+import { randomInt } from 'crypto'
+import { cookies } from 'next/headers'
+import { NextResponse } from 'next/server'
+import { createServerSupabaseClient } from '@/lib/supabase'
+import { createAdminClient } from '@/lib/supabase-admin'
+import { canAcknowledge } from '@/lib/acknowledgements'
+import { createMessenger } from '@/lib/messaging'
+import { formatPhone } from '@/lib/phone'
+
+export const dynamic = 'force-dynamic'
+
+export async function POST(request, { params }) {
+  const { id } = await params
+  const supabase = createServerSupabaseClient(await cookies())
+
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Not signed in' }, { status: 401 })
+  }
+
+  const { data: invoice } = await supabase
+    .from('invoices')
+    .select(`
+      *,
+      business:businesses(business_name),
+      customer:customers(user_id, phone_number)
+    `)
+    .eq('id', id)
+    .single()
+
+  // The business's own team can read the invoice too, but only its
+  // customer may accept it
+  if (!invoice || invoice.customer?.user_id !== user.id) {
+    return NextResponse.json({ error: 'Invoice not found' }, { status: 404 })
+  }
+  if (!canAcknowledge(invoice)) {
+    return NextResponse.json({ error: 'This invoice cannot be accepted' }, { status: 400 })
+  }
+  if (!invoice.customer.phone_number) {
+    return NextResponse.json({ error: 'Add a phone number to your profile to accept invoices' }, { status: 400 })
+  }
+
+  const code = String(randomInt(0, 1000000)).padStart(6, '0')
+
+  const { error } = await createAdminClient().rpc('store_invoice_acceptance_code', {
+    p_invoice_id: invoice.id,
+    p_user_id: user.id,
+    p_code: code
+  })
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 400 })
+  }
+
+  try {
+    await createMessenger().send('sms', {
+      to: invoice.customer.phone_number,
+      body: `${code} is your code to accept invoice ${invoice.invoice_number} from ${invoice.business?.business_name}. It expires in 10 minutes.`
+    })
+  } catch (sendError) {
+    return NextResponse.json({ error: 'Could not send the code: ' + sendError.message }, { status: 500 })
+  }
+
+  return NextResponse.json({ phone: formatPhone(invoice.customer.phone_number) })
+}
@@ -0,0 +1,44 @@
+// app/invoices/[id]/acknowledge/route.js
+// Customer accepts an invoice with the code sent to them for it. The
+// database checks the code; this route adds the device it was accepted from.
+
+import { cookies } from 'next/headers'
+import { NextResponse } from 'next/server'
+import { createServerSupabaseClient } from '@/lib/supabase'
+import { readJsonBody } from '@/lib/request-body'
+
+export const dynamic = 'force-dynamic'
+
+export async function POST(request, { params }) {
+  const { id } = await params
+  const body = await readJsonBody(request)
+  if (!body) {
+    return NextResponse.json({ error: 'Invalid request body' }, { status: 400 })
+  }
+
+  const { code } = body
+  const supabase = createServerSupabaseClient(await cookies())
+
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Not signed in' }, { status: 401 })
+  }
+
+  const { data: invoice, error } = await supabase.rpc('acknowledge_invoice', {
+    p_invoice_id: id,
+    p_code: code,
+    p_device: {
+      user_agent: request.headers.get('user-agent'),
+      ip: request.headers.get('x-forwarded-for')?.split(',')[0].trim() || null
+    }
+  })
+
+  if (error) {
+    return NextResponse.json({ error: error.message }, { status: 400 })
+  }
+  if (!invoice?.id) {
+    return NextResponse.json({ error: 'That code is not right; check it and try again' }, { status: 400 })
+  }
+
+  return NextResponse.json(invoice)
+}
@@ -0,0 +1,157 @@
+// app/invoices/[id]/page.js
+// Printable invoice - server rendered for both the business and the customer
+
+import { cookies } from 'next/headers'
+import { notFound, redirect } from 'next/navigation'
+import { createServerSupabaseClient } from '@/lib/supabase'
+import {
+  documentTitle,
+  formatAmount,
+  formatDate,
+  loadInvoiceDocument,
+  placeOfSupplyLabel
+} from '@/lib/invoice-document'
+import { invoiceBalance, statusLabel } from '@/lib/invoices'
+import PrintButton from './print-button'
+
+export const dynamic = 'force-dynamic'
+
+export default async function InvoicePage({ params }) {
+  const { id } = await params
+  const supabase = createServerSupabaseClient(await cookies())
+
+  const { invoice, error } = await loadInvoiceDocument(supabase, id)
+  if (error === 'unauthenticated') redirect('/login')
+  if (error) notFound()
+
+  const { business, customer } = invoice
+  const totals = [
+    ['Taxable value', invoice.taxable_amount || invoice.total_amount],
+    ['CGST', invoice.cgst_amount],
+    ['SGST', invoice.sgst_amount],
+    ['IGST', invoice.igst_amount]
+  ].filter(([label, amount]) => label === 'Taxable value' || amount > 0)
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 print:bg-white print:py-0">
+      <div className="max-w-4xl mx-auto px-6">
+        {/* Actions */}
+        <div className="flex justify-end space-x-3 mb-6 print:hidden">
+          <PrintButton />
+          <a
+            href={`/invoices/${invoice.id}/pdf`}
+            className="px-4 py-2 bg-gray-900 text-white rounded-xl hover:bg-gray-800 text-sm"
+          >
+            Download PDF
+          </a>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-sm p-10 print:shadow-none print:p-0">
+          {/* Header */}
+          <div className="flex justify-between items-start mb-10">
+            <div>
+              <p className="text-xs font-medium text-gray-500 uppercase mb-2">{documentTitle(invoice)}</p>
+              <h1 className="text-2xl font-medium text-gray-900">{business.business_name}</h1>
+              {business.branch_name && (
+                <p className="text-sm text-gray-600">{business.branch_name} branch</p>
+              )}
+              {business.address && (
+                <p className="text-sm text-gray-600 whitespace-pre-line">{business.address}</p>
+              )}
+              {business.gst_number && (
+                <p className="text-sm text-gray-600">GSTIN: {business.gst_number}</p>
+              )}
+              {business.phone_number && (
+                <p className="text-sm text-gray-600">{business.phone_number}</p>
+              )}
+              {business.email && (
+                <p className="text-sm text-gray-600">{business.email}</p>
+              )}
+            </div>
+            <div className="text-right text-sm text-gray-600 space-y-1">
+              <p className="text-lg font-medium text-gray-900">{invoice.invoice_number || 'Draft'}</p>
+              <p>Invoice date: {formatDate(invoice.invoice_date)}</p>
+              <p>Due date: {formatDate(invoice.due_date)}</p>
+              <p>Place of supply: {placeOfSupplyLabel(invoice.place_of_supply)}</p>
+              <p className="capitalize">Status: {statusLabel(invoice.status)}</p>
+              {invoice.status_reason && <p>Reason: {invoice.status_reason}</p>}
+            </div>
+          </div>
+
+          {/* Bill To */}
+          <div className="mb-8">
+            <p className="text-xs font-medium text-gray-500 uppercase mb-2">Bill To</p>
+            <p className="font-medium text-gray-900">{customer.customer_name}</p>
+            {customer.address && <p className="text-sm text-gray-600">{customer.address}</p>}
+            <p className="text-sm text-gray-600">{customer.phone_number}</p>
+            {customer.email && <p className="text-sm text-gray-600">{customer.email}</p>}
+          </div>
+
+          {/* Line Items */}
+          <table className="w-full mb-8">
+            <thead className="border-b border-gray-200">
+              <tr>
+                <th className="py-3 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+                <th className="py-3 text-left text-xs font-medium text-gray-500 uppercase">HSN/SAC</th>
+                <th className="py-3 text-right text-xs font-medium text-gray-500 uppercase">Qty</th>
+                <th className="py-3 text-right text-xs font-medium text-gray-500 uppercase">Rate</th>
+                <th className="py-3 text-right text-xs font-medium text-gray-500 uppercase">Taxable</th>
+                <th className="py-3 text-right text-xs font-medium text-gray-500 uppercase">GST</th>
+                <th className="py-3 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {invoice.items.map((item) => (
+                <tr key={item.id}>
+                  <td className="py-3 text-sm text-gray-900">{item.item_name}</td>
+                  <td className="py-3 text-sm text-gray-600">{item.hsn_sac || '-'}</td>
+                  <td className="py-3 text-sm text-gray-600 text-right">{item.quantity}{item.unit ? ` ${item.unit}` : ''}</td>
+                  <td className="py-3 text-sm text-gray-600 text-right">₹{formatAmount(item.unit_price)}</td>
+                  <td className="py-3 text-sm text-gray-600 text-right">₹{formatAmount(item.total_price)}</td>
+                  <td className="py-3 text-sm text-gray-600 text-right">{item.gst_rate || 0}%</td>
+                  <td className="py-3 text-sm text-gray-900 text-right">
+                    ₹{formatAmount(item.line_total || item.total_price)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {/* Totals */}
+          <div className="flex justify-end">
+            <div className="w-72 space-y-2 text-sm">
+              {totals.map(([label, amount]) => (
+                <div key={label} className="flex justify-between text-gray-600">
+                  <span>{label}</span>
+                  <span>₹{formatAmount(amount)}</span>
+                </div>
+              ))}
+              <div className="flex justify-between border-t border-gray-200 pt-2 text-lg font-medium text-gray-900">
+                <span>Total</span>
+                <span>₹{formatAmount(invoice.total_amount)}</span>
+              </div>
+              {(invoice.paid_amount > 0 || invoice.credited_amount > 0 || invoice.debited_amount > 0) && (
+                <>
+                  {[
+                    ['Credit notes', -invoice.credited_amount],
+                    ['Debit notes', invoice.debited_amount],
+                    ['Paid', -invoice.paid_amount]
+                  ].filter(([, amount]) => amount).map(([label, amount]) => (
+                    <div key={label} className="flex justify-between text-gray-600">
+                      <span>{label}</span>
+                      <span>{amount < 0 ? '− ' : ''}₹{formatAmount(Math.abs(amount))}</span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between font-medium text-gray-900">
+                    <span>Balance due</span>
+                    <span>₹{formatAmount(invoiceBalance(invoice))}</span>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
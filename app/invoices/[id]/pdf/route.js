@@ -0,0 +1,32 @@
+// app/invoices/[id]/pdf/route.js
+// Invoice PDF download
+
+import { cookies } from 'next/headers'
+import { NextResponse } from 'next/server'
+import { createServerSupabaseClient } from '@/lib/supabase'
+import { documentFileName, loadInvoiceDocument } from '@/lib/invoice-document'
+import { renderInvoicePdf } from '@/lib/pdf'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(request, { params }) {
+  const { id } = await params
+  const supabase = createServerSupabaseClient(await cookies())
+
+  const { invoice, error } = await loadInvoiceDocument(supabase, id)
+  if (error === 'unauthenticated') {
+    return NextResponse.redirect(new URL('/login', request.url))
+  }
+  if (error) {
+    return NextResponse.json({ error: 'Invoice not found' }, { status: 404 })
+  }
+
+  const pdf = await renderInvoicePdf(invoice)
+
+  return new Response(pdf, {
+    headers: {
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${documentFileName(invoice.invoice_number)}"`
+    }
+  })
+}
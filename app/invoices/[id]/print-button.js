@@ -0,0 +1,12 @@
+'use client'
+
+export default function PrintButton() {
+  return (
+    <button
+      onClick={() => window.print()}
+      className="px-4 py-2 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50 text-sm"
+    >
+      Print
+    </button>
+  )
+}
@@ -0,0 +1,70 @@
+// app/invoices/[id]/remind/route.js
+// Send a payment reminder for one invoice now, on the business's request
+
+import { cookies } from 'next/headers'
+import { NextResponse } from 'next/server'
+import { createServerSupabaseClient } from '@/lib/supabase'
+import { isBilled } from '@/lib/invoices'
+import { CHANNELS, createMessenger } from '@/lib/messaging'
+import { MANUAL_REMINDER_TEMPLATE, sendReminder } from '@/lib/reminders'
+import { readJsonBody } from '@/lib/request-body'
+
+export const dynamic = 'force-dynamic'
+
+export async function POST(request, { params }) {
+  const { id } = await params
+  const body = await readJsonBody(request)
+  if (!body) {
+    return NextResponse.json({ error: 'Invalid request body' }, { status: 400 })
+  }
+
+  const { channel } = body
+  const supabase = createServerSupabaseClient(await cookies())
+
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) {
+    return NextResponse.json({ error: 'Not signed in' }, { status: 401 })
+  }
+  if (!CHANNELS[channel]) {
+    return NextResponse.json({ error: 'Choose SMS, WhatsApp or email' }, { status: 400 })
+  }
+
+  const { data: invoice } = await supabase
+    .from('invoices')
+    .select(`
+      *,
+      business:businesses(business_name),
+      customer:customers(customer_name, phone_number, email)
+    `)
+    .eq('id', id)
+    .single()
+
+  if (!invoice) {
+    return NextResponse.json({ error: 'Invoice not found' }, { status: 404 })
+  }
+
+  // Only the issuing business's team can chase its invoices, and only in a
+  // role that may send reminders
+  const { data: allowed } = await supabase.rpc('has_business_permission', {
+    p_business_id: invoice.business_id,
+    p_permission: 'send_reminders'
+  })
+  if (!allowed) {
+    return NextResponse.json({ error: 'Your role does not allow you to send payment reminders' }, { status: 403 })
+  }
+  if (!isBilled(invoice)) {
+    return NextResponse.json({ error: 'Only issued invoices can be chased' }, { status: 400 })
+  }
+
+  try {
+    const reminder = await sendReminder(supabase, createMessenger(), {
+      invoice,
+      channel,
+      template: MANUAL_REMINDER_TEMPLATE,
+      baseUrl: new URL(request.url).origin
+    })
+    return NextResponse.json(reminder)
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 })
+  }
+}
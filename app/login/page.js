@@ -6,6 +6,8 @@
 import { useState } from 'react'
 import { useRouter } from 'next/navigation'
 import { createClient } from '@/lib/supabase'
+import { DEFAULT_PHONE_COUNTRY, formatPhone, normalizePhone, phoneError } from '@/lib/phone'
+import PhoneInput from '@/components/phone-input'
 import Link from 'next/link'
 
 export default function LoginPage() {
@@ -14,6 +16,7 @@ export default function LoginPage() {
   const [email, setEmail] = useState('')
   const [password, setPassword] = useState('')
   const [phone, setPhone] = useState('')
+  const [phoneCountry, setPhoneCountry] = useState(DEFAULT_PHONE_COUNTRY)
   const [otp, setOtp] = useState('')
   const [otpSent, setOtpSent] = useState(false)
   const [loading, setLoading] = useState(false)
@@ -38,6 +41,17 @@ export default function LoginPage() {
       return
     }
 
+    // Someone invited to a business team joins it on their first sign-in,
+    // which also gives them the business role
+    const { error: inviteError } = await supabase.rpc('accept_business_invitation')
+
+    if (inviteError) {
+      setError(inviteError.message)
+      await supabase.auth.signOut()
+      setLoading(false)
+      return
+    }
+
     // Check if user is a business
     const { data: roleData } = await supabase
       .from('user_roles')
@@ -61,8 +75,13 @@ export default function LoginPage() {
     setLoading(true)
     setError('')
 
-    // Format phone number (must include country code)
-    const formattedPhone = phone.startsWith('+') ? phone : `+91${phone}`
+    // Accounts are keyed by the number in E.164, however it was typed
+    const formattedPhone = normalizePhone(phone, phoneCountry)
+    if (!formattedPhone) {
+      setError(phoneError(phone, phoneCountry))
+      setLoading(false)
+      return
+    }
 
     const { error } = await supabase.auth.signInWithOtp({
       phone: formattedPhone,
@@ -84,10 +103,8 @@ export default function LoginPage() {
     setLoading(true)
     setError('')
 
-    const formattedPhone = phone.startsWith('+') ? phone : `+91${phone}`
-
     const { data, error } = await supabase.auth.verifyOtp({
-      phone: formattedPhone,
+      phone: normalizePhone(phone, phoneCountry),
       token: otp,
       type: 'sms',
     })
@@ -98,6 +115,18 @@ export default function LoginPage() {
       return
     }
 
+    // Attach the customer records businesses created for this number before
+    // the customer had an account. On first sign-in this also creates their
+    // customer role.
+    const { error: claimError } = await supabase.rpc('claim_customer_records')
+
+    if (claimError) {
+      setError(claimError.message)
+      await supabase.auth.signOut()
+      setLoading(false)
+      return
+    }
+
     // Check if user is a customer
     const { data: roleData } = await supabase
       .from('user_roles')
@@ -108,7 +137,9 @@ export default function LoginPage() {
     if (roleData?.role === 'customer') {
       router.push('/customer')
     } else {
-      setError('This account is not registered as a customer')
+      setError(roleData?.role
+        ? 'This account is not registered as a customer'
+        : 'No business has added this phone number yet')
       await supabase.auth.signOut()
     }
 
@@ -204,16 +235,15 @@ export default function LoginPage() {
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Phone Number
                 </label>
-                <input
-                  type="tel"
+                <PhoneInput
+                  country={phoneCountry}
+                  onCountryChange={setPhoneCountry}
                   value={phone}
-                  onChange={(e) => setPhone(e.target.value)}
+                  onChange={setPhone}
                   required
-                  className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900 focus:border-transparent"
-                  placeholder="9876543210"
                 />
                 <p className="text-xs text-gray-500 mt-2">
-                  Enter your 10-digit mobile number
+                  Choose your country and enter your mobile number
                 </p>
               </div>
 
@@ -243,7 +273,7 @@ export default function LoginPage() {
                   placeholder="000000"
                 />
                 <p className="text-xs text-gray-500 mt-2">
-                  OTP sent to {phone}
+                  OTP sent to {formatPhone(normalizePhone(phone, phoneCountry))}
                 </p>
               </div>
 
@@ -268,7 +298,7 @@ export default function LoginPage() {
           {/* Signup Link */}
           <div className="mt-6 text-center">
             <p className="text-sm text-gray-600">
-              Don't have an account?{' '}
+              Don&apos;t have an account?{' '}
               <Link href="/signup" className="text-gray-900 font-medium hover:underline">
                 Sign up
               </Link>
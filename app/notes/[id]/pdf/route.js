@@ -0,0 +1,32 @@
+// app/notes/[id]/pdf/route.js
+// Credit / debit note PDF download
+
+import { cookies } from 'next/headers'
+import { NextResponse } from 'next/server'
+import { createServerSupabaseClient } from '@/lib/supabase'
+import { documentFileName, loadNoteDocument } from '@/lib/invoice-document'
+import { renderNotePdf } from '@/lib/pdf'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(request, { params }) {
+  const { id } = await params
+  const supabase = createServerSupabaseClient(await cookies())
+
+  const { note, error } = await loadNoteDocument(supabase, id)
+  if (error === 'unauthenticated') {
+    return NextResponse.redirect(new URL('/login', request.url))
+  }
+  if (error) {
+    return NextResponse.json({ error: 'Note not found' }, { status: 404 })
+  }
+
+  const pdf = await renderNotePdf(note)
+
+  return new Response(pdf, {
+    headers: {
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${documentFileName(note.note_number)}"`
+    }
+  })
+}
@@ -2,74 +2,55 @@
 
 import { useState } from 'react'
 import { useRouter } from 'next/navigation'
-import { createClient } from '@/lib/supabase'
+import { INDIAN_STATES, stateFromGstin } from '@/lib/gst'
+import { signupError } from '@/lib/signup'
+import { DEFAULT_PHONE_COUNTRY } from '@/lib/phone'
+import PhoneInput from '@/components/phone-input'
 
 export default function SignupPage() {
   const router = useRouter()
-  const [userType, setUserType] = useState('customer') // customer or business
+  const [userType, setUserType] = useState('customer') // customer, business or staff
   const [formData, setFormData] = useState({
     email: '',
     password: '',
     phone: '',
+    phoneCountry: DEFAULT_PHONE_COUNTRY,
     name: '',
     businessName: '',
-    gstNumber: ''
+    gstNumber: '',
+    stateCode: ''
   })
   const [loading, setLoading] = useState(false)
 
   async function handleSignup(e) {
     e.preventDefault()
+
+    const problem = signupError(formData, userType)
+    if (problem) {
+      alert(problem)
+      return
+    }
+
     setLoading(true)
 
-    const supabase = createClient()
-
-    // Sign up the user
-    const { data: authData, error: authError } = await supabase.auth.signUp({
-      email: formData.email,
-      password: formData.password,
-      options: {
-        data: {
-          phone: formData.phone,
-          name: formData.name
-        }
-      }
+    // The account, profile and role are created together on the server
+    const response = await fetch('/api/signup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...formData, userType })
     })
+    const result = await response.json()
+    setLoading(false)
 
-    if (authError) {
-      alert('Error signing up: ' + authError.message)
-      setLoading(false)
+    if (!response.ok) {
+      alert('Error signing up: ' + result.error)
       return
     }
 
-    const userId = authData.user.id
-
-    try {
-      if (userType === 'business') {
-        // Create business profile
-        await supabase.from('businesses').insert({
-          user_id: userId,
-          business_name: formData.businessName,
-          email: formData.email,
-          phone_number: formData.phone,
-          gst_number: formData.gstNumber
-        })
-      } else {
-        // Create customer profile
-        await supabase.from('customers').insert({
-          user_id: userId,
-          customer_name: formData.name,
-          email: formData.email,
-          phone_number: formData.phone
-        })
-      }
-
-      alert('Signup successful! Please check your email to verify your account.')
-      router.push('/login')
-    } catch (error) {
-      alert('Error creating profile: ' + error.message)
-    }
-
-    setLoading(false)
+    alert(userType === 'staff'
+      ? `Signup successful! Please check your email to verify your account, then sign in as a business to join ${result.profile.business_name}.`
+      : 'Signup successful! Please check your email to verify your account.')
+    router.push('/login')
   }
 
   return (
@@ -105,8 +86,26 @@ export default function SignupPage() {
             >
               Business
             </button>
+            <button
+              type="button"
+              onClick={() => setUserType('staff')}
+              className={`flex-1 py-2 px-4 rounded-lg text-sm font-medium transition-colors ${
+                userType === 'staff'
+                  ? 'bg-white text-gray-900 shadow-sm'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              Team Member
+            </button>
           </div>
 
+          {userType === 'staff' && (
+            <p className="text-sm text-gray-600 mb-6">
+              Use the email address your business invited. You join their team the
+              first time you sign in.
+            </p>
+          )}
+
           <form onSubmit={handleSignup} className="space-y-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -139,13 +138,12 @@ export default function SignupPage() {
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Phone Number *
               </label>
-              <input
-                type="tel"
+              <PhoneInput
+                country={formData.phoneCountry}
+                onCountryChange={(phoneCountry) => setFormData({...formData, phoneCountry})}
                 value={formData.phone}
-                onChange={(e) => setFormData({...formData, phone: e.target.value})}
+                onChange={(phone) => setFormData({...formData, phone})}
                 required
-                className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
-                placeholder="9876543210"
               />
             </div>
 
@@ -170,10 +168,30 @@ export default function SignupPage() {
                   <input
                     type="text"
                     value={formData.gstNumber}
-                    onChange={(e) => setFormData({...formData, gstNumber: e.target.value})}
+                    onChange={(e) => setFormData({
+                      ...formData,
+                      gstNumber: e.target.value,
+                      stateCode: stateFromGstin(e.target.value) || formData.stateCode
+                    })}
                     className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
                   />
                 </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    State *
+                  </label>
+                  <select
+                    value={formData.stateCode}
+                    onChange={(e) => setFormData({...formData, stateCode: e.target.value})}
+                    required
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  >
+                    <option value="">Select state</option>
+                    {INDIAN_STATES.map((state) => (
+                      <option key={state.code} value={state.code}>{state.name}</option>
+                    ))}
+                  </select>
+                </div>
               </>
             ) : (
               <div>
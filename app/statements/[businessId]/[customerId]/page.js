@@ -0,0 +1,198 @@
+// app/statements/[businessId]/[customerId]/page.js
+// Statement of account between one business and one customer
+
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useParams, useRouter } from 'next/navigation'
+import { createClient } from '@/lib/supabase'
+import { toCsv, downloadCsv } from '@/lib/csv'
+import {
+  ENTRY_LABELS,
+  buildLedger,
+  canViewStatement,
+  defaultStatementRange,
+  ledgerCsvRows,
+  loadLedgerData
+} from '@/lib/ledger'
+
+export default function StatementPage() {
+  const router = useRouter()
+  const { businessId, customerId } = useParams()
+  const supabase = createClient()
+
+  const [data, setData] = useState(null)
+  const [range, setRange] = useState(defaultStatementRange)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    async function loadStatement() {
+      const { data: { user } } = await supabase.auth.getUser()
+      if (!user) {
+        router.push('/login')
+        return
+      }
+
+      try {
+        const ledgerData = await loadLedgerData(supabase, businessId, customerId)
+        setData(canViewStatement(ledgerData, user) ? ledgerData : null)
+      } catch (error) {
+        alert('Error loading statement: ' + error.message)
+      }
+      setLoading(false)
+    }
+
+    loadStatement()
+  }, [supabase, router, businessId, customerId])
+
+  function exportCsv() {
+    const ledger = buildLedger(data.invoices, range.from, range.to)
+    downloadCsv(
+      `statement-${data.customer.customer_name}-${range.from}-${range.to}.csv`,
+      toCsv(ledgerCsvRows(ledger))
+    )
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="text-gray-600">Loading...</p>
+      </div>
+    )
+  }
+
+  if (!data) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <p className="text-gray-600">Statement not found</p>
+      </div>
+    )
+  }
+
+  const ledger = buildLedger(data.invoices, range.from, range.to)
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-5xl mx-auto px-6 py-4 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-light text-gray-900">Statement of Account</h1>
+            <p className="text-sm text-gray-600">
+              {data.business.business_name} · {data.customer.customer_name}
+            </p>
+          </div>
+          <button
+            onClick={() => router.back()}
+            className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900"
+          >
+            Back
+          </button>
+        </div>
+      </div>
+
+      <div className="max-w-5xl mx-auto px-6 py-8">
+        {/* Range and exports */}
+        <div className="flex justify-between items-end mb-6">
+          <div className="flex space-x-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">From</label>
+              <input
+                type="date"
+                value={range.from}
+                onChange={(e) => setRange({...range, from: e.target.value})}
+                className="px-4 py-2 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">To</label>
+              <input
+                type="date"
+                value={range.to}
+                onChange={(e) => setRange({...range, to: e.target.value})}
+                className="px-4 py-2 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+              />
+            </div>
+          </div>
+          <div className="flex space-x-3">
+            <button
+              onClick={exportCsv}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50 text-sm"
+            >
+              Export CSV
+            </button>
+            <a
+              href={`/statements/${businessId}/${customerId}/pdf?from=${range.from}&to=${range.to}`}
+              className="px-4 py-2 bg-gray-900 text-white rounded-xl hover:bg-gray-800 text-sm"
+            >
+              Download PDF
+            </a>
+          </div>
+        </div>
+
+        {/* Ledger */}
+        <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+                <th className="px-6 py-4 text-right text-xs font-medium text-gray-500 uppercase">Debit</th>
+                <th className="px-6 py-4 text-right text-xs font-medium text-gray-500 uppercase">Credit</th>
+                <th className="px-6 py-4 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              <tr className="bg-gray-50">
+                <td className="px-6 py-3 text-sm text-gray-600">
+                  {new Date(ledger.from).toLocaleDateString()}
+                </td>
+                <td colSpan={4} className="px-6 py-3 text-sm font-medium text-gray-700">
+                  Opening balance
+                </td>
+                <td className="px-6 py-3 text-sm text-right font-medium text-gray-900">
+                  ₹{ledger.opening.toLocaleString()}
+                </td>
+              </tr>
+              {ledger.entries.map((entry, i) => (
+                <tr key={i} className="hover:bg-gray-50">
+                  <td className="px-6 py-3 text-sm text-gray-600">
+                    {new Date(entry.date).toLocaleDateString()}
+                  </td>
+                  <td className="px-6 py-3 text-sm text-gray-600">{ENTRY_LABELS[entry.type]}</td>
+                  <td className="px-6 py-3 text-sm text-gray-900">{entry.reference}</td>
+                  <td className="px-6 py-3 text-sm text-right text-gray-900">
+                    {entry.debit ? `₹${entry.debit.toLocaleString()}` : ''}
+                  </td>
+                  <td className="px-6 py-3 text-sm text-right text-green-700">
+                    {entry.credit ? `₹${entry.credit.toLocaleString()}` : ''}
+                  </td>
+                  <td className="px-6 py-3 text-sm text-right text-gray-900">
+                    ₹{entry.balance.toLocaleString()}
+                  </td>
+                </tr>
+              ))}
+              <tr className="bg-gray-50">
+                <td className="px-6 py-3 text-sm text-gray-600">
+                  {new Date(ledger.to).toLocaleDateString()}
+                </td>
+                <td colSpan={4} className="px-6 py-3 text-sm font-medium text-gray-700">
+                  Closing balance
+                </td>
+                <td className="px-6 py-3 text-sm text-right font-medium text-gray-900">
+                  ₹{ledger.closing.toLocaleString()}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+          {ledger.entries.length === 0 && (
+            <div className="text-center py-8 text-gray-500 text-sm">
+              No transactions in this period
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,43 @@
+// app/statements/[businessId]/[customerId]/pdf/route.js
+// Statement of account PDF download
+
+import { cookies } from 'next/headers'
+import { NextResponse } from 'next/server'
+import { createServerSupabaseClient } from '@/lib/supabase'
+import { buildLedger, canViewStatement, defaultStatementRange, loadLedgerData } from '@/lib/ledger'
+import { documentFileName } from '@/lib/invoice-document'
+import { renderStatementPdf } from '@/lib/pdf'
+
+export const dynamic = 'force-dynamic'
+
+export async function GET(request, { params }) {
+  const { businessId, customerId } = await params
+  const supabase = createServerSupabaseClient(await cookies())
+
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) {
+    return NextResponse.redirect(new URL('/login', request.url))
+  }
+
+  const data = await loadLedgerData(supabase, businessId, customerId)
+  if (!canViewStatement(data, user)) {
+    return NextResponse.json({ error: 'Statement not found' }, { status: 404 })
+  }
+
+  const { searchParams } = new URL(request.url)
+  const defaults = defaultStatementRange()
+  const ledger = buildLedger(
+    data.invoices,
+    searchParams.get('from') || defaults.from,
+    searchParams.get('to') || defaults.to
+  )
+
+  const pdf = await renderStatementPdf({ ...data, ledger })
+
+  return new Response(pdf, {
+    headers: {
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${documentFileName(`statement-${data.customer.customer_name}-${ledger.from}-${ledger.to}`)}"`
+    }
+  })
+}
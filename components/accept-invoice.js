@@ -0,0 +1,135 @@
+// components/accept-invoice.js
+// Modal for a customer to accept an invoice, confirmed with a code sent to
+// their phone
+
+'use client'
+
+import { useState } from 'react'
+import { invoiceBalance } from '@/lib/invoices'
+
+export default function AcceptInvoice({ invoice, onAccepted, onClose }) {
+  const [phone, setPhone] = useState('')
+  const [otp, setOtp] = useState('')
+  const [otpSent, setOtpSent] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  // The code is sent for this invoice alone, to the phone on the
+  // customer's record
+  async function handleSendOTP() {
+    setLoading(true)
+    setError('')
+
+    const response = await fetch(`/invoices/${invoice.id}/acknowledge/code`, { method: 'POST' })
+    const result = await response.json()
+    setLoading(false)
+
+    if (!response.ok) {
+      setError(result.error)
+      return
+    }
+
+    setPhone(result.phone)
+    setOtpSent(true)
+  }
+
+  async function handleAccept(e) {
+    e.preventDefault()
+    setLoading(true)
+    setError('')
+
+    const response = await fetch(`/invoices/${invoice.id}/acknowledge`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: otp.trim() })
+    })
+    const result = await response.json()
+    setLoading(false)
+
+    if (!response.ok) {
+      setError(result.error)
+      return
+    }
+
+    onAccepted(result)
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-8">
+        <h3 className="text-xl font-medium text-gray-900 mb-2">
+          Accept Invoice {invoice.invoice_number}
+        </h3>
+        <p className="text-sm text-gray-600 mb-6">
+          You confirm that you owe {invoice.business?.business_name} ₹{invoice.total_amount.toLocaleString()} for
+          this invoice (₹{invoiceBalance(invoice).toLocaleString()} still to pay). If something is wrong,
+          request an edit instead.
+        </p>
+
+        {error && (
+          <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-xl text-red-600 text-sm">
+            {error}
+          </div>
+        )}
+
+        {!otpSent ? (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              We will send a code to the phone number on your profile to confirm it is you.
+            </p>
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleSendOTP}
+                disabled={loading}
+                className="flex-1 px-4 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800 disabled:opacity-50"
+              >
+                {loading ? 'Sending...' : 'Send Code'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleAccept} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Enter the code sent to {phone}
+              </label>
+              <input
+                type="text"
+                value={otp}
+                onChange={(e) => setOtp(e.target.value)}
+                placeholder="123456"
+                maxLength={6}
+                required
+                className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+              />
+            </div>
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={loading}
+                className="flex-1 px-4 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800 disabled:opacity-50"
+              >
+                {loading ? 'Confirming...' : 'Accept Invoice'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,74 @@
+// components/acknowledgement-settings.js
+// Settings card for how long customers have to accept or dispute an
+// invoice before it is accepted for them
+
+'use client'
+
+import { useState } from 'react'
+import { createClient } from '@/lib/supabase'
+
+export default function AcknowledgementSettings({ business, onBusinessChange }) {
+  const supabase = createClient()
+  const [autoAccept, setAutoAccept] = useState(Boolean(business.auto_accept_days))
+  const [days, setDays] = useState(String(business.auto_accept_days || 7))
+
+  async function handleSave(e) {
+    e.preventDefault()
+
+    const { data, error } = await supabase
+      .from('businesses')
+      .update({ auto_accept_days: autoAccept ? parseInt(days, 10) : null })
+      .eq('id', business.id)
+      .select()
+      .single()
+
+    if (error) {
+      alert('Error saving acceptance settings: ' + error.message)
+      return
+    }
+
+    onBusinessChange(data)
+    alert('Acceptance settings saved')
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm p-8 max-w-2xl mt-8">
+      <h3 className="font-medium text-gray-900 mb-1">Invoice Acceptance</h3>
+      <p className="text-sm text-gray-600 mb-6">
+        Customers accept invoices from their dashboard, confirmed with a code sent
+        to their phone. Invoices they neither accept nor dispute can be accepted
+        automatically.
+      </p>
+      <form onSubmit={handleSave} className="space-y-4">
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={autoAccept}
+            onChange={(e) => setAutoAccept(e.target.checked)}
+          />
+          <span>Auto-accept invoices left without action</span>
+        </label>
+        {autoAccept && (
+          <div className="flex items-center space-x-3 text-sm text-gray-700">
+            <input
+              type="number"
+              value={days}
+              onChange={(e) => setDays(e.target.value)}
+              min="1"
+              required
+              aria-label="Days"
+              className="w-20 px-4 py-2 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+            />
+            <span>days after the invoice date, unless the customer has an open edit request</span>
+          </div>
+        )}
+        <button
+          type="submit"
+          className="px-6 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+        >
+          Save Settings
+        </button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,159 @@
+// components/ageing-report.js
+// Outstanding balances per customer by days past due; click a customer to
+// see the invoices behind their numbers
+
+'use client'
+
+import { Fragment, useState, useEffect } from 'react'
+import { createClient } from '@/lib/supabase'
+import { fetchAllPages } from '@/lib/paging'
+import { ALL_BRANCHES } from '@/lib/branches'
+import { AGEING_BUCKETS, ageingInvoices, ageingTotals } from '@/lib/ageing'
+
+// dataVersion is the dashboard's reload counter, so the report follows
+// new invoices, payments and notes
+export default function AgeingReport({ businessId, branchId, dataVersion }) {
+  const supabase = createClient()
+  const [rows, setRows] = useState([])
+  const [expandedCustomerId, setExpandedCustomerId] = useState(null)
+  const [customerInvoices, setCustomerInvoices] = useState({})
+  const branch = branchId === ALL_BRANCHES ? null : branchId
+
+  // Buckets are added up by receivables_ageing, one row per customer
+  useEffect(() => {
+    if (!businessId) return
+
+    async function loadAgeing() {
+      try {
+        const data = await fetchAllPages((from, to) => supabase
+          .rpc('receivables_ageing', { p_business_id: businessId, p_branch_id: branch })
+          .range(from, to))
+
+        setRows(data)
+        setCustomerInvoices({})
+      } catch (error) {
+        alert('Error loading ageing report: ' + error.message)
+      }
+    }
+
+    loadAgeing()
+  }, [supabase, businessId, branch, dataVersion])
+
+  async function toggleCustomer(customerId) {
+    if (expandedCustomerId === customerId) {
+      setExpandedCustomerId(null)
+      return
+    }
+
+    setExpandedCustomerId(customerId)
+    if (customerInvoices[customerId]) return
+
+    let query = supabase
+      .from('invoices')
+      .select('id, invoice_number, status, due_date, total_amount, paid_amount, credited_amount, debited_amount')
+      .eq('business_id', businessId)
+      .eq('customer_id', customerId)
+      .in('status', ['sent', 'partially_paid', 'overdue'])
+
+    if (branch) query = query.eq('branch_id', branch)
+
+    const { data, error } = await query
+
+    if (error) {
+      alert('Error loading invoices: ' + error.message)
+      return
+    }
+
+    setCustomerInvoices(loaded => ({ ...loaded, [customerId]: ageingInvoices(data) }))
+  }
+
+  const totals = ageingTotals(rows)
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
+      <table className="w-full">
+        <thead className="bg-gray-50 border-b border-gray-200">
+          <tr>
+            <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+              Customer
+            </th>
+            {AGEING_BUCKETS.map((bucket) => (
+              <th key={bucket.key} className="px-6 py-4 text-right text-xs font-medium text-gray-500 uppercase">
+                {bucket.label}
+              </th>
+            ))}
+            <th className="px-6 py-4 text-right text-xs font-medium text-gray-500 uppercase">
+              Total
+            </th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {rows.map((row) => (
+            <Fragment key={row.customer_id}>
+              <tr
+                onClick={() => toggleCustomer(row.customer_id)}
+                className="hover:bg-gray-50 cursor-pointer"
+              >
+                <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                  {expandedCustomerId === row.customer_id ? '▾' : '▸'} {row.customer_name}
+                </td>
+                {AGEING_BUCKETS.map((bucket) => (
+                  <td
+                    key={bucket.key}
+                    className={`px-6 py-4 text-sm text-right ${
+                      row[bucket.key] > 0 && bucket.key !== 'current' ? 'text-red-700' : 'text-gray-600'
+                    }`}
+                  >
+                    {row[bucket.key] > 0 ? `₹${Number(row[bucket.key]).toLocaleString()}` : '-'}
+                  </td>
+                ))}
+                <td className="px-6 py-4 text-sm text-right font-medium text-gray-900">
+                  ₹{Number(row.total).toLocaleString()}
+                </td>
+              </tr>
+              {expandedCustomerId === row.customer_id && (customerInvoices[row.customer_id] || []).map((invoice) => (
+                <tr key={invoice.id} className="bg-gray-50 text-sm">
+                  <td className="pl-12 pr-6 py-2 text-gray-900">
+                    {invoice.invoice_number}
+                    <span className="ml-2 text-xs text-gray-500">
+                      due {new Date(invoice.due_date).toLocaleDateString()}
+                      {invoice.days > 0 && ` · ${invoice.days} days overdue`}
+                    </span>
+                  </td>
+                  {AGEING_BUCKETS.map((bucket) => (
+                    <td key={bucket.key} className="px-6 py-2 text-right text-gray-600">
+                      {invoice.bucket === bucket.key ? `₹${invoice.balance.toLocaleString()}` : ''}
+                    </td>
+                  ))}
+                  <td className="px-6 py-2 text-right text-gray-900">
+                    ₹{invoice.balance.toLocaleString()}
+                  </td>
+                </tr>
+              ))}
+            </Fragment>
+          ))}
+        </tbody>
+        {rows.length > 0 && (
+          <tfoot className="bg-gray-50 border-t border-gray-200">
+            <tr>
+              <td className="px-6 py-4 text-sm font-medium text-gray-900">Total</td>
+              {AGEING_BUCKETS.map((bucket) => (
+                <td key={bucket.key} className="px-6 py-4 text-sm text-right font-medium text-gray-900">
+                  ₹{totals[bucket.key].toLocaleString()}
+                </td>
+              ))}
+              <td className="px-6 py-4 text-sm text-right font-medium text-gray-900">
+                ₹{totals.total.toLocaleString()}
+              </td>
+            </tr>
+          </tfoot>
+        )}
+      </table>
+      {rows.length === 0 && (
+        <div className="text-center py-12 text-gray-500">
+          Nothing outstanding
+        </div>
+      )}
+    </div>
+  )
+}
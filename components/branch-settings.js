@@ -0,0 +1,229 @@
+// components/branch-settings.js
+// Settings card for the business's branches: their names, invoice prefixes
+// and, for branches in other states, their own GSTIN
+
+'use client'
+
+import { useState } from 'react'
+import { createClient } from '@/lib/supabase'
+import { INDIAN_STATES, stateName, supplierState } from '@/lib/gst'
+import { branchError } from '@/lib/branches'
+
+function emptyBranchForm() {
+  return { id: null, isMain: false, branchName: '', invoicePrefix: '', gstNumber: '', stateCode: '', address: '' }
+}
+
+export default function BranchSettings({ business, branches, onBranchesChange }) {
+  const supabase = createClient()
+  const [form, setForm] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  function editBranch(branch) {
+    setForm({
+      id: branch.id,
+      isMain: branch.is_main,
+      branchName: branch.branch_name,
+      invoicePrefix: branch.invoice_prefix || '',
+      gstNumber: branch.gst_number || '',
+      stateCode: branch.state_code || '',
+      address: branch.address || ''
+    })
+  }
+
+  async function handleSave(e) {
+    e.preventDefault()
+
+    const problem = branchError(form, branches, business)
+    if (problem) {
+      alert(problem)
+      return
+    }
+
+    const values = {
+      branch_name: form.branchName.trim(),
+      invoice_prefix: form.isMain ? null : form.invoicePrefix.trim().toUpperCase(),
+      gst_number: form.gstNumber.trim().toUpperCase() || null,
+      state_code: form.stateCode || null,
+      address: form.address.trim() || null
+    }
+
+    setSaving(true)
+    const { error } = form.id
+      ? await supabase.from('branches').update(values).eq('id', form.id)
+      : await supabase.from('branches').insert({ ...values, business_id: business.id })
+    setSaving(false)
+
+    if (error) {
+      alert('Error saving branch: ' + error.message)
+      return
+    }
+
+    setForm(null)
+    onBranchesChange()
+  }
+
+  async function removeBranch(branch) {
+    if (!confirm(`Remove ${branch.branch_name}?`)) return
+
+    const { error } = await supabase
+      .from('branches')
+      .delete()
+      .eq('id', branch.id)
+
+    if (error) {
+      alert('Error removing branch: ' + error.message)
+      return
+    }
+
+    onBranchesChange()
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm p-8 max-w-2xl mt-8">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="font-medium text-gray-900">Branches</h3>
+        {!form && (
+          <button
+            onClick={() => setForm(emptyBranchForm())}
+            className="text-sm text-gray-900 font-medium hover:text-gray-700"
+          >
+            Add Branch
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-6">
+        Each branch numbers its invoices and notes in its own series. A branch
+        in another state needs its own GSTIN; branches without one bill under
+        the business&apos;s GSTIN.
+      </p>
+
+      <ul className="divide-y divide-gray-200 mb-6">
+        {branches.map((branch) => (
+          <li key={branch.id} className="py-3 flex justify-between items-center">
+            <div className="text-sm">
+              <p className="font-medium text-gray-900">
+                {branch.branch_name}
+                {branch.is_main && <span className="text-gray-500 font-normal"> (main)</span>}
+              </p>
+              <p className="text-gray-600">
+                Prefix {branch.invoice_prefix || business.invoice_prefix}
+                {' · '}GSTIN {branch.gst_number || business.gst_number || '-'}
+                {' · '}{stateName(supplierState(branch) || supplierState(business)) || 'No state'}
+              </p>
+            </div>
+            <div className="text-sm space-x-3 whitespace-nowrap ml-4">
+              <button
+                onClick={() => editBranch(branch)}
+                className="text-gray-900 hover:text-gray-700 font-medium"
+              >
+                Edit
+              </button>
+              {!branch.is_main && (
+                <button
+                  onClick={() => removeBranch(branch)}
+                  className="text-red-600 hover:text-red-700"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {form && (
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Branch Name *
+              </label>
+              <input
+                type="text"
+                value={form.branchName}
+                onChange={(e) => setForm({ ...form, branchName: e.target.value })}
+                required
+                className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                placeholder="Pune"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Invoice Prefix {!form.isMain && '*'}
+              </label>
+              <input
+                type="text"
+                value={form.isMain ? business.invoice_prefix : form.invoicePrefix}
+                onChange={(e) => setForm({ ...form, invoicePrefix: e.target.value })}
+                disabled={form.isMain}
+                className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900 disabled:bg-gray-50 disabled:text-gray-500"
+                placeholder="PUN"
+              />
+              {form.isMain && (
+                <p className="text-xs text-gray-500 mt-2">Set under Invoice Numbering</p>
+              )}
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                GSTIN
+              </label>
+              <input
+                type="text"
+                value={form.gstNumber}
+                onChange={(e) => setForm({ ...form, gstNumber: e.target.value })}
+                className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900 uppercase"
+                placeholder={business.gst_number || '27AAPFU0939F1ZV'}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                State
+              </label>
+              <select
+                value={form.stateCode}
+                onChange={(e) => setForm({ ...form, stateCode: e.target.value })}
+                className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+              >
+                <option value="">Same as the business</option>
+                {INDIAN_STATES.map((state) => (
+                  <option key={state.code} value={state.code}>
+                    {state.code} - {state.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Address
+            </label>
+            <textarea
+              value={form.address}
+              onChange={(e) => setForm({ ...form, address: e.target.value })}
+              rows={2}
+              className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+            />
+          </div>
+          <div className="flex space-x-3">
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              className="flex-1 px-6 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 px-6 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : form.id ? 'Save Branch' : 'Add Branch'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
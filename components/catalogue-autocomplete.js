@@ -0,0 +1,79 @@
+// components/catalogue-autocomplete.js
+// Item name input that suggests matching catalogue items as you type,
+// priced for the invoice's customer
+
+'use client'
+
+import { useState } from 'react'
+import { catalogueItemPrice, searchCatalogue } from '@/lib/catalogue'
+
+export default function CatalogueAutocomplete({ catalogue, customerId, value, onChange, onSelect, className, ...props }) {
+  const [open, setOpen] = useState(false)
+  const [highlighted, setHighlighted] = useState(0)
+
+  const suggestions = open ? searchCatalogue(catalogue, value) : []
+
+  function select(item) {
+    onSelect(item)
+    setOpen(false)
+  }
+
+  function handleKeyDown(e) {
+    if (suggestions.length === 0) return
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setHighlighted((highlighted + 1) % suggestions.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      select(suggestions[highlighted] || suggestions[0])
+    } else if (e.key === 'Escape') {
+      setOpen(false)
+    }
+  }
+
+  return (
+    <div className="relative flex-1">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value)
+          setOpen(true)
+          setHighlighted(0)
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        autoComplete="off"
+        className={className}
+        {...props}
+      />
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-xl shadow-lg overflow-hidden">
+          {suggestions.map((item, index) => (
+            <li
+              key={item.id}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault()
+                select(item)
+              }}
+              className={`px-4 py-2 text-sm cursor-pointer flex justify-between ${
+                index === highlighted ? 'bg-gray-100' : ''
+              }`}
+            >
+              <span className="text-gray-900">{item.item_name}</span>
+              <span className="text-gray-500">
+                ₹{catalogueItemPrice(item, customerId).toLocaleString()}{item.unit ? ` / ${item.unit}` : ''}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,460 @@
+// components/catalogue-manager.js
+// Business catalogue: add and edit items, agree customer prices, import CSV
+
+'use client'
+
+import { useState } from 'react'
+import { createClient } from '@/lib/supabase'
+import { downloadCsv } from '@/lib/csv'
+import {
+  catalogueCsvTemplate,
+  catalogueItemError,
+  emptyCatalogueItem,
+  parseCatalogueCsv
+} from '@/lib/catalogue'
+
+export default function CatalogueManager({ business, catalogue, customers, gstRates, onChange }) {
+  const supabase = createClient()
+
+  const [search, setSearch] = useState('')
+  const [itemForm, setItemForm] = useState(null)
+  const [pricesItem, setPricesItem] = useState(null)
+  const [priceInputs, setPriceInputs] = useState({})
+  const [importPreview, setImportPreview] = useState(null)
+
+  const visible = catalogue.filter(item =>
+    item.item_name.toLowerCase().includes(search.trim().toLowerCase())
+  )
+
+  function openItemForm(item) {
+    setItemForm(item
+      ? { ...item, unit: item.unit || '', hsn_sac: item.hsn_sac || '', gst_rate: Number(item.gst_rate) }
+      : { ...emptyCatalogueItem(), gst_rate: business.gst_number ? 18 : 0 })
+  }
+
+  // Save a new or edited item
+  async function handleSaveItem(e) {
+    e.preventDefault()
+
+    const error = catalogueItemError(itemForm, gstRates)
+    if (error) {
+      alert(error)
+      return
+    }
+
+    const fields = {
+      item_name: itemForm.item_name.trim(),
+      unit: itemForm.unit.trim() || null,
+      default_price: Number(itemForm.default_price),
+      hsn_sac: itemForm.hsn_sac.trim() || null,
+      gst_rate: Number(itemForm.gst_rate)
+    }
+
+    const { error: saveError } = itemForm.id
+      ? await supabase
+        .from('catalogue_items')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', itemForm.id)
+      : await supabase
+        .from('catalogue_items')
+        .insert({ ...fields, business_id: business.id })
+
+    if (saveError) {
+      alert(saveError.code === '23505'
+        ? `${fields.item_name} is already in the catalogue`
+        : 'Error saving item: ' + saveError.message)
+      return
+    }
+
+    setItemForm(null)
+    onChange()
+  }
+
+  // Inactive items stay on record but are no longer suggested on invoices
+  async function toggleActive(item) {
+    const { error } = await supabase
+      .from('catalogue_items')
+      .update({ active: !item.active, updated_at: new Date().toISOString() })
+      .eq('id', item.id)
+
+    if (error) {
+      alert('Error updating item: ' + error.message)
+      return
+    }
+
+    onChange()
+  }
+
+  function openPrices(item) {
+    setPricesItem(item)
+    setPriceInputs(Object.fromEntries(
+      (item.prices || []).map(price => [price.customer_id, String(price.unit_price)])
+    ))
+  }
+
+  // Save the prices agreed with individual customers. A cleared price falls
+  // back to the default.
+  async function handleSavePrices(e) {
+    e.preventDefault()
+
+    const entries = customers.map(bc => [bc.customer_id, (priceInputs[bc.customer_id] || '').trim()])
+    const invalid = entries.find(([, value]) => value !== '' && (isNaN(value) || Number(value) < 0))
+    if (invalid) {
+      alert('Prices must be zero or more')
+      return
+    }
+
+    const upserts = entries
+      .filter(([, value]) => value !== '')
+      .map(([customerId, value]) => ({
+        catalogue_item_id: pricesItem.id,
+        customer_id: customerId,
+        unit_price: Number(value),
+        updated_at: new Date().toISOString()
+      }))
+    const cleared = entries.filter(([, value]) => value === '').map(([customerId]) => customerId)
+
+    if (upserts.length > 0) {
+      const { error } = await supabase.from('catalogue_customer_prices').upsert(upserts)
+      if (error) {
+        alert('Error saving prices: ' + error.message)
+        return
+      }
+    }
+
+    if (cleared.length > 0) {
+      const { error } = await supabase
+        .from('catalogue_customer_prices')
+        .delete()
+        .eq('catalogue_item_id', pricesItem.id)
+        .in('customer_id', cleared)
+      if (error) {
+        alert('Error saving prices: ' + error.message)
+        return
+      }
+    }
+
+    setPricesItem(null)
+    onChange()
+  }
+
+  // Read the chosen file and show what will be imported
+  async function handleChooseFile(e) {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setImportPreview({ fileName: file.name, ...parseCatalogueCsv(await file.text(), gstRates) })
+  }
+
+  async function handleImport() {
+    const { data, error } = await supabase.rpc('import_catalogue_items', {
+      p_business_id: business.id,
+      p_items: importPreview.items
+    })
+
+    if (error) {
+      alert('Error importing catalogue: ' + error.message)
+      return
+    }
+
+    alert(`Imported ${data} item${data === 1 ? '' : 's'}`)
+    setImportPreview(null)
+    onChange()
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-xl font-medium text-gray-900">Catalogue</h2>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => downloadCsv('catalogue-template.csv', catalogueCsvTemplate())}
+            className="px-6 py-2 text-gray-600 hover:text-gray-900"
+          >
+            CSV Template
+          </button>
+          <label className="px-6 py-2 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50 cursor-pointer">
+            Import CSV
+            <input type="file" accept=".csv,text/csv" onChange={handleChooseFile} className="hidden" />
+          </label>
+          <button
+            onClick={() => openItemForm(null)}
+            className="px-6 py-2 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+          >
+            Add Item
+          </button>
+        </div>
+      </div>
+
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search items"
+        className="w-full max-w-sm mb-4 px-4 py-2 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+      />
+
+      <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b border-gray-200">
+            <tr>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                Item
+              </th>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                Unit
+              </th>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                Price
+              </th>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                HSN/SAC
+              </th>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                GST
+              </th>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {visible.map((item) => (
+              <tr key={item.id} className={`hover:bg-gray-50 ${item.active ? '' : 'opacity-50'}`}>
+                <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                  {item.item_name}
+                  {!item.active && <span className="ml-2 text-xs text-gray-500">inactive</span>}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {item.unit || '-'}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-900">
+                  ₹{Number(item.default_price).toLocaleString()}
+                  {item.prices?.length > 0 && (
+                    <span className="ml-2 text-xs text-gray-500">
+                      +{item.prices.length} customer price{item.prices.length === 1 ? '' : 's'}
+                    </span>
+                  )}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {item.hsn_sac || '-'}
+                </td>
+                <td className="px-6 py-4 text-sm text-gray-600">
+                  {Number(item.gst_rate)}%
+                </td>
+                <td className="px-6 py-4 text-sm space-x-4 whitespace-nowrap">
+                  <button
+                    onClick={() => openItemForm(item)}
+                    className="text-gray-900 hover:text-gray-700 font-medium"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => openPrices(item)}
+                    className="text-gray-600 hover:text-gray-900"
+                  >
+                    Customer Prices
+                  </button>
+                  <button
+                    onClick={() => toggleActive(item)}
+                    className="text-gray-600 hover:text-gray-900"
+                  >
+                    {item.active ? 'Deactivate' : 'Reactivate'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {visible.length === 0 && (
+          <div className="text-center py-12 text-gray-500">
+            {catalogue.length === 0
+              ? 'No items yet. Add items one by one or import a CSV.'
+              : 'No items match your search'}
+          </div>
+        )}
+      </div>
+
+      {/* Add / Edit Item Modal */}
+      {itemForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-8">
+            <h3 className="text-xl font-medium text-gray-900 mb-6">
+              {itemForm.id ? 'Edit Item' : 'Add Item'}
+            </h3>
+            <form onSubmit={handleSaveItem} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Name *
+                </label>
+                <input
+                  type="text"
+                  value={itemForm.item_name}
+                  onChange={(e) => setItemForm({...itemForm, item_name: e.target.value})}
+                  required
+                  className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                />
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Default Price (₹) *
+                  </label>
+                  <input
+                    type="number"
+                    value={itemForm.default_price}
+                    onChange={(e) => setItemForm({...itemForm, default_price: e.target.value})}
+                    required
+                    min="0"
+                    step="0.01"
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Unit
+                  </label>
+                  <input
+                    type="text"
+                    value={itemForm.unit}
+                    onChange={(e) => setItemForm({...itemForm, unit: e.target.value})}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                    placeholder="pcs, kg, hour"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    HSN/SAC
+                  </label>
+                  <input
+                    type="text"
+                    value={itemForm.hsn_sac}
+                    onChange={(e) => setItemForm({...itemForm, hsn_sac: e.target.value})}
+                    pattern="[0-9]{4,8}"
+                    title="4 to 8 digit HSN or SAC code"
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    GST Rate
+                  </label>
+                  <select
+                    value={itemForm.gst_rate}
+                    onChange={(e) => setItemForm({...itemForm, gst_rate: parseFloat(e.target.value)})}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  >
+                    {gstRates.map((rate) => (
+                      <option key={rate} value={rate}>{rate}%</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setItemForm(null)}
+                  className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+                >
+                  Save Item
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Customer Prices Modal */}
+      {pricesItem && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-xl max-w-md w-full p-8 max-h-[90vh] overflow-y-auto">
+            <h3 className="text-xl font-medium text-gray-900 mb-2">{pricesItem.item_name}</h3>
+            <p className="text-sm text-gray-600 mb-6">
+              Default price ₹{Number(pricesItem.default_price).toLocaleString()}
+              {pricesItem.unit ? ` / ${pricesItem.unit}` : ''}. Leave a customer blank to use it.
+            </p>
+            <form onSubmit={handleSavePrices} className="space-y-4">
+              {customers.map((bc) => (
+                <div key={bc.customer_id} className="flex items-center justify-between space-x-4">
+                  <span className="text-sm text-gray-900">{bc.customer?.customer_name}</span>
+                  <input
+                    type="number"
+                    value={priceInputs[bc.customer_id] || ''}
+                    onChange={(e) => setPriceInputs({ ...priceInputs, [bc.customer_id]: e.target.value })}
+                    min="0"
+                    step="0.01"
+                    placeholder={String(pricesItem.default_price)}
+                    aria-label={`Price for ${bc.customer?.customer_name}`}
+                    className="w-32 px-4 py-2 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  />
+                </div>
+              ))}
+              {customers.length === 0 && (
+                <p className="text-sm text-gray-500">Add customers first.</p>
+              )}
+              <div className="flex space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setPricesItem(null)}
+                  className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+                >
+                  Save Prices
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* CSV Import Preview */}
+      {importPreview && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-xl max-w-lg w-full p-8 max-h-[90vh] overflow-y-auto">
+            <h3 className="text-xl font-medium text-gray-900 mb-2">Import {importPreview.fileName}</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {importPreview.items.length} item{importPreview.items.length === 1 ? '' : 's'} ready to import.
+              Items already in the catalogue with the same name are updated.
+            </p>
+            {importPreview.errors.length > 0 && (
+              <div className="mb-4 p-4 bg-red-50 rounded-xl text-sm text-red-700 space-y-1">
+                <p className="font-medium">These rows will be skipped:</p>
+                {importPreview.errors.map((error) => (
+                  <p key={error}>{error}</p>
+                ))}
+              </div>
+            )}
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={() => setImportPreview(null)}
+                className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={importPreview.items.length === 0}
+                className="flex-1 px-4 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800 disabled:opacity-50"
+              >
+                Import
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,75 @@
+// components/comment-thread.js
+// Comment thread between the business and the customer on an edit request
+
+'use client'
+
+import { useState } from 'react'
+import { createClient } from '@/lib/supabase'
+
+export default function CommentThread({ requestId, comments, authorRole, onPosted }) {
+  const supabase = createClient()
+  const [body, setBody] = useState('')
+  const [posting, setPosting] = useState(false)
+
+  const sorted = [...(comments || [])].sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+
+  async function handlePost(e) {
+    e.preventDefault()
+    if (!body.trim()) return
+
+    setPosting(true)
+    const { error } = await supabase
+      .from('edit_request_comments')
+      .insert({
+        request_id: requestId,
+        author_role: authorRole,
+        body: body.trim()
+      })
+    setPosting(false)
+
+    if (error) {
+      alert('Error posting comment: ' + error.message)
+      return
+    }
+
+    setBody('')
+    onPosted?.()
+  }
+
+  return (
+    <div className="space-y-3">
+      {sorted.map((comment) => (
+        <div
+          key={comment.id}
+          className={`p-3 rounded-lg text-sm ${
+            comment.author_role === authorRole ? 'bg-gray-100 ml-8' : 'bg-blue-50 mr-8'
+          }`}
+        >
+          <p className="text-xs text-gray-500 mb-1">
+            {comment.author_role === authorRole ? 'You' : comment.author_role === 'business' ? 'Business' : 'Customer'}
+            {' · '}
+            {new Date(comment.created_at).toLocaleString()}
+          </p>
+          <p className="text-gray-900 whitespace-pre-wrap">{comment.body}</p>
+        </div>
+      ))}
+
+      <form onSubmit={handlePost} className="flex space-x-3">
+        <input
+          type="text"
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          placeholder="Add a comment"
+          className="flex-1 px-4 py-2 rounded-xl border border-gray-200 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900"
+        />
+        <button
+          type="submit"
+          disabled={posting || !body.trim()}
+          className="px-4 py-2 bg-gray-900 text-white rounded-xl hover:bg-gray-800 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Post
+        </button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,50 @@
+// components/edit-request-diff.js
+// Original vs requested lines of an invoice edit request
+
+import { diffEditRequest } from '@/lib/edit-requests'
+
+const KIND_STYLES = {
+  added: { label: 'Added', row: 'bg-green-50', badge: 'bg-green-100 text-green-800' },
+  removed: { label: 'Removed', row: 'bg-red-50', badge: 'bg-red-100 text-red-800' },
+  changed: { label: 'Changed', row: 'bg-blue-50', badge: 'bg-blue-100 text-blue-800' },
+  unchanged: { label: 'No change', row: '', badge: 'bg-gray-100 text-gray-600' }
+}
+
+function describe(item) {
+  if (!item) return '-'
+  const gst = item.gst_rate > 0 ? ` + ${item.gst_rate}% GST` : ''
+  return `${item.quantity} × ₹${item.unit_price} = ₹${item.total_price}${gst}`
+}
+
+export default function EditRequestDiff({ originalItems, requestedItems, requestedLabel = 'Requested' }) {
+  const lines = diffEditRequest(originalItems || [], requestedItems || [])
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-xs text-gray-500 uppercase">
+          <th className="py-2 text-left font-medium">Item</th>
+          <th className="py-2 text-left font-medium">Original</th>
+          <th className="py-2 text-left font-medium">{requestedLabel}</th>
+          <th className="py-2 text-right font-medium"></th>
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100">
+        {lines.map((line) => (
+          <tr key={line.key} className={KIND_STYLES[line.kind].row}>
+            <td className="py-2 px-2 text-gray-900">
+              {(line.requested || line.original).item_name}
+            </td>
+            <td className="py-2 text-gray-600">{describe(line.original)}</td>
+            <td className="py-2 text-gray-900 font-medium">{describe(line.requested)}</td>
+            <td className="py-2 px-2 text-right">
+              <span className={`px-2 py-0.5 rounded-full text-xs ${KIND_STYLES[line.kind].badge}`}>
+                {KIND_STYLES[line.kind].label}
+              </span>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
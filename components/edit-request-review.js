@@ -0,0 +1,125 @@
+// components/edit-request-review.js
+// Line-by-line review of an edit request: accept, reject or counter each change
+
+'use client'
+
+import { useState } from 'react'
+import { currentProposal, defaultDecisions, diffEditRequest } from '@/lib/edit-requests'
+
+function describe(item) {
+  if (!item) return '-'
+  return `${item.quantity} × ₹${item.unit_price}`
+}
+
+// settleWithNotes sets the default for settling with credit/debit notes
+// instead of rewriting the invoice, e.g. when it has already been paid against
+export default function EditRequestReview({ request, settleWithNotes = false, onSubmit, onCancel }) {
+  const lines = diffEditRequest(request.original_items, currentProposal(request))
+  const [decisions, setDecisions] = useState(() => defaultDecisions(lines))
+  const [asNotes, setAsNotes] = useState(settleWithNotes)
+  const [submitting, setSubmitting] = useState(false)
+
+  const countered = Object.values(decisions).some(decision => decision.action === 'counter')
+
+  function updateDecision(key, field, value) {
+    setDecisions({ ...decisions, [key]: { ...decisions[key], [field]: value } })
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault()
+    setSubmitting(true)
+    await onSubmit(decisions, { asNotes })
+    setSubmitting(false)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 p-4 bg-gray-50 rounded-xl space-y-4">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-500 uppercase">
+            <th className="py-2 text-left font-medium">Item</th>
+            <th className="py-2 text-left font-medium">Original</th>
+            <th className="py-2 text-left font-medium">Requested</th>
+            <th className="py-2 text-left font-medium">Decision</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {lines.filter(line => line.kind !== 'unchanged').map((line) => {
+            const decision = decisions[line.key]
+            return (
+              <tr key={line.key}>
+                <td className="py-2 text-gray-900">{(line.requested || line.original).item_name}</td>
+                <td className="py-2 text-gray-600">{describe(line.original)}</td>
+                <td className="py-2 text-gray-900">{line.requested ? describe(line.requested) : 'Remove'}</td>
+                <td className="py-2">
+                  <div className="flex items-center space-x-2">
+                    <select
+                      value={decision.action}
+                      onChange={(e) => updateDecision(line.key, 'action', e.target.value)}
+                      className="px-2 py-1 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                    >
+                      <option value="accept">Accept</option>
+                      <option value="reject">Reject</option>
+                      <option value="counter">Counter</option>
+                    </select>
+                    {decision.action === 'counter' && (
+                      <>
+                        <input
+                          type="number"
+                          value={decision.quantity}
+                          onChange={(e) => updateDecision(line.key, 'quantity', e.target.value)}
+                          step="0.01"
+                          required
+                          aria-label="Quantity"
+                          className="w-20 px-2 py-1 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                        />
+                        <span className="text-gray-500">×</span>
+                        <input
+                          type="number"
+                          value={decision.unit_price}
+                          onChange={(e) => updateDecision(line.key, 'unit_price', e.target.value)}
+                          step="0.01"
+                          required
+                          aria-label="Unit price"
+                          className="w-24 px-2 py-1 rounded-lg border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                        />
+                      </>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+
+      {!countered && (
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={asNotes}
+            onChange={(e) => setAsNotes(e.target.checked)}
+          />
+          <span>Issue credit/debit notes instead of rewriting the invoice</span>
+        </label>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm text-gray-600 hover:text-gray-900"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={submitting}
+          className="px-4 py-2 bg-gray-900 text-white rounded-lg hover:bg-gray-800 text-sm disabled:opacity-50"
+        >
+          {countered ? 'Send Counter-proposal' : 'Apply Decisions'}
+        </button>
+      </div>
+    </form>
+  )
+}
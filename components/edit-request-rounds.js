@@ -0,0 +1,26 @@
+// components/edit-request-rounds.js
+// Negotiation history of an edit request, one entry per round
+
+import { ROUND_ACTIONS, itemsTotal } from '@/lib/edit-requests'
+
+export default function EditRequestRounds({ rounds }) {
+  if (!rounds || rounds.length < 2) return null
+
+  return (
+    <ol className="space-y-1 text-sm">
+      {rounds.map((round, index) => (
+        <li key={index} className="flex justify-between text-gray-600">
+          <span>
+            {index + 1}. {round.by === 'customer' ? 'Customer' : 'Business'} {ROUND_ACTIONS[round.action]}
+            <span className="text-xs text-gray-500 ml-2">
+              {new Date(round.created_at).toLocaleString()}
+            </span>
+          </span>
+          {round.items && (
+            <span className="text-gray-900">₹{itemsTotal(round.items).toLocaleString()}</span>
+          )}
+        </li>
+      ))}
+    </ol>
+  )
+}
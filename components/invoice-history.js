@@ -0,0 +1,143 @@
+// components/invoice-history.js
+// Modal listing every recorded version of an invoice, with any version viewable in full
+
+'use client'
+
+import { useState, useEffect } from 'react'
+import { createClient } from '@/lib/supabase'
+import { statusLabel } from '@/lib/invoices'
+import {
+  AUDIT_ACTION_LABELS,
+  actorLabel,
+  describeChanges,
+  loadInvoiceHistory,
+  sourceLabel
+} from '@/lib/audit'
+
+export default function InvoiceHistory({ invoice, onClose }) {
+  const supabase = createClient()
+  const [entries, setEntries] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    async function loadHistory() {
+      try {
+        const history = await loadInvoiceHistory(supabase, invoice.id)
+        setEntries(history)
+        setSelectedId(history.length > 0 ? history[history.length - 1].id : null)
+      } catch (error) {
+        alert('Error loading history: ' + error.message)
+      }
+      setLoading(false)
+    }
+
+    loadHistory()
+  }, [supabase, invoice.id])
+
+  const selected = entries.find(entry => entry.id === selectedId)
+  const version = selected?.after || selected?.before
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-4xl w-full p-8 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-medium text-gray-900 mb-6">
+          History: {invoice.invoice_number}
+        </h3>
+
+        {loading ? (
+          <p className="text-sm text-gray-500 text-center py-6">Loading...</p>
+        ) : (
+          <div className="grid grid-cols-5 gap-6 mb-6">
+            {/* Versions */}
+            <ol className="col-span-2 space-y-2">
+              {[...entries].reverse().map((entry) => (
+                <li key={entry.id}>
+                  <button
+                    onClick={() => setSelectedId(entry.id)}
+                    className={`w-full text-left p-3 rounded-lg text-sm ${
+                      entry.id === selectedId ? 'bg-gray-900 text-white' : 'bg-gray-50 hover:bg-gray-100'
+                    }`}
+                  >
+                    <p className="font-medium">{AUDIT_ACTION_LABELS[entry.action]}</p>
+                    <p className={`text-xs ${entry.id === selectedId ? 'text-gray-300' : 'text-gray-500'}`}>
+                      {new Date(entry.created_at).toLocaleString()} · {actorLabel(entry)} · {sourceLabel(entry.source)}
+                    </p>
+                  </button>
+                </li>
+              ))}
+              {entries.length === 0 && (
+                <p className="text-sm text-gray-500 text-center py-6">No history recorded yet</p>
+              )}
+            </ol>
+
+            {/* Selected version */}
+            <div className="col-span-3">
+              {selected && (
+                <>
+                  {describeChanges(selected).length > 0 && (
+                    <div className="mb-4 p-3 bg-yellow-50 rounded-lg text-sm text-gray-900 space-y-1">
+                      {describeChanges(selected).map((change) => (
+                        <p key={change}>{change}</p>
+                      ))}
+                    </div>
+                  )}
+
+                  {selected.action === 'delete' && (
+                    <p className="mb-4 text-sm text-red-600">The invoice was deleted. Its last version is shown below.</p>
+                  )}
+
+                  <div className="flex justify-between text-sm text-gray-600 mb-3">
+                    <span>Due {new Date(version.due_date).toLocaleDateString()}</span>
+                    <span>{statusLabel(version.status)}</span>
+                  </div>
+
+                  <table className="w-full text-sm mb-4">
+                    <thead>
+                      <tr className="text-xs text-gray-500 uppercase">
+                        <th className="py-2 text-left font-medium">Item</th>
+                        <th className="py-2 text-right font-medium">Qty</th>
+                        <th className="py-2 text-right font-medium">Rate</th>
+                        <th className="py-2 text-right font-medium">Amount</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {(version.items || []).map((item, i) => (
+                        <tr key={i}>
+                          <td className="py-2 text-gray-900">{item.item_name}</td>
+                          <td className="py-2 text-right text-gray-600">{item.quantity}</td>
+                          <td className="py-2 text-right text-gray-600">₹{item.unit_price.toLocaleString()}</td>
+                          <td className="py-2 text-right text-gray-900">
+                            ₹{(item.line_total || item.total_price).toLocaleString()}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  <div className="bg-gray-50 p-4 rounded-xl space-y-2 text-sm">
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Total</span>
+                      <span className="text-gray-900">₹{version.total_amount.toLocaleString()}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Paid</span>
+                      <span className="text-gray-900">₹{(version.paid_amount || 0).toLocaleString()}</span>
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
+        <button
+          onClick={onClose}
+          className="w-full px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  )
+}
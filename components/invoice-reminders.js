@@ -0,0 +1,120 @@
+// components/invoice-reminders.js
+// Modal listing the payment reminders sent for an invoice, with a way to send one now
+
+'use client'
+
+import { useState, useEffect } from 'react'
+import { createClient } from '@/lib/supabase'
+import { CHANNELS } from '@/lib/messaging'
+
+export default function InvoiceReminders({ invoice, onClose }) {
+  const supabase = createClient()
+  const [reminders, setReminders] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [channel, setChannel] = useState('sms')
+  const [sending, setSending] = useState(false)
+
+  useEffect(() => {
+    async function loadReminders() {
+      const { data, error } = await supabase
+        .from('invoice_reminders')
+        .select('*')
+        .eq('invoice_id', invoice.id)
+        .order('created_at', { ascending: false })
+
+      if (error) {
+        alert('Error loading reminders: ' + error.message)
+      }
+
+      setReminders(data || [])
+      setLoading(false)
+    }
+
+    loadReminders()
+  }, [supabase, invoice.id])
+
+  async function sendNow() {
+    setSending(true)
+    const response = await fetch(`/invoices/${invoice.id}/remind`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ channel })
+    })
+    const result = await response.json()
+    setSending(false)
+
+    if (!response.ok) {
+      alert('Error sending reminder: ' + result.error)
+      return
+    }
+    if (result.status === 'failed') {
+      alert('Reminder not sent: ' + result.error)
+    }
+
+    // The route returns the logged reminder, sent or failed
+    setReminders(current => [result, ...current])
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-xl max-w-2xl w-full p-8 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-medium text-gray-900 mb-6">
+          Reminders: {invoice.invoice_number}
+        </h3>
+
+        <div className="flex items-center space-x-3 mb-6">
+          <select
+            value={channel}
+            onChange={(e) => setChannel(e.target.value)}
+            className="px-4 py-2 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+          >
+            {Object.entries(CHANNELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={sendNow}
+            disabled={sending}
+            className="px-4 py-2 bg-gray-900 text-white rounded-xl hover:bg-gray-800 text-sm disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Send Reminder Now'}
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500 text-center py-6">Loading...</p>
+        ) : (
+          <ul className="space-y-3 mb-6">
+            {reminders.map((reminder) => (
+              <li key={reminder.id} className="p-4 bg-gray-50 rounded-xl text-sm">
+                <div className="flex justify-between mb-1">
+                  <span className="font-medium text-gray-900">
+                    {CHANNELS[reminder.channel]} to {reminder.recipient || '-'}
+                    <span className="ml-2 text-xs text-gray-500">
+                      {reminder.rule_id ? 'scheduled' : 'sent by hand'} · {reminder.provider}
+                    </span>
+                  </span>
+                  <span className="text-gray-500">{new Date(reminder.created_at).toLocaleString()}</span>
+                </div>
+                <p className="text-gray-700">{reminder.message}</p>
+                {reminder.status === 'failed' && (
+                  <p className="text-red-600 mt-1">Not sent: {reminder.error}</p>
+                )}
+              </li>
+            ))}
+            {reminders.length === 0 && (
+              <li className="text-sm text-gray-500 text-center py-6">No reminders sent yet</li>
+            )}
+          </ul>
+        )}
+
+        <button
+          onClick={onClose}
+          className="w-full px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,35 @@
+// components/phone-input.js
+// Mobile number field with a country picker. The number is kept as typed;
+// normalizePhone turns it and the country into the stored E.164 form.
+
+'use client'
+
+import { PHONE_COUNTRIES } from '@/lib/phone'
+
+export default function PhoneInput({ country, onCountryChange, value, onChange, required }) {
+  return (
+    <div className="flex space-x-2">
+      <select
+        value={country}
+        onChange={(e) => onCountryChange(e.target.value)}
+        aria-label="Country"
+        className="w-28 px-3 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+      >
+        {PHONE_COUNTRIES.map((option) => (
+          <option key={option.code} value={option.code}>
+            {option.code} +{option.callingCode}
+          </option>
+        ))}
+      </select>
+      <input
+        type="tel"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        required={required}
+        autoComplete="tel-national"
+        className="flex-1 min-w-0 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+        placeholder="98765 43210"
+      />
+    </div>
+  )
+}
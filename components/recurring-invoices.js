@@ -0,0 +1,563 @@
+// components/recurring-invoices.js
+// Recurring invoice schedules: set up, pause, edit, and skip upcoming runs
+
+'use client'
+
+import { Fragment, useState, useEffect } from 'react'
+import { createClient } from '@/lib/supabase'
+import { todayISO } from '@/lib/invoices'
+import {
+  INDIAN_STATES,
+  computeInvoiceTotals,
+  supplierState
+} from '@/lib/gst'
+import { catalogueLine } from '@/lib/catalogue'
+import { branchSupplier } from '@/lib/branches'
+import { FREQUENCIES, dayOfMonth, upcomingRunDates } from '@/lib/recurring'
+import CatalogueAutocomplete from '@/components/catalogue-autocomplete'
+
+const STATUS_BADGES = {
+  active: 'bg-green-100 text-green-800',
+  paused: 'bg-yellow-100 text-yellow-800',
+  ended: 'bg-gray-100 text-gray-700'
+}
+
+function emptyLine(gstRate) {
+  return { item_name: '', hsn_sac: '', unit: '', quantity: '', unit_price: '', gst_rate: gstRate }
+}
+
+export default function RecurringInvoices({ business, branches = [], customers, catalogue, gstRates }) {
+  const supabase = createClient()
+  const [templates, setTemplates] = useState([])
+  const [expandedId, setExpandedId] = useState(null)
+  const [form, setForm] = useState(null)
+  const [templatesVersion, setTemplatesVersion] = useState(0)
+
+  // Runs again whenever reloadTemplates bumps templatesVersion
+  useEffect(() => {
+    async function loadTemplates() {
+      const { data, error } = await supabase
+        .from('recurring_invoices')
+        .select(`
+          *,
+          customer:customers(customer_name),
+          runs:recurring_invoice_runs(*, invoice:invoices(invoice_number))
+        `)
+        .eq('business_id', business.id)
+        .order('created_at', { ascending: false })
+
+      if (error) {
+        alert('Error loading recurring invoices: ' + error.message)
+        return
+      }
+
+      setTemplates(data || [])
+    }
+
+    loadTemplates()
+  }, [supabase, business.id, templatesVersion])
+
+  function reloadTemplates() {
+    setTemplatesVersion(version => version + 1)
+  }
+
+  // Recurring invoices go to the customer's branch and are taxed from there
+  function customerSupplyState(customerId) {
+    const bc = customers.find(c => c.customer_id === customerId)
+    return supplierState(branchSupplier(business, branches.find(branch => branch.id === bc?.branch_id)))
+  }
+
+  function templateTotal(template) {
+    return computeInvoiceTotals(template.items, customerSupplyState(template.customer_id), template.place_of_supply).total_amount
+  }
+
+  function openForm(template) {
+    const gstRate = business.gst_number ? 18 : 0
+    setForm(template
+      ? {
+        ...template,
+        end_date: template.end_date || '',
+        place_of_supply: template.place_of_supply || '',
+        items: template.items.map(item => ({ ...emptyLine(gstRate), ...item }))
+      }
+      : {
+        customer_id: '',
+        frequency: 'monthly',
+        start_date: todayISO(),
+        end_date: '',
+        auto_send: true,
+        place_of_supply: supplierState(business),
+        items: [emptyLine(gstRate)]
+      })
+  }
+
+  function updateLine(index, fields) {
+    const items = [...form.items]
+    items[index] = { ...items[index], ...fields }
+    setForm({ ...form, items })
+  }
+
+  async function handleSave(e) {
+    e.preventDefault()
+
+    const fields = {
+      frequency: form.frequency,
+      end_date: form.end_date || null,
+      auto_send: form.auto_send,
+      place_of_supply: form.place_of_supply || null,
+      items: form.items.map(item => ({
+        ...item,
+        quantity: parseFloat(item.quantity),
+        unit_price: parseFloat(item.unit_price)
+      }))
+    }
+
+    const { error } = form.id
+      ? await supabase
+        .from('recurring_invoices')
+        .update({
+          ...fields,
+          next_run_date: form.next_run_date,
+          anchor_day: dayOfMonth(form.next_run_date)
+        })
+        .eq('id', form.id)
+      : await supabase
+        .from('recurring_invoices')
+        .insert({
+          ...fields,
+          business_id: business.id,
+          customer_id: form.customer_id,
+          start_date: form.start_date
+        })
+
+    if (error) {
+      alert('Error saving recurring invoice: ' + error.message)
+      return
+    }
+
+    setForm(null)
+    reloadTemplates()
+  }
+
+  async function setStatus(template, status) {
+    if (status === 'ended' && !confirm('End this schedule? No more invoices will be created from it.')) {
+      return
+    }
+
+    const { error } = await supabase
+      .from('recurring_invoices')
+      .update({ status })
+      .eq('id', template.id)
+
+    if (error) {
+      alert('Error updating recurring invoice: ' + error.message)
+      return
+    }
+
+    reloadTemplates()
+  }
+
+  // Skip an upcoming run, or undo the skip
+  async function toggleSkip(template, runDate, skipped) {
+    const { error } = skipped
+      ? await supabase
+        .from('recurring_invoice_runs')
+        .delete()
+        .eq('recurring_invoice_id', template.id)
+        .eq('run_date', runDate)
+      : await supabase
+        .from('recurring_invoice_runs')
+        .insert({ recurring_invoice_id: template.id, run_date: runDate, status: 'skipped' })
+
+    if (error) {
+      alert('Error updating run: ' + error.message)
+      return
+    }
+
+    reloadTemplates()
+  }
+
+  const formTotals = form
+    ? computeInvoiceTotals(form.items, customerSupplyState(form.customer_id), form.place_of_supply)
+    : null
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-xl font-medium text-gray-900">Recurring Invoices</h2>
+        <button
+          onClick={() => openForm(null)}
+          className="px-6 py-2 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+        >
+          New Schedule
+        </button>
+      </div>
+
+      <div className="bg-white rounded-2xl shadow-sm overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b border-gray-200">
+            <tr>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                Customer
+              </th>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                Amount
+              </th>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                Frequency
+              </th>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                Next Run
+              </th>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                Status
+              </th>
+              <th className="px-6 py-4 text-left text-xs font-medium text-gray-500 uppercase">
+                Actions
+              </th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {templates.map((template) => {
+              const skipped = new Set(
+                template.runs.filter(run => run.status === 'skipped').map(run => run.run_date)
+              )
+              const pastRuns = template.runs
+                .filter(run => run.status !== 'skipped' || run.run_date < template.next_run_date)
+                .sort((a, b) => b.run_date.localeCompare(a.run_date))
+
+              return (
+                <Fragment key={template.id}>
+                  <tr className="hover:bg-gray-50">
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">
+                      {template.customer?.customer_name}
+                      <p className="text-xs text-gray-500 font-normal">
+                        {template.items.map(item => item.item_name).join(', ')}
+                      </p>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      ₹{templateTotal(template).toLocaleString()}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {FREQUENCIES[template.frequency]}
+                      <p className="text-xs text-gray-500">
+                        {template.auto_send ? 'Sent automatically' : 'Saved as draft'}
+                      </p>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {template.status === 'ended' ? '-' : new Date(template.next_run_date).toLocaleDateString()}
+                      {template.end_date && (
+                        <p className="text-xs text-gray-500">
+                          Ends {new Date(template.end_date).toLocaleDateString()}
+                        </p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm">
+                      <span className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${STATUS_BADGES[template.status]}`}>
+                        {template.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 text-sm space-x-4 whitespace-nowrap">
+                      <button
+                        onClick={() => setExpandedId(expandedId === template.id ? null : template.id)}
+                        className="text-gray-600 hover:text-gray-900"
+                      >
+                        {expandedId === template.id ? 'Hide Runs' : 'Runs'}
+                      </button>
+                      {template.status !== 'ended' && (
+                        <>
+                          <button
+                            onClick={() => openForm(template)}
+                            className="text-gray-900 hover:text-gray-700 font-medium"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => setStatus(template, template.status === 'active' ? 'paused' : 'active')}
+                            className="text-gray-600 hover:text-gray-900"
+                          >
+                            {template.status === 'active' ? 'Pause' : 'Resume'}
+                          </button>
+                          <button
+                            onClick={() => setStatus(template, 'ended')}
+                            className="text-red-600 hover:text-red-700"
+                          >
+                            End
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                  {expandedId === template.id && (
+                    <tr>
+                      <td colSpan={6} className="px-6 py-4 bg-gray-50">
+                        <div className="grid grid-cols-2 gap-8 text-sm">
+                          <div>
+                            <h4 className="font-medium text-gray-900 mb-2">Upcoming</h4>
+                            {template.status === 'ended' ? (
+                              <p className="text-gray-500">This schedule has ended.</p>
+                            ) : (
+                              <ul className="space-y-2">
+                                {upcomingRunDates(template).map((date) => (
+                                  <li key={date} className="flex justify-between">
+                                    <span className={skipped.has(date) ? 'text-gray-400 line-through' : 'text-gray-900'}>
+                                      {new Date(date).toLocaleDateString()}
+                                    </span>
+                                    {date >= todayISO() && (
+                                      <button
+                                        onClick={() => toggleSkip(template, date, skipped.has(date))}
+                                        className="text-gray-600 hover:text-gray-900"
+                                      >
+                                        {skipped.has(date) ? 'Undo Skip' : 'Skip'}
+                                      </button>
+                                    )}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                            {template.status === 'paused' && (
+                              <p className="text-xs text-gray-500 mt-2">
+                                Paused: nothing is created until the schedule is resumed.
+                              </p>
+                            )}
+                          </div>
+                          <div>
+                            <h4 className="font-medium text-gray-900 mb-2">Past Runs</h4>
+                            <ul className="space-y-2">
+                              {pastRuns.map((run) => (
+                                <li key={run.id} className="flex justify-between">
+                                  <span className="text-gray-600">{new Date(run.run_date).toLocaleDateString()}</span>
+                                  {run.status === 'created' && (
+                                    <a
+                                      href={`/invoices/${run.invoice_id}`}
+                                      target="_blank"
+                                      className="text-gray-900 hover:text-gray-700"
+                                    >
+                                      {run.invoice?.invoice_number || 'Draft'}
+                                    </a>
+                                  )}
+                                  {run.status === 'skipped' && <span className="text-gray-500">Skipped</span>}
+                                  {run.status === 'failed' && (
+                                    <span className="text-red-600" title={run.error}>Failed: {run.error}</span>
+                                  )}
+                                </li>
+                              ))}
+                              {pastRuns.length === 0 && (
+                                <li className="text-gray-500">No runs yet</li>
+                              )}
+                            </ul>
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              )
+            })}
+          </tbody>
+        </table>
+        {templates.length === 0 && (
+          <div className="text-center py-12 text-gray-500">
+            No recurring invoices yet
+          </div>
+        )}
+      </div>
+
+      {/* New / Edit Schedule Modal */}
+      {form && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-xl max-w-3xl w-full p-8 max-h-[90vh] overflow-y-auto">
+            <h3 className="text-xl font-medium text-gray-900 mb-6">
+              {form.id ? `Edit Schedule for ${form.customer?.customer_name}` : 'New Recurring Invoice'}
+            </h3>
+            <form onSubmit={handleSave} className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                {!form.id && (
+                  <div className="col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Customer *
+                    </label>
+                    <select
+                      value={form.customer_id}
+                      onChange={(e) => {
+                        const bc = customers.find(c => c.customer_id === e.target.value)
+                        setForm({
+                          ...form,
+                          customer_id: e.target.value,
+                          place_of_supply: bc?.customer.state_code || customerSupplyState(e.target.value)
+                        })
+                      }}
+                      required
+                      className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                    >
+                      <option value="">Select customer</option>
+                      {customers.map((bc) => (
+                        <option key={bc.customer_id} value={bc.customer_id}>
+                          {bc.customer?.customer_name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Frequency *
+                  </label>
+                  <select
+                    value={form.frequency}
+                    onChange={(e) => setForm({ ...form, frequency: e.target.value })}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  >
+                    {Object.entries(FREQUENCIES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Place of Supply
+                  </label>
+                  <select
+                    value={form.place_of_supply}
+                    onChange={(e) => setForm({ ...form, place_of_supply: e.target.value })}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  >
+                    <option value="">Not specified</option>
+                    {INDIAN_STATES.map((state) => (
+                      <option key={state.code} value={state.code}>
+                        {state.code} - {state.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {form.id ? 'Next Run *' : 'First Run *'}
+                  </label>
+                  <input
+                    type="date"
+                    value={form.id ? form.next_run_date : form.start_date}
+                    onChange={(e) => setForm({ ...form, [form.id ? 'next_run_date' : 'start_date']: e.target.value })}
+                    min={todayISO()}
+                    required
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    End Date
+                  </label>
+                  <input
+                    type="date"
+                    value={form.end_date}
+                    onChange={(e) => setForm({ ...form, end_date: e.target.value })}
+                    min={form.start_date}
+                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  />
+                </div>
+                <label className="col-span-2 flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.auto_send}
+                    onChange={(e) => setForm({ ...form, auto_send: e.target.checked })}
+                  />
+                  <span>Send each invoice to the customer automatically (otherwise it is saved as a draft)</span>
+                </label>
+              </div>
+
+              <div>
+                <div className="flex justify-between items-center mb-3">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Items *
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => setForm({ ...form, items: [...form.items, emptyLine(business.gst_number ? 18 : 0)] })}
+                    className="text-sm text-gray-900 hover:text-gray-700 font-medium"
+                  >
+                    + Add Item
+                  </button>
+                </div>
+                <div className="space-y-3">
+                  {form.items.map((item, index) => (
+                    <div key={index} className="flex space-x-3">
+                      <CatalogueAutocomplete
+                        catalogue={catalogue}
+                        customerId={form.customer_id}
+                        placeholder="Item name"
+                        value={item.item_name}
+                        onChange={(value) => updateLine(index, { item_name: value })}
+                        onSelect={(catalogueItem) => updateLine(index, catalogueLine(catalogueItem, form.customer_id))}
+                        required
+                        className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      />
+                      <input
+                        type="number"
+                        placeholder={item.unit ? `Qty (${item.unit})` : 'Qty'}
+                        value={item.quantity}
+                        onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                        required
+                        step="0.01"
+                        className="w-24 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      />
+                      <input
+                        type="number"
+                        placeholder="Price"
+                        value={item.unit_price}
+                        onChange={(e) => updateLine(index, { unit_price: e.target.value })}
+                        required
+                        step="0.01"
+                        className="w-32 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      />
+                      <select
+                        value={item.gst_rate}
+                        onChange={(e) => updateLine(index, { gst_rate: parseFloat(e.target.value) })}
+                        className="w-24 px-3 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                      >
+                        {gstRates.map((rate) => (
+                          <option key={rate} value={rate}>{rate}%</option>
+                        ))}
+                      </select>
+                      {form.items.length > 1 && (
+                        <button
+                          type="button"
+                          onClick={() => setForm({ ...form, items: form.items.filter((_, i) => i !== index) })}
+                          className="px-4 py-3 text-red-600 hover:text-red-700"
+                        >
+                          ×
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="bg-gray-50 p-4 rounded-xl flex justify-between items-center">
+                <span className="font-medium text-gray-700">Each invoice:</span>
+                <span className="text-2xl font-medium text-gray-900">
+                  ₹{formTotals.total_amount.toLocaleString()}
+                </span>
+              </div>
+
+              <div className="flex space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setForm(null)}
+                  className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+                >
+                  Save Schedule
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
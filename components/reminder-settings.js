@@ -0,0 +1,327 @@
+// components/reminder-settings.js
+// Settings card for automatic payment reminders: on/off, and the rules for
+// when, how and what to send
+
+'use client'
+
+import { useState, useEffect } from 'react'
+import { createClient } from '@/lib/supabase'
+import { CHANNELS } from '@/lib/messaging'
+import {
+  REMINDER_PLACEHOLDERS,
+  SUGGESTED_REMINDER_RULES,
+  describeRule,
+  renderReminder
+} from '@/lib/reminders'
+
+// What the preview fills the placeholders with
+function sampleInvoice(business) {
+  const due = new Date()
+  due.setDate(due.getDate() - 7)
+  return {
+    id: 'sample',
+    invoice_number: 'INV/2026-27/0042',
+    due_date: due.toISOString().split('T')[0],
+    status: 'overdue',
+    total_amount: 11800,
+    paid_amount: 1800,
+    business: { business_name: business.business_name },
+    customer: { customer_name: 'Ravi Traders' }
+  }
+}
+
+export default function ReminderSettings({ business, onBusinessChange }) {
+  const supabase = createClient()
+  const [rules, setRules] = useState([])
+  const [ruleForm, setRuleForm] = useState(null)
+  const [rulesVersion, setRulesVersion] = useState(0)
+
+  // Runs again whenever reloadRules bumps rulesVersion
+  useEffect(() => {
+    async function loadRules() {
+      const { data, error } = await supabase
+        .from('reminder_rules')
+        .select('*')
+        .eq('business_id', business.id)
+        .order('days_from_due')
+
+      if (error) {
+        alert('Error loading reminder rules: ' + error.message)
+        return
+      }
+
+      setRules(data || [])
+    }
+
+    loadRules()
+  }, [supabase, business.id, rulesVersion])
+
+  function reloadRules() {
+    setRulesVersion(version => version + 1)
+  }
+
+  async function toggleEnabled() {
+    const { data, error } = await supabase
+      .from('businesses')
+      .update({ reminders_enabled: !business.reminders_enabled })
+      .eq('id', business.id)
+      .select()
+      .single()
+
+    if (error) {
+      alert('Error saving reminder settings: ' + error.message)
+      return
+    }
+
+    onBusinessChange(data)
+  }
+
+  async function addSuggestedRules() {
+    const { error } = await supabase
+      .from('reminder_rules')
+      .insert(SUGGESTED_REMINDER_RULES.map(rule => ({ ...rule, business_id: business.id })))
+
+    if (error) {
+      alert('Error adding reminder rules: ' + error.message)
+      return
+    }
+
+    reloadRules()
+  }
+
+  // The form asks "how many days" and "before / on / after" separately
+  function openRuleForm(rule) {
+    const days = rule ? rule.days_from_due : 3
+    setRuleForm({
+      id: rule?.id,
+      when: days < 0 ? 'before' : days === 0 ? 'on' : 'after',
+      days: String(Math.abs(days) || 3),
+      repeat: rule?.repeat_every_days ? String(rule.repeat_every_days) : '',
+      channel: rule?.channel || 'sms',
+      template: rule?.template || SUGGESTED_REMINDER_RULES[0].template,
+      active: rule ? rule.active : true
+    })
+  }
+
+  function formRule(form) {
+    const days = parseInt(form.days, 10) || 0
+    return {
+      days_from_due: form.when === 'on' ? 0 : form.when === 'before' ? -days : days,
+      repeat_every_days: parseInt(form.repeat, 10) || null,
+      channel: form.channel,
+      template: form.template.trim(),
+      active: form.active
+    }
+  }
+
+  async function handleSaveRule(e) {
+    e.preventDefault()
+
+    const fields = formRule(ruleForm)
+    const { error } = ruleForm.id
+      ? await supabase.from('reminder_rules').update(fields).eq('id', ruleForm.id)
+      : await supabase.from('reminder_rules').insert({ ...fields, business_id: business.id })
+
+    if (error) {
+      alert('Error saving reminder rule: ' + error.message)
+      return
+    }
+
+    setRuleForm(null)
+    reloadRules()
+  }
+
+  async function deleteRule(rule) {
+    if (!confirm(`Delete the reminder sent ${describeRule(rule).toLowerCase()}?`)) return
+
+    const { error } = await supabase.from('reminder_rules').delete().eq('id', rule.id)
+
+    if (error) {
+      alert('Error deleting reminder rule: ' + error.message)
+      return
+    }
+
+    reloadRules()
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm p-8 max-w-2xl mt-8">
+      <div className="flex justify-between items-start mb-6">
+        <div>
+          <h3 className="font-medium text-gray-900 mb-1">Payment Reminders</h3>
+          <p className="text-sm text-gray-600">
+            Reminders go out each morning for unpaid invoices, by the rules below.
+            Every reminder is logged on its invoice.
+          </p>
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-700 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={Boolean(business.reminders_enabled)}
+            onChange={toggleEnabled}
+          />
+          <span>Send reminders</span>
+        </label>
+      </div>
+
+      <ul className="divide-y divide-gray-200 mb-4">
+        {rules.map((rule) => (
+          <li key={rule.id} className={`py-3 flex justify-between items-start ${rule.active ? '' : 'opacity-50'}`}>
+            <div className="text-sm">
+              <p className="font-medium text-gray-900">
+                {describeRule(rule)} · {CHANNELS[rule.channel]}
+              </p>
+              <p className="text-gray-600 mt-1">{rule.template}</p>
+            </div>
+            <div className="text-sm space-x-3 whitespace-nowrap ml-4">
+              <button
+                onClick={() => openRuleForm(rule)}
+                className="text-gray-900 hover:text-gray-700 font-medium"
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => deleteRule(rule)}
+                className="text-red-600 hover:text-red-700"
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+        {rules.length === 0 && (
+          <li className="py-3 text-sm text-gray-500">
+            No reminder rules yet.{' '}
+            <button onClick={addSuggestedRules} className="text-gray-900 font-medium hover:text-gray-700">
+              Use the suggested schedule
+            </button>
+            {' '}(3 days before, on the due date, then weekly while overdue).
+          </li>
+        )}
+      </ul>
+
+      <button
+        onClick={() => openRuleForm(null)}
+        className="text-sm text-gray-900 hover:text-gray-700 font-medium"
+      >
+        + Add Rule
+      </button>
+
+      {/* Reminder Rule Modal */}
+      {ruleForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-2xl shadow-xl max-w-lg w-full p-8 max-h-[90vh] overflow-y-auto">
+            <h3 className="text-xl font-medium text-gray-900 mb-6">
+              {ruleForm.id ? 'Edit Reminder' : 'Add Reminder'}
+            </h3>
+            <form onSubmit={handleSaveRule} className="space-y-4">
+              <div className="flex items-center space-x-3">
+                {ruleForm.when !== 'on' && (
+                  <input
+                    type="number"
+                    value={ruleForm.days}
+                    onChange={(e) => setRuleForm({ ...ruleForm, days: e.target.value })}
+                    min="1"
+                    required
+                    aria-label="Days"
+                    className="w-20 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                  />
+                )}
+                <select
+                  value={ruleForm.when}
+                  onChange={(e) => setRuleForm({ ...ruleForm, when: e.target.value })}
+                  className="flex-1 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                >
+                  <option value="before">days before the due date</option>
+                  <option value="on">on the due date</option>
+                  <option value="after">days after the due date</option>
+                </select>
+              </div>
+              <div className="flex items-center space-x-3 text-sm text-gray-700">
+                <span>Then repeat every</span>
+                <input
+                  type="number"
+                  value={ruleForm.repeat}
+                  onChange={(e) => setRuleForm({ ...ruleForm, repeat: e.target.value })}
+                  min="1"
+                  placeholder="-"
+                  aria-label="Repeat every (days)"
+                  className="w-20 px-4 py-2 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                />
+                <span>days until paid (leave blank to send once)</span>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Send by
+                </label>
+                <select
+                  value={ruleForm.channel}
+                  onChange={(e) => setRuleForm({ ...ruleForm, channel: e.target.value })}
+                  className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                >
+                  {Object.entries(CHANNELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Message *
+                </label>
+                <textarea
+                  value={ruleForm.template}
+                  onChange={(e) => setRuleForm({ ...ruleForm, template: e.target.value })}
+                  required
+                  rows={4}
+                  className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+                />
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {Object.entries(REMINDER_PLACEHOLDERS).map(([key, label]) => (
+                    <button
+                      key={key}
+                      type="button"
+                      title={label}
+                      onClick={() => setRuleForm({ ...ruleForm, template: `${ruleForm.template} {${key}}` })}
+                      className="px-2 py-1 rounded-lg bg-gray-100 text-xs text-gray-700 hover:bg-gray-200"
+                    >
+                      {`{${key}}`}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-xl text-sm">
+                <p className="text-gray-600 mb-1">Preview</p>
+                <p className="text-gray-900">
+                  {renderReminder(ruleForm.template, sampleInvoice(business), { baseUrl: window.location.origin })}
+                </p>
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={ruleForm.active}
+                  onChange={(e) => setRuleForm({ ...ruleForm, active: e.target.checked })}
+                />
+                <span>Active</span>
+              </label>
+              <div className="flex space-x-3">
+                <button
+                  type="button"
+                  onClick={() => setRuleForm(null)}
+                  className="flex-1 px-4 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800"
+                >
+                  Save Reminder
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
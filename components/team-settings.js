@@ -0,0 +1,213 @@
+// components/team-settings.js
+// Settings card for the business team: who is on it, their roles, and
+// invitations still waiting to be accepted
+
+'use client'
+
+import { useState, useEffect } from 'react'
+import { createClient } from '@/lib/supabase'
+import { ROLE_SUMMARIES, TEAM_ROLES, invitationError } from '@/lib/team'
+
+export default function TeamSettings({ business, member }) {
+  const supabase = createClient()
+  const [members, setMembers] = useState([])
+  const [invitations, setInvitations] = useState([])
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'sales' })
+  const [inviting, setInviting] = useState(false)
+  const [teamVersion, setTeamVersion] = useState(0)
+
+  // Runs again whenever reloadTeam bumps teamVersion
+  useEffect(() => {
+    async function loadTeam() {
+      const [{ data: membersData, error }, { data: invitationsData }] = await Promise.all([
+        supabase
+          .from('business_members')
+          .select('*')
+          .eq('business_id', business.id)
+          .order('created_at'),
+        supabase
+          .from('business_invitations')
+          .select('*')
+          .eq('business_id', business.id)
+          .is('accepted_at', null)
+          .order('created_at')
+      ])
+
+      if (error) {
+        alert('Error loading team: ' + error.message)
+        return
+      }
+
+      setMembers(membersData || [])
+      setInvitations(invitationsData || [])
+    }
+
+    loadTeam()
+  }, [supabase, business.id, teamVersion])
+
+  function reloadTeam() {
+    setTeamVersion(version => version + 1)
+  }
+
+  async function handleInvite(e) {
+    e.preventDefault()
+
+    const problem = invitationError(inviteForm.email, inviteForm.role, members)
+    if (problem) {
+      alert(problem)
+      return
+    }
+
+    setInviting(true)
+    const response = await fetch('/api/team/invite', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...inviteForm, businessId: business.id })
+    })
+    const result = await response.json()
+    setInviting(false)
+
+    if (!response.ok) {
+      alert('Error sending invitation: ' + result.error)
+      return
+    }
+
+    setInviteForm({ email: '', role: 'sales' })
+    reloadTeam()
+  }
+
+  async function changeRole(teamMember, role) {
+    const { error } = await supabase
+      .from('business_members')
+      .update({ role })
+      .eq('id', teamMember.id)
+
+    if (error) {
+      alert('Error changing role: ' + error.message)
+      return
+    }
+
+    reloadTeam()
+  }
+
+  async function removeMember(teamMember) {
+    if (!confirm(`Remove ${teamMember.display_name || teamMember.email} from the team?`)) return
+
+    const { error } = await supabase
+      .from('business_members')
+      .delete()
+      .eq('id', teamMember.id)
+
+    if (error) {
+      alert('Error removing team member: ' + error.message)
+      return
+    }
+
+    reloadTeam()
+  }
+
+  async function revokeInvitation(invitation) {
+    const { error } = await supabase
+      .from('business_invitations')
+      .delete()
+      .eq('id', invitation.id)
+
+    if (error) {
+      alert('Error revoking invitation: ' + error.message)
+      return
+    }
+
+    reloadTeam()
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm p-8 max-w-2xl mt-8">
+      <h3 className="font-medium text-gray-900 mb-1">Team</h3>
+      <p className="text-sm text-gray-600 mb-6">
+        Everyone on the team signs in with their own account, and the invoice
+        history shows who made each change.
+      </p>
+
+      <ul className="divide-y divide-gray-200 mb-6">
+        {members.map((teamMember) => (
+          <li key={teamMember.id} className="py-3 flex justify-between items-center">
+            <div className="text-sm">
+              <p className="font-medium text-gray-900">
+                {teamMember.display_name || teamMember.email}
+                {teamMember.user_id === member.user_id && <span className="text-gray-500 font-normal"> (you)</span>}
+              </p>
+              <p className="text-gray-600">{teamMember.email}</p>
+            </div>
+            <div className="text-sm space-x-3 whitespace-nowrap ml-4">
+              <select
+                value={teamMember.role}
+                onChange={(e) => changeRole(teamMember, e.target.value)}
+                aria-label="Role"
+                className="px-3 py-2 rounded-xl border border-gray-200 text-sm focus:outline-none focus:ring-2 focus:ring-gray-900"
+              >
+                {Object.entries(TEAM_ROLES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {teamMember.user_id !== member.user_id && (
+                <button
+                  onClick={() => removeMember(teamMember)}
+                  className="text-red-600 hover:text-red-700"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+        {invitations.map((invitation) => (
+          <li key={invitation.id} className="py-3 flex justify-between items-center">
+            <div className="text-sm">
+              <p className="font-medium text-gray-900">{invitation.email}</p>
+              <p className="text-gray-600">
+                Invited as {TEAM_ROLES[invitation.role]} on {new Date(invitation.created_at).toLocaleDateString()}
+              </p>
+            </div>
+            <button
+              onClick={() => revokeInvitation(invitation)}
+              className="text-sm text-red-600 hover:text-red-700 ml-4"
+            >
+              Revoke
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={handleInvite} className="space-y-4">
+        <div className="flex space-x-3">
+          <input
+            type="email"
+            value={inviteForm.email}
+            onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+            required
+            placeholder="Email address"
+            className="flex-1 px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+          />
+          <select
+            value={inviteForm.role}
+            onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+            aria-label="Role"
+            className="px-4 py-3 rounded-xl border border-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-900"
+          >
+            {Object.entries(TEAM_ROLES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <p className="text-xs text-gray-500">{ROLE_SUMMARIES[inviteForm.role]}</p>
+        <button
+          type="submit"
+          disabled={inviting}
+          className="px-6 py-3 bg-gray-900 text-white rounded-xl hover:bg-gray-800 disabled:opacity-50"
+        >
+          {inviting ? 'Sending...' : 'Send Invitation'}
+        </button>
+      </form>
+    </div>
+  )
+}
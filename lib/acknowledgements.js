@@ -0,0 +1,78 @@
+// lib/acknowledgements.js
+// Customer acceptance of invoices - status display and the auto-accept job
+
+import { isBilled, todayISO } from './invoices'
+
+export const ACKNOWLEDGEMENT_FILTERS = {
+  all: 'All invoices',
+  unacknowledged: 'Not yet accepted',
+  acknowledged: 'Accepted'
+}
+
+export function isAcknowledged(invoice) {
+  return Boolean(invoice.acknowledged_at)
+}
+
+export function canAcknowledge(invoice) {
+  return isBilled(invoice) && !isAcknowledged(invoice)
+}
+
+export function matchesAcknowledgementFilter(invoice, filter) {
+  if (filter === 'unacknowledged') return canAcknowledge(invoice)
+  if (filter === 'acknowledged') return isAcknowledged(invoice)
+  return true
+}
+
+// Date the job will accept an invoice on, if the business has a window set
+export function autoAcceptDate(invoice, autoAcceptDays) {
+  if (!autoAcceptDays || !canAcknowledge(invoice)) return null
+  const date = new Date(invoice.invoice_date)
+  date.setDate(date.getDate() + autoAcceptDays)
+  return date.toISOString().split('T')[0]
+}
+
+// Short description of the browser an invoice was accepted from,
+// e.g. "Chrome on Android"
+export function describeDevice(device) {
+  const agent = device?.user_agent || ''
+  if (!agent) return ''
+
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(agent))?.[0] || 'Browser'
+
+  const system = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(agent))?.[0]
+
+  return system ? `${browser} on ${system}` : browser
+}
+
+export function acknowledgementLabel(invoice) {
+  if (!isAcknowledged(invoice)) return 'Not accepted'
+  const date = new Date(invoice.acknowledged_at).toLocaleDateString()
+  return invoice.acknowledgement_method === 'auto'
+    ? `Auto-accepted ${date}`
+    : `Accepted ${date}`
+}
+
+// Accept invoices left without action past their business's window.
+// Run by the scheduled job with the service-role client.
+export async function autoAcceptInvoices(supabase, today = todayISO()) {
+  const { data, error } = await supabase.rpc('auto_accept_invoices', { p_today: today })
+
+  if (error) throw error
+
+  return {
+    accepted: data.length,
+    invoices: data.map(invoice => invoice.invoice_number)
+  }
+}
@@ -0,0 +1,48 @@
+// lib/ageing.js
+// Receivables ageing - outstanding balances bucketed by days past due
+
+import { invoiceBalance, roundMoney, todayISO } from './invoices'
+
+export const AGEING_BUCKETS = [
+  { key: 'current', label: 'Current', max: 0 },
+  { key: 'days_1_30', label: '1–30', max: 30 },
+  { key: 'days_31_60', label: '31–60', max: 60 },
+  { key: 'days_61_90', label: '61–90', max: 90 },
+  { key: 'days_90_plus', label: '90+', max: Infinity }
+]
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+// Whole days between the due date and today; zero or negative means not yet due
+export function daysPastDue(dueDate, today = todayISO()) {
+  return Math.round((Date.parse(today) - Date.parse(dueDate)) / MS_PER_DAY)
+}
+
+export function ageingBucket(days) {
+  return AGEING_BUCKETS.find(bucket => days <= bucket.max).key
+}
+
+// Totals across the per-customer rows of receivables_ageing
+export function ageingTotals(rows) {
+  const totals = Object.fromEntries([...AGEING_BUCKETS.map(bucket => bucket.key), 'total'].map(key => [key, 0]))
+
+  for (const row of rows) {
+    for (const key of Object.keys(totals)) {
+      totals[key] = roundMoney(totals[key] + Number(row[key]))
+    }
+  }
+
+  return totals
+}
+
+// A customer's outstanding invoices with their balance, days past due and
+// bucket, most overdue first
+export function ageingInvoices(invoices, today = todayISO()) {
+  return invoices
+    .map((invoice) => {
+      const days = daysPastDue(invoice.due_date, today)
+      return { ...invoice, balance: invoiceBalance(invoice), days, bucket: ageingBucket(days) }
+    })
+    .filter(invoice => invoice.balance > 0)
+    .sort((a, b) => b.days - a.days)
+}
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest'
+import { ageingBucket, ageingInvoices, ageingTotals, daysPastDue } from './ageing'
+
+describe('ageingBucket', () => {
+  it('puts each day count in its column', () => {
+    expect(ageingBucket(-5)).toBe('current')
+    expect(ageingBucket(0)).toBe('current')
+    expect(ageingBucket(1)).toBe('days_1_30')
+    expect(ageingBucket(30)).toBe('days_1_30')
+    expect(ageingBucket(31)).toBe('days_31_60')
+    expect(ageingBucket(90)).toBe('days_61_90')
+    expect(ageingBucket(91)).toBe('days_90_plus')
+  })
+})
+
+describe('daysPastDue', () => {
+  it('counts whole days from the due date', () => {
+    expect(daysPastDue('2026-10-01', '2026-10-19')).toBe(18)
+    expect(daysPastDue('2026-10-25', '2026-10-19')).toBe(-6)
+  })
+})
+
+describe('ageingTotals', () => {
+  it('adds up the customer rows', () => {
+    const rows = [
+      { current: '100.10', days_1_30: '0', days_31_60: '50', days_61_90: '0', days_90_plus: '0', total: '150.10' },
+      { current: '0.20', days_1_30: '25', days_31_60: '0', days_61_90: '0', days_90_plus: '300', total: '325.20' }
+    ]
+
+    expect(ageingTotals(rows)).toEqual({
+      current: 100.3,
+      days_1_30: 25,
+      days_31_60: 50,
+      days_61_90: 0,
+      days_90_plus: 300,
+      total: 475.3
+    })
+  })
+
+  it('is all zeroes with nothing outstanding', () => {
+    expect(ageingTotals([]).total).toBe(0)
+  })
+})
+
+describe('ageingInvoices', () => {
+  const invoice = { total_amount: 1000, paid_amount: 0, credited_amount: 0, debited_amount: 0 }
+
+  it('buckets open balances, most overdue first', () => {
+    const invoices = ageingInvoices([
+      { ...invoice, id: 'a', due_date: '2026-10-10', paid_amount: 400 },
+      { ...invoice, id: 'b', due_date: '2026-06-01' },
+      { ...invoice, id: 'c', due_date: '2026-10-30' }
+    ], '2026-10-19')
+
+    expect(invoices.map(({ id, balance, days, bucket }) => ({ id, balance, days, bucket }))).toEqual([
+      { id: 'b', balance: 1000, days: 140, bucket: 'days_90_plus' },
+      { id: 'a', balance: 600, days: 9, bucket: 'days_1_30' },
+      { id: 'c', balance: 1000, days: -11, bucket: 'current' }
+    ])
+  })
+
+  it('leaves out invoices with nothing left to pay', () => {
+    expect(ageingInvoices([
+      { ...invoice, due_date: '2026-10-01', paid_amount: 800, credited_amount: 200 }
+    ], '2026-10-19')).toEqual([])
+  })
+})
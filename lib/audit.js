@@ -0,0 +1,83 @@
+// lib/audit.js
+// Invoice history - reads the append-only invoice_audit_log
+
+export const AUDIT_ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  payment: 'Payment',
+  status_change: 'Status changed',
+  edit_approved: 'Edit approved',
+  credit_note: 'Credit note',
+  debit_note: 'Debit note',
+  acknowledged: 'Accepted',
+  delete: 'Deleted'
+}
+
+export const AUDIT_ACTOR_LABELS = {
+  business: 'Business',
+  customer: 'Customer',
+  system: 'System'
+}
+
+const FIELD_LABELS = {
+  invoice_number: 'Invoice number',
+  invoice_date: 'Invoice date',
+  due_date: 'Due date',
+  place_of_supply: 'Place of supply',
+  status: 'Status',
+  status_reason: 'Reason',
+  taxable_amount: 'Taxable value',
+  cgst_amount: 'CGST',
+  sgst_amount: 'SGST',
+  igst_amount: 'IGST',
+  tax_amount: 'Tax',
+  total_amount: 'Total',
+  credited_amount: 'Credit notes',
+  debited_amount: 'Debit notes',
+  paid_amount: 'Paid',
+  credit_override_reason: 'Credit override reason',
+  acknowledged_at: 'Accepted',
+  items: 'Items',
+  payments: 'Payments'
+}
+
+export async function loadInvoiceHistory(supabase, invoiceId) {
+  const { data, error } = await supabase
+    .from('invoice_audit_log')
+    .select('*')
+    .eq('invoice_id', invoiceId)
+    .order('id', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+// Human-readable changes for one version. Items and payments are listed by
+// count; the version itself shows the full lines.
+export function describeChanges(entry) {
+  if (entry.action === 'create' || entry.action === 'delete') return []
+
+  return Object.entries(entry.changes || {})
+    .filter(([field]) => FIELD_LABELS[field])
+    .map(([field, { before, after }]) => {
+      if (field === 'items' || field === 'payments') {
+        return `${FIELD_LABELS[field]}: ${(before || []).length} → ${(after || []).length}`
+      }
+      return `${FIELD_LABELS[field]}: ${before ?? '-'} → ${after ?? '-'}`
+    })
+}
+
+// Where a change came from, e.g. an approved edit request or the overdue job
+// Who made a change: the team member by name where one was recorded
+export function actorLabel(entry) {
+  const role = AUDIT_ACTOR_LABELS[entry.actor_role]
+  return entry.actor_name ? `${entry.actor_name} (${role})` : role
+}
+
+export function sourceLabel(source) {
+  if (source.startsWith('edit_request:')) return 'Edit request'
+  if (source === 'system') return 'Scheduled job'
+  if (source === 'customer_merge') return 'Customer records merged'
+  if (source === 'backfill') return 'Existing record'
+  return 'Dashboard'
+}
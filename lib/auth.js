@@ -22,13 +22,14 @@ export async function getBusinessProfile() {
   const { data: { user } } = await supabase.auth.getUser()
   if (!user) return null
 
+  // Team members reach their business through their membership
   const { data } = await supabase
-    .from('businesses')
-    .select('*')
+    .from('business_members')
+    .select('business:businesses(*)')
     .eq('user_id', user.id)
-    .single()
+    .maybeSingle()
 
-  return data
+  return data?.business || null
 }
 
 export async function getCustomerProfile() {
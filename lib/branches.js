@@ -0,0 +1,85 @@
+// lib/branches.js
+// Branches of a business. Each numbers its invoices in its own series and
+// may trade under its own GSTIN; the database keeps the series distinct
+// (check_branch) and these helpers drive the dashboard's branch switcher.
+
+import { gstinError, stateFromGstin, supplierState } from './gst'
+import { invoiceBalance, isBilled, roundMoney } from './invoices'
+
+export const ALL_BRANCHES = 'all'
+
+// Whether an invoice or customer link belongs to the selected branch
+export function inBranch(row, branchId) {
+  return branchId === ALL_BRANCHES || row.branch_id === branchId
+}
+
+// The business as it appears on a branch's invoices: the branch's GSTIN,
+// state and address where it has its own (see branch_supplier_state)
+export function branchSupplier(business, branch) {
+  if (!branch) return business
+
+  return {
+    ...business,
+    gst_number: branch.gst_number || business?.gst_number,
+    state_code: supplierState(branch) || supplierState(business),
+    address: branch.address || business?.address,
+    branch_name: branch.is_main ? null : branch.branch_name
+  }
+}
+
+// Check a branch before saving; returns an error message or null
+export function branchError(form, branches, business) {
+  const name = (form.branchName || '').trim()
+  const prefix = (form.invoicePrefix || '').trim().toUpperCase()
+  const gstin = (form.gstNumber || '').trim().toUpperCase()
+  const others = branches.filter(branch => branch.id !== form.id)
+
+  if (!name) return 'Enter a branch name'
+  if (others.some(branch => branch.branch_name.toLowerCase() === name.toLowerCase())) {
+    return 'Another branch already has this name'
+  }
+
+  if (!form.isMain) {
+    if (!prefix) return 'Enter an invoice prefix for the branch'
+    const taken = [business.invoice_prefix, ...others.map(branch => branch.invoice_prefix)]
+    if (taken.some(other => (other || '').toUpperCase() === prefix)) {
+      return 'Another branch already numbers its invoices with this prefix'
+    }
+    if (!business.invoice_number_pattern.includes('{PREFIX}')) {
+      return 'Add {PREFIX} to the invoice number pattern so each branch\'s invoice numbers are distinct'
+    }
+  }
+
+  if (gstin) {
+    const problem = gstinError(gstin)
+    if (problem) return problem
+    if (form.stateCode && stateFromGstin(gstin) !== form.stateCode) {
+      return `GSTIN ${gstin} is not registered in the chosen state`
+    }
+  } else if (form.stateCode && supplierState(business) && form.stateCode !== supplierState(business)) {
+    return 'A branch in another state needs its own GSTIN'
+  }
+
+  return null
+}
+
+// Invoice count, amount billed and amount outstanding per branch, plus a
+// consolidated row for the whole business
+export function branchTotals(invoices, branches) {
+  const empty = () => ({ count: 0, billed: 0, outstanding: 0 })
+  const rows = new Map(branches.map(branch => [branch.id, { branch, ...empty() }]))
+  const consolidated = empty()
+
+  for (const invoice of invoices) {
+    if (!isBilled(invoice)) continue
+
+    const row = rows.get(invoice.branch_id)
+    for (const totals of row ? [row, consolidated] : [consolidated]) {
+      totals.count += 1
+      totals.billed = roundMoney(totals.billed + invoice.total_amount)
+      totals.outstanding = roundMoney(totals.outstanding + invoiceBalance(invoice))
+    }
+  }
+
+  return { branches: [...rows.values()], consolidated }
+}
@@ -0,0 +1,123 @@
+// lib/catalogue.js
+// Product/service catalogue - searching, customer prices and CSV import
+
+import { parseCsv, toCsv } from './csv'
+
+export const CATALOGUE_CSV_COLUMNS = ['item_name', 'unit', 'default_price', 'hsn_sac', 'gst_rate']
+
+// Header names accepted on import, mapped to their column
+const HEADER_ALIASES = {
+  item_name: 'item_name',
+  name: 'item_name',
+  item: 'item_name',
+  unit: 'unit',
+  default_price: 'default_price',
+  price: 'default_price',
+  hsn_sac: 'hsn_sac',
+  hsn: 'hsn_sac',
+  sac: 'hsn_sac',
+  gst_rate: 'gst_rate',
+  gst: 'gst_rate',
+  tax_rate: 'gst_rate'
+}
+
+export function emptyCatalogueItem() {
+  return { item_name: '', unit: '', default_price: '', hsn_sac: '', gst_rate: 0 }
+}
+
+// Active items matching what has been typed, names starting with it first
+export function searchCatalogue(catalogue, query, limit = 8) {
+  const text = query.trim().toLowerCase()
+  if (!text) return []
+
+  const matches = catalogue.filter(item => item.active && item.item_name.toLowerCase().includes(text))
+  const starts = matches.filter(item => item.item_name.toLowerCase().startsWith(text))
+  const rest = matches.filter(item => !item.item_name.toLowerCase().startsWith(text))
+
+  return [...starts, ...rest].slice(0, limit)
+}
+
+// The price agreed with this customer, or the item's default price
+export function catalogueItemPrice(item, customerId) {
+  const agreed = (item.prices || []).find(price => price.customer_id === customerId)
+  return Number(agreed ? agreed.unit_price : item.default_price)
+}
+
+// Invoice line fields filled in from a catalogue item
+export function catalogueLine(item, customerId) {
+  return {
+    item_name: item.item_name,
+    unit: item.unit || '',
+    hsn_sac: item.hsn_sac || '',
+    unit_price: catalogueItemPrice(item, customerId),
+    gst_rate: Number(item.gst_rate)
+  }
+}
+
+// Check one catalogue item against the GST rates from loadGstRates; returns
+// an error message or null
+export function catalogueItemError(item, gstRates) {
+  if (!item.item_name.trim()) return 'Name is required'
+  if (item.default_price === '' || isNaN(item.default_price) || Number(item.default_price) < 0) {
+    return 'Price must be zero or more'
+  }
+  if (item.hsn_sac && !/^[0-9]{4,8}$/.test(item.hsn_sac)) return 'HSN/SAC must be 4 to 8 digits'
+  if (!gstRates.includes(Number(item.gst_rate))) return `${item.gst_rate}% is not a GST rate`
+  return null
+}
+
+// Parse a catalogue CSV. The first row is the header; columns can be in any
+// order and unknown columns are ignored. Returns the valid items and a list
+// of problems by line number.
+export function parseCatalogueCsv(text, gstRates) {
+  const [header, ...rows] = parseCsv(text)
+  if (!header) return { items: [], errors: ['The file is empty'] }
+
+  const columns = header.map(name => HEADER_ALIASES[name.trim().toLowerCase().replace(/[\s/]+/g, '_')])
+  if (!columns.includes('item_name')) {
+    return { items: [], errors: ['The header row needs an item_name column'] }
+  }
+
+  const items = []
+  const errors = []
+  const seen = new Set()
+
+  rows.forEach((cells, index) => {
+    const item = emptyCatalogueItem()
+    columns.forEach((column, i) => {
+      if (column) item[column] = (cells[i] || '').trim()
+    })
+    item.default_price = item.default_price.replace(/[₹,\s]/g, '')
+    item.gst_rate = String(item.gst_rate).replace('%', '') || '0'
+
+    const line = index + 2
+    const error = catalogueItemError(item, gstRates)
+    if (error) {
+      errors.push(`Line ${line}: ${error}`)
+      return
+    }
+
+    const key = item.item_name.toLowerCase()
+    if (seen.has(key)) {
+      errors.push(`Line ${line}: ${item.item_name} appears more than once`)
+      return
+    }
+    seen.add(key)
+
+    items.push({
+      ...item,
+      default_price: Number(item.default_price),
+      gst_rate: Number(item.gst_rate)
+    })
+  })
+
+  return { items, errors }
+}
+
+// Header row and one example, for businesses starting a new file
+export function catalogueCsvTemplate() {
+  return toCsv([
+    CATALOGUE_CSV_COLUMNS,
+    ['Portland cement 50kg', 'bag', 380, '2523', 28]
+  ])
+}
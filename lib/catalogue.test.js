@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest'
+import { catalogueItemError, parseCatalogueCsv } from './catalogue'
+
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28, 40]
+
+function item(fields) {
+  return { item_name: 'Cement', unit: 'bag', default_price: '350', hsn_sac: '2523', gst_rate: 18, ...fields }
+}
+
+describe('catalogueItemError', () => {
+  it('accepts an item at any of the given rates', () => {
+    expect(catalogueItemError(item({ gst_rate: 40 }), GST_RATES)).toBeNull()
+    expect(catalogueItemError(item({ gst_rate: '0.25' }), GST_RATES)).toBeNull()
+  })
+
+  it('rejects a rate that is not among them', () => {
+    expect(catalogueItemError(item({ gst_rate: 7 }), GST_RATES)).toBe('7% is not a GST rate')
+  })
+})
+
+describe('parseCatalogueCsv', () => {
+  it('checks each row against the given rates', () => {
+    const { items, errors } = parseCatalogueCsv('name,price,gst\nCement,350,18%\nPan masala,10,40\nSand,50,7', GST_RATES)
+
+    expect(items.map(row => [row.item_name, row.gst_rate])).toEqual([['Cement', 18], ['Pan masala', 40]])
+    expect(errors).toEqual(['Line 4: 7% is not a GST rate'])
+  })
+})
@@ -0,0 +1,99 @@
+// lib/edit-requests.js
+// Helpers for invoice edit requests
+
+import { roundMoney } from './invoices'
+
+const COMPARED_FIELDS = ['item_name', 'hsn_sac', 'quantity', 'unit_price', 'gst_rate']
+
+function sameValue(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b)
+  return (a || '') === (b || '')
+}
+
+// Line-by-line comparison of an edit request. Existing lines are matched on
+// their invoice_items id; requested lines without a known id were added.
+export function diffEditRequest(originalItems, requestedItems) {
+  const originalIds = new Set(originalItems.map(item => item.id))
+  const requestedById = new Map(
+    requestedItems.filter(item => originalIds.has(item.id)).map(item => [item.id, item])
+  )
+
+  const lines = originalItems.map((original) => {
+    const requested = requestedById.get(original.id)
+    if (!requested) {
+      return { key: original.id, kind: 'removed', original, requested: null }
+    }
+
+    const changed = COMPARED_FIELDS.some(field => !sameValue(original[field], requested[field]))
+    return { key: original.id, kind: changed ? 'changed' : 'unchanged', original, requested }
+  })
+
+  requestedItems
+    .filter(item => !originalIds.has(item.id))
+    .forEach((requested, index) => {
+      lines.push({ key: `added-${index}`, kind: 'added', original: null, requested })
+    })
+
+  return lines
+}
+
+export const ROUND_ACTIONS = {
+  requested: 'requested changes',
+  countered: 'sent a counter-proposal',
+  approved: 'approved',
+  accepted: 'accepted the counter-proposal',
+  rejected: 'rejected'
+}
+
+// Invoice total (GST inclusive) of a set of requested lines
+export function itemsTotal(items) {
+  return roundMoney((items || []).reduce((sum, item) => sum + (item.line_total ?? item.total_price ?? 0), 0))
+}
+
+// The items currently on the table: the latest round that proposed a set
+export function currentProposal(request) {
+  const proposals = (request.rounds || []).filter(round => round.items)
+  return proposals.length > 0 ? proposals[proposals.length - 1].items : request.requested_items
+}
+
+// Every line that differs starts out accepted as requested
+export function defaultDecisions(lines) {
+  return Object.fromEntries(
+    lines
+      .filter(line => line.kind !== 'unchanged')
+      .map(line => {
+        const item = line.requested || line.original
+        return [line.key, { action: 'accept', quantity: item.quantity, unit_price: item.unit_price }]
+      })
+  )
+}
+
+// Apply the business's per-line decisions to a diff. Rejecting a line keeps
+// the original (or drops an added line); a counter keeps the line with the
+// business's own quantity and price.
+export function buildProposal(lines, decisions) {
+  const items = []
+
+  for (const line of lines) {
+    const decision = decisions[line.key] || { action: 'accept' }
+
+    if (line.kind === 'unchanged') {
+      items.push(line.original)
+    } else if (decision.action === 'counter') {
+      items.push({
+        ...(line.requested || line.original),
+        quantity: decision.quantity,
+        unit_price: decision.unit_price
+      })
+    } else if (decision.action === 'accept') {
+      if (line.requested) items.push(line.requested)
+    } else if (line.original) {
+      items.push(line.original)
+    }
+  }
+
+  return {
+    items,
+    countered: Object.values(decisions).some(decision => decision.action === 'counter')
+  }
+}
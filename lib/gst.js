@@ -0,0 +1,137 @@
+// lib/gst.js
+// GST helpers - rates, state codes and CGST/SGST/IGST computation
+
+import { roundMoney } from './invoices'
+
+// GST rates for the rate pickers, lowest first. They live in gst_rates,
+// which also checks every invoice and catalogue line.
+export async function loadGstRates(supabase) {
+  const { data } = await supabase.from('gst_rates').select('rate').order('rate')
+  return (data || []).map(row => Number(row.rate))
+}
+
+// State codes as used in the first two digits of a GSTIN
+export const INDIAN_STATES = [
+  { code: '01', name: 'Jammu and Kashmir' },
+  { code: '02', name: 'Himachal Pradesh' },
+  { code: '03', name: 'Punjab' },
+  { code: '04', name: 'Chandigarh' },
+  { code: '05', name: 'Uttarakhand' },
+  { code: '06', name: 'Haryana' },
+  { code: '07', name: 'Delhi' },
+  { code: '08', name: 'Rajasthan' },
+  { code: '09', name: 'Uttar Pradesh' },
+  { code: '10', name: 'Bihar' },
+  { code: '11', name: 'Sikkim' },
+  { code: '12', name: 'Arunachal Pradesh' },
+  { code: '13', name: 'Nagaland' },
+  { code: '14', name: 'Manipur' },
+  { code: '15', name: 'Mizoram' },
+  { code: '16', name: 'Tripura' },
+  { code: '17', name: 'Meghalaya' },
+  { code: '18', name: 'Assam' },
+  { code: '19', name: 'West Bengal' },
+  { code: '20', name: 'Jharkhand' },
+  { code: '21', name: 'Odisha' },
+  { code: '22', name: 'Chhattisgarh' },
+  { code: '23', name: 'Madhya Pradesh' },
+  { code: '24', name: 'Gujarat' },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+  { code: '27', name: 'Maharashtra' },
+  { code: '29', name: 'Karnataka' },
+  { code: '30', name: 'Goa' },
+  { code: '31', name: 'Lakshadweep' },
+  { code: '32', name: 'Kerala' },
+  { code: '33', name: 'Tamil Nadu' },
+  { code: '34', name: 'Puducherry' },
+  { code: '35', name: 'Andaman and Nicobar Islands' },
+  { code: '36', name: 'Telangana' },
+  { code: '37', name: 'Andhra Pradesh' },
+  { code: '38', name: 'Ladakh' },
+  { code: '97', name: 'Other Territory' }
+]
+
+export function stateName(code) {
+  return INDIAN_STATES.find(state => state.code === code)?.name || ''
+}
+
+// State code from the first two digits of a GSTIN, if they name a known state
+export function stateFromGstin(gstin) {
+  const code = (gstin || '').trim().slice(0, 2)
+  return INDIAN_STATES.some(state => state.code === code) ? code : ''
+}
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/
+const GSTIN_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+
+// The 15th character of a GSTIN is a base-36 check digit over the first 14
+function gstinCheckDigit(gstin) {
+  let sum = 0
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARS.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2)
+    sum += Math.floor(product / 36) + (product % 36)
+  }
+  return GSTIN_CHARS[(36 - (sum % 36)) % 36]
+}
+
+// Check a GSTIN's format, state code and check digit; returns an error
+// message or null
+export function gstinError(gstin) {
+  const value = (gstin || '').trim().toUpperCase()
+  if (!GSTIN_PATTERN.test(value)) return 'GSTIN must be 15 characters, e.g. 27AAPFU0939F1ZV'
+  if (!stateFromGstin(value)) return `${value.slice(0, 2)} is not a GST state code`
+  if (gstinCheckDigit(value) !== value[14]) return 'GSTIN check digit does not match - please check for typos'
+  return null
+}
+
+// The state a business supplies from - set explicitly, or read off its GSTIN
+export function supplierState(business) {
+  return business?.state_code || stateFromGstin(business?.gst_number)
+}
+
+// IGST applies when goods or services cross state lines. Without both
+// states known we fall back to an intra-state (CGST + SGST) supply.
+export function isInterState(supplyState, placeOfSupply) {
+  return Boolean(supplyState && placeOfSupply && supplyState !== placeOfSupply)
+}
+
+// Taxable value and tax split for a single invoice line
+export function computeLineTax(item, interState) {
+  const quantity = parseFloat(item.quantity) || 0
+  const unitPrice = parseFloat(item.unit_price) || 0
+  const rate = parseFloat(item.gst_rate) || 0
+
+  const taxable = roundMoney(quantity * unitPrice)
+  const tax = roundMoney(taxable * rate / 100)
+  const cgst = interState ? 0 : roundMoney(tax / 2)
+
+  return {
+    ...item,
+    quantity,
+    unit_price: unitPrice,
+    gst_rate: rate,
+    total_price: taxable,
+    cgst_amount: cgst,
+    sgst_amount: interState ? 0 : roundMoney(tax - cgst),
+    igst_amount: interState ? tax : 0,
+    tax_amount: tax,
+    line_total: roundMoney(taxable + tax)
+  }
+}
+
+// Recompute every line and the invoice totals from quantities, prices and rates
+export function computeInvoiceTotals(items, supplyState, placeOfSupply) {
+  const interState = isInterState(supplyState, placeOfSupply)
+  const lines = items.map(item => computeLineTax(item, interState))
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + line[field], 0))
+
+  return {
+    items: lines,
+    taxable_amount: sum('total_price'),
+    cgst_amount: sum('cgst_amount'),
+    sgst_amount: sum('sgst_amount'),
+    igst_amount: sum('igst_amount'),
+    tax_amount: sum('tax_amount'),
+    total_amount: sum('line_total')
+  }
+}
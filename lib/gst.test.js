@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest'
+import { computeInvoiceTotals, computeLineTax, isInterState } from './gst'
+
+describe('isInterState', () => {
+  it('is inter-state only when both states are known and differ', () => {
+    expect(isInterState('27', '29')).toBe(true)
+    expect(isInterState('27', '27')).toBe(false)
+    expect(isInterState('', '29')).toBe(false)
+    expect(isInterState('27', '')).toBe(false)
+  })
+})
+
+describe('computeLineTax', () => {
+  it('splits the tax evenly into CGST and SGST within a state', () => {
+    expect(computeLineTax({ quantity: '3', unit_price: '33.33', gst_rate: '18' }, false)).toMatchObject({
+      quantity: 3,
+      unit_price: 33.33,
+      gst_rate: 18,
+      total_price: 99.99,
+      cgst_amount: 9,
+      sgst_amount: 9,
+      igst_amount: 0,
+      tax_amount: 18,
+      line_total: 117.99
+    })
+  })
+
+  it('charges the whole tax as IGST across states', () => {
+    expect(computeLineTax({ quantity: 2, unit_price: 250, gst_rate: 12 }, true)).toMatchObject({
+      total_price: 500,
+      cgst_amount: 0,
+      sgst_amount: 0,
+      igst_amount: 60,
+      tax_amount: 60,
+      line_total: 560
+    })
+  })
+
+  it('rounds to the paisa and gives SGST what CGST rounding leaves', () => {
+    const line = computeLineTax({ quantity: 1, unit_price: 100, gst_rate: 0.25 }, false)
+
+    expect(line).toMatchObject({ tax_amount: 0.25, cgst_amount: 0.13, sgst_amount: 0.12 })
+  })
+
+  it('treats blank fields as zero', () => {
+    expect(computeLineTax({ quantity: '', unit_price: '500', gst_rate: '' }, false)).toMatchObject({
+      quantity: 0,
+      total_price: 0,
+      tax_amount: 0,
+      line_total: 0
+    })
+  })
+})
+
+describe('computeInvoiceTotals', () => {
+  const items = [
+    { item_name: 'Rice', quantity: 10, unit_price: 45.5, gst_rate: 5 },
+    { item_name: 'Oil', quantity: 3, unit_price: 33.33, gst_rate: 18 }
+  ]
+
+  it('adds up the lines of an intra-state invoice', () => {
+    const totals = computeInvoiceTotals(items, '27', '27')
+
+    expect(totals.items.map(item => item.line_total)).toEqual([477.75, 117.99])
+    expect(totals).toMatchObject({
+      taxable_amount: 554.99,
+      cgst_amount: 20.38,
+      sgst_amount: 20.37,
+      igst_amount: 0,
+      tax_amount: 40.75,
+      total_amount: 595.74
+    })
+  })
+
+  it('charges IGST when the place of supply is in another state', () => {
+    const totals = computeInvoiceTotals(items, '27', '29')
+
+    expect(totals).toMatchObject({
+      taxable_amount: 554.99,
+      cgst_amount: 0,
+      sgst_amount: 0,
+      igst_amount: 40.75,
+      tax_amount: 40.75,
+      total_amount: 595.74
+    })
+  })
+
+  it('falls back to CGST and SGST when the supplier state is unknown', () => {
+    const totals = computeInvoiceTotals(items, '', '29')
+
+    expect(totals.igst_amount).toBe(0)
+    expect(totals.cgst_amount + totals.sgst_amount).toBeCloseTo(40.75)
+  })
+})
@@ -0,0 +1,102 @@
+// lib/invoice-document.js
+// Loads everything an invoice document (print view or PDF) needs
+
+import { stateName } from './gst'
+import { isBusinessUser } from './team'
+import { branchSupplier } from './branches'
+
+export async function loadInvoiceDocument(supabase, invoiceId) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) return { error: 'unauthenticated' }
+
+  const { data: invoice } = await supabase
+    .from('invoices')
+    .select(`
+      *,
+      business:businesses(business_name, gst_number, state_code, email, phone_number),
+      branch:branches(branch_name, is_main, gst_number, state_code, address),
+      customer:customers(user_id, customer_name, phone_number, email, address, state_code),
+      items:invoice_items(*)
+    `)
+    .eq('id', invoiceId)
+    .single()
+
+  if (!invoice) return { error: 'not_found' }
+
+  // Only the issuing business's team and the invoiced customer may see it,
+  // and the customer never sees drafts or voided invoices
+  const isBusiness = await isBusinessUser(supabase, invoice.business_id)
+  if (!isBusiness && invoice.customer?.user_id !== user.id) {
+    return { error: 'not_found' }
+  }
+  if (!isBusiness && ['draft', 'void'].includes(invoice.status)) {
+    return { error: 'not_found' }
+  }
+
+  // Invoices carry the GSTIN and address of the branch that issued them
+  return { invoice: { ...invoice, business: branchSupplier(invoice.business, invoice.branch) } }
+}
+
+// Credit and debit notes are shown to the same two parties as their invoice
+export async function loadNoteDocument(supabase, noteId) {
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) return { error: 'unauthenticated' }
+
+  const { data: note } = await supabase
+    .from('invoice_notes')
+    .select(`
+      *,
+      invoice:invoices(invoice_number, invoice_date, place_of_supply, branch:branches(branch_name, is_main, gst_number, state_code, address)),
+      business:businesses(business_name, gst_number, state_code, email, phone_number),
+      customer:customers(user_id, customer_name, phone_number, email, address, state_code)
+    `)
+    .eq('id', noteId)
+    .single()
+
+  if (!note) return { error: 'not_found' }
+
+  if (note.customer?.user_id !== user.id && !(await isBusinessUser(supabase, note.business_id))) {
+    return { error: 'not_found' }
+  }
+
+  return { note: { ...note, business: branchSupplier(note.business, note.invoice?.branch) } }
+}
+
+export function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  })
+}
+
+export function formatAmount(value) {
+  return (value || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  })
+}
+
+export function placeOfSupplyLabel(code) {
+  return code ? `${code} - ${stateName(code)}` : '-'
+}
+
+// Invoice numbers may contain slashes, which aren't safe in file names.
+// Drafts have no number yet.
+export function documentFileName(number) {
+  return `${(number || 'draft').replace(/[^A-Za-z0-9-_]+/g, '-')}.pdf`
+}
+
+// Document heading for an invoice in any state
+export function documentTitle(invoice) {
+  switch (invoice.status) {
+    case 'draft':
+      return 'Draft Invoice'
+    case 'void':
+      return 'Tax Invoice - Void'
+    case 'cancelled':
+      return 'Tax Invoice - Cancelled'
+    default:
+      return 'Tax Invoice'
+  }
+}
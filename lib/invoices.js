@@ -0,0 +1,139 @@
+// lib/invoices.js
+// Shared invoice helpers - balances, payment allocation and status display
+
+export const PAYMENT_METHODS = ['UPI', 'Cash', 'Cheque', 'Bank Transfer']
+
+export function roundMoney(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100
+}
+
+// Status changes a user can make, mirroring invoice_status_transitions in
+// the database: issuing a draft, and voiding or cancelling an issued
+// invoice. Void and cancelled are final. Moves between sent, partially
+// paid, paid and overdue follow payments, notes and due dates
+// (invoiceStatus) and are never made by hand.
+export const INVOICE_TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['void', 'cancelled'],
+  partially_paid: ['cancelled'],
+  overdue: ['void', 'cancelled'],
+  paid: [],
+  void: [],
+  cancelled: []
+}
+
+// Drafts aren't issued yet and void or cancelled invoices are withdrawn,
+// so none of them are owed
+const UNBILLED_STATUSES = ['draft', 'void', 'cancelled']
+
+export function canTransition(invoice, status) {
+  if (status === 'void' && (invoice.paid_amount || 0) > 0) return false
+  return (INVOICE_TRANSITIONS[invoice.status] || []).includes(status)
+}
+
+export function isBilled(invoice) {
+  return !UNBILLED_STATUSES.includes(invoice.status)
+}
+
+// Amount still owed on an invoice, after credit notes, debit notes and payments
+export function invoiceBalance(invoice) {
+  if (!isBilled(invoice)) return 0
+  return roundMoney(
+    (invoice.total_amount || 0) +
+    (invoice.debited_amount || 0) -
+    (invoice.credited_amount || 0) -
+    (invoice.paid_amount || 0)
+  )
+}
+
+const indiaDate = new Intl.DateTimeFormat('en-CA', {
+  timeZone: 'Asia/Kolkata',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+})
+
+// Today's date in India as YYYY-MM-DD, the format invoice dates are stored
+// in. The UTC date is still yesterday until 05:30 IST.
+export function todayISO() {
+  return indiaDate.format(new Date())
+}
+
+// The date in India of a stored timestamp, such as when an edit was approved
+export function indiaDateISO(timestamp) {
+  return indiaDate.format(new Date(timestamp))
+}
+
+// Status an invoice should have given its payments and due date
+export function invoiceStatus(invoice, today = todayISO()) {
+  if (!isBilled(invoice)) return invoice.status
+  if (invoiceBalance(invoice) <= 0) return 'paid'
+  if (invoice.due_date < today) return 'overdue'
+  if ((invoice.paid_amount || 0) > 0) return 'partially_paid'
+  return 'sent'
+}
+
+// Split one payment across several invoices, oldest due date first.
+// Anything that doesn't fit the selected invoices is returned as `unapplied`.
+export function allocatePayment(amount, invoices) {
+  const sorted = [...invoices].sort((a, b) => new Date(a.due_date) - new Date(b.due_date))
+  const allocations = []
+  let remaining = roundMoney(amount)
+
+  for (const invoice of sorted) {
+    if (remaining <= 0) break
+
+    const applied = Math.min(remaining, invoiceBalance(invoice))
+    if (applied <= 0) continue
+
+    allocations.push({ invoice, amount: applied })
+    remaining = roundMoney(remaining - applied)
+  }
+
+  return { allocations, unapplied: remaining }
+}
+
+export function statusLabel(status) {
+  return status.replace(/_/g, ' ')
+}
+
+export function statusBadgeClass(status) {
+  switch (status) {
+    case 'paid':
+      return 'bg-green-100 text-green-800'
+    case 'overdue':
+      return 'bg-red-100 text-red-800'
+    case 'partially_paid':
+      return 'bg-blue-100 text-blue-800'
+    case 'draft':
+    case 'void':
+    case 'cancelled':
+      return 'bg-gray-100 text-gray-600'
+    default:
+      return 'bg-yellow-100 text-yellow-800'
+  }
+}
+
+// Total still owed by one customer across the given invoices
+export function customerOutstanding(invoices, customerId) {
+  return roundMoney(
+    invoices
+      .filter(inv => inv.customer_id === customerId)
+      .reduce((sum, inv) => sum + invoiceBalance(inv), 0)
+  )
+}
+
+// Check a new invoice amount against a customer's credit limit.
+// A limit of 0 (the default when none was entered) means no limit.
+export function creditCheck(creditLimit, outstanding, amount) {
+  const limit = creditLimit || 0
+  const projected = roundMoney(outstanding + amount)
+
+  return {
+    limit,
+    outstanding,
+    projected,
+    exceeded: limit > 0 && projected > limit,
+    excess: limit > 0 ? Math.max(0, roundMoney(projected - limit)) : 0
+  }
+}
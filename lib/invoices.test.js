@@ -0,0 +1,137 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { allocatePayment, canTransition, invoiceBalance, invoiceStatus, todayISO } from './invoices'
+
+const TODAY = '2026-10-19'
+
+function invoice(fields) {
+  return {
+    status: 'sent',
+    due_date: TODAY,
+    total_amount: 1000,
+    paid_amount: 0,
+    credited_amount: 0,
+    debited_amount: 0,
+    ...fields
+  }
+}
+
+describe('invoiceStatus', () => {
+  it('keeps an unpaid invoice due today as sent', () => {
+    expect(invoiceStatus(invoice({ due_date: TODAY }), TODAY)).toBe('sent')
+  })
+
+  it('marks an unpaid invoice overdue the day after it falls due', () => {
+    expect(invoiceStatus(invoice({ due_date: '2026-10-18' }), TODAY)).toBe('overdue')
+  })
+
+  it('moves an overdue invoice back to sent when its due date moves forward', () => {
+    expect(invoiceStatus(invoice({ status: 'overdue', due_date: '2026-11-01' }), TODAY)).toBe('sent')
+  })
+
+  it('marks a part-paid invoice that is not yet due as partially paid', () => {
+    expect(invoiceStatus(invoice({ paid_amount: 400 }), TODAY)).toBe('partially_paid')
+  })
+
+  it('marks a part-paid invoice past its due date as overdue', () => {
+    expect(invoiceStatus(invoice({ paid_amount: 400, due_date: '2026-10-01' }), TODAY)).toBe('overdue')
+  })
+
+  it('marks a fully paid invoice as paid even after its due date', () => {
+    expect(invoiceStatus(invoice({ paid_amount: 1000, due_date: '2026-10-01' }), TODAY)).toBe('paid')
+  })
+
+  it('counts a credit note that clears the balance as settling the invoice', () => {
+    expect(invoiceStatus(invoice({ credited_amount: 1000, due_date: '2026-10-01' }), TODAY)).toBe('paid')
+    expect(invoiceStatus(invoice({ credited_amount: 600, paid_amount: 400, due_date: '2026-10-01' }), TODAY)).toBe('paid')
+  })
+
+  it('reopens a paid invoice when a debit note adds to it', () => {
+    expect(invoiceStatus(invoice({ status: 'paid', paid_amount: 1000, debited_amount: 200 }), TODAY)).toBe('partially_paid')
+  })
+
+  it('leaves drafts, void and cancelled invoices alone', () => {
+    for (const status of ['draft', 'void', 'cancelled']) {
+      expect(invoiceStatus(invoice({ status, due_date: '2026-10-01' }), TODAY)).toBe(status)
+    }
+  })
+})
+
+describe('canTransition', () => {
+  it('lets a draft be issued, and nothing else', () => {
+    expect(canTransition(invoice({ status: 'draft' }), 'sent')).toBe(true)
+    expect(canTransition(invoice({ status: 'draft' }), 'paid')).toBe(false)
+    expect(canTransition(invoice({ status: 'draft' }), 'overdue')).toBe(false)
+  })
+
+  it('lets issued invoices be voided or cancelled, but not void once paid against', () => {
+    expect(canTransition(invoice({ status: 'sent' }), 'void')).toBe(true)
+    expect(canTransition(invoice({ status: 'overdue' }), 'cancelled')).toBe(true)
+    expect(canTransition(invoice({ status: 'partially_paid', paid_amount: 100 }), 'void')).toBe(false)
+    expect(canTransition(invoice({ status: 'partially_paid', paid_amount: 100 }), 'cancelled')).toBe(true)
+  })
+
+  it('never sets a status that follows from the balance', () => {
+    expect(canTransition(invoice({ status: 'sent' }), 'paid')).toBe(false)
+    expect(canTransition(invoice({ status: 'paid' }), 'sent')).toBe(false)
+    expect(canTransition(invoice({ status: 'overdue' }), 'sent')).toBe(false)
+  })
+
+  it('treats void and cancelled as final', () => {
+    expect(canTransition(invoice({ status: 'void' }), 'sent')).toBe(false)
+    expect(canTransition(invoice({ status: 'cancelled' }), 'sent')).toBe(false)
+  })
+})
+
+describe('invoiceBalance', () => {
+  it('nets off notes and payments', () => {
+    expect(invoiceBalance(invoice({ debited_amount: 150.5, credited_amount: 100.25, paid_amount: 300 }))).toBe(750.25)
+  })
+
+  it('is nothing for invoices that are not billed', () => {
+    expect(invoiceBalance(invoice({ status: 'void' }))).toBe(0)
+  })
+})
+
+describe('allocatePayment', () => {
+  it('pays the invoice due first before the later ones', () => {
+    const later = invoice({ id: 'later', due_date: '2026-11-01' })
+    const earlier = invoice({ id: 'earlier', due_date: '2026-10-01', paid_amount: 400 })
+
+    const { allocations, unapplied } = allocatePayment(900, [later, earlier])
+
+    expect(allocations.map(({ invoice, amount }) => [invoice.id, amount])).toEqual([['earlier', 600], ['later', 300]])
+    expect(unapplied).toBe(0)
+  })
+
+  it('skips invoices that are already settled', () => {
+    const paid = invoice({ id: 'paid', due_date: '2026-09-01', paid_amount: 1000 })
+    const open = invoice({ id: 'open' })
+
+    const { allocations } = allocatePayment(500, [paid, open])
+
+    expect(allocations.map(({ invoice, amount }) => [invoice.id, amount])).toEqual([['open', 500]])
+  })
+
+  it('returns what is paid beyond the selected balances as unapplied', () => {
+    const { allocations, unapplied } = allocatePayment(1250.5, [invoice({ credited_amount: 100 })])
+
+    expect(allocations.map(allocation => allocation.amount)).toEqual([900])
+    expect(unapplied).toBe(350.5)
+  })
+})
+
+describe('todayISO', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('uses the date in India, which turns at 18:30 UTC', () => {
+    vi.useFakeTimers()
+
+    vi.setSystemTime(new Date('2026-10-18T18:29:59Z'))
+    expect(todayISO()).toBe('2026-10-18')
+
+    vi.setSystemTime(new Date('2026-10-18T18:30:00Z'))
+    expect(todayISO()).toBe('2026-10-19')
+  })
+})
@@ -0,0 +1,178 @@
+// lib/ledger.js
+// Statement of account - merges invoices, approved edits and payments between
+// one business and one customer into a running-balance ledger
+
+import { itemsTotal } from './edit-requests'
+import { indiaDateISO, roundMoney, todayISO } from './invoices'
+import { financialYear } from './numbering'
+import { isBusinessUser } from './team'
+
+// Order entries that fall on the same day
+const TYPE_ORDER = { invoice: 0, adjustment: 1, debit_note: 2, credit_note: 3, payment: 4, cancellation: 5 }
+
+export const ENTRY_LABELS = {
+  invoice: 'Invoice',
+  adjustment: 'Approved edit',
+  credit_note: 'Credit note',
+  debit_note: 'Debit note',
+  payment: 'Payment',
+  cancellation: 'Cancelled'
+}
+
+export async function loadLedgerData(supabase, businessId, customerId) {
+  const [{ data: business }, { data: customer }, { data: invoices, error }, isMember] = await Promise.all([
+    supabase
+      .from('businesses')
+      .select('id, business_name, gst_number')
+      .eq('id', businessId)
+      .single(),
+    supabase
+      .from('customers')
+      .select('id, user_id, customer_name, phone_number')
+      .eq('id', customerId)
+      .single(),
+    supabase
+      .from('invoices')
+      .select(`
+        id, invoice_number, invoice_date, total_amount, credited_amount, debited_amount, paid_amount,
+        status, status_reason, status_changed_at,
+        payments(*),
+        notes:invoice_notes(note_type, note_number, note_date, total_amount),
+        edit_requests:invoice_edit_requests(status, original_items, requested_items, final_items, settled_with_notes, reviewed_at)
+      `)
+      .eq('business_id', businessId)
+      .eq('customer_id', customerId),
+    isBusinessUser(supabase, businessId)
+  ])
+
+  if (error) throw error
+
+  return { business, customer, invoices: invoices || [], isBusinessUser: isMember }
+}
+
+// Only the business's team and the customer themselves may see their statement
+export function canViewStatement({ business, customer, isBusinessUser }, user) {
+  return Boolean(business && customer && (isBusinessUser || customer.user_id === user.id))
+}
+
+// Flatten invoices into dated debit/credit entries. An invoice's current
+// total already includes its approved edits, so the original amount is
+// backed out and each edit is shown as its own adjustment. Drafts and voided
+// invoices never enter the ledger; a cancelled invoice is credited back.
+export function ledgerEntries(invoices) {
+  const entries = []
+
+  for (const invoice of invoices) {
+    if (invoice.status === 'draft' || invoice.status === 'void') continue
+
+    const edits = (invoice.edit_requests || [])
+      .filter(request => request.status === 'approved' && request.reviewed_at && !request.settled_with_notes)
+      .map(request => ({
+        date: indiaDateISO(request.reviewed_at),
+        amount: roundMoney(itemsTotal(request.final_items || request.requested_items) - itemsTotal(request.original_items))
+      }))
+      .filter(edit => edit.amount !== 0)
+
+    const originalTotal = roundMoney(invoice.total_amount - edits.reduce((sum, edit) => sum + edit.amount, 0))
+
+    entries.push({
+      date: invoice.invoice_date,
+      type: 'invoice',
+      reference: invoice.invoice_number,
+      debit: originalTotal,
+      credit: 0
+    })
+
+    for (const edit of edits) {
+      entries.push({
+        date: edit.date,
+        type: 'adjustment',
+        reference: invoice.invoice_number,
+        debit: Math.max(edit.amount, 0),
+        credit: Math.max(-edit.amount, 0)
+      })
+    }
+
+    for (const payment of invoice.payments || []) {
+      entries.push({
+        date: payment.payment_date,
+        type: 'payment',
+        reference: [invoice.invoice_number, payment.payment_method, payment.reference_number]
+          .filter(Boolean)
+          .join(' · '),
+        debit: 0,
+        credit: payment.amount
+      })
+    }
+
+    for (const note of invoice.notes || []) {
+      entries.push({
+        date: note.note_date,
+        type: `${note.note_type}_note`,
+        reference: `${note.note_number} · ${invoice.invoice_number}`,
+        debit: note.note_type === 'debit' ? note.total_amount : 0,
+        credit: note.note_type === 'credit' ? note.total_amount : 0
+      })
+    }
+
+    if (invoice.status === 'cancelled') {
+      entries.push({
+        date: indiaDateISO(invoice.status_changed_at),
+        type: 'cancellation',
+        reference: [invoice.invoice_number, invoice.status_reason].filter(Boolean).join(' · '),
+        debit: 0,
+        credit: roundMoney(
+          invoice.total_amount + (invoice.debited_amount || 0) - (invoice.credited_amount || 0) - (invoice.paid_amount || 0)
+        )
+      })
+    }
+  }
+
+  return entries.sort((a, b) =>
+    a.date.localeCompare(b.date) || TYPE_ORDER[a.type] - TYPE_ORDER[b.type]
+  )
+}
+
+// Opening balance, entries with running balance, and closing balance for a
+// date range (inclusive). Positive balances are owed by the customer.
+export function buildLedger(invoices, from, to) {
+  let balance = 0
+  let opening = 0
+  const entries = []
+
+  for (const entry of ledgerEntries(invoices)) {
+    if (entry.date > to) break
+
+    balance = roundMoney(balance + entry.debit - entry.credit)
+    if (entry.date < from) {
+      opening = balance
+      continue
+    }
+
+    entries.push({ ...entry, balance })
+  }
+
+  return { from, to, opening, entries, closing: balance }
+}
+
+// Current financial year to date
+export function defaultStatementRange() {
+  const to = todayISO()
+  return { from: `${financialYear(to).slice(0, 4)}-04-01`, to }
+}
+
+export function ledgerCsvRows(ledger) {
+  return [
+    ['Date', 'Type', 'Reference', 'Debit', 'Credit', 'Balance'],
+    [ledger.from, 'Opening balance', '', '', '', ledger.opening],
+    ...ledger.entries.map(entry => [
+      entry.date,
+      ENTRY_LABELS[entry.type],
+      entry.reference,
+      entry.debit || '',
+      entry.credit || '',
+      entry.balance
+    ]),
+    [ledger.to, 'Closing balance', '', '', '', ledger.closing]
+  ]
+}
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest'
+import { buildLedger, ledgerEntries } from './ledger'
+
+function invoice(fields) {
+  return {
+    invoice_number: 'INV/2026-27/0001',
+    invoice_date: '2026-10-01',
+    status: 'sent',
+    total_amount: 1000,
+    paid_amount: 0,
+    credited_amount: 0,
+    debited_amount: 0,
+    payments: [],
+    notes: [],
+    edit_requests: [],
+    ...fields
+  }
+}
+
+describe('ledgerEntries', () => {
+  it('leaves out drafts and voided invoices', () => {
+    expect(ledgerEntries([invoice({ status: 'draft' }), invoice({ status: 'void' })])).toEqual([])
+  })
+
+  it('credits back what was still owed on a cancelled invoice, on the day in India', () => {
+    const entries = ledgerEntries([invoice({
+      status: 'cancelled',
+      status_reason: 'Order returned',
+      status_changed_at: '2026-10-09T20:00:00+00:00',
+      paid_amount: 400,
+      payments: [{ payment_date: '2026-10-05', payment_method: 'UPI', amount: 400 }]
+    })])
+
+    expect(entries.map(({ date, type, debit, credit }) => ({ date, type, debit, credit }))).toEqual([
+      { date: '2026-10-01', type: 'invoice', debit: 1000, credit: 0 },
+      { date: '2026-10-05', type: 'payment', debit: 0, credit: 400 },
+      { date: '2026-10-10', type: 'cancellation', debit: 0, credit: 600 }
+    ])
+    expect(entries[2].reference).toBe('INV/2026-27/0001 · Order returned')
+  })
+
+  it('shows an approved edit as its own adjustment on the day it was approved in India', () => {
+    const entries = ledgerEntries([invoice({
+      total_amount: 1200,
+      edit_requests: [{
+        status: 'approved',
+        original_items: [{ line_total: 1000 }],
+        requested_items: [{ line_total: 1200 }],
+        final_items: null,
+        settled_with_notes: false,
+        reviewed_at: '2026-10-02T19:30:00+00:00'
+      }]
+    })])
+
+    expect(entries.map(({ date, type, debit, credit }) => ({ date, type, debit, credit }))).toEqual([
+      { date: '2026-10-01', type: 'invoice', debit: 1000, credit: 0 },
+      { date: '2026-10-03', type: 'adjustment', debit: 200, credit: 0 }
+    ])
+  })
+})
+
+describe('buildLedger', () => {
+  const invoices = [
+    invoice({
+      invoice_date: '2026-03-20',
+      invoice_number: 'INV/2025-26/0009',
+      paid_amount: 300,
+      payments: [{ payment_date: '2026-03-25', amount: 300 }]
+    }),
+    invoice({
+      invoice_date: '2026-04-10',
+      total_amount: 500,
+      notes: [{ note_type: 'credit', note_number: 'CN/2026-27/0001', note_date: '2026-04-30', total_amount: 100 }]
+    }),
+    invoice({ invoice_date: '2026-05-02', invoice_number: 'INV/2026-27/0002', total_amount: 250 })
+  ]
+
+  it('carries everything before the range into the opening balance', () => {
+    const ledger = buildLedger(invoices, '2026-04-01', '2026-04-30')
+
+    expect(ledger.opening).toBe(700)
+    expect(ledger.entries.map(({ date, balance }) => ({ date, balance }))).toEqual([
+      { date: '2026-04-10', balance: 1200 },
+      { date: '2026-04-30', balance: 1100 }
+    ])
+    expect(ledger.closing).toBe(1100)
+  })
+
+  it('includes both ends of the range and nothing after it', () => {
+    const ledger = buildLedger(invoices, '2026-03-25', '2026-04-10')
+
+    expect(ledger.opening).toBe(1000)
+    expect(ledger.entries.map(entry => entry.date)).toEqual(['2026-03-25', '2026-04-10'])
+    expect(ledger.closing).toBe(1200)
+  })
+
+  it('opens at zero before the first invoice', () => {
+    const ledger = buildLedger(invoices, '2026-01-01', '2026-12-31')
+
+    expect(ledger.opening).toBe(0)
+    expect(ledger.entries).toHaveLength(5)
+    expect(ledger.closing).toBe(1350)
+  })
+})
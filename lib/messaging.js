@@ -0,0 +1,113 @@
+// lib/messaging.js
+// Outbound messages to customers over SMS, WhatsApp and email.
+// Server-only: adapters read their API keys from the environment.
+//
+// Every adapter has the same shape - { name, send({ to, subject, body }) } -
+// and resolves to { id } from the provider or throws. createMessenger picks
+// an adapter per channel from SMS_PROVIDER, WHATSAPP_PROVIDER and
+// EMAIL_PROVIDER, falling back to the log adapter, so development never
+// contacts real customers by accident.
+
+export const CHANNELS = {
+  sms: 'SMS',
+  whatsapp: 'WhatsApp',
+  email: 'Email'
+}
+
+// Prints messages instead of sending them, and keeps them in `sent` so
+// scripts and tests can inspect what would have gone out
+export function logAdapter(channel, output = console) {
+  const sent = []
+
+  return {
+    name: 'log',
+    sent,
+    async send(message) {
+      const id = `log-${channel}-${Date.now()}-${sent.length + 1}`
+      sent.push({ id, channel, ...message })
+      output.log(`[${channel}] to ${message.to}${message.subject ? ` - ${message.subject}` : ''}\n${message.body}`)
+      return { id }
+    }
+  }
+}
+
+// SMS and WhatsApp through Twilio's Messages API
+export function twilioAdapter(channel, { accountSid, authToken, from }) {
+  const address = (number) => channel === 'whatsapp' ? `whatsapp:${number}` : number
+
+  return {
+    name: 'twilio',
+    async send({ to, body }) {
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: address(to), From: address(from), Body: body })
+      })
+
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || `Twilio error ${response.status}`)
+      return { id: result.sid }
+    }
+  }
+}
+
+// Email through Resend's HTTP API
+export function resendAdapter({ apiKey, from }) {
+  return {
+    name: 'resend',
+    async send({ to, subject, body }) {
+      const response = await fetch('https://api.resend.com/emails', {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ from, to, subject, text: body })
+      })
+
+      const result = await response.json()
+      if (!response.ok) throw new Error(result.message || `Resend error ${response.status}`)
+      return { id: result.id }
+    }
+  }
+}
+
+function adapterFor(channel, env) {
+  const provider = env[`${channel.toUpperCase()}_PROVIDER`] || 'log'
+
+  if (provider === 'twilio' && channel !== 'email') {
+    return twilioAdapter(channel, {
+      accountSid: env.TWILIO_ACCOUNT_SID,
+      authToken: env.TWILIO_AUTH_TOKEN,
+      from: channel === 'whatsapp' ? env.TWILIO_WHATSAPP_FROM : env.TWILIO_SMS_FROM
+    })
+  }
+  if (provider === 'resend' && channel === 'email') {
+    return resendAdapter({ apiKey: env.RESEND_API_KEY, from: env.EMAIL_FROM })
+  }
+  if (provider === 'log') {
+    return logAdapter(channel)
+  }
+
+  throw new Error(`Unknown ${channel} provider: ${provider}`)
+}
+
+// One adapter per channel. Pass adapters to override the environment,
+// e.g. { sms: logAdapter('sms') }.
+export function createMessenger(adapters = {}, env = process.env) {
+  const resolved = {}
+
+  function adapter(channel) {
+    if (!CHANNELS[channel]) throw new Error(`Unknown channel: ${channel}`)
+    resolved[channel] = resolved[channel] || adapters[channel] || adapterFor(channel, env)
+    return resolved[channel]
+  }
+
+  return {
+    providerName: (channel) => adapter(channel).name,
+    send: (channel, message) => adapter(channel).send(message)
+  }
+}
@@ -0,0 +1,38 @@
+// lib/notes.js
+// Credit and debit notes - adjustments issued against an invoice without
+// rewriting it. Numbers and totals are assigned by the database.
+
+import { diffEditRequest } from './edit-requests'
+import { roundMoney } from './invoices'
+
+export const NOTE_TYPES = {
+  credit: 'Credit note',
+  debit: 'Debit note'
+}
+
+// Lines for the notes that settle an approved edit without rewriting the
+// invoice: each line that went down becomes a credit line, each line that
+// went up a debit line, for the change in taxable value at the line's rate.
+// Items must already have been through computeInvoiceTotals.
+export function noteLinesForChange(originalItems, finalItems) {
+  const credit = []
+  const debit = []
+
+  for (const line of diffEditRequest(originalItems, finalItems)) {
+    const item = line.requested || line.original
+    const change = roundMoney((line.requested?.total_price || 0) - (line.original?.total_price || 0))
+    if (change === 0) continue
+
+    const noteLine = {
+      item_name: item.item_name,
+      hsn_sac: item.hsn_sac,
+      quantity: 1,
+      unit_price: Math.abs(change),
+      gst_rate: item.gst_rate
+    }
+    if (change < 0) credit.push(noteLine)
+    else debit.push(noteLine)
+  }
+
+  return { credit, debit }
+}
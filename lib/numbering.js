@@ -0,0 +1,33 @@
+// lib/numbering.js
+// Invoice number patterns. Numbers are allocated by the database
+// (assign_invoice_number trigger); this mirrors its formatting for previews.
+
+export const DEFAULT_NUMBER_PATTERN = '{PREFIX}/{FY}/{SEQ:4}'
+
+// Indian financial year (April to March) for a YYYY-MM-DD date, e.g. 2026-27
+export function financialYear(date) {
+  const [year, month] = date.split('-').map(Number)
+  const start = month >= 4 ? year : year - 1
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`
+}
+
+// The sequence restarts every financial year, so the year must be in the
+// number to keep it unique
+export function isValidNumberPattern(pattern) {
+  return /\{SEQ(:[1-9])?\}/.test(pattern) && pattern.includes('{FY}')
+}
+
+// Credit and debit notes use the business's pattern only if it has a
+// {PREFIX} to tell them apart from invoices (see next_note_number)
+export function noteNumberPattern(pattern) {
+  return pattern.includes('{PREFIX}') ? pattern : DEFAULT_NUMBER_PATTERN
+}
+
+export function formatInvoiceNumber(pattern, prefix, fy, sequence) {
+  const width = Number(pattern.match(/\{SEQ:([1-9])\}/)?.[1] || 1)
+
+  return pattern
+    .replaceAll('{PREFIX}', prefix || '')
+    .replaceAll('{FY}', fy)
+    .replace(/\{SEQ(:[1-9])?\}/g, String(sequence).padStart(width, '0'))
+}
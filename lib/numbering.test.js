@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_NUMBER_PATTERN, financialYear, formatInvoiceNumber, isValidNumberPattern } from './numbering'
+
+describe('financialYear', () => {
+  it('runs from April to March', () => {
+    expect(financialYear('2027-03-31')).toBe('2026-27')
+    expect(financialYear('2027-04-01')).toBe('2027-28')
+    expect(financialYear('2099-12-31')).toBe('2099-00')
+  })
+})
+
+describe('isValidNumberPattern', () => {
+  it('needs the financial year and the sequence', () => {
+    expect(isValidNumberPattern(DEFAULT_NUMBER_PATTERN)).toBe(true)
+    expect(isValidNumberPattern('{FY}-{SEQ}')).toBe(true)
+    expect(isValidNumberPattern('{PREFIX}-{SEQ:4}')).toBe(false)
+    expect(isValidNumberPattern('{PREFIX}/{FY}')).toBe(false)
+  })
+})
+
+describe('formatInvoiceNumber', () => {
+  it('pads the sequence to the width in the pattern', () => {
+    expect(formatInvoiceNumber('{PREFIX}/{FY}/{SEQ:4}', 'ACME', '2026-27', 7)).toBe('ACME/2026-27/0007')
+    expect(formatInvoiceNumber('{FY}-{SEQ}', '', '2026-27', 12)).toBe('2026-27-12')
+  })
+})
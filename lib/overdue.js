@@ -0,0 +1,21 @@
+// lib/overdue.js
+// Keeps invoice statuses in line with their due dates and payments
+
+// Mark unpaid invoices past their due date as overdue, and move overdue
+// invoices back once they are paid or their due date moves forward. The
+// database works out each status against today's date in India and
+// updates every open invoice in one statement (sync_invoice_statuses).
+// Run by the scheduled job with the service-role client.
+export async function syncInvoiceStatuses(supabase) {
+  const { data, error } = await supabase.rpc('sync_invoice_statuses')
+
+  if (error) throw error
+
+  return {
+    updated: data.map(row => ({
+      id: row.invoice_id,
+      from: row.from_status,
+      to: row.to_status
+    }))
+  }
+}
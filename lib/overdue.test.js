@@ -0,0 +1,26 @@
+import { describe, expect, it, vi } from 'vitest'
+import { syncInvoiceStatuses } from './overdue'
+
+describe('syncInvoiceStatuses', () => {
+  it('runs the sync in the database and reports what changed', async () => {
+    const supabase = {
+      rpc: vi.fn().mockResolvedValue({
+        data: [{ invoice_id: 'inv-1', from_status: 'sent', to_status: 'overdue' }],
+        error: null
+      })
+    }
+
+    await expect(syncInvoiceStatuses(supabase)).resolves.toEqual({
+      updated: [{ id: 'inv-1', from: 'sent', to: 'overdue' }]
+    })
+    expect(supabase.rpc).toHaveBeenCalledWith('sync_invoice_statuses')
+  })
+
+  it('throws the database error', async () => {
+    const supabase = {
+      rpc: vi.fn().mockResolvedValue({ data: null, error: new Error('permission denied') })
+    }
+
+    await expect(syncInvoiceStatuses(supabase)).rejects.toThrow('permission denied')
+  })
+})
@@ -0,0 +1,19 @@
+// lib/paging.js
+// Reading more rows than the API returns in one request
+
+// Rows a request returns at most (the API's max-rows)
+export const PAGE_SIZE = 1000
+
+// Every row of a query, read a page at a time. page(from, to) builds the
+// query for rows from to to; it needs a fixed order so pages don't overlap.
+export async function fetchAllPages(page) {
+  const rows = []
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await page(from, from + PAGE_SIZE - 1)
+
+    if (error) throw error
+    rows.push(...data)
+    if (data.length < PAGE_SIZE) return rows
+  }
+}
@@ -0,0 +1,252 @@
+// lib/pdf.js
+// Server-side PDF rendering with pdfkit - no browser or hosted service needed.
+// The built-in PDF fonts have no rupee glyph, so amounts are printed as "Rs.".
+
+import PDFDocument from 'pdfkit'
+import { documentTitle, formatAmount, formatDate, placeOfSupplyLabel } from './invoice-document'
+import { invoiceBalance, statusLabel } from './invoices'
+import { ENTRY_LABELS } from './ledger'
+import { NOTE_TYPES } from './notes'
+
+const MARGIN = 40
+
+// Collect a pdfkit document into a Buffer
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    doc.on('data', chunk => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+    doc.end()
+  })
+}
+
+// Draw one table row; columns are { label, width, align } and values line up with them
+function tableRow(doc, columns, values, y, options = {}) {
+  let x = MARGIN
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+
+  const height = Math.max(...columns.map((column, i) =>
+    doc.heightOfString(String(values[i] ?? ''), { width: column.width - 6 })
+  ))
+
+  columns.forEach((column, i) => {
+    doc.text(String(values[i] ?? ''), x + 3, y, {
+      width: column.width - 6,
+      align: column.align || 'left'
+    })
+    x += column.width
+  })
+
+  return y + height + 6
+}
+
+function ensureSpace(doc, y, needed) {
+  if (y + needed < doc.page.height - MARGIN) return y
+  doc.addPage()
+  return MARGIN
+}
+
+function rule(doc, y) {
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).strokeColor('#d1d5db').stroke()
+}
+
+const ITEM_COLUMNS = [
+  { label: '#', width: 24 },
+  { label: 'Item', width: 133 },
+  { label: 'HSN/SAC', width: 60 },
+  { label: 'Qty', width: 50, align: 'right' },
+  { label: 'Rate', width: 60, align: 'right' },
+  { label: 'Taxable', width: 68, align: 'right' },
+  { label: 'GST', width: 36, align: 'right' },
+  { label: 'Amount', width: 84, align: 'right' }
+]
+
+// Title, business details on the left and document details on the right
+function documentHeader(doc, title, business, details) {
+  const right = doc.page.width - MARGIN
+
+  doc.font('Helvetica-Bold').fontSize(18).text(title.toUpperCase(), MARGIN, MARGIN)
+  doc.font('Helvetica-Bold').fontSize(12).text(business.business_name, MARGIN, 70)
+  doc.font('Helvetica').fontSize(9)
+  if (business.branch_name) doc.text(`${business.branch_name} branch`)
+  if (business.address) doc.text(business.address, { width: 250 })
+  if (business.gst_number) doc.text(`GSTIN: ${business.gst_number}`)
+  if (business.phone_number) doc.text(`Phone: ${business.phone_number}`)
+  if (business.email) doc.text(business.email)
+
+  doc.fontSize(9).text(details[0], 330, 70, { width: right - 330, align: 'right' })
+  details.slice(1).forEach(line => doc.text(line, { width: right - 330, align: 'right' }))
+}
+
+// Customer block; returns the y position below it
+function billTo(doc, customer) {
+  let y = Math.max(doc.y, 140) + 10
+  rule(doc, y)
+  y += 10
+  doc.font('Helvetica-Bold').fontSize(9).text('BILL TO', MARGIN, y)
+  doc.font('Helvetica').fontSize(10).text(customer.customer_name)
+  doc.fontSize(9)
+  if (customer.address) doc.text(customer.address)
+  if (customer.phone_number) doc.text(`Phone: ${customer.phone_number}`)
+  if (customer.email) doc.text(customer.email)
+  return doc.y + 16
+}
+
+function itemsTable(doc, items, y) {
+  rule(doc, y - 4)
+  y = tableRow(doc, ITEM_COLUMNS, ITEM_COLUMNS.map(c => c.label), y, { bold: true })
+  rule(doc, y - 3)
+
+  items.forEach((item, index) => {
+    y = ensureSpace(doc, y, 30)
+    y = tableRow(doc, ITEM_COLUMNS, [
+      index + 1,
+      item.item_name,
+      item.hsn_sac || '',
+      item.unit ? `${item.quantity} ${item.unit}` : item.quantity,
+      formatAmount(item.unit_price),
+      formatAmount(item.total_price),
+      `${item.gst_rate || 0}%`,
+      formatAmount(item.line_total || item.total_price)
+    ], y)
+  })
+  rule(doc, y - 3)
+  return y
+}
+
+// Taxable value, GST and the grand total; returns the y position below them
+function taxTotals(doc, document, y) {
+  const right = doc.page.width - MARGIN
+  const totals = [
+    ['Taxable value', document.taxable_amount || document.total_amount],
+    ['CGST', document.cgst_amount],
+    ['SGST', document.sgst_amount],
+    ['IGST', document.igst_amount]
+  ].filter(([label, amount]) => label === 'Taxable value' || amount > 0)
+
+  y = ensureSpace(doc, y + 6, 150)
+  doc.font('Helvetica').fontSize(9)
+  totals.forEach(([label, amount]) => {
+    doc.text(label, 330, y, { width: 120 })
+    doc.text(`Rs. ${formatAmount(amount)}`, 450, y, { width: right - 450, align: 'right' })
+    y += 14
+  })
+
+  doc.font('Helvetica-Bold').fontSize(11)
+  doc.text('Total', 330, y + 4, { width: 120 })
+  doc.text(`Rs. ${formatAmount(document.total_amount)}`, 450, y + 4, { width: right - 450, align: 'right' })
+  return y + 22
+}
+
+export function renderInvoicePdf(invoice) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN })
+  const right = doc.page.width - MARGIN
+
+  documentHeader(doc, documentTitle(invoice), invoice.business, [
+    `Invoice #: ${invoice.invoice_number || 'Draft'}`,
+    `Invoice date: ${formatDate(invoice.invoice_date)}`,
+    `Due date: ${formatDate(invoice.due_date)}`,
+    `Place of supply: ${placeOfSupplyLabel(invoice.place_of_supply)}`,
+    `Status: ${statusLabel(invoice.status)}`,
+    ...(invoice.status_reason ? [`Reason: ${invoice.status_reason}`] : [])
+  ])
+
+  let y = billTo(doc, invoice.customer)
+  y = itemsTable(doc, invoice.items, y)
+  y = taxTotals(doc, invoice, y)
+
+  // Notes and payments against the invoice, then what is still owed
+  const adjustments = [
+    ['Credit notes', -invoice.credited_amount],
+    ['Debit notes', invoice.debited_amount],
+    ['Paid', -invoice.paid_amount]
+  ].filter(([, amount]) => amount)
+
+  if (adjustments.length > 0) {
+    doc.font('Helvetica').fontSize(9)
+    adjustments.forEach(([label, amount]) => {
+      doc.text(label, 330, y, { width: 120 })
+      doc.text(`${amount < 0 ? '- ' : ''}Rs. ${formatAmount(Math.abs(amount))}`, 450, y, { width: right - 450, align: 'right' })
+      y += 14
+    })
+    doc.font('Helvetica-Bold')
+    doc.text('Balance due', 330, y, { width: 120 })
+    doc.text(`Rs. ${formatAmount(invoiceBalance(invoice))}`, 450, y, { width: right - 450, align: 'right' })
+  }
+
+  return toBuffer(doc)
+}
+
+export function renderNotePdf(note) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN })
+
+  documentHeader(doc, NOTE_TYPES[note.note_type], note.business, [
+    `Note #: ${note.note_number}`,
+    `Note date: ${formatDate(note.note_date)}`,
+    `Against invoice: ${note.invoice.invoice_number}`,
+    `Invoice date: ${formatDate(note.invoice.invoice_date)}`,
+    `Place of supply: ${placeOfSupplyLabel(note.invoice.place_of_supply)}`
+  ])
+
+  let y = billTo(doc, note.customer)
+  y = itemsTable(doc, note.items, y)
+  y = taxTotals(doc, note, y)
+
+  doc.font('Helvetica').fontSize(9).text(`Reason: ${note.reason}`, MARGIN, y + 10)
+
+  return toBuffer(doc)
+}
+
+const STATEMENT_COLUMNS = [
+  { label: 'Date', width: 70 },
+  { label: 'Type', width: 80 },
+  { label: 'Reference', width: 155 },
+  { label: 'Debit', width: 70, align: 'right' },
+  { label: 'Credit', width: 70, align: 'right' },
+  { label: 'Balance', width: 70, align: 'right' }
+]
+
+export function renderStatementPdf({ business, customer, ledger }) {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN })
+
+  doc.font('Helvetica-Bold').fontSize(18).text('STATEMENT OF ACCOUNT', MARGIN, MARGIN)
+  doc.font('Helvetica-Bold').fontSize(12).text(business.business_name, MARGIN, 70)
+  doc.font('Helvetica').fontSize(9)
+  if (business.gst_number) doc.text(`GSTIN: ${business.gst_number}`)
+
+  doc.moveDown()
+  doc.font('Helvetica-Bold').text('CUSTOMER')
+  doc.font('Helvetica').text(customer.customer_name)
+  if (customer.phone_number) doc.text(customer.phone_number)
+  doc.moveDown()
+  doc.text(`Period: ${formatDate(ledger.from)} to ${formatDate(ledger.to)}`)
+
+  let y = doc.y + 12
+  rule(doc, y - 4)
+  y = tableRow(doc, STATEMENT_COLUMNS, STATEMENT_COLUMNS.map(c => c.label), y, { bold: true })
+  rule(doc, y - 3)
+  y = tableRow(doc, STATEMENT_COLUMNS, [
+    formatDate(ledger.from), 'Opening balance', '', '', '', formatAmount(ledger.opening)
+  ], y, { bold: true })
+
+  ledger.entries.forEach((entry) => {
+    y = ensureSpace(doc, y, 30)
+    y = tableRow(doc, STATEMENT_COLUMNS, [
+      formatDate(entry.date),
+      ENTRY_LABELS[entry.type],
+      entry.reference,
+      entry.debit ? formatAmount(entry.debit) : '',
+      entry.credit ? formatAmount(entry.credit) : '',
+      formatAmount(entry.balance)
+    ], y)
+  })
+
+  y = ensureSpace(doc, y, 30)
+  rule(doc, y - 3)
+  tableRow(doc, STATEMENT_COLUMNS, [
+    formatDate(ledger.to), 'Closing balance', '', '', '', formatAmount(ledger.closing)
+  ], y, { bold: true })
+
+  return toBuffer(doc)
+}
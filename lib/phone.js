@@ -0,0 +1,34 @@
+// lib/phone.js
+// Phone numbers - customers are matched and sign in by phone, so numbers are
+// stored in one format, E.164: + and country code, e.g. +919876543210.
+// Parsing and validation come from libphonenumber-js with its mobile
+// metadata, since sign-in codes go out by SMS.
+
+import { getCountries, getCountryCallingCode, parsePhoneNumberFromString } from 'libphonenumber-js/mobile'
+
+export const DEFAULT_PHONE_COUNTRY = 'IN'
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' })
+
+// Countries for the picker, India first and the rest by name
+export const PHONE_COUNTRIES = getCountries()
+  .map(code => ({ code, name: regionNames.of(code), callingCode: getCountryCallingCode(code) }))
+  .sort((a, b) => (b.code === DEFAULT_PHONE_COUNTRY) - (a.code === DEFAULT_PHONE_COUNTRY) || a.name.localeCompare(b.name))
+
+// A number in E.164, or null if it isn't a valid mobile number. Numbers
+// without a + are read as numbers in the chosen country, so spaces, a
+// leading 0 or the country code without + all give the same result.
+export function normalizePhone(phone, country = DEFAULT_PHONE_COUNTRY) {
+  const parsed = parsePhoneNumberFromString((phone || '').trim(), country)
+  return parsed?.isValid() ? parsed.number : null
+}
+
+export function phoneError(phone, country = DEFAULT_PHONE_COUNTRY) {
+  if (!(phone || '').trim()) return 'Enter your mobile number'
+  return normalizePhone(phone, country) ? null : 'Enter a valid mobile number for the selected country'
+}
+
+// A stored number for display, e.g. +91 98765 43210
+export function formatPhone(phone) {
+  return parsePhoneNumberFromString(phone || '')?.formatInternational() || phone || ''
+}
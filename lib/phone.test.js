@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import { PHONE_COUNTRIES, formatPhone, normalizePhone, phoneError } from './phone'
+import { signupProfile } from './signup'
+
+describe('normalizePhone', () => {
+  it('gives the same E.164 number however an Indian mobile is typed', () => {
+    for (const typed of ['9876543210', '09876543210', '919876543210', '+91 98765 43210', ' 98765-43210 ', '(98765) 43210']) {
+      expect(normalizePhone(typed), typed).toBe('+919876543210')
+    }
+  })
+
+  it('reads numbers without a + as numbers in the chosen country', () => {
+    expect(normalizePhone('7911123456', 'GB')).toBe('+447911123456')
+    expect(normalizePhone('2025550123', 'US')).toBe('+12025550123')
+  })
+
+  it('keeps a number with its own country code whatever country is chosen', () => {
+    expect(normalizePhone('+14155552671')).toBe('+14155552671')
+    expect(normalizePhone('+91 98765 43210', 'GB')).toBe('+919876543210')
+  })
+
+  it('rejects numbers that are not valid mobiles', () => {
+    for (const typed of ['', null, '12345', '98765', '+912212345678', 'not a number']) {
+      expect(normalizePhone(typed), typed).toBeNull()
+    }
+    expect(normalizePhone('9876543210', 'GB')).toBeNull()
+  })
+})
+
+describe('phoneError', () => {
+  it('asks for a number, then for a valid one', () => {
+    expect(phoneError('  ')).toBe('Enter your mobile number')
+    expect(phoneError('12345')).toBe('Enter a valid mobile number for the selected country')
+    expect(phoneError('98765 43210')).toBeNull()
+  })
+})
+
+describe('formatPhone', () => {
+  it('spaces a stored number for display', () => {
+    expect(formatPhone('+919876543210')).toBe('+91 98765 43210')
+  })
+
+  it('shows anything it cannot read as it is', () => {
+    expect(formatPhone('98765')).toBe('98765')
+    expect(formatPhone(null)).toBe('')
+  })
+})
+
+describe('PHONE_COUNTRIES', () => {
+  it('puts India first', () => {
+    expect(PHONE_COUNTRIES[0]).toEqual({ code: 'IN', name: 'India', callingCode: '91' })
+  })
+})
+
+describe('signupProfile', () => {
+  it('stores the number in E.164', () => {
+    const profile = signupProfile({ name: 'Meera', email: 'meera@example.com', phone: '098765 43210', phoneCountry: 'IN' }, 'customer')
+    expect(profile.phone_number).toBe('+919876543210')
+  })
+})
@@ -0,0 +1,72 @@
+// lib/recurring.js
+// Recurring invoice schedules. Dates are ISO strings (YYYY-MM-DD).
+
+import { todayISO } from './invoices'
+
+export const FREQUENCIES = {
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  yearly: 'Yearly'
+}
+
+const MONTHS = { monthly: 1, quarterly: 3, yearly: 12 }
+
+function toDate(iso) {
+  const [year, month, day] = iso.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day))
+}
+
+function toISO(date) {
+  return date.toISOString().split('T')[0]
+}
+
+// The run date after date. Matches next_recurring_date in the database:
+// monthly, quarterly and yearly runs fall on the anchor day, or the last
+// day of a month that doesn't have it.
+export function nextRecurringDate(date, frequency, anchorDay) {
+  const current = toDate(date)
+
+  if (frequency === 'weekly') {
+    current.setUTCDate(current.getUTCDate() + 7)
+    return toISO(current)
+  }
+
+  const year = current.getUTCFullYear()
+  const month = current.getUTCMonth() + MONTHS[frequency]
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+  return toISO(new Date(Date.UTC(year, month, Math.min(anchorDay, lastDay))))
+}
+
+export function dayOfMonth(date) {
+  return toDate(date).getUTCDate()
+}
+
+// The next count run dates of a schedule, stopping at its end date
+export function upcomingRunDates(template, count = 6) {
+  const dates = []
+  let date = template.next_run_date
+
+  while (dates.length < count && (!template.end_date || date <= template.end_date)) {
+    dates.push(date)
+    date = nextRecurringDate(date, template.frequency, template.anchor_day)
+  }
+
+  return dates
+}
+
+// Create every recurring invoice that has fallen due. Run by the scheduled
+// job with the service-role client.
+export async function runRecurringInvoices(supabase, today = todayISO()) {
+  const { data: runs, error } = await supabase.rpc('run_recurring_invoices', { p_today: today })
+
+  if (error) throw error
+
+  return {
+    created: runs.filter(run => run.status === 'created').length,
+    skipped: runs.filter(run => run.status === 'skipped').length,
+    failed: runs
+      .filter(run => run.status === 'failed')
+      .map(run => ({ id: run.recurring_invoice_id, date: run.run_date, error: run.error }))
+  }
+}
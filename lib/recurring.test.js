@@ -0,0 +1,79 @@
+import { describe, expect, it, vi } from 'vitest'
+import { dayOfMonth, nextRecurringDate, runRecurringInvoices, upcomingRunDates } from './recurring'
+
+describe('nextRecurringDate', () => {
+  it('moves weekly runs on seven days, across a month end', () => {
+    expect(nextRecurringDate('2026-10-29', 'weekly', 29)).toBe('2026-11-05')
+  })
+
+  it('falls back to the last day of months without the anchor day', () => {
+    expect(nextRecurringDate('2027-01-31', 'monthly', 31)).toBe('2027-02-28')
+    expect(nextRecurringDate('2028-01-31', 'monthly', 31)).toBe('2028-02-29')
+    expect(nextRecurringDate('2027-03-31', 'monthly', 31)).toBe('2027-04-30')
+  })
+
+  it('goes back to the anchor day once the month has it', () => {
+    expect(nextRecurringDate('2027-02-28', 'monthly', 31)).toBe('2027-03-31')
+    expect(nextRecurringDate('2027-02-28', 'monthly', 30)).toBe('2027-03-30')
+    expect(nextRecurringDate('2027-02-28', 'monthly', 28)).toBe('2027-03-28')
+  })
+
+  it('keeps the anchor day for quarterly and yearly runs', () => {
+    expect(nextRecurringDate('2026-11-30', 'quarterly', 31)).toBe('2027-02-28')
+    expect(nextRecurringDate('2027-02-28', 'quarterly', 31)).toBe('2027-05-31')
+    expect(nextRecurringDate('2028-02-29', 'yearly', 29)).toBe('2029-02-28')
+    expect(nextRecurringDate('2031-02-28', 'yearly', 29)).toBe('2032-02-29')
+  })
+
+  it('crosses into the next year', () => {
+    expect(nextRecurringDate('2026-12-31', 'monthly', 31)).toBe('2027-01-31')
+    expect(nextRecurringDate('2026-11-15', 'quarterly', 15)).toBe('2027-02-15')
+  })
+})
+
+describe('dayOfMonth', () => {
+  it('reads the day from an ISO date', () => {
+    expect(dayOfMonth('2027-01-31')).toBe(31)
+  })
+})
+
+describe('upcomingRunDates', () => {
+  it('lists the next runs from a month-end anchor', () => {
+    const template = { next_run_date: '2027-01-31', frequency: 'monthly', anchor_day: 31 }
+
+    expect(upcomingRunDates(template, 4)).toEqual(['2027-01-31', '2027-02-28', '2027-03-31', '2027-04-30'])
+  })
+
+  it('stops at the end date', () => {
+    const template = { next_run_date: '2027-01-31', frequency: 'monthly', anchor_day: 31, end_date: '2027-03-30' }
+
+    expect(upcomingRunDates(template)).toEqual(['2027-01-31', '2027-02-28'])
+  })
+
+  it('includes a run on the end date', () => {
+    const template = { next_run_date: '2027-01-31', frequency: 'monthly', anchor_day: 31, end_date: '2027-02-28' }
+
+    expect(upcomingRunDates(template)).toEqual(['2027-01-31', '2027-02-28'])
+  })
+})
+
+describe('runRecurringInvoices', () => {
+  it('sums up the runs', async () => {
+    const rpc = vi.fn().mockResolvedValue({
+      data: [
+        { recurring_invoice_id: 'rec-1', run_date: '2026-10-19', status: 'created' },
+        { recurring_invoice_id: 'rec-2', run_date: '2026-10-19', status: 'failed', error: 'Over the credit limit' }
+      ],
+      error: null
+    })
+
+    const result = await runRecurringInvoices({ rpc }, '2026-10-19')
+
+    expect(rpc).toHaveBeenCalledWith('run_recurring_invoices', { p_today: '2026-10-19' })
+    expect(result).toEqual({
+      created: 1,
+      skipped: 0,
+      failed: [{ id: 'rec-2', date: '2026-10-19', error: 'Over the credit limit' }]
+    })
+  })
+})
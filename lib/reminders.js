@@ -0,0 +1,163 @@
+// lib/reminders.js
+// Payment reminder schedules, message templates and sending
+
+import { daysPastDue } from './ageing'
+import { invoiceBalance, todayISO } from './invoices'
+import { formatAmount, formatDate } from './invoice-document'
+import { fetchAllPages } from './paging'
+
+export const REMINDER_PLACEHOLDERS = {
+  customer_name: 'Customer name',
+  business_name: 'Your business name',
+  invoice_number: 'Invoice number',
+  amount_due: 'Balance still owed',
+  due_date: 'Due date',
+  days_overdue: 'Days past the due date',
+  invoice_link: 'Link to view the invoice'
+}
+
+// A starting schedule: before the due date, on it, then weekly while overdue
+export const SUGGESTED_REMINDER_RULES = [
+  {
+    days_from_due: -3,
+    repeat_every_days: null,
+    channel: 'sms',
+    template: 'Hi {customer_name}, invoice {invoice_number} from {business_name} for Rs. {amount_due} is due on {due_date}. {invoice_link}'
+  },
+  {
+    days_from_due: 0,
+    repeat_every_days: null,
+    channel: 'whatsapp',
+    template: 'Hi {customer_name}, invoice {invoice_number} from {business_name} for Rs. {amount_due} is due today. {invoice_link}'
+  },
+  {
+    days_from_due: 7,
+    repeat_every_days: 7,
+    channel: 'whatsapp',
+    template: 'Hi {customer_name}, invoice {invoice_number} from {business_name} is {days_overdue} days overdue. Rs. {amount_due} is still outstanding. {invoice_link}'
+  }
+]
+
+// Used when the business sends a reminder by hand
+export const MANUAL_REMINDER_TEMPLATE =
+  'Hi {customer_name}, this is a reminder from {business_name} that Rs. {amount_due} is outstanding on invoice {invoice_number}, due {due_date}. {invoice_link}'
+
+export function describeRule(rule) {
+  const days = Math.abs(rule.days_from_due)
+  const when = rule.days_from_due === 0
+    ? 'On the due date'
+    : `${days} day${days === 1 ? '' : 's'} ${rule.days_from_due < 0 ? 'before' : 'after'} the due date`
+
+  return rule.repeat_every_days
+    ? `${when}, then every ${rule.repeat_every_days} day${rule.repeat_every_days === 1 ? '' : 's'}`
+    : when
+}
+
+// Whether a rule sends a reminder for an invoice due on dueDate, today
+export function ruleFiresOn(rule, dueDate, today = todayISO()) {
+  const days = daysPastDue(dueDate, today)
+  if (days === rule.days_from_due) return true
+  return Boolean(rule.repeat_every_days) &&
+    days > rule.days_from_due &&
+    (days - rule.days_from_due) % rule.repeat_every_days === 0
+}
+
+// Fill a template's {placeholders}. Unknown placeholders are left as typed.
+export function renderReminder(template, invoice, { today = todayISO(), baseUrl = '' } = {}) {
+  const values = {
+    customer_name: invoice.customer?.customer_name || '',
+    business_name: invoice.business?.business_name || '',
+    invoice_number: invoice.invoice_number || '',
+    amount_due: formatAmount(invoiceBalance(invoice)),
+    due_date: formatDate(invoice.due_date),
+    days_overdue: String(Math.max(daysPastDue(invoice.due_date, today), 0)),
+    invoice_link: baseUrl ? `${baseUrl}/invoices/${invoice.id}` : ''
+  }
+
+  return template
+    .replace(/\{(\w+)\}/g, (match, key) => key in values ? values[key] : match)
+    .trim()
+}
+
+export function reminderSubject(invoice) {
+  return `Payment reminder: invoice ${invoice.invoice_number} from ${invoice.business?.business_name}`
+}
+
+// Send one reminder and record it on the invoice, whether or not it got
+// through. Returns the logged row.
+export async function sendReminder(supabase, messenger, { invoice, channel, template, rule = null, today = todayISO(), baseUrl }) {
+  const recipient = channel === 'email' ? invoice.customer?.email : invoice.customer?.phone_number
+  const message = renderReminder(template, invoice, { today, baseUrl })
+
+  const entry = {
+    invoice_id: invoice.id,
+    business_id: invoice.business_id,
+    customer_id: invoice.customer_id,
+    rule_id: rule?.id || null,
+    reminder_date: today,
+    channel,
+    recipient: recipient || null,
+    message,
+    provider: messenger.providerName(channel)
+  }
+
+  try {
+    if (!recipient) throw new Error(`The customer has no ${channel === 'email' ? 'email address' : 'phone number'}`)
+    const { id } = await messenger.send(channel, {
+      to: recipient,
+      subject: channel === 'email' ? reminderSubject(invoice) : undefined,
+      body: message
+    })
+    Object.assign(entry, { status: 'sent', provider_message_id: id })
+  } catch (error) {
+    Object.assign(entry, { status: 'failed', error: error.message })
+  }
+
+  const { data, error } = await supabase
+    .from('invoice_reminders')
+    .insert(entry)
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+// Send every reminder due today for businesses that have reminders turned
+// on. Run by the scheduled job with the service-role client; reminders
+// already logged today are not sent again. A reminder another run logged
+// first is skipped, and one that cannot be logged is reported as failed
+// without stopping the rest.
+export async function sendDueReminders(supabase, messenger, { today = todayISO(), baseUrl } = {}) {
+  // Read in full before sending, so the reminders logged meanwhile cannot
+  // shift the pages
+  const due = await fetchAllPages((from, to) => supabase
+    .rpc('due_reminders', { p_today: today })
+    .range(from, to))
+
+  const results = []
+
+  for (const { invoice, rule } of due) {
+    try {
+      results.push(await sendReminder(supabase, messenger, {
+        invoice,
+        channel: rule.channel,
+        template: rule.template,
+        rule,
+        today,
+        baseUrl
+      }))
+    } catch (error) {
+      if (error.code === '23505') continue
+      results.push({ invoice_id: invoice.id, channel: rule.channel, status: 'failed', error: error.message })
+    }
+  }
+
+  return {
+    checked: due.length,
+    sent: results.filter(entry => entry.status === 'sent').length,
+    failed: results
+      .filter(entry => entry.status === 'failed')
+      .map(entry => ({ invoice_id: entry.invoice_id, channel: entry.channel, error: entry.error }))
+  }
+}
@@ -0,0 +1,183 @@
+import { describe, expect, it, vi } from 'vitest'
+import { describeRule, renderReminder, ruleFiresOn, sendDueReminders, sendReminder } from './reminders'
+
+const TODAY = '2026-10-19'
+
+function invoice(fields) {
+  return {
+    id: 'inv-1',
+    business_id: 'biz-1',
+    customer_id: 'cust-1',
+    invoice_number: 'INV-0042',
+    status: 'sent',
+    due_date: TODAY,
+    total_amount: 1500,
+    paid_amount: 0,
+    credited_amount: 0,
+    debited_amount: 0,
+    business: { business_name: 'Sharma Traders' },
+    customer: { customer_name: 'Priya', phone_number: '+919876543210', email: null },
+    ...fields
+  }
+}
+
+// Stands in for the service-role client: records inserts, and answers
+// due_reminders with the due rows a page at a time. insertError, when given,
+// decides the error for each insert.
+function fakeSupabase({ due = [], insertError = () => null } = {}) {
+  const inserted = []
+  const pages = []
+
+  return {
+    inserted,
+    pages,
+    from: () => ({
+      insert(row) {
+        const error = insertError(row)
+        if (!error) inserted.push(row)
+        return { select: () => ({ single: async () => ({ data: error ? null : { id: `log-${inserted.length}`, ...row }, error }) }) }
+      }
+    }),
+    rpc: () => ({
+      async range(from, to) {
+        pages.push([from, to])
+        return { data: due.slice(from, to + 1), error: null }
+      }
+    })
+  }
+}
+
+function fakeMessenger(send = vi.fn().mockResolvedValue({ id: 'msg-1' })) {
+  return { send, providerName: () => 'test' }
+}
+
+describe('ruleFiresOn', () => {
+  it('fires on the day the rule names, before, on or after the due date', () => {
+    expect(ruleFiresOn({ days_from_due: -3 }, '2026-10-22', TODAY)).toBe(true)
+    expect(ruleFiresOn({ days_from_due: 0 }, TODAY, TODAY)).toBe(true)
+    expect(ruleFiresOn({ days_from_due: 7 }, '2026-10-12', TODAY)).toBe(true)
+  })
+
+  it('does not fire on other days', () => {
+    expect(ruleFiresOn({ days_from_due: -3 }, '2026-10-21', TODAY)).toBe(false)
+    expect(ruleFiresOn({ days_from_due: 7 }, '2026-10-05', TODAY)).toBe(false)
+  })
+
+  it('repeats every so many days after its first reminder', () => {
+    const rule = { days_from_due: 7, repeat_every_days: 7 }
+    expect(ruleFiresOn(rule, '2026-10-05', TODAY)).toBe(true)
+    expect(ruleFiresOn(rule, '2026-09-28', TODAY)).toBe(true)
+    expect(ruleFiresOn(rule, '2026-10-04', TODAY)).toBe(false)
+  })
+
+  it('does not repeat before its first reminder', () => {
+    expect(ruleFiresOn({ days_from_due: 7, repeat_every_days: 7 }, '2026-10-19', TODAY)).toBe(false)
+  })
+
+  it('counts days across a month end', () => {
+    expect(ruleFiresOn({ days_from_due: 1 }, '2026-09-30', '2026-10-01')).toBe(true)
+  })
+})
+
+describe('describeRule', () => {
+  it('says when the rule sends', () => {
+    expect(describeRule({ days_from_due: 0 })).toBe('On the due date')
+    expect(describeRule({ days_from_due: -1 })).toBe('1 day before the due date')
+    expect(describeRule({ days_from_due: 7, repeat_every_days: 7 })).toBe('7 days after the due date, then every 7 days')
+  })
+})
+
+describe('renderReminder', () => {
+  it('fills in the invoice details', () => {
+    const message = renderReminder(
+      '{customer_name}: {invoice_number} from {business_name}, Rs. {amount_due}, {days_overdue} days overdue. {invoice_link}',
+      invoice({ due_date: '2026-10-09', paid_amount: 500 }),
+      { today: TODAY, baseUrl: 'https://example.com' }
+    )
+
+    expect(message).toBe('Priya: INV-0042 from Sharma Traders, Rs. 1,000.00, 10 days overdue. https://example.com/invoices/inv-1')
+  })
+
+  it('counts credit and debit notes in the amount due', () => {
+    const message = renderReminder('{amount_due}', invoice({ credited_amount: 200, debited_amount: 50 }), { today: TODAY })
+    expect(message).toBe('1,350.00')
+  })
+
+  it('never says an invoice not yet due is overdue', () => {
+    expect(renderReminder('{days_overdue}', invoice({ due_date: '2026-10-25' }), { today: TODAY })).toBe('0')
+  })
+
+  it('leaves unknown placeholders as typed and drops the link without a base URL', () => {
+    expect(renderReminder('{nickname} {invoice_link}', invoice(), { today: TODAY })).toBe('{nickname}')
+  })
+})
+
+describe('sendReminder', () => {
+  it('sends to the customer and logs the reminder', async () => {
+    const supabase = fakeSupabase()
+    const messenger = fakeMessenger()
+
+    const logged = await sendReminder(supabase, messenger, { invoice: invoice(), channel: 'sms', template: 'Pay {invoice_number}', today: TODAY })
+
+    expect(messenger.send).toHaveBeenCalledWith('sms', { to: '+919876543210', subject: undefined, body: 'Pay INV-0042' })
+    expect(logged).toMatchObject({ status: 'sent', provider_message_id: 'msg-1', reminder_date: TODAY })
+  })
+
+  it('logs a failed reminder when the customer cannot be reached', async () => {
+    const supabase = fakeSupabase()
+    const messenger = fakeMessenger()
+
+    const logged = await sendReminder(supabase, messenger, { invoice: invoice(), channel: 'email', template: 'Pay', today: TODAY })
+
+    expect(messenger.send).not.toHaveBeenCalled()
+    expect(logged).toMatchObject({ status: 'failed', error: 'The customer has no email address' })
+  })
+})
+
+describe('sendDueReminders', () => {
+  const rule = { id: 'rule-1', business_id: 'biz-1', days_from_due: 0, repeat_every_days: null, channel: 'sms', template: 'Due today' }
+
+  it('sends each reminder due today', async () => {
+    const supabase = fakeSupabase({
+      due: [{ invoice: invoice(), rule }, { invoice: invoice({ id: 'inv-2' }), rule }]
+    })
+
+    const result = await sendDueReminders(supabase, fakeMessenger(), { today: TODAY })
+
+    expect(result).toEqual({ checked: 2, sent: 2, failed: [] })
+    expect(supabase.inserted.map(entry => [entry.invoice_id, entry.rule_id])).toEqual([['inv-1', 'rule-1'], ['inv-2', 'rule-1']])
+  })
+
+  it('reads every page of due reminders', async () => {
+    const due = Array.from({ length: 1001 }, (_, index) => ({ invoice: invoice({ id: `inv-${index}` }), rule }))
+    const supabase = fakeSupabase({ due })
+
+    const result = await sendDueReminders(supabase, fakeMessenger(), { today: TODAY })
+
+    expect(supabase.pages).toEqual([[0, 999], [1000, 1999]])
+    expect(result.sent).toBe(1001)
+  })
+
+  it('skips a reminder another run logged first and carries on', async () => {
+    const supabase = fakeSupabase({
+      due: [{ invoice: invoice(), rule }, { invoice: invoice({ id: 'inv-2' }), rule }],
+      insertError: row => row.invoice_id === 'inv-1' ? { code: '23505', message: 'duplicate key value' } : null
+    })
+
+    const result = await sendDueReminders(supabase, fakeMessenger(), { today: TODAY })
+
+    expect(result).toEqual({ checked: 2, sent: 1, failed: [] })
+    expect(supabase.inserted.map(entry => entry.invoice_id)).toEqual(['inv-2'])
+  })
+
+  it('reports a reminder that could not be logged and carries on', async () => {
+    const supabase = fakeSupabase({
+      due: [{ invoice: invoice(), rule }, { invoice: invoice({ id: 'inv-2' }), rule }],
+      insertError: row => row.invoice_id === 'inv-1' ? { code: '08006', message: 'connection lost' } : null
+    })
+
+    const result = await sendDueReminders(supabase, fakeMessenger(), { today: TODAY })
+
+    expect(result).toEqual({ checked: 2, sent: 1, failed: [{ invoice_id: 'inv-1', channel: 'sms', error: 'connection lost' }] })
+  })
+})
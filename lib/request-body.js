@@ -0,0 +1,13 @@
+// lib/request-body.js
+// Reading the JSON body of an API request
+
+// The body as an object, or null when it is missing, is not JSON or is not
+// an object, so a route can answer 400 instead of failing with a 500
+export async function readJsonBody(request) {
+  try {
+    const body = await request.json()
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null
+  } catch {
+    return null
+  }
+}
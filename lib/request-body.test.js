@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest'
+import { readJsonBody } from './request-body'
+
+function post(body) {
+  return new Request('http://localhost/api', { method: 'POST', body })
+}
+
+describe('readJsonBody', () => {
+  it('reads a JSON object', async () => {
+    expect(await readJsonBody(post('{"userType":"business"}'))).toEqual({ userType: 'business' })
+  })
+
+  it('is null for a missing or unreadable body', async () => {
+    expect(await readJsonBody(post(undefined))).toBeNull()
+    expect(await readJsonBody(post('{"userType":'))).toBeNull()
+  })
+
+  it('is null for JSON that is not an object', async () => {
+    expect(await readJsonBody(post('null'))).toBeNull()
+    expect(await readJsonBody(post('[1, 2]'))).toBeNull()
+    expect(await readJsonBody(post('"business"'))).toBeNull()
+  })
+})
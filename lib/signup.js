@@ -0,0 +1,64 @@
+// lib/signup.js
+// Signup form checks, shared by the signup page and the server route that
+// creates the account
+
+import { INDIAN_STATES, gstinError, stateFromGstin } from './gst'
+import { normalizePhone, phoneError } from './phone'
+
+// staff are team members joining a business that invited them
+export const USER_TYPES = ['business', 'customer', 'staff']
+
+// Check a signup form; returns an error message or null
+export function signupError(form, userType) {
+  if (!USER_TYPES.includes(userType)) return 'Choose business, customer or team member'
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((form.email || '').trim())) return 'Enter a valid email address'
+  if ((form.password || '').length < 6) return 'Password must be at least 6 characters'
+
+  const phoneProblem = phoneError(form.phone, form.phoneCountry)
+  if (phoneProblem) return phoneProblem
+
+  if (userType === 'customer' || userType === 'staff') {
+    if (!(form.name || '').trim()) return 'Enter your name'
+    return null
+  }
+
+  if (!(form.businessName || '').trim()) return 'Enter your business name'
+  if (!INDIAN_STATES.some(state => state.code === form.stateCode)) return 'Select your state'
+  if (form.gstNumber?.trim()) {
+    const gstProblem = gstinError(form.gstNumber)
+    if (gstProblem) return gstProblem
+    if (stateFromGstin(form.gstNumber.trim().toUpperCase()) !== form.stateCode) {
+      return 'The state does not match the first two digits of the GSTIN'
+    }
+  }
+  return null
+}
+
+// The profile fields stored for a valid form
+export function signupProfile(form, userType) {
+  const phone = normalizePhone(form.phone, form.phoneCountry)
+
+  if (userType === 'customer') {
+    return {
+      customer_name: form.name.trim(),
+      email: form.email.trim(),
+      phone_number: phone
+    }
+  }
+
+  // Team members get their profile from the invitation when they first sign in
+  if (userType === 'staff') {
+    return {
+      email: form.email.trim(),
+      phone_number: phone
+    }
+  }
+
+  return {
+    business_name: form.businessName.trim(),
+    email: form.email.trim(),
+    phone_number: phone,
+    gst_number: form.gstNumber?.trim().toUpperCase() || null,
+    state_code: form.stateCode
+  }
+}
@@ -0,0 +1,13 @@
+// lib/supabase-admin.js
+// Service-role Supabase client for scheduled jobs and other server-only code.
+// Never import this from a client component.
+
+import { createClient } from '@supabase/supabase-js'
+
+export function createAdminClient() {
+  return createClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY,
+    { auth: { persistSession: false, autoRefreshToken: false } }
+  )
+}
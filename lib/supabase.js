@@ -1,9 +1,52 @@
 // lib/supabase.js
-import { createBrowserClient } from '@supabase/ssr'
+import { createBrowserClient, createServerClient } from '@supabase/ssr'
 
 export function createClient() {
   return createBrowserClient(
     process.env.NEXT_PUBLIC_SUPABASE_URL,
     process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY
   )
-}
\ No newline at end of file
+}
+
+// Server components and route handlers pass in `await cookies()` from
+// next/headers so the request's session is used
+export function createServerSupabaseClient(cookieStore) {
+  return createServerClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL,
+    process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+    {
+      cookies: {
+        getAll() {
+          return cookieStore.getAll()
+        },
+        setAll(cookiesToSet) {
+          try {
+            cookiesToSet.forEach(({ name, value, options }) => cookieStore.set(name, value, options))
+          } catch {
+            // Server components can't set cookies; the session is refreshed elsewhere
+          }
+        }
+      }
+    }
+  )
+}
+
+// Middleware has no cookie store to write to: the session is read from the
+// request and refreshed cookies are passed to onRefresh, which copies them
+// onto the request and the response it returns
+export function createMiddlewareSupabaseClient(request, onRefresh) {
+  return createServerClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL,
+    process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+    {
+      cookies: {
+        getAll() {
+          return request.cookies.getAll()
+        },
+        setAll(cookiesToSet) {
+          onRefresh(cookiesToSet)
+        }
+      }
+    }
+  )
+}
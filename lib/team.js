@@ -0,0 +1,67 @@
+// lib/team.js
+// Business team members and what their roles allow. The database enforces
+// the permissions; the dashboard uses them to offer only what a member can do.
+
+export const TEAM_ROLES = {
+  owner: 'Owner',
+  accountant: 'Accountant',
+  sales: 'Sales'
+}
+
+export const ROLE_SUMMARIES = {
+  owner: 'Everything, including settings and the team',
+  accountant: 'Invoices, payments, notes, edit requests, customers, catalogue and recurring invoices',
+  sales: 'Create invoices, add customers and send reminders'
+}
+
+// The signed-in user's membership with its business and the permissions of
+// their role, or null if they are not on a team
+export async function loadMembership(supabase, userId) {
+  const { data: member } = await supabase
+    .from('business_members')
+    .select(`
+      *,
+      business:businesses(*)
+    `)
+    .eq('user_id', userId)
+    .single()
+
+  if (!member) return null
+
+  const { data: permissions } = await supabase
+    .from('business_role_permissions')
+    .select('permission')
+    .eq('role', member.role)
+
+  return { ...member, permissions: (permissions || []).map(row => row.permission) }
+}
+
+export function can(member, permission) {
+  return Boolean(member?.permissions?.includes(permission))
+}
+
+// Whether the signed-in user works for the business, in any role
+export async function isBusinessUser(supabase, businessId) {
+  const { data } = await supabase.rpc('is_business_user', { p_business_id: businessId })
+  return Boolean(data)
+}
+
+// Check an invitation; returns an error message or null
+export function invitationError(email, role, members = []) {
+  const address = (email || '').trim().toLowerCase()
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) return 'Enter a valid email address'
+  if (!TEAM_ROLES[role]) return 'Choose a role'
+  if (members.some(member => member.email === address)) return 'This person is already on your team'
+  return null
+}
+
+// The email sent with an invitation
+export function invitationMessage(businessName, role, baseUrl) {
+  return {
+    subject: `Join ${businessName} on Sure-ty`,
+    body: [
+      `${businessName} has invited you to join their team on Sure-ty in the ${TEAM_ROLES[role]} role.`,
+      `Sign up as a team member with this email address at ${baseUrl}/signup, or sign in at ${baseUrl}/login if you already have an account.`
+    ].join('\n\n')
+  }
+}
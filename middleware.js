@@ -0,0 +1,71 @@
+// middleware.js
+// Refreshes the Supabase session on every request and keeps each dashboard
+// to its role, redirecting before anything renders
+
+import { NextResponse } from 'next/server'
+import { createMiddlewareSupabaseClient } from '@/lib/supabase'
+
+// Dashboard for each role in user_roles
+const ROLE_HOME = {
+  business: '/business',
+  customer: '/customer'
+}
+
+function redirectTo(request, pathname, response) {
+  const url = request.nextUrl.clone()
+  url.pathname = pathname
+  url.search = ''
+
+  // Keep any refreshed session cookies on the redirect
+  const redirect = NextResponse.redirect(url)
+  response.cookies.getAll().forEach(cookie => redirect.cookies.set(cookie))
+  return redirect
+}
+
+export async function middleware(request) {
+  let response = NextResponse.next({ request })
+
+  const supabase = createMiddlewareSupabaseClient(request, (cookiesToSet) => {
+    cookiesToSet.forEach(({ name, value }) => request.cookies.set(name, value))
+    response = NextResponse.next({ request })
+    cookiesToSet.forEach(({ name, value, options }) => response.cookies.set(name, value, options))
+  })
+
+  // getUser validates the session with Supabase and refreshes it if needed
+  const { data: { user } } = await supabase.auth.getUser()
+
+  const { pathname } = request.nextUrl
+  const section = Object.entries(ROLE_HOME)
+    .find(([, home]) => pathname === home || pathname.startsWith(`${home}/`))
+
+  if (pathname !== '/' && !section) {
+    return response
+  }
+
+  if (!user) {
+    return redirectTo(request, '/login', response)
+  }
+
+  const { data: roleData } = await supabase
+    .from('user_roles')
+    .select('role')
+    .eq('user_id', user.id)
+    .single()
+
+  const home = ROLE_HOME[roleData?.role]
+
+  if (!home) {
+    return redirectTo(request, '/login', response)
+  }
+  if (pathname === '/' || section[0] !== roleData.role) {
+    return redirectTo(request, home, response)
+  }
+
+  return response
+}
+
+export const config = {
+  // Everything except static assets and the cron routes, which authenticate
+  // with CRON_SECRET instead of a session
+  matcher: ['/((?!_next/static|_next/image|favicon.ico|api/cron/).*)']
+}
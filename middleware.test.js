@@ -0,0 +1,104 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { NextRequest } from 'next/server'
+import { createMiddlewareSupabaseClient } from '@/lib/supabase'
+import { config, middleware } from './middleware'
+
+vi.mock('@/lib/supabase', () => ({
+  createMiddlewareSupabaseClient: vi.fn()
+}))
+
+// A client that reports the given user and role, and refreshes the session
+// cookie when asked
+function signIn(user, role, { refresh = false } = {}) {
+  createMiddlewareSupabaseClient.mockImplementation((request, onRefresh) => ({
+    auth: {
+      getUser: async () => {
+        if (refresh) onRefresh([{ name: 'sb-session', value: 'refreshed', options: { path: '/' } }])
+        return { data: { user } }
+      }
+    },
+    from: () => ({
+      select: () => ({
+        eq: () => ({
+          single: async () => ({ data: role ? { role } : null })
+        })
+      })
+    })
+  }))
+}
+
+function visit(pathname) {
+  return middleware(new NextRequest(`https://surety.test${pathname}?tab=invoices`))
+}
+
+function redirectedTo(response) {
+  const location = response.headers.get('location')
+  return location && new URL(location).pathname
+}
+
+beforeEach(() => {
+  createMiddlewareSupabaseClient.mockReset()
+})
+
+describe('middleware', () => {
+  it('sends visitors who are not signed in to the login page', async () => {
+    signIn(null)
+
+    for (const pathname of ['/', '/business', '/customer/invoices']) {
+      expect(redirectedTo(await visit(pathname))).toBe('/login')
+    }
+  })
+
+  it('leaves public pages open', async () => {
+    signIn(null)
+
+    for (const pathname of ['/login', '/signup', '/businesses', '/invoices/abc/pdf']) {
+      expect(redirectedTo(await visit(pathname))).toBeNull()
+    }
+  })
+
+  it('lets each role into its own dashboard', async () => {
+    signIn({ id: 'user-1' }, 'business')
+    expect(redirectedTo(await visit('/business'))).toBeNull()
+    expect(redirectedTo(await visit('/business/settings'))).toBeNull()
+
+    signIn({ id: 'user-2' }, 'customer')
+    expect(redirectedTo(await visit('/customer'))).toBeNull()
+  })
+
+  it('sends each role away from the other dashboard to its own', async () => {
+    signIn({ id: 'user-1' }, 'business')
+    expect(redirectedTo(await visit('/customer'))).toBe('/business')
+
+    signIn({ id: 'user-2' }, 'customer')
+    expect(redirectedTo(await visit('/business/reports'))).toBe('/customer')
+  })
+
+  it('sends signed-in users from the home page to their dashboard, without the query', async () => {
+    signIn({ id: 'user-1' }, 'customer')
+    const response = await visit('/')
+
+    expect(new URL(response.headers.get('location')).href).toBe('https://surety.test/customer')
+  })
+
+  it('sends users without a role to the login page', async () => {
+    signIn({ id: 'user-3' }, null)
+    expect(redirectedTo(await visit('/business'))).toBe('/login')
+  })
+
+  it('keeps a refreshed session cookie on redirects and on pages it lets through', async () => {
+    signIn({ id: 'user-1' }, 'business', { refresh: true })
+
+    expect((await visit('/')).cookies.get('sb-session')?.value).toBe('refreshed')
+    expect((await visit('/business')).cookies.get('sb-session')?.value).toBe('refreshed')
+  })
+
+  it('does not run on static assets or the cron routes', () => {
+    const [matcher] = config.matcher
+    const pattern = new RegExp(`^${matcher}$`)
+
+    expect(pattern.test('/business')).toBe(true)
+    expect(pattern.test('/_next/static/chunk.js')).toBe(false)
+    expect(pattern.test('/api/cron/overdue')).toBe(false)
+  })
+})
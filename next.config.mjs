@@ -1,4 +1,7 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // pdfkit reads its font metrics from disk at runtime, so it can't be bundled
+  serverExternalPackages: ['pdfkit'],
+};
 
 export default nextConfig;
@@ -0,0 +1,118 @@
+-- Initial schema
+-- The tables the app was first built on, before migrations were kept in
+-- the repo. Later migrations add to these; columns they add are not
+-- repeated here. Everything is guarded with "if not exists" so this can
+-- run against a database that already has them.
+--
+-- Row-level security for these tables is in 20261019000000_row_level_security.sql.
+
+-- A user is either a business or a customer; set when their profile is created
+create table if not exists user_roles (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  role text not null check (role in ('business', 'customer')),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists businesses (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  business_name text not null,
+  email text,
+  phone_number text,
+  gst_number text,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists businesses_user_id_idx on businesses (user_id);
+
+-- Businesses add customers by phone number before the customer has an
+-- account, so user_id is empty until the customer signs up
+create table if not exists customers (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references auth.users(id) on delete set null,
+  customer_name text not null,
+  phone_number text not null,
+  email text,
+  address text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists customers_user_id_idx on customers (user_id);
+create index if not exists customers_phone_number_idx on customers (phone_number);
+
+-- Which customers a business sells to, and on what terms
+create table if not exists business_customers (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  customer_id uuid not null references customers(id) on delete cascade,
+  credit_limit numeric(12, 2) not null default 0,
+  payment_terms_days integer not null default 30,
+  created_at timestamptz not null default now(),
+  unique (business_id, customer_id)
+);
+
+create index if not exists business_customers_customer_id_idx on business_customers (customer_id);
+
+create table if not exists invoices (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id),
+  customer_id uuid not null references customers(id),
+  invoice_number text,
+  invoice_date date not null default current_date,
+  due_date date not null,
+  total_amount numeric(12, 2) not null default 0,
+  paid_amount numeric(12, 2) not null default 0,
+  status text not null default 'sent',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists invoices_business_id_idx on invoices (business_id, created_at);
+create index if not exists invoices_customer_id_idx on invoices (customer_id, created_at);
+
+create table if not exists invoice_items (
+  id uuid primary key default gen_random_uuid(),
+  invoice_id uuid not null references invoices(id) on delete cascade,
+  item_name text not null,
+  quantity numeric(12, 2) not null,
+  unit_price numeric(12, 2) not null,
+  total_price numeric(12, 2) not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists invoice_items_invoice_id_idx on invoice_items (invoice_id);
+
+create table if not exists payments (
+  id uuid primary key default gen_random_uuid(),
+  invoice_id uuid not null references invoices(id) on delete cascade,
+  amount numeric(12, 2) not null,
+  payment_date date not null default current_date,
+  payment_method text,
+  created_at timestamptz not null default now()
+);
+
+-- A customer asks for an invoice's items to change; the business answers
+create table if not exists invoice_edit_requests (
+  id uuid primary key default gen_random_uuid(),
+  invoice_id uuid not null references invoices(id) on delete cascade,
+  requested_by uuid not null references customers(id),
+  original_items jsonb not null,
+  requested_items jsonb not null,
+  status text not null default 'pending',
+  created_at timestamptz not null default now(),
+  reviewed_at timestamptz
+);
+
+create index if not exists invoice_edit_requests_invoice_id_idx on invoice_edit_requests (invoice_id);
+
+-- Both dashboards update live as invoices and edit requests change
+do $$
+begin
+  if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and tablename = 'invoices') then
+    alter publication supabase_realtime add table invoices;
+  end if;
+  if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and tablename = 'invoice_edit_requests') then
+    alter publication supabase_realtime add table invoice_edit_requests;
+  end if;
+end;
+$$;
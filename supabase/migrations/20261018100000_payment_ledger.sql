@@ -0,0 +1,27 @@
+-- Payment ledger
+-- Invoices are paid in instalments by different methods, so every payment
+-- row carries its method and reference, and invoices gain a partially_paid
+-- status between sent and paid.
+
+alter table payments
+  add column if not exists reference_number text;
+
+alter table payments
+  drop constraint if exists payments_amount_check;
+alter table payments
+  add constraint payments_amount_check check (amount > 0);
+
+-- 'Manual' is kept for rows written by the old one-click "Mark as Paid"
+alter table payments
+  drop constraint if exists payments_payment_method_check;
+alter table payments
+  add constraint payments_payment_method_check
+  check (payment_method in ('UPI', 'Cash', 'Cheque', 'Bank Transfer', 'Manual'));
+
+alter table invoices
+  drop constraint if exists invoices_status_check;
+alter table invoices
+  add constraint invoices_status_check
+  check (status in ('sent', 'partially_paid', 'paid', 'overdue'));
+
+create index if not exists payments_invoice_id_idx on payments (invoice_id);
@@ -0,0 +1,6 @@
+-- Credit limit overrides
+-- An invoice that takes a customer past their credit limit can only be
+-- created with a reason, which is kept on the invoice.
+
+alter table invoices
+  add column if not exists credit_override_reason text;
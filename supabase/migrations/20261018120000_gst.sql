@@ -0,0 +1,47 @@
+-- GST
+-- Per-line HSN/SAC codes and rates, place of supply on the invoice, and the
+-- CGST/SGST/IGST split stored on both invoices and invoice_items.
+-- invoice_items.total_price stays the taxable value (quantity x unit_price);
+-- invoices.total_amount becomes the grand total including tax.
+
+alter table businesses
+  add column if not exists state_code text;
+
+alter table customers
+  add column if not exists state_code text;
+
+alter table invoices
+  add column if not exists place_of_supply text,
+  add column if not exists taxable_amount numeric(12, 2) not null default 0,
+  add column if not exists cgst_amount numeric(12, 2) not null default 0,
+  add column if not exists sgst_amount numeric(12, 2) not null default 0,
+  add column if not exists igst_amount numeric(12, 2) not null default 0,
+  add column if not exists tax_amount numeric(12, 2) not null default 0;
+
+alter table invoice_items
+  add column if not exists hsn_sac text,
+  add column if not exists gst_rate numeric(5, 2) not null default 0,
+  add column if not exists cgst_amount numeric(12, 2) not null default 0,
+  add column if not exists sgst_amount numeric(12, 2) not null default 0,
+  add column if not exists igst_amount numeric(12, 2) not null default 0,
+  add column if not exists tax_amount numeric(12, 2) not null default 0,
+  add column if not exists line_total numeric(12, 2) not null default 0;
+
+alter table invoice_items
+  drop constraint if exists invoice_items_gst_rate_check;
+alter table invoice_items
+  add constraint invoice_items_gst_rate_check
+  check (gst_rate in (0, 0.25, 3, 5, 12, 18, 28));
+
+-- Existing invoices carried no tax, so their taxable value is their total
+update invoices
+  set taxable_amount = total_amount
+  where taxable_amount = 0 and tax_amount = 0;
+
+update invoice_items
+  set line_total = total_price
+  where line_total = 0;
+
+update businesses
+  set state_code = left(gst_number, 2)
+  where state_code is null and gst_number ~ '^[0-9]{2}';
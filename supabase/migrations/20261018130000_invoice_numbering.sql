@@ -0,0 +1,101 @@
+-- Per-business sequential invoice numbering
+-- GST needs a gap-free series per financial year (April to March). Numbers
+-- are allocated by a trigger inside the inserting transaction: the series
+-- row stays locked until commit, so concurrent inserts queue up, and a
+-- rolled-back insert rolls its number back too.
+--
+-- Patterns support {PREFIX}, {FY} (e.g. 2026-27) and {SEQ} or {SEQ:n} for a
+-- sequence zero-padded to n digits, e.g. '{PREFIX}/{FY}/{SEQ:4}' gives
+-- ACME/2026-27/0001.
+
+alter table businesses
+  add column if not exists invoice_prefix text not null default 'INV',
+  add column if not exists invoice_number_pattern text not null default '{PREFIX}/{FY}/{SEQ:4}';
+
+alter table businesses
+  drop constraint if exists businesses_invoice_number_pattern_check;
+alter table businesses
+  add constraint businesses_invoice_number_pattern_check
+  check (invoice_number_pattern ~ '\{SEQ(:[1-9])?\}');
+
+create table if not exists invoice_number_series (
+  business_id uuid not null references businesses(id) on delete cascade,
+  financial_year text not null,
+  last_value integer not null default 0,
+  primary key (business_id, financial_year)
+);
+
+create or replace function financial_year(p_date date)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when extract(month from p_date) >= 4
+      then extract(year from p_date)::int || '-' || lpad(((extract(year from p_date)::int + 1) % 100)::text, 2, '0')
+    else (extract(year from p_date)::int - 1) || '-' || lpad((extract(year from p_date)::int % 100)::text, 2, '0')
+  end
+$$;
+
+create or replace function format_invoice_number(
+  p_pattern text,
+  p_prefix text,
+  p_financial_year text,
+  p_sequence integer
+)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+  v_width integer := coalesce((regexp_match(p_pattern, '\{SEQ:([1-9])\}'))[1]::int, 1);
+begin
+  return regexp_replace(
+    replace(replace(p_pattern, '{PREFIX}', coalesce(p_prefix, '')), '{FY}', p_financial_year),
+    '\{SEQ(:[1-9])?\}',
+    lpad(p_sequence::text, greatest(v_width, length(p_sequence::text)), '0')
+  );
+end;
+$$;
+
+create or replace function assign_invoice_number()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_business businesses%rowtype;
+  v_financial_year text := financial_year(new.invoice_date);
+  v_sequence integer;
+begin
+  if new.invoice_number is not null then
+    return new;
+  end if;
+
+  select * into v_business from businesses where id = new.business_id;
+
+  insert into invoice_number_series (business_id, financial_year, last_value)
+  values (new.business_id, v_financial_year, 1)
+  on conflict (business_id, financial_year)
+  do update set last_value = invoice_number_series.last_value + 1
+  returning last_value into v_sequence;
+
+  new.invoice_number := format_invoice_number(
+    v_business.invoice_number_pattern,
+    v_business.invoice_prefix,
+    v_financial_year,
+    v_sequence
+  );
+
+  return new;
+end;
+$$;
+
+drop trigger if exists invoices_assign_number on invoices;
+create trigger invoices_assign_number
+  before insert on invoices
+  for each row execute function assign_invoice_number();
+
+create unique index if not exists invoices_business_invoice_number_key
+  on invoices (business_id, invoice_number);
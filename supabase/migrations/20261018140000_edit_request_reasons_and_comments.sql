@@ -0,0 +1,27 @@
+-- Edit request reasons and comments
+-- Customers must say why they want an invoice changed, and each request
+-- gets a comment thread so the business can explain a rejection.
+
+alter table invoice_edit_requests
+  add column if not exists reason text;
+
+-- Not validated against older requests, which were created without a reason
+alter table invoice_edit_requests
+  drop constraint if exists invoice_edit_requests_reason_check;
+alter table invoice_edit_requests
+  add constraint invoice_edit_requests_reason_check
+  check (length(trim(reason)) > 0) not valid;
+
+create table if not exists edit_request_comments (
+  id uuid primary key default gen_random_uuid(),
+  request_id uuid not null references invoice_edit_requests(id) on delete cascade,
+  author_id uuid not null default auth.uid() references auth.users(id),
+  author_role text not null check (author_role in ('business', 'customer')),
+  body text not null check (length(trim(body)) > 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists edit_request_comments_request_id_idx
+  on edit_request_comments (request_id, created_at);
+
+alter publication supabase_realtime add table edit_request_comments;
@@ -0,0 +1,30 @@
+-- Edit request negotiation
+-- The business can accept, reject or counter each line of a request. A
+-- counter-proposal goes back to the customer, so every round is kept on the
+-- request and the agreed lines are stored once it is settled.
+
+alter table invoice_edit_requests
+  add column if not exists rounds jsonb not null default '[]'::jsonb,
+  add column if not exists final_items jsonb;
+
+-- Existing requests become a single customer round
+update invoice_edit_requests
+set rounds = jsonb_build_array(jsonb_build_object(
+  'by', 'customer',
+  'action', 'requested',
+  'items', requested_items,
+  'created_at', created_at
+))
+where rounds = '[]'::jsonb;
+
+-- Approved requests were applied exactly as requested
+update invoice_edit_requests
+set final_items = requested_items
+where status = 'approved' and final_items is null;
+
+-- 'countered' means the business has replied and the customer must respond
+alter table invoice_edit_requests
+  drop constraint if exists invoice_edit_requests_status_check;
+alter table invoice_edit_requests
+  add constraint invoice_edit_requests_status_check
+  check (status in ('pending', 'countered', 'approved', 'rejected'));
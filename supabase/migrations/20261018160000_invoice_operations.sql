@@ -0,0 +1,500 @@
+-- Transactional invoice operations
+-- Creating an invoice, recording a payment and settling an edit request each
+-- touch several tables. These functions do the whole operation in one
+-- transaction, check that the caller owns the records involved, and
+-- recompute GST and totals from the submitted lines rather than trusting
+-- amounts sent by the browser. The dashboards call them with supabase.rpc().
+--
+-- Line items are jsonb objects with item_name, hsn_sac, quantity,
+-- unit_price and gst_rate. Any other keys (such as the invoice_items id an
+-- edit request line refers to) are kept on the returned lines.
+
+-- Supplier's state: the stored state code, falling back to the GSTIN prefix
+create or replace function supplier_state(p_business businesses)
+returns text
+language sql
+stable
+as $$
+  select coalesce(nullif(p_business.state_code, ''), substring(p_business.gst_number from '^([0-9]{2})'))
+$$;
+
+-- Status an invoice should have given its payments and due date
+create or replace function invoice_status(
+  p_total_amount numeric,
+  p_paid_amount numeric,
+  p_due_date date
+)
+returns text
+language sql
+stable
+as $$
+  select case
+    when p_total_amount - coalesce(p_paid_amount, 0) <= 0 then 'paid'
+    when p_due_date < current_date then 'overdue'
+    when coalesce(p_paid_amount, 0) > 0 then 'partially_paid'
+    else 'sent'
+  end
+$$;
+
+-- Validate line items and compute the taxable value and CGST/SGST/IGST split
+-- for each, matching computeLineTax in lib/gst.js
+create or replace function compute_invoice_lines(p_items jsonb, p_inter_state boolean)
+returns jsonb
+language plpgsql
+immutable
+as $$
+declare
+  v_item jsonb;
+  v_quantity numeric;
+  v_unit_price numeric;
+  v_rate numeric;
+  v_taxable numeric;
+  v_tax numeric;
+  v_cgst numeric;
+  v_lines jsonb := '[]'::jsonb;
+begin
+  if jsonb_typeof(p_items) is distinct from 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'An invoice needs at least one item';
+  end if;
+
+  for v_item in select value from jsonb_array_elements(p_items) loop
+    if coalesce(trim(v_item->>'item_name'), '') = '' then
+      raise exception 'Every item needs a name';
+    end if;
+
+    v_quantity := coalesce((v_item->>'quantity')::numeric, 0);
+    v_unit_price := coalesce((v_item->>'unit_price')::numeric, 0);
+    v_rate := coalesce((v_item->>'gst_rate')::numeric, 0);
+
+    if v_quantity <= 0 then
+      raise exception 'Quantity for % must be more than zero', v_item->>'item_name';
+    end if;
+    if v_unit_price < 0 then
+      raise exception 'Unit price for % cannot be negative', v_item->>'item_name';
+    end if;
+    if v_rate not in (0, 0.25, 3, 5, 12, 18, 28) then
+      raise exception '% is not a GST rate', v_rate;
+    end if;
+
+    v_taxable := round(v_quantity * v_unit_price, 2);
+    v_tax := round(v_taxable * v_rate / 100, 2);
+    v_cgst := case when p_inter_state then 0 else round(v_tax / 2, 2) end;
+
+    v_lines := v_lines || jsonb_build_array(v_item || jsonb_build_object(
+      'item_name', trim(v_item->>'item_name'),
+      'hsn_sac', nullif(trim(coalesce(v_item->>'hsn_sac', '')), ''),
+      'quantity', v_quantity,
+      'unit_price', v_unit_price,
+      'gst_rate', v_rate,
+      'total_price', v_taxable,
+      'cgst_amount', v_cgst,
+      'sgst_amount', case when p_inter_state then 0 else v_tax - v_cgst end,
+      'igst_amount', case when p_inter_state then v_tax else 0 end,
+      'tax_amount', v_tax,
+      'line_total', v_taxable + v_tax
+    ));
+  end loop;
+
+  return v_lines;
+end;
+$$;
+
+-- Replace an invoice's lines and bring its totals and status up to date.
+-- Internal: callers must already have checked access to the invoice.
+create or replace function write_invoice_items(p_invoice_id uuid, p_items jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_business businesses%rowtype;
+  v_supply_state text;
+  v_lines jsonb;
+  v_total numeric;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id for update;
+  select * into v_business from businesses where id = v_invoice.business_id;
+
+  v_supply_state := supplier_state(v_business);
+  v_lines := compute_invoice_lines(
+    p_items,
+    coalesce(v_supply_state <> v_invoice.place_of_supply, false)
+  );
+
+  delete from invoice_items where invoice_id = p_invoice_id;
+
+  insert into invoice_items (
+    invoice_id, item_name, hsn_sac, quantity, unit_price, gst_rate, total_price,
+    cgst_amount, sgst_amount, igst_amount, tax_amount, line_total
+  )
+  select
+    p_invoice_id,
+    line->>'item_name',
+    line->>'hsn_sac',
+    (line->>'quantity')::numeric,
+    (line->>'unit_price')::numeric,
+    (line->>'gst_rate')::numeric,
+    (line->>'total_price')::numeric,
+    (line->>'cgst_amount')::numeric,
+    (line->>'sgst_amount')::numeric,
+    (line->>'igst_amount')::numeric,
+    (line->>'tax_amount')::numeric,
+    (line->>'line_total')::numeric
+  from jsonb_array_elements(v_lines) as line;
+
+  select coalesce(sum((line->>'line_total')::numeric), 0)
+    into v_total
+    from jsonb_array_elements(v_lines) as line;
+
+  update invoices
+  set
+    taxable_amount = (select coalesce(sum((line->>'total_price')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    cgst_amount = (select coalesce(sum((line->>'cgst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    sgst_amount = (select coalesce(sum((line->>'sgst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    igst_amount = (select coalesce(sum((line->>'igst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    tax_amount = (select coalesce(sum((line->>'tax_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    total_amount = v_total,
+    status = invoice_status(v_total, paid_amount, due_date),
+    updated_at = now()
+  where id = p_invoice_id;
+
+  return v_lines;
+end;
+$$;
+
+revoke execute on function write_invoice_items(uuid, jsonb) from public, anon, authenticated;
+
+-- The signed-in user's business, or an error if they don't own it
+create or replace function require_business_owner(p_business_id uuid)
+returns businesses
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_business businesses%rowtype;
+begin
+  select * into v_business from businesses where id = p_business_id;
+  if not found or v_business.user_id is distinct from auth.uid() then
+    raise exception 'Business not found';
+  end if;
+  return v_business;
+end;
+$$;
+
+-- Create an invoice and its lines. The due date follows the customer's
+-- payment terms, and a credit limit breach needs an override reason.
+create or replace function create_invoice(
+  p_business_id uuid,
+  p_customer_id uuid,
+  p_invoice_date date,
+  p_place_of_supply text,
+  p_items jsonb,
+  p_credit_override_reason text default null
+)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_link business_customers%rowtype;
+  v_invoice invoices%rowtype;
+  v_outstanding numeric;
+begin
+  perform require_business_owner(p_business_id);
+
+  select * into v_link
+  from business_customers
+  where business_id = p_business_id and customer_id = p_customer_id;
+
+  if not found then
+    raise exception 'Customer not found';
+  end if;
+
+  insert into invoices (
+    business_id, customer_id, invoice_date, due_date, place_of_supply,
+    total_amount, paid_amount, status, credit_override_reason
+  )
+  values (
+    p_business_id,
+    p_customer_id,
+    p_invoice_date,
+    p_invoice_date + coalesce(v_link.payment_terms_days, 30),
+    nullif(p_place_of_supply, ''),
+    0,
+    0,
+    'sent',
+    nullif(trim(coalesce(p_credit_override_reason, '')), '')
+  )
+  returning * into v_invoice;
+
+  perform write_invoice_items(v_invoice.id, p_items);
+
+  select * into v_invoice from invoices where id = v_invoice.id;
+
+  -- A limit of 0 means no limit
+  if coalesce(v_link.credit_limit, 0) > 0 then
+    select coalesce(sum(total_amount - paid_amount), 0)
+      into v_outstanding
+      from invoices
+      where business_id = p_business_id and customer_id = p_customer_id;
+
+    if v_outstanding > v_link.credit_limit and v_invoice.credit_override_reason is null then
+      raise exception 'Invoice takes the customer over their credit limit of %', v_link.credit_limit
+        using hint = 'Give a reason to override the credit limit';
+    end if;
+  end if;
+
+  return v_invoice;
+end;
+$$;
+
+-- Record one payment across several invoices, oldest due date first,
+-- matching allocatePayment in lib/invoices.js
+create or replace function record_payment(
+  p_business_id uuid,
+  p_invoice_ids uuid[],
+  p_amount numeric,
+  p_payment_date date,
+  p_payment_method text,
+  p_reference_number text default null
+)
+returns setof payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_remaining numeric := round(coalesce(p_amount, 0), 2);
+  v_applied numeric;
+  v_payment payments%rowtype;
+begin
+  perform require_business_owner(p_business_id);
+
+  if v_remaining <= 0 then
+    raise exception 'Enter a payment amount';
+  end if;
+
+  for v_invoice in
+    select * from invoices
+    where id = any(p_invoice_ids) and business_id = p_business_id
+    order by due_date, id
+    for update
+  loop
+    exit when v_remaining <= 0;
+
+    v_applied := least(v_remaining, v_invoice.total_amount - v_invoice.paid_amount);
+    continue when v_applied <= 0;
+
+    insert into payments (invoice_id, amount, payment_date, payment_method, reference_number)
+    values (v_invoice.id, v_applied, p_payment_date, p_payment_method, nullif(trim(coalesce(p_reference_number, '')), ''))
+    returning * into v_payment;
+
+    update invoices
+    set
+      paid_amount = paid_amount + v_applied,
+      status = invoice_status(total_amount, paid_amount + v_applied, due_date),
+      updated_at = now()
+    where id = v_invoice.id;
+
+    v_remaining := v_remaining - v_applied;
+    return next v_payment;
+  end loop;
+
+  if v_remaining > 0 then
+    raise exception 'Payment exceeds the outstanding balance of the selected invoices by %', v_remaining;
+  end if;
+end;
+$$;
+
+-- Lock an edit request the signed-in business can review
+create or replace function business_edit_request(p_request_id uuid)
+returns invoice_edit_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request invoice_edit_requests%rowtype;
+begin
+  select r.* into v_request
+  from invoice_edit_requests r
+  join invoices i on i.id = r.invoice_id
+  join businesses b on b.id = i.business_id
+  where r.id = p_request_id and b.user_id = auth.uid()
+  for update of r;
+
+  if not found then
+    raise exception 'Edit request not found';
+  end if;
+  if v_request.status <> 'pending' then
+    raise exception 'This edit request has already been answered';
+  end if;
+
+  return v_request;
+end;
+$$;
+
+revoke execute on function require_business_owner(uuid) from public, anon, authenticated;
+revoke execute on function business_edit_request(uuid) from public, anon, authenticated;
+
+-- Business approves a request with the final set of lines
+create or replace function approve_edit_request(p_request_id uuid, p_items jsonb, p_decisions jsonb default null)
+returns invoice_edit_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request invoice_edit_requests%rowtype := business_edit_request(p_request_id);
+  v_lines jsonb;
+begin
+  v_lines := write_invoice_items(v_request.invoice_id, p_items);
+
+  update invoice_edit_requests
+  set
+    status = 'approved',
+    final_items = v_lines,
+    rounds = rounds || jsonb_build_array(jsonb_build_object(
+      'by', 'business', 'action', 'approved', 'decisions', p_decisions, 'items', v_lines, 'created_at', now()
+    )),
+    reviewed_at = now()
+  where id = p_request_id
+  returning * into v_request;
+
+  return v_request;
+end;
+$$;
+
+-- Business sends different numbers back to the customer
+create or replace function counter_edit_request(p_request_id uuid, p_items jsonb, p_decisions jsonb default null)
+returns invoice_edit_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request invoice_edit_requests%rowtype := business_edit_request(p_request_id);
+  v_invoice invoices%rowtype;
+  v_business businesses%rowtype;
+  v_lines jsonb;
+begin
+  select * into v_invoice from invoices where id = v_request.invoice_id;
+  select * into v_business from businesses where id = v_invoice.business_id;
+
+  v_lines := compute_invoice_lines(
+    p_items,
+    coalesce(supplier_state(v_business) <> v_invoice.place_of_supply, false)
+  );
+
+  update invoice_edit_requests
+  set
+    status = 'countered',
+    rounds = rounds || jsonb_build_array(jsonb_build_object(
+      'by', 'business', 'action', 'countered', 'decisions', p_decisions, 'items', v_lines, 'created_at', now()
+    ))
+  where id = p_request_id
+  returning * into v_request;
+
+  return v_request;
+end;
+$$;
+
+-- Business rejects a request; the explanation is posted to its comment thread
+create or replace function reject_edit_request(p_request_id uuid, p_note text)
+returns invoice_edit_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request invoice_edit_requests%rowtype := business_edit_request(p_request_id);
+begin
+  if coalesce(trim(p_note), '') = '' then
+    raise exception 'Explain the rejection to the customer';
+  end if;
+
+  insert into edit_request_comments (request_id, author_id, author_role, body)
+  values (p_request_id, auth.uid(), 'business', trim(p_note));
+
+  update invoice_edit_requests
+  set
+    status = 'rejected',
+    rounds = rounds || jsonb_build_array(jsonb_build_object(
+      'by', 'business', 'action', 'rejected', 'created_at', now()
+    )),
+    reviewed_at = now()
+  where id = p_request_id
+  returning * into v_request;
+
+  return v_request;
+end;
+$$;
+
+-- Customer accepts or rejects the business's counter-proposal.
+-- Accepting applies the proposed lines to the invoice.
+create or replace function respond_to_counter_proposal(p_request_id uuid, p_accept boolean)
+returns invoice_edit_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request invoice_edit_requests%rowtype;
+  v_proposal jsonb;
+  v_lines jsonb;
+begin
+  select r.* into v_request
+  from invoice_edit_requests r
+  join customers c on c.id = r.requested_by
+  where r.id = p_request_id and c.user_id = auth.uid()
+  for update of r;
+
+  if not found then
+    raise exception 'Edit request not found';
+  end if;
+  if v_request.status <> 'countered' then
+    raise exception 'There is no counter-proposal to answer';
+  end if;
+
+  if not p_accept then
+    update invoice_edit_requests
+    set
+      status = 'rejected',
+      rounds = rounds || jsonb_build_array(jsonb_build_object(
+        'by', 'customer', 'action', 'rejected', 'created_at', now()
+      )),
+      reviewed_at = now()
+    where id = p_request_id
+    returning * into v_request;
+
+    return v_request;
+  end if;
+
+  select round->'items' into v_proposal
+  from jsonb_array_elements(v_request.rounds) with ordinality as r(round, position)
+  where round ? 'items'
+  order by position desc
+  limit 1;
+
+  v_lines := write_invoice_items(v_request.invoice_id, v_proposal);
+
+  update invoice_edit_requests
+  set
+    status = 'approved',
+    final_items = v_lines,
+    rounds = rounds || jsonb_build_array(jsonb_build_object(
+      'by', 'customer', 'action', 'accepted', 'created_at', now()
+    )),
+    reviewed_at = now()
+  where id = p_request_id
+  returning * into v_request;
+
+  return v_request;
+end;
+$$;
@@ -0,0 +1,224 @@
+-- Invoice audit trail
+-- Every change to an invoice, its items or its payments is recorded as a new
+-- version in invoice_audit_log: a snapshot of the whole invoice after the
+-- change, the snapshot before it, the fields that differ, who made it and
+-- where it came from. The log is append-only.
+--
+-- Logging runs in deferred triggers, so a transaction that rewrites several
+-- rows (create_invoice, approve_edit_request, record_payment) is logged once
+-- at commit as a single version.
+--
+-- action is one of create, update, payment, status_change, edit_approved or
+-- delete. source is 'edit_request:<id>' for approved edits, 'system' for
+-- service-role jobs such as the overdue cron, 'backfill' for versions
+-- recorded by this migration, and 'app' for everything else.
+
+create table if not exists invoice_audit_log (
+  id bigint generated always as identity primary key,
+  invoice_id uuid not null,
+  business_id uuid not null,
+  customer_id uuid not null,
+  action text not null check (action in ('create', 'update', 'payment', 'status_change', 'edit_approved', 'delete')),
+  actor_id uuid,
+  actor_role text not null check (actor_role in ('business', 'customer', 'system')),
+  source text not null,
+  before jsonb,
+  after jsonb,
+  changes jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists invoice_audit_log_invoice_id_idx
+  on invoice_audit_log (invoice_id, id);
+
+-- The whole invoice as one document. Item ids and timestamps are left out
+-- because write_invoice_items recreates the rows on every edit.
+create or replace function invoice_snapshot(p_invoice_id uuid)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select to_jsonb(i) - 'updated_at'
+    || jsonb_build_object(
+      'items', coalesce((
+        select jsonb_agg(to_jsonb(ii) - 'id' - 'invoice_id' - 'created_at' order by ii.item_name, ii.total_price)
+        from invoice_items ii
+        where ii.invoice_id = i.id
+      ), '[]'::jsonb),
+      'payments', coalesce((
+        select jsonb_agg(to_jsonb(p) - 'invoice_id' order by p.payment_date, p.created_at)
+        from payments p
+        where p.invoice_id = i.id
+      ), '[]'::jsonb)
+    )
+  from invoices i
+  where i.id = p_invoice_id
+$$;
+
+-- Top-level fields that differ between two snapshots, as { field: { before, after } }
+create or replace function snapshot_changes(p_before jsonb, p_after jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select coalesce(jsonb_object_agg(key, jsonb_build_object('before', p_before->key, 'after', p_after->key)), '{}'::jsonb)
+  from (
+    select jsonb_object_keys(coalesce(p_before, '{}'::jsonb)) as key
+    union
+    select jsonb_object_keys(coalesce(p_after, '{}'::jsonb))
+  ) keys
+  where p_before->key is distinct from p_after->key
+$$;
+
+-- Record the invoice's current state if it differs from the last version
+create or replace function log_invoice_version(p_invoice_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_before jsonb;
+  v_after jsonb := invoice_snapshot(p_invoice_id);
+  v_changes jsonb;
+  v_action text;
+  v_document jsonb;
+begin
+  select after into v_before
+  from invoice_audit_log
+  where invoice_id = p_invoice_id
+  order by id desc
+  limit 1;
+
+  if v_before is not distinct from v_after then
+    return;
+  end if;
+
+  v_changes := snapshot_changes(v_before, v_after);
+  v_document := coalesce(v_after, v_before);
+
+  v_action := case
+    when v_before is null then 'create'
+    when v_after is null then 'delete'
+    when current_setting('audit.action', true) <> '' then current_setting('audit.action', true)
+    when v_changes ? 'payments' then 'payment'
+    when (select array_agg(key) from jsonb_object_keys(v_changes) as key) = array['status'] then 'status_change'
+    else 'update'
+  end;
+
+  insert into invoice_audit_log (
+    invoice_id, business_id, customer_id, action, actor_id, actor_role, source, before, after, changes
+  )
+  values (
+    p_invoice_id,
+    (v_document->>'business_id')::uuid,
+    (v_document->>'customer_id')::uuid,
+    v_action,
+    auth.uid(),
+    case
+      when auth.uid() is null then 'system'
+      when exists (select 1 from businesses where id = (v_document->>'business_id')::uuid and user_id = auth.uid()) then 'business'
+      else 'customer'
+    end,
+    coalesce(
+      nullif(current_setting('audit.source', true), ''),
+      case when auth.uid() is null then 'system' else 'app' end
+    ),
+    v_before,
+    v_after,
+    v_changes
+  );
+end;
+$$;
+
+revoke execute on function log_invoice_version(uuid) from public, anon, authenticated;
+
+create or replace function audit_invoice_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_table_name = 'invoices' then
+    perform log_invoice_version(coalesce(new.id, old.id));
+  else
+    perform log_invoice_version(coalesce(new.invoice_id, old.invoice_id));
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists invoices_audit on invoices;
+create constraint trigger invoices_audit
+  after insert or update or delete on invoices
+  deferrable initially deferred
+  for each row execute function audit_invoice_change();
+
+drop trigger if exists invoice_items_audit on invoice_items;
+create constraint trigger invoice_items_audit
+  after insert or update or delete on invoice_items
+  deferrable initially deferred
+  for each row execute function audit_invoice_change();
+
+drop trigger if exists payments_audit on payments;
+create constraint trigger payments_audit
+  after insert or update or delete on payments
+  deferrable initially deferred
+  for each row execute function audit_invoice_change();
+
+-- Label the invoice version an approved edit request produces
+create or replace function audit_edit_request_approval()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.status = 'approved' and old.status is distinct from 'approved' then
+    perform set_config('audit.action', 'edit_approved', true);
+    perform set_config('audit.source', 'edit_request:' || new.id, true);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists invoice_edit_requests_audit on invoice_edit_requests;
+create trigger invoice_edit_requests_audit
+  after update on invoice_edit_requests
+  for each row execute function audit_edit_request_approval();
+
+-- Append-only, even for the service role
+create or replace function prevent_audit_log_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'invoice_audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists invoice_audit_log_append_only on invoice_audit_log;
+create trigger invoice_audit_log_append_only
+  before update or delete on invoice_audit_log
+  for each row execute function prevent_audit_log_changes();
+
+alter table invoice_audit_log enable row level security;
+
+drop policy if exists "Parties can read invoice history" on invoice_audit_log;
+create policy "Parties can read invoice history"
+  on invoice_audit_log for select
+  using (
+    exists (select 1 from businesses where id = invoice_audit_log.business_id and user_id = auth.uid())
+    or exists (select 1 from customers where id = invoice_audit_log.customer_id and user_id = auth.uid())
+  );
+
+revoke insert, update, delete on invoice_audit_log from anon, authenticated;
+
+-- Existing invoices start their history from their current state
+insert into invoice_audit_log (
+  invoice_id, business_id, customer_id, action, actor_role, source, after, created_at
+)
+select i.id, i.business_id, i.customer_id, 'create', 'system', 'backfill', invoice_snapshot(i.id), i.created_at
+from invoices i
+where not exists (select 1 from invoice_audit_log l where l.invoice_id = i.id);
@@ -0,0 +1,442 @@
+-- Invoice lifecycle
+-- Invoices can be saved as drafts, which the customer cannot see and which
+-- take no number until they are issued. An issued invoice can be voided
+-- (raised in error, nothing paid) or cancelled, with a reason; it keeps its
+-- number so the series stays gap-free.
+--
+-- Allowed status changes are listed in invoice_status_transitions and
+-- enforced by a trigger; INVOICE_TRANSITIONS in lib/invoices.js mirrors it.
+-- Voided and cancelled invoices are final.
+
+alter table invoices
+  add column if not exists status_reason text,
+  add column if not exists status_changed_at timestamptz;
+
+alter table invoices
+  drop constraint if exists invoices_status_check;
+alter table invoices
+  add constraint invoices_status_check
+  check (status in ('draft', 'sent', 'partially_paid', 'paid', 'overdue', 'void', 'cancelled'));
+
+alter table invoices
+  drop constraint if exists invoices_status_reason_check;
+alter table invoices
+  add constraint invoices_status_reason_check
+  check (status not in ('void', 'cancelled') or length(trim(status_reason)) > 0);
+
+create table if not exists invoice_status_transitions (
+  from_status text not null,
+  to_status text not null,
+  primary key (from_status, to_status)
+);
+
+insert into invoice_status_transitions (from_status, to_status) values
+  ('draft', 'sent'),
+  ('draft', 'paid'),
+  ('draft', 'overdue'),
+  ('sent', 'partially_paid'),
+  ('sent', 'paid'),
+  ('sent', 'overdue'),
+  ('sent', 'void'),
+  ('sent', 'cancelled'),
+  ('partially_paid', 'sent'),
+  ('partially_paid', 'paid'),
+  ('partially_paid', 'overdue'),
+  ('partially_paid', 'cancelled'),
+  ('overdue', 'sent'),
+  ('overdue', 'partially_paid'),
+  ('overdue', 'paid'),
+  ('overdue', 'void'),
+  ('overdue', 'cancelled'),
+  ('paid', 'sent'),
+  ('paid', 'partially_paid'),
+  ('paid', 'overdue')
+on conflict do nothing;
+
+revoke insert, update, delete on invoice_status_transitions from anon, authenticated;
+
+create or replace function enforce_invoice_status_transition()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    if new.status not in ('draft', 'sent') then
+      raise exception 'New invoices must be drafts or sent';
+    end if;
+    return new;
+  end if;
+
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  if not exists (
+    select 1 from invoice_status_transitions
+    where from_status = old.status and to_status = new.status
+  ) then
+    raise exception 'Invoice % cannot go from % to %', coalesce(old.invoice_number, 'draft'), old.status, new.status;
+  end if;
+
+  if new.status = 'void' and new.paid_amount > 0 then
+    raise exception 'Invoice % has payments against it; cancel it instead of voiding', old.invoice_number;
+  end if;
+
+  new.status_changed_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists invoices_status_transition on invoices;
+create trigger invoices_status_transition
+  before insert or update of status on invoices
+  for each row execute function enforce_invoice_status_transition();
+
+-- Drafts get their number when they are issued
+create or replace function assign_invoice_number()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_business businesses%rowtype;
+  v_financial_year text := financial_year(new.invoice_date);
+  v_sequence integer;
+begin
+  if new.invoice_number is not null or new.status = 'draft' then
+    return new;
+  end if;
+
+  select * into v_business from businesses where id = new.business_id;
+
+  insert into invoice_number_series (business_id, financial_year, last_value)
+  values (new.business_id, v_financial_year, 1)
+  on conflict (business_id, financial_year)
+  do update set last_value = invoice_number_series.last_value + 1
+  returning last_value into v_sequence;
+
+  new.invoice_number := format_invoice_number(
+    v_business.invoice_number_pattern,
+    v_business.invoice_prefix,
+    v_financial_year,
+    v_sequence
+  );
+
+  return new;
+end;
+$$;
+
+drop trigger if exists invoices_assign_number on invoices;
+create trigger invoices_assign_number
+  before insert or update of status on invoices
+  for each row execute function assign_invoice_number();
+
+-- Replace an invoice's lines and bring its totals and status up to date.
+-- Internal: callers must already have checked access to the invoice.
+create or replace function write_invoice_items(p_invoice_id uuid, p_items jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_business businesses%rowtype;
+  v_supply_state text;
+  v_lines jsonb;
+  v_total numeric;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id for update;
+
+  if v_invoice.status in ('void', 'cancelled') then
+    raise exception 'Invoice % is %', v_invoice.invoice_number, v_invoice.status;
+  end if;
+  select * into v_business from businesses where id = v_invoice.business_id;
+
+  v_supply_state := supplier_state(v_business);
+  v_lines := compute_invoice_lines(
+    p_items,
+    coalesce(v_supply_state <> v_invoice.place_of_supply, false)
+  );
+
+  delete from invoice_items where invoice_id = p_invoice_id;
+
+  insert into invoice_items (
+    invoice_id, item_name, hsn_sac, quantity, unit_price, gst_rate, total_price,
+    cgst_amount, sgst_amount, igst_amount, tax_amount, line_total
+  )
+  select
+    p_invoice_id,
+    line->>'item_name',
+    line->>'hsn_sac',
+    (line->>'quantity')::numeric,
+    (line->>'unit_price')::numeric,
+    (line->>'gst_rate')::numeric,
+    (line->>'total_price')::numeric,
+    (line->>'cgst_amount')::numeric,
+    (line->>'sgst_amount')::numeric,
+    (line->>'igst_amount')::numeric,
+    (line->>'tax_amount')::numeric,
+    (line->>'line_total')::numeric
+  from jsonb_array_elements(v_lines) as line;
+
+  select coalesce(sum((line->>'line_total')::numeric), 0)
+    into v_total
+    from jsonb_array_elements(v_lines) as line;
+
+  update invoices
+  set
+    taxable_amount = (select coalesce(sum((line->>'total_price')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    cgst_amount = (select coalesce(sum((line->>'cgst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    sgst_amount = (select coalesce(sum((line->>'sgst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    igst_amount = (select coalesce(sum((line->>'igst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    tax_amount = (select coalesce(sum((line->>'tax_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    total_amount = v_total,
+    status = case when status = 'draft' then status else invoice_status(v_total, paid_amount, due_date) end,
+    updated_at = now()
+  where id = p_invoice_id;
+
+  return v_lines;
+end;
+$$;
+
+drop function if exists create_invoice(uuid, uuid, date, text, jsonb, text);
+
+-- Create an invoice and its lines, optionally as a draft. The due date
+-- follows the customer's payment terms, and a credit limit breach needs an
+-- override reason.
+create or replace function create_invoice(
+  p_business_id uuid,
+  p_customer_id uuid,
+  p_invoice_date date,
+  p_place_of_supply text,
+  p_items jsonb,
+  p_credit_override_reason text default null,
+  p_draft boolean default false
+)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_link business_customers%rowtype;
+  v_invoice invoices%rowtype;
+  v_outstanding numeric;
+begin
+  perform require_business_owner(p_business_id);
+
+  select * into v_link
+  from business_customers
+  where business_id = p_business_id and customer_id = p_customer_id;
+
+  if not found then
+    raise exception 'Customer not found';
+  end if;
+
+  insert into invoices (
+    business_id, customer_id, invoice_date, due_date, place_of_supply,
+    total_amount, paid_amount, status, credit_override_reason
+  )
+  values (
+    p_business_id,
+    p_customer_id,
+    p_invoice_date,
+    p_invoice_date + coalesce(v_link.payment_terms_days, 30),
+    nullif(p_place_of_supply, ''),
+    0,
+    0,
+    case when p_draft then 'draft' else 'sent' end,
+    nullif(trim(coalesce(p_credit_override_reason, '')), '')
+  )
+  returning * into v_invoice;
+
+  perform write_invoice_items(v_invoice.id, p_items);
+
+  select * into v_invoice from invoices where id = v_invoice.id;
+
+  -- A limit of 0 means no limit
+  if coalesce(v_link.credit_limit, 0) > 0 then
+    select coalesce(sum(total_amount - paid_amount), 0)
+      into v_outstanding
+      from invoices
+      where business_id = p_business_id
+        and customer_id = p_customer_id
+        and (status not in ('draft', 'void', 'cancelled') or id = v_invoice.id);
+
+    if v_outstanding > v_link.credit_limit and v_invoice.credit_override_reason is null then
+      raise exception 'Invoice takes the customer over their credit limit of %', v_link.credit_limit
+        using hint = 'Give a reason to override the credit limit';
+    end if;
+  end if;
+
+  return v_invoice;
+end;
+$$;
+
+-- Record one payment across several invoices, oldest due date first,
+-- matching allocatePayment in lib/invoices.js
+create or replace function record_payment(
+  p_business_id uuid,
+  p_invoice_ids uuid[],
+  p_amount numeric,
+  p_payment_date date,
+  p_payment_method text,
+  p_reference_number text default null
+)
+returns setof payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_remaining numeric := round(coalesce(p_amount, 0), 2);
+  v_applied numeric;
+  v_payment payments%rowtype;
+begin
+  perform require_business_owner(p_business_id);
+
+  if v_remaining <= 0 then
+    raise exception 'Enter a payment amount';
+  end if;
+
+  for v_invoice in
+    select * from invoices
+    where id = any(p_invoice_ids)
+      and business_id = p_business_id
+      and status not in ('draft', 'void', 'cancelled')
+    order by due_date, id
+    for update
+  loop
+    exit when v_remaining <= 0;
+
+    v_applied := least(v_remaining, v_invoice.total_amount - v_invoice.paid_amount);
+    continue when v_applied <= 0;
+
+    insert into payments (invoice_id, amount, payment_date, payment_method, reference_number)
+    values (v_invoice.id, v_applied, p_payment_date, p_payment_method, nullif(trim(coalesce(p_reference_number, '')), ''))
+    returning * into v_payment;
+
+    update invoices
+    set
+      paid_amount = paid_amount + v_applied,
+      status = invoice_status(total_amount, paid_amount + v_applied, due_date),
+      updated_at = now()
+    where id = v_invoice.id;
+
+    v_remaining := v_remaining - v_applied;
+    return next v_payment;
+  end loop;
+
+  if v_remaining > 0 then
+    raise exception 'Payment exceeds the outstanding balance of the selected invoices by %', v_remaining;
+  end if;
+end;
+$$;
+
+-- Issue a draft, or void or cancel an issued invoice
+create or replace function transition_invoice(p_invoice_id uuid, p_status text, p_reason text default null)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id for update;
+  if not found then
+    raise exception 'Invoice not found';
+  end if;
+
+  perform require_business_owner(v_invoice.business_id);
+
+  if p_status = 'sent' then
+    if v_invoice.status <> 'draft' then
+      raise exception 'Only drafts can be issued';
+    end if;
+
+    update invoices
+    set status = invoice_status(total_amount, paid_amount, due_date), updated_at = now()
+    where id = p_invoice_id
+    returning * into v_invoice;
+  elsif p_status in ('void', 'cancelled') then
+    if coalesce(trim(p_reason), '') = '' then
+      raise exception 'Give a reason for the %', case when p_status = 'void' then 'void' else 'cancellation' end;
+    end if;
+
+    update invoices
+    set status = p_status, status_reason = trim(p_reason), updated_at = now()
+    where id = p_invoice_id
+    returning * into v_invoice;
+  else
+    raise exception 'Invoices can only be issued, voided or cancelled';
+  end if;
+
+  return v_invoice;
+end;
+$$;
+
+-- Record the invoice's current state if it differs from the last version
+create or replace function log_invoice_version(p_invoice_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_before jsonb;
+  v_after jsonb := invoice_snapshot(p_invoice_id);
+  v_changes jsonb;
+  v_action text;
+  v_document jsonb;
+begin
+  select after into v_before
+  from invoice_audit_log
+  where invoice_id = p_invoice_id
+  order by id desc
+  limit 1;
+
+  if v_before is not distinct from v_after then
+    return;
+  end if;
+
+  v_changes := snapshot_changes(v_before, v_after);
+  v_document := coalesce(v_after, v_before);
+
+  v_action := case
+    when v_before is null then 'create'
+    when v_after is null then 'delete'
+    when current_setting('audit.action', true) <> '' then current_setting('audit.action', true)
+    when v_changes ? 'payments' then 'payment'
+    when (select array_agg(key) from jsonb_object_keys(v_changes) as key)
+      <@ array['status', 'status_reason', 'status_changed_at', 'invoice_number'] then 'status_change'
+    else 'update'
+  end;
+
+  insert into invoice_audit_log (
+    invoice_id, business_id, customer_id, action, actor_id, actor_role, source, before, after, changes
+  )
+  values (
+    p_invoice_id,
+    (v_document->>'business_id')::uuid,
+    (v_document->>'customer_id')::uuid,
+    v_action,
+    auth.uid(),
+    case
+      when auth.uid() is null then 'system'
+      when exists (select 1 from businesses where id = (v_document->>'business_id')::uuid and user_id = auth.uid()) then 'business'
+      else 'customer'
+    end,
+    coalesce(
+      nullif(current_setting('audit.source', true), ''),
+      case when auth.uid() is null then 'system' else 'app' end
+    ),
+    v_before,
+    v_after,
+    v_changes
+  );
+end;
+$$;
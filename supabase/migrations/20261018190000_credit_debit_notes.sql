@@ -0,0 +1,374 @@
+-- Credit and debit notes
+-- A credit note reduces what is owed on an issued invoice (returns,
+-- discounts, settled disputes); a debit note adds to it (extra charges).
+-- Each note links to its invoice, carries its own GST lines and is numbered
+-- in its own per-financial-year series (CN/2026-27/0001, DN/2026-27/0001).
+-- The invoice's own lines are left alone; its balance becomes
+-- total_amount + debited_amount - credited_amount - paid_amount.
+
+alter table businesses
+  add column if not exists credit_note_prefix text not null default 'CN',
+  add column if not exists debit_note_prefix text not null default 'DN';
+
+alter table invoices
+  add column if not exists credited_amount numeric(12, 2) not null default 0,
+  add column if not exists debited_amount numeric(12, 2) not null default 0;
+
+-- Set when an approved edit was settled with notes instead of rewriting the invoice
+alter table invoice_edit_requests
+  add column if not exists settled_with_notes boolean not null default false;
+
+create table if not exists invoice_notes (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id),
+  customer_id uuid not null references customers(id),
+  invoice_id uuid not null references invoices(id),
+  edit_request_id uuid references invoice_edit_requests(id),
+  note_type text not null check (note_type in ('credit', 'debit')),
+  note_number text not null,
+  note_date date not null default current_date,
+  reason text not null check (length(trim(reason)) > 0),
+  items jsonb not null,
+  taxable_amount numeric(12, 2) not null,
+  cgst_amount numeric(12, 2) not null default 0,
+  sgst_amount numeric(12, 2) not null default 0,
+  igst_amount numeric(12, 2) not null default 0,
+  tax_amount numeric(12, 2) not null default 0,
+  total_amount numeric(12, 2) not null check (total_amount > 0),
+  created_by uuid default auth.uid() references auth.users(id),
+  created_at timestamptz not null default now(),
+  unique (business_id, note_number)
+);
+
+create index if not exists invoice_notes_invoice_id_idx on invoice_notes (invoice_id);
+create index if not exists invoice_notes_customer_id_idx on invoice_notes (business_id, customer_id);
+
+create table if not exists note_number_series (
+  business_id uuid not null references businesses(id) on delete cascade,
+  note_type text not null,
+  financial_year text not null,
+  last_value integer not null default 0,
+  primary key (business_id, note_type, financial_year)
+);
+
+-- Amount still owed on an invoice, after notes and payments
+create or replace function invoice_balance(p_invoice invoices)
+returns numeric
+language sql
+stable
+as $$
+  select p_invoice.total_amount + p_invoice.debited_amount - p_invoice.credited_amount - p_invoice.paid_amount
+$$;
+
+-- Keep billed statuses in line with the balance whenever an invoice row
+-- changes, so notes as well as payments and edits move it between sent,
+-- partially paid, paid and overdue
+create or replace function sync_invoice_balance_status()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_status text;
+begin
+  if new.status not in ('sent', 'partially_paid', 'paid', 'overdue') then
+    return new;
+  end if;
+
+  v_status := invoice_status(invoice_balance(new) + new.paid_amount, new.paid_amount, new.due_date);
+  if v_status <> new.status then
+    new.status := v_status;
+    new.status_changed_at := now();
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists invoices_balance_status on invoices;
+create trigger invoices_balance_status
+  before update on invoices
+  for each row execute function sync_invoice_balance_status();
+
+-- Payments settle what is left after notes, oldest due date first.
+-- The status follows from invoices_balance_status.
+create or replace function record_payment(
+  p_business_id uuid,
+  p_invoice_ids uuid[],
+  p_amount numeric,
+  p_payment_date date,
+  p_payment_method text,
+  p_reference_number text default null
+)
+returns setof payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_remaining numeric := round(coalesce(p_amount, 0), 2);
+  v_applied numeric;
+  v_payment payments%rowtype;
+begin
+  perform require_business_owner(p_business_id);
+
+  if v_remaining <= 0 then
+    raise exception 'Enter a payment amount';
+  end if;
+
+  for v_invoice in
+    select * from invoices
+    where id = any(p_invoice_ids)
+      and business_id = p_business_id
+      and status not in ('draft', 'void', 'cancelled')
+    order by due_date, id
+    for update
+  loop
+    exit when v_remaining <= 0;
+
+    v_applied := least(v_remaining, invoice_balance(v_invoice));
+    continue when v_applied <= 0;
+
+    insert into payments (invoice_id, amount, payment_date, payment_method, reference_number)
+    values (v_invoice.id, v_applied, p_payment_date, p_payment_method, nullif(trim(coalesce(p_reference_number, '')), ''))
+    returning * into v_payment;
+
+    update invoices
+    set
+      paid_amount = paid_amount + v_applied,
+      updated_at = now()
+    where id = v_invoice.id;
+
+    v_remaining := v_remaining - v_applied;
+    return next v_payment;
+  end loop;
+
+  if v_remaining > 0 then
+    raise exception 'Payment exceeds the outstanding balance of the selected invoices by %', v_remaining;
+  end if;
+end;
+$$;
+
+-- Note numbers reuse the business's pattern when it has a {PREFIX} to tell
+-- notes from invoices, and fall back to the default pattern otherwise
+create or replace function next_note_number(p_business businesses, p_note_type text, p_date date)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_financial_year text := financial_year(p_date);
+  v_sequence integer;
+begin
+  insert into note_number_series (business_id, note_type, financial_year, last_value)
+  values (p_business.id, p_note_type, v_financial_year, 1)
+  on conflict (business_id, note_type, financial_year)
+  do update set last_value = note_number_series.last_value + 1
+  returning last_value into v_sequence;
+
+  return format_invoice_number(
+    case when p_business.invoice_number_pattern like '%{PREFIX}%'
+      then p_business.invoice_number_pattern
+      else '{PREFIX}/{FY}/{SEQ:4}'
+    end,
+    case when p_note_type = 'credit' then p_business.credit_note_prefix else p_business.debit_note_prefix end,
+    v_financial_year,
+    v_sequence
+  );
+end;
+$$;
+
+revoke execute on function next_note_number(businesses, text, date) from public, anon, authenticated;
+
+-- Issue a note against an invoice and update the invoice's balance.
+-- Internal: callers must already have checked access to the invoice.
+create or replace function write_invoice_note(
+  p_invoice_id uuid,
+  p_note_type text,
+  p_reason text,
+  p_items jsonb,
+  p_edit_request_id uuid default null
+)
+returns invoice_notes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_business businesses%rowtype;
+  v_lines jsonb;
+  v_note invoice_notes%rowtype;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id for update;
+  select * into v_business from businesses where id = v_invoice.business_id;
+
+  if v_invoice.status in ('draft', 'void', 'cancelled') then
+    raise exception 'Notes can only be issued against an issued invoice';
+  end if;
+  if p_note_type not in ('credit', 'debit') then
+    raise exception 'Unknown note type %', p_note_type;
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'Give a reason for the % note', p_note_type;
+  end if;
+
+  v_lines := compute_invoice_lines(
+    p_items,
+    coalesce(supplier_state(v_business) <> v_invoice.place_of_supply, false)
+  );
+
+  insert into invoice_notes (
+    business_id, customer_id, invoice_id, edit_request_id, note_type, note_number, reason, items,
+    taxable_amount, cgst_amount, sgst_amount, igst_amount, tax_amount, total_amount
+  )
+  select
+    v_invoice.business_id,
+    v_invoice.customer_id,
+    v_invoice.id,
+    p_edit_request_id,
+    p_note_type,
+    next_note_number(v_business, p_note_type, current_date),
+    trim(p_reason),
+    v_lines,
+    sum((line->>'total_price')::numeric),
+    sum((line->>'cgst_amount')::numeric),
+    sum((line->>'sgst_amount')::numeric),
+    sum((line->>'igst_amount')::numeric),
+    sum((line->>'tax_amount')::numeric),
+    sum((line->>'line_total')::numeric)
+  from jsonb_array_elements(v_lines) as line
+  returning * into v_note;
+
+  if p_note_type = 'credit' and v_note.total_amount > v_invoice.total_amount + v_invoice.debited_amount - v_invoice.credited_amount then
+    raise exception 'Credit note % is more than the invoice''s remaining value', v_note.note_number;
+  end if;
+
+  perform set_config('audit.action', p_note_type || '_note', true);
+
+  update invoices
+  set
+    credited_amount = credited_amount + case when p_note_type = 'credit' then v_note.total_amount else 0 end,
+    debited_amount = debited_amount + case when p_note_type = 'debit' then v_note.total_amount else 0 end,
+    updated_at = now()
+  where id = v_invoice.id;
+
+  return v_note;
+end;
+$$;
+
+revoke execute on function write_invoice_note(uuid, text, text, jsonb, uuid) from public, anon, authenticated;
+
+-- Business issues a credit or debit note
+create or replace function issue_invoice_note(
+  p_invoice_id uuid,
+  p_note_type text,
+  p_reason text,
+  p_items jsonb
+)
+returns invoice_notes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id;
+  if not found then
+    raise exception 'Invoice not found';
+  end if;
+
+  perform require_business_owner(v_invoice.business_id);
+
+  return write_invoice_note(p_invoice_id, p_note_type, p_reason, p_items);
+end;
+$$;
+
+-- Business approves an edit request by issuing notes for the difference
+-- instead of rewriting the invoice, e.g. when it is already partly paid.
+-- The notes must add up to the change between the invoice's lines and the
+-- approved lines.
+create or replace function approve_edit_request_with_notes(
+  p_request_id uuid,
+  p_items jsonb,
+  p_credit_items jsonb,
+  p_debit_items jsonb,
+  p_decisions jsonb default null
+)
+returns invoice_edit_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request invoice_edit_requests%rowtype := business_edit_request(p_request_id);
+  v_invoice invoices%rowtype;
+  v_business businesses%rowtype;
+  v_lines jsonb;
+  v_change numeric;
+  v_noted numeric := 0;
+  v_note invoice_notes%rowtype;
+begin
+  select * into v_invoice from invoices where id = v_request.invoice_id;
+  select * into v_business from businesses where id = v_invoice.business_id;
+
+  v_lines := compute_invoice_lines(
+    p_items,
+    coalesce(supplier_state(v_business) <> v_invoice.place_of_supply, false)
+  );
+
+  select sum((line->>'line_total')::numeric) - v_invoice.total_amount
+    into v_change
+    from jsonb_array_elements(v_lines) as line;
+
+  if jsonb_array_length(coalesce(p_credit_items, '[]'::jsonb)) > 0 then
+    v_note := write_invoice_note(v_invoice.id, 'credit', coalesce(v_request.reason, 'Approved edit request'), p_credit_items, p_request_id);
+    v_noted := v_noted - v_note.total_amount;
+  end if;
+
+  if jsonb_array_length(coalesce(p_debit_items, '[]'::jsonb)) > 0 then
+    v_note := write_invoice_note(v_invoice.id, 'debit', coalesce(v_request.reason, 'Approved edit request'), p_debit_items, p_request_id);
+    v_noted := v_noted + v_note.total_amount;
+  end if;
+
+  -- Tax is rounded per line, so allow a paisa of difference per line
+  if abs(v_noted - v_change) > 0.01 * jsonb_array_length(v_lines) then
+    raise exception 'The notes (%) do not match the approved change (%)', v_noted, v_change;
+  end if;
+
+  update invoice_edit_requests
+  set
+    status = 'approved',
+    final_items = v_lines,
+    settled_with_notes = true,
+    rounds = rounds || jsonb_build_array(jsonb_build_object(
+      'by', 'business', 'action', 'approved', 'decisions', p_decisions, 'items', v_lines, 'created_at', now()
+    )),
+    reviewed_at = now()
+  where id = p_request_id
+  returning * into v_request;
+
+  return v_request;
+end;
+$$;
+
+-- Notes appear as their own actions in the invoice history
+alter table invoice_audit_log
+  drop constraint if exists invoice_audit_log_action_check;
+alter table invoice_audit_log
+  add constraint invoice_audit_log_action_check
+  check (action in ('create', 'update', 'payment', 'status_change', 'edit_approved', 'credit_note', 'debit_note', 'delete'));
+
+alter table invoice_notes enable row level security;
+
+drop policy if exists "Parties can read invoice notes" on invoice_notes;
+create policy "Parties can read invoice notes"
+  on invoice_notes for select
+  using (
+    exists (select 1 from businesses where id = invoice_notes.business_id and user_id = auth.uid())
+    or exists (select 1 from customers where id = invoice_notes.customer_id and user_id = auth.uid())
+  );
+
+revoke insert, update, delete on invoice_notes from anon, authenticated;
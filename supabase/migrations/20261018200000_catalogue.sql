@@ -0,0 +1,189 @@
+-- Product / service catalogue
+-- Each business keeps a list of what it sells: name, unit, default price,
+-- HSN/SAC code and GST rate. A price can be agreed separately with an
+-- individual customer. Invoice lines picked from the catalogue are copied,
+-- not linked, so later price changes never touch issued invoices; the line
+-- keeps its unit for display.
+
+create table if not exists catalogue_items (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  item_name text not null check (length(trim(item_name)) > 0),
+  unit text,
+  default_price numeric(12, 2) not null default 0 check (default_price >= 0),
+  hsn_sac text check (hsn_sac ~ '^[0-9]{4,8}$'),
+  gst_rate numeric not null default 0 check (gst_rate in (0, 0.25, 3, 5, 12, 18, 28)),
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists catalogue_items_business_name_idx
+  on catalogue_items (business_id, lower(item_name));
+
+create table if not exists catalogue_customer_prices (
+  catalogue_item_id uuid not null references catalogue_items(id) on delete cascade,
+  customer_id uuid not null references customers(id) on delete cascade,
+  unit_price numeric(12, 2) not null check (unit_price >= 0),
+  updated_at timestamptz not null default now(),
+  primary key (catalogue_item_id, customer_id)
+);
+
+alter table invoice_items
+  add column if not exists unit text;
+
+-- Replace an invoice's lines and bring its totals and status up to date.
+-- Internal: callers must already have checked access to the invoice.
+create or replace function write_invoice_items(p_invoice_id uuid, p_items jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_business businesses%rowtype;
+  v_supply_state text;
+  v_lines jsonb;
+  v_total numeric;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id for update;
+
+  if v_invoice.status in ('void', 'cancelled') then
+    raise exception 'Invoice % is %', v_invoice.invoice_number, v_invoice.status;
+  end if;
+  select * into v_business from businesses where id = v_invoice.business_id;
+
+  v_supply_state := supplier_state(v_business);
+  v_lines := compute_invoice_lines(
+    p_items,
+    coalesce(v_supply_state <> v_invoice.place_of_supply, false)
+  );
+
+  delete from invoice_items where invoice_id = p_invoice_id;
+
+  insert into invoice_items (
+    invoice_id, item_name, hsn_sac, unit, quantity, unit_price, gst_rate, total_price,
+    cgst_amount, sgst_amount, igst_amount, tax_amount, line_total
+  )
+  select
+    p_invoice_id,
+    line->>'item_name',
+    line->>'hsn_sac',
+    nullif(trim(coalesce(line->>'unit', '')), ''),
+    (line->>'quantity')::numeric,
+    (line->>'unit_price')::numeric,
+    (line->>'gst_rate')::numeric,
+    (line->>'total_price')::numeric,
+    (line->>'cgst_amount')::numeric,
+    (line->>'sgst_amount')::numeric,
+    (line->>'igst_amount')::numeric,
+    (line->>'tax_amount')::numeric,
+    (line->>'line_total')::numeric
+  from jsonb_array_elements(v_lines) as line;
+
+  select coalesce(sum((line->>'line_total')::numeric), 0)
+    into v_total
+    from jsonb_array_elements(v_lines) as line;
+
+  update invoices
+  set
+    taxable_amount = (select coalesce(sum((line->>'total_price')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    cgst_amount = (select coalesce(sum((line->>'cgst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    sgst_amount = (select coalesce(sum((line->>'sgst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    igst_amount = (select coalesce(sum((line->>'igst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    tax_amount = (select coalesce(sum((line->>'tax_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    total_amount = v_total,
+    status = case when status = 'draft' then status else invoice_status(v_total, paid_amount, due_date) end,
+    updated_at = now()
+  where id = p_invoice_id;
+
+  return v_lines;
+end;
+$$;
+
+-- Add or update catalogue items in bulk (CSV import). Items are matched on
+-- name, ignoring case; a matched item is updated and reactivated. The whole
+-- import is rejected if any row is invalid.
+create or replace function import_catalogue_items(p_business_id uuid, p_items jsonb)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_item jsonb;
+  v_name text;
+  v_count integer := 0;
+begin
+  perform require_business_owner(p_business_id);
+
+  if jsonb_typeof(p_items) is distinct from 'array' then
+    raise exception 'Nothing to import';
+  end if;
+
+  for v_item in select value from jsonb_array_elements(p_items) loop
+    v_name := trim(coalesce(v_item->>'item_name', ''));
+    if v_name = '' then
+      raise exception 'Every item needs a name';
+    end if;
+
+    update catalogue_items
+    set
+      unit = nullif(trim(coalesce(v_item->>'unit', '')), ''),
+      default_price = coalesce((v_item->>'default_price')::numeric, 0),
+      hsn_sac = nullif(trim(coalesce(v_item->>'hsn_sac', '')), ''),
+      gst_rate = coalesce((v_item->>'gst_rate')::numeric, 0),
+      active = true,
+      updated_at = now()
+    where business_id = p_business_id
+      and lower(item_name) = lower(v_name);
+
+    if not found then
+      insert into catalogue_items (business_id, item_name, unit, default_price, hsn_sac, gst_rate)
+      values (
+        p_business_id,
+        v_name,
+        nullif(trim(coalesce(v_item->>'unit', '')), ''),
+        coalesce((v_item->>'default_price')::numeric, 0),
+        nullif(trim(coalesce(v_item->>'hsn_sac', '')), ''),
+        coalesce((v_item->>'gst_rate')::numeric, 0)
+      );
+    end if;
+
+    v_count := v_count + 1;
+  end loop;
+
+  return v_count;
+end;
+$$;
+
+alter table catalogue_items enable row level security;
+alter table catalogue_customer_prices enable row level security;
+
+drop policy if exists "Businesses manage their catalogue" on catalogue_items;
+create policy "Businesses manage their catalogue"
+  on catalogue_items for all
+  using (exists (select 1 from businesses where id = catalogue_items.business_id and user_id = auth.uid()))
+  with check (exists (select 1 from businesses where id = catalogue_items.business_id and user_id = auth.uid()));
+
+drop policy if exists "Businesses manage customer prices" on catalogue_customer_prices;
+create policy "Businesses manage customer prices"
+  on catalogue_customer_prices for all
+  using (
+    exists (
+      select 1
+      from catalogue_items ci
+      join businesses b on b.id = ci.business_id
+      where ci.id = catalogue_customer_prices.catalogue_item_id and b.user_id = auth.uid()
+    )
+  )
+  with check (
+    exists (
+      select 1
+      from catalogue_items ci
+      join businesses b on b.id = ci.business_id
+      join business_customers bc on bc.business_id = b.id and bc.customer_id = catalogue_customer_prices.customer_id
+      where ci.id = catalogue_customer_prices.catalogue_item_id and b.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,332 @@
+-- Recurring invoices
+-- A business can set up a template for a customer it supplies on a
+-- schedule: the items, how often (weekly, monthly, quarterly or yearly),
+-- the first and optional last run date, and whether each invoice is sent
+-- straight away or saved as a draft. The daily job calls
+-- run_recurring_invoices, which creates every invoice that has fallen due
+-- through the same write_invoice path as create_invoice, so numbering, GST,
+-- due dates from the payment terms and credit limits all apply.
+--
+-- Each run is recorded in recurring_invoice_runs. A business can skip an
+-- upcoming run ahead of time by recording it as skipped.
+
+create table if not exists recurring_invoices (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  customer_id uuid not null references customers(id),
+  items jsonb not null,
+  place_of_supply text,
+  frequency text not null check (frequency in ('weekly', 'monthly', 'quarterly', 'yearly')),
+  start_date date not null,
+  end_date date check (end_date >= start_date),
+  next_run_date date not null,
+  -- Day of the month monthly, quarterly and yearly runs fall on. Months
+  -- without that day use their last day. Defaults to the first run's day;
+  -- whoever moves next_run_date by hand sets it again.
+  anchor_day integer not null check (anchor_day between 1 and 31),
+  auto_send boolean not null default true,
+  status text not null default 'active' check (status in ('active', 'paused', 'ended')),
+  last_run_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists recurring_invoices_due_idx
+  on recurring_invoices (next_run_date)
+  where status = 'active';
+
+create table if not exists recurring_invoice_runs (
+  id uuid primary key default gen_random_uuid(),
+  recurring_invoice_id uuid not null references recurring_invoices(id) on delete cascade,
+  run_date date not null,
+  status text not null check (status in ('created', 'skipped', 'failed')),
+  invoice_id uuid references invoices(id),
+  error text,
+  created_at timestamptz not null default now(),
+  unique (recurring_invoice_id, run_date)
+);
+
+alter table invoices
+  add column if not exists recurring_invoice_id uuid references recurring_invoices(id) on delete set null;
+
+-- The run date after p_date
+create or replace function next_recurring_date(p_date date, p_frequency text, p_anchor_day integer)
+returns date
+language plpgsql
+immutable
+as $$
+declare
+  v_month date;
+begin
+  if p_frequency = 'weekly' then
+    return p_date + 7;
+  end if;
+
+  v_month := date_trunc('month', p_date)::date + case p_frequency
+    when 'monthly' then interval '1 month'
+    when 'quarterly' then interval '3 months'
+    when 'yearly' then interval '1 year'
+  end;
+
+  return v_month + (least(
+    p_anchor_day,
+    extract(day from (v_month + interval '1 month' - interval '1 day'))::integer
+  ) - 1);
+end;
+$$;
+
+-- Check a template's items the way an invoice's would be checked, and end
+-- the schedule once it runs past its end date
+create or replace function check_recurring_invoice()
+returns trigger
+language plpgsql
+as $$
+begin
+  perform compute_invoice_lines(new.items, false);
+
+  if not exists (
+    select 1 from business_customers
+    where business_id = new.business_id and customer_id = new.customer_id
+  ) then
+    raise exception 'Customer not found';
+  end if;
+
+  if tg_op = 'INSERT' then
+    new.next_run_date := coalesce(new.next_run_date, new.start_date);
+    new.anchor_day := coalesce(new.anchor_day, extract(day from new.next_run_date)::integer);
+    if new.next_run_date < current_date then
+      raise exception 'The first run cannot be in the past';
+    end if;
+  end if;
+
+  if new.status <> 'ended' and new.end_date is not null and new.next_run_date > new.end_date then
+    new.status := 'ended';
+  end if;
+
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists recurring_invoices_check on recurring_invoices;
+create trigger recurring_invoices_check
+  before insert or update on recurring_invoices
+  for each row execute function check_recurring_invoice();
+
+-- Create an invoice and its lines, optionally as a draft. The due date
+-- follows the customer's payment terms, and a credit limit breach needs an
+-- override reason.
+-- Internal: callers must already have checked access to the business.
+create or replace function write_invoice(
+  p_business_id uuid,
+  p_customer_id uuid,
+  p_invoice_date date,
+  p_place_of_supply text,
+  p_items jsonb,
+  p_credit_override_reason text default null,
+  p_draft boolean default false
+)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_link business_customers%rowtype;
+  v_invoice invoices%rowtype;
+  v_outstanding numeric;
+begin
+  select * into v_link
+  from business_customers
+  where business_id = p_business_id and customer_id = p_customer_id;
+
+  if not found then
+    raise exception 'Customer not found';
+  end if;
+
+  insert into invoices (
+    business_id, customer_id, invoice_date, due_date, place_of_supply,
+    total_amount, paid_amount, status, credit_override_reason
+  )
+  values (
+    p_business_id,
+    p_customer_id,
+    p_invoice_date,
+    p_invoice_date + coalesce(v_link.payment_terms_days, 30),
+    nullif(p_place_of_supply, ''),
+    0,
+    0,
+    case when p_draft then 'draft' else 'sent' end,
+    nullif(trim(coalesce(p_credit_override_reason, '')), '')
+  )
+  returning * into v_invoice;
+
+  perform write_invoice_items(v_invoice.id, p_items);
+
+  select * into v_invoice from invoices where id = v_invoice.id;
+
+  -- A limit of 0 means no limit
+  if coalesce(v_link.credit_limit, 0) > 0 then
+    select coalesce(sum(total_amount - paid_amount), 0)
+      into v_outstanding
+      from invoices
+      where business_id = p_business_id
+        and customer_id = p_customer_id
+        and (status not in ('draft', 'void', 'cancelled') or id = v_invoice.id);
+
+    if v_outstanding > v_link.credit_limit and v_invoice.credit_override_reason is null then
+      raise exception 'Invoice takes the customer over their credit limit of %', v_link.credit_limit
+        using hint = 'Give a reason to override the credit limit';
+    end if;
+  end if;
+
+  return v_invoice;
+end;
+$$;
+
+revoke execute on function write_invoice(uuid, uuid, date, text, jsonb, text, boolean) from public, anon, authenticated;
+
+create or replace function create_invoice(
+  p_business_id uuid,
+  p_customer_id uuid,
+  p_invoice_date date,
+  p_place_of_supply text,
+  p_items jsonb,
+  p_credit_override_reason text default null,
+  p_draft boolean default false
+)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform require_business_owner(p_business_id);
+
+  return write_invoice(
+    p_business_id, p_customer_id, p_invoice_date, p_place_of_supply,
+    p_items, p_credit_override_reason, p_draft
+  );
+end;
+$$;
+
+-- Create every recurring invoice due on or before p_today. Runs missed
+-- while the job was down are caught up, one invoice per run date. A run
+-- that fails (e.g. over the credit limit) is recorded and does not stop
+-- the others. Service role only.
+create or replace function run_recurring_invoices(p_today date default current_date)
+returns setof recurring_invoice_runs
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_template recurring_invoices%rowtype;
+  v_invoice invoices%rowtype;
+  v_run recurring_invoice_runs%rowtype;
+begin
+  for v_template in
+    select * from recurring_invoices
+    where status = 'active' and next_run_date <= p_today
+    order by next_run_date
+    for update skip locked
+  loop
+    while v_template.next_run_date <= p_today
+      and (v_template.end_date is null or v_template.next_run_date <= v_template.end_date)
+    loop
+      select * into v_run
+      from recurring_invoice_runs
+      where recurring_invoice_id = v_template.id and run_date = v_template.next_run_date;
+
+      if not found then
+        begin
+          v_invoice := write_invoice(
+            v_template.business_id,
+            v_template.customer_id,
+            v_template.next_run_date,
+            v_template.place_of_supply,
+            v_template.items,
+            null,
+            not v_template.auto_send
+          );
+
+          update invoices set recurring_invoice_id = v_template.id where id = v_invoice.id;
+
+          insert into recurring_invoice_runs (recurring_invoice_id, run_date, status, invoice_id)
+          values (v_template.id, v_template.next_run_date, 'created', v_invoice.id)
+          returning * into v_run;
+        exception when others then
+          insert into recurring_invoice_runs (recurring_invoice_id, run_date, status, error)
+          values (v_template.id, v_template.next_run_date, 'failed', sqlerrm)
+          returning * into v_run;
+        end;
+      end if;
+
+      return next v_run;
+
+      v_template.next_run_date := next_recurring_date(
+        v_template.next_run_date, v_template.frequency, v_template.anchor_day
+      );
+    end loop;
+
+    update recurring_invoices
+    set next_run_date = v_template.next_run_date, last_run_at = now()
+    where id = v_template.id;
+  end loop;
+end;
+$$;
+
+revoke execute on function run_recurring_invoices(date) from public, anon, authenticated;
+
+alter table recurring_invoices enable row level security;
+alter table recurring_invoice_runs enable row level security;
+
+drop policy if exists "Businesses manage their recurring invoices" on recurring_invoices;
+create policy "Businesses manage their recurring invoices"
+  on recurring_invoices for all
+  using (exists (select 1 from businesses where id = recurring_invoices.business_id and user_id = auth.uid()))
+  with check (exists (select 1 from businesses where id = recurring_invoices.business_id and user_id = auth.uid()));
+
+drop policy if exists "Businesses read their recurring runs" on recurring_invoice_runs;
+create policy "Businesses read their recurring runs"
+  on recurring_invoice_runs for select
+  using (
+    exists (
+      select 1
+      from recurring_invoices ri
+      join businesses b on b.id = ri.business_id
+      where ri.id = recurring_invoice_runs.recurring_invoice_id and b.user_id = auth.uid()
+    )
+  );
+
+-- Businesses skip an upcoming run, or undo the skip, by adding or removing
+-- a skipped run. Created and failed runs are written by the job only.
+drop policy if exists "Businesses skip upcoming runs" on recurring_invoice_runs;
+create policy "Businesses skip upcoming runs"
+  on recurring_invoice_runs for insert
+  with check (
+    status = 'skipped'
+    and run_date >= current_date
+    and exists (
+      select 1
+      from recurring_invoices ri
+      join businesses b on b.id = ri.business_id
+      where ri.id = recurring_invoice_runs.recurring_invoice_id and b.user_id = auth.uid()
+    )
+  );
+
+drop policy if exists "Businesses undo skipped runs" on recurring_invoice_runs;
+create policy "Businesses undo skipped runs"
+  on recurring_invoice_runs for delete
+  using (
+    status = 'skipped'
+    and run_date >= current_date
+    and exists (
+      select 1
+      from recurring_invoices ri
+      join businesses b on b.id = ri.business_id
+      where ri.id = recurring_invoice_runs.recurring_invoice_id and b.user_id = auth.uid()
+    )
+  );
+
+revoke update on recurring_invoice_runs from anon, authenticated;
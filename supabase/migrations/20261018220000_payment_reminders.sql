@@ -0,0 +1,86 @@
+-- Payment reminders
+-- A business turns reminders on and sets up rules for when to send them,
+-- relative to an invoice's due date: days_from_due -3 is three days before,
+-- 0 is the due date, 7 is a week overdue. A rule with repeat_every_days
+-- keeps firing at that interval after its first day (e.g. every 7 days
+-- while overdue). Each rule has a channel and a message template.
+--
+-- The daily job sends whatever is due for open invoices and records every
+-- attempt in invoice_reminders, which is the reminder history shown on the
+-- invoice. Reminders sent by hand are recorded there too, without a rule.
+
+alter table businesses
+  add column if not exists reminders_enabled boolean not null default false;
+
+create table if not exists reminder_rules (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  days_from_due integer not null,
+  repeat_every_days integer check (repeat_every_days > 0),
+  channel text not null check (channel in ('sms', 'whatsapp', 'email')),
+  template text not null check (length(trim(template)) > 0),
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists reminder_rules_business_id_idx on reminder_rules (business_id);
+
+create table if not exists invoice_reminders (
+  id uuid primary key default gen_random_uuid(),
+  invoice_id uuid not null references invoices(id) on delete cascade,
+  business_id uuid not null references businesses(id),
+  customer_id uuid not null references customers(id),
+  rule_id uuid references reminder_rules(id) on delete set null,
+  reminder_date date not null default current_date,
+  channel text not null check (channel in ('sms', 'whatsapp', 'email')),
+  recipient text,
+  message text not null,
+  provider text not null,
+  status text not null check (status in ('sent', 'failed')),
+  provider_message_id text,
+  error text,
+  sent_by uuid default auth.uid() references auth.users(id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists invoice_reminders_invoice_id_idx on invoice_reminders (invoice_id, created_at);
+
+-- One automatic reminder per rule per invoice per day, however often the job runs
+create unique index if not exists invoice_reminders_rule_day_idx
+  on invoice_reminders (invoice_id, rule_id, reminder_date)
+  where rule_id is not null;
+
+alter table reminder_rules enable row level security;
+alter table invoice_reminders enable row level security;
+
+drop policy if exists "Businesses manage their reminder rules" on reminder_rules;
+create policy "Businesses manage their reminder rules"
+  on reminder_rules for all
+  using (exists (select 1 from businesses where id = reminder_rules.business_id and user_id = auth.uid()))
+  with check (exists (select 1 from businesses where id = reminder_rules.business_id and user_id = auth.uid()));
+
+drop policy if exists "Parties can read invoice reminders" on invoice_reminders;
+create policy "Parties can read invoice reminders"
+  on invoice_reminders for select
+  using (
+    exists (select 1 from businesses where id = invoice_reminders.business_id and user_id = auth.uid())
+    or exists (select 1 from customers where id = invoice_reminders.customer_id and user_id = auth.uid())
+  );
+
+-- Reminders sent by hand are logged by the business that sent them
+drop policy if exists "Businesses log manual reminders" on invoice_reminders;
+create policy "Businesses log manual reminders"
+  on invoice_reminders for insert
+  with check (
+    rule_id is null
+    and exists (
+      select 1 from invoices i
+      join businesses b on b.id = i.business_id
+      where i.id = invoice_reminders.invoice_id
+        and i.business_id = invoice_reminders.business_id
+        and i.customer_id = invoice_reminders.customer_id
+        and b.user_id = auth.uid()
+    )
+  );
+
+revoke update, delete on invoice_reminders from anon, authenticated;
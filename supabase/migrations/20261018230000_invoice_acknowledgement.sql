@@ -0,0 +1,142 @@
+-- Invoice acknowledgement
+-- A customer accepts an invoice from their dashboard after confirming a
+-- one-time code sent to their phone. acknowledge_invoice only accepts a
+-- session whose phone OTP sign-in is recent (the amr claim of the JWT), so
+-- an old or stolen session cannot accept on the customer's behalf. The
+-- invoice is stamped with when, by whom and from which device.
+--
+-- A business can set auto_accept_days: invoices the customer has neither
+-- accepted nor disputed (no open edit request) that many days after the
+-- invoice date are accepted by the daily job, with method 'auto'.
+--
+-- The acknowledgement columns can only be written through these functions.
+
+alter table businesses
+  add column if not exists auto_accept_days integer check (auto_accept_days > 0);
+
+alter table invoices
+  add column if not exists acknowledged_at timestamptz,
+  add column if not exists acknowledged_by uuid references auth.users(id),
+  add column if not exists acknowledgement_method text check (acknowledgement_method in ('otp', 'auto')),
+  add column if not exists acknowledgement_device jsonb;
+
+create index if not exists invoices_unacknowledged_idx
+  on invoices (business_id, invoice_date)
+  where acknowledged_at is null;
+
+create or replace function protect_invoice_acknowledgement()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated') and (
+    new.acknowledged_at is distinct from old.acknowledged_at
+    or new.acknowledged_by is distinct from old.acknowledged_by
+    or new.acknowledgement_method is distinct from old.acknowledgement_method
+    or new.acknowledgement_device is distinct from old.acknowledgement_device
+  ) then
+    raise exception 'Invoices can only be accepted by the customer';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists invoices_protect_acknowledgement on invoices;
+create trigger invoices_protect_acknowledgement
+  before update on invoices
+  for each row execute function protect_invoice_acknowledgement();
+
+-- How long a phone OTP sign-in counts as confirmation
+create or replace function recent_otp_sign_in(p_window interval default interval '10 minutes')
+returns boolean
+language sql
+stable
+as $$
+  select exists (
+    select 1
+    from jsonb_array_elements(coalesce(auth.jwt()->'amr', '[]'::jsonb)) as method
+    where method->>'method' = 'otp'
+      and to_timestamp((method->>'timestamp')::bigint) > now() - p_window
+  )
+$$;
+
+create or replace function acknowledge_invoice(p_invoice_id uuid, p_device jsonb default null)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id for update;
+
+  if not found or not exists (
+    select 1 from customers where id = v_invoice.customer_id and user_id = auth.uid()
+  ) then
+    raise exception 'Invoice not found';
+  end if;
+
+  if v_invoice.status in ('draft', 'void', 'cancelled') then
+    raise exception 'Invoice % cannot be accepted', coalesce(v_invoice.invoice_number, 'draft');
+  end if;
+  if v_invoice.acknowledged_at is not null then
+    raise exception 'Invoice % has already been accepted', v_invoice.invoice_number;
+  end if;
+  if not recent_otp_sign_in() then
+    raise exception 'Confirm the code sent to your phone to accept this invoice';
+  end if;
+
+  perform set_config('audit.action', 'acknowledged', true);
+
+  update invoices
+  set
+    acknowledged_at = now(),
+    acknowledged_by = auth.uid(),
+    acknowledgement_method = 'otp',
+    acknowledgement_device = p_device
+  where id = p_invoice_id
+  returning * into v_invoice;
+
+  return v_invoice;
+end;
+$$;
+
+-- Accept invoices left without action past their business's window.
+-- Run by the scheduled job with the service role.
+create or replace function auto_accept_invoices(p_today date default current_date)
+returns setof invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform set_config('audit.action', 'acknowledged', true);
+
+  return query
+  update invoices i
+  set
+    acknowledged_at = now(),
+    acknowledgement_method = 'auto'
+  from businesses b
+  where b.id = i.business_id
+    and b.auto_accept_days is not null
+    and i.acknowledged_at is null
+    and i.status not in ('draft', 'void', 'cancelled')
+    and i.invoice_date + b.auto_accept_days <= p_today
+    and not exists (
+      select 1 from invoice_edit_requests r
+      where r.invoice_id = i.id and r.status in ('pending', 'countered')
+    )
+  returning i.*;
+end;
+$$;
+
+revoke execute on function auto_accept_invoices(date) from public, anon, authenticated;
+
+-- Acceptance appears as its own action in the invoice history
+alter table invoice_audit_log
+  drop constraint if exists invoice_audit_log_action_check;
+alter table invoice_audit_log
+  add constraint invoice_audit_log_action_check
+  check (action in ('create', 'update', 'payment', 'status_change', 'edit_approved', 'credit_note', 'debit_note', 'acknowledged', 'delete'));
@@ -0,0 +1,335 @@
+-- Row-level security for the core tables
+-- Every table the browser can reach now says who may read and write it.
+-- A business sees its own profile, the customers it has linked and its
+-- invoices. A customer sees their own profile, the businesses they buy from
+-- and those businesses' invoices to them, except drafts and voided ones.
+-- Nobody can read across tenants.
+--
+-- Invoices, items and payments are only written through the security
+-- definer functions in earlier migrations (create_invoice, record_payment,
+-- transition_invoice and so on), so direct writes are revoked.
+--
+-- Policies that would otherwise refer to each other (a business reads its
+-- customers through business_customers, which checks the business) use
+-- is_business_user and is_customer_user, which read without RLS.
+
+create or replace function is_business_user(p_business_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from businesses where id = p_business_id and user_id = auth.uid())
+$$;
+
+create or replace function is_customer_user(p_customer_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from customers where id = p_customer_id and user_id = auth.uid())
+$$;
+
+-- A user's role follows the profile they create, and an account cannot be
+-- both a business and a customer
+create or replace function assign_user_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_role text := case when tg_table_name = 'businesses' then 'business' else 'customer' end;
+  v_existing text;
+begin
+  if new.user_id is null then
+    return new;
+  end if;
+
+  insert into user_roles (user_id, role)
+  values (new.user_id, v_role)
+  on conflict (user_id) do nothing;
+
+  select role into v_existing from user_roles where user_id = new.user_id;
+  if v_existing <> v_role then
+    raise exception 'This account is already registered as a %', v_existing;
+  end if;
+
+  return new;
+end;
+$$;
+
+revoke execute on function assign_user_role() from public, anon, authenticated;
+
+drop trigger if exists businesses_assign_user_role on businesses;
+create trigger businesses_assign_user_role
+  after insert or update of user_id on businesses
+  for each row execute function assign_user_role();
+
+drop trigger if exists customers_assign_user_role on customers;
+create trigger customers_assign_user_role
+  after insert or update of user_id on customers
+  for each row execute function assign_user_role();
+
+-- Add a customer by phone number and link them to the business. A customer
+-- who already exists (another business added them, or they signed up) is
+-- linked as they are; the business cannot search other customers directly.
+create or replace function add_business_customer(
+  p_business_id uuid,
+  p_customer_name text,
+  p_phone_number text,
+  p_email text default null,
+  p_address text default null,
+  p_state_code text default null,
+  p_credit_limit numeric default 0,
+  p_payment_terms_days integer default 30
+)
+returns business_customers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_customer_id uuid;
+  v_link business_customers%rowtype;
+begin
+  perform require_business_owner(p_business_id);
+
+  if coalesce(trim(p_phone_number), '') = '' then
+    raise exception 'Enter the customer''s phone number';
+  end if;
+
+  select id into v_customer_id
+  from customers
+  where phone_number = trim(p_phone_number)
+  order by user_id is null, created_at
+  limit 1;
+
+  if v_customer_id is null then
+    if coalesce(trim(p_customer_name), '') = '' then
+      raise exception 'Enter the customer''s name';
+    end if;
+
+    insert into customers (customer_name, phone_number, email, address, state_code)
+    values (
+      trim(p_customer_name),
+      trim(p_phone_number),
+      nullif(trim(p_email), ''),
+      nullif(trim(p_address), ''),
+      nullif(p_state_code, '')
+    )
+    returning id into v_customer_id;
+  end if;
+
+  if exists (select 1 from business_customers where business_id = p_business_id and customer_id = v_customer_id) then
+    raise exception 'This customer is already linked to your business';
+  end if;
+
+  insert into business_customers (business_id, customer_id, credit_limit, payment_terms_days)
+  values (p_business_id, v_customer_id, coalesce(p_credit_limit, 0), coalesce(p_payment_terms_days, 30))
+  returning * into v_link;
+
+  return v_link;
+end;
+$$;
+
+-- Edit requests carry their business so the business dashboard can
+-- subscribe to its own requests only
+alter table invoice_edit_requests
+  add column if not exists business_id uuid references businesses(id);
+
+update invoice_edit_requests r
+set business_id = i.business_id
+from invoices i
+where i.id = r.invoice_id
+  and r.business_id is null;
+
+alter table invoice_edit_requests
+  alter column business_id set not null;
+
+create index if not exists invoice_edit_requests_business_id_idx
+  on invoice_edit_requests (business_id, status);
+
+create or replace function set_edit_request_business()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  select business_id into new.business_id from invoices where id = new.invoice_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists invoice_edit_requests_set_business on invoice_edit_requests;
+create trigger invoice_edit_requests_set_business
+  before insert or update of invoice_id on invoice_edit_requests
+  for each row execute function set_edit_request_business();
+
+alter table user_roles enable row level security;
+alter table businesses enable row level security;
+alter table customers enable row level security;
+alter table business_customers enable row level security;
+alter table invoices enable row level security;
+alter table invoice_items enable row level security;
+alter table payments enable row level security;
+alter table invoice_edit_requests enable row level security;
+alter table edit_request_comments enable row level security;
+alter table invoice_number_series enable row level security;
+alter table note_number_series enable row level security;
+alter table invoice_status_transitions enable row level security;
+
+-- user_roles
+
+drop policy if exists "Users read their own role" on user_roles;
+create policy "Users read their own role"
+  on user_roles for select
+  using (user_id = auth.uid());
+
+revoke insert, update, delete on user_roles from anon, authenticated;
+
+-- businesses
+
+drop policy if exists "Businesses manage their own profile" on businesses;
+create policy "Businesses manage their own profile"
+  on businesses for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "Customers read the businesses they buy from" on businesses;
+create policy "Customers read the businesses they buy from"
+  on businesses for select
+  using (exists (
+    select 1 from business_customers bc
+    where bc.business_id = businesses.id and is_customer_user(bc.customer_id)
+  ));
+
+revoke delete on businesses from anon, authenticated;
+
+-- customers
+
+drop policy if exists "Customers manage their own profile" on customers;
+create policy "Customers manage their own profile"
+  on customers for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "Businesses read their customers" on customers;
+create policy "Businesses read their customers"
+  on customers for select
+  using (exists (
+    select 1 from business_customers bc
+    where bc.customer_id = customers.id and is_business_user(bc.business_id)
+  ));
+
+revoke delete on customers from anon, authenticated;
+
+-- business_customers
+
+drop policy if exists "Businesses manage their customer links" on business_customers;
+create policy "Businesses manage their customer links"
+  on business_customers for all
+  using (is_business_user(business_id))
+  with check (is_business_user(business_id));
+
+drop policy if exists "Customers read their business links" on business_customers;
+create policy "Customers read their business links"
+  on business_customers for select
+  using (is_customer_user(customer_id));
+
+-- invoices, items and payments
+
+drop policy if exists "Businesses read their invoices" on invoices;
+create policy "Businesses read their invoices"
+  on invoices for select
+  using (is_business_user(business_id));
+
+drop policy if exists "Customers read issued invoices" on invoices;
+create policy "Customers read issued invoices"
+  on invoices for select
+  using (is_customer_user(customer_id) and status not in ('draft', 'void'));
+
+drop policy if exists "Parties read invoice items" on invoice_items;
+create policy "Parties read invoice items"
+  on invoice_items for select
+  using (exists (select 1 from invoices where id = invoice_items.invoice_id));
+
+drop policy if exists "Parties read payments" on payments;
+create policy "Parties read payments"
+  on payments for select
+  using (exists (select 1 from invoices where id = payments.invoice_id));
+
+revoke insert, update, delete on invoices from anon, authenticated;
+revoke insert, update, delete on invoice_items from anon, authenticated;
+revoke insert, update, delete on payments from anon, authenticated;
+
+-- edit requests and their comments
+
+drop policy if exists "Parties read edit requests" on invoice_edit_requests;
+create policy "Parties read edit requests"
+  on invoice_edit_requests for select
+  using (is_business_user(business_id) or is_customer_user(requested_by));
+
+-- Customers raise requests on their own issued invoices; everything after
+-- that goes through the edit request functions
+drop policy if exists "Customers request edits" on invoice_edit_requests;
+create policy "Customers request edits"
+  on invoice_edit_requests for insert
+  with check (
+    status = 'pending'
+    and is_customer_user(requested_by)
+    and exists (
+      select 1 from invoices
+      where id = invoice_edit_requests.invoice_id
+        and customer_id = invoice_edit_requests.requested_by
+        and status not in ('draft', 'void', 'cancelled')
+    )
+  );
+
+revoke update, delete on invoice_edit_requests from anon, authenticated;
+
+drop policy if exists "Parties read edit request comments" on edit_request_comments;
+create policy "Parties read edit request comments"
+  on edit_request_comments for select
+  using (exists (select 1 from invoice_edit_requests where id = edit_request_comments.request_id));
+
+drop policy if exists "Parties comment on edit requests" on edit_request_comments;
+create policy "Parties comment on edit requests"
+  on edit_request_comments for insert
+  with check (
+    author_id = auth.uid()
+    and exists (
+      select 1 from invoice_edit_requests r
+      where r.id = edit_request_comments.request_id
+        and (
+          (edit_request_comments.author_role = 'business' and is_business_user(r.business_id))
+          or (edit_request_comments.author_role = 'customer' and is_customer_user(r.requested_by))
+        )
+    )
+  );
+
+revoke update, delete on edit_request_comments from anon, authenticated;
+
+-- numbering and reference data
+
+drop policy if exists "Businesses read their invoice number series" on invoice_number_series;
+create policy "Businesses read their invoice number series"
+  on invoice_number_series for select
+  using (is_business_user(business_id));
+
+drop policy if exists "Businesses read their note number series" on note_number_series;
+create policy "Businesses read their note number series"
+  on note_number_series for select
+  using (is_business_user(business_id));
+
+revoke insert, update, delete on invoice_number_series from anon, authenticated;
+revoke insert, update, delete on note_number_series from anon, authenticated;
+
+drop policy if exists "Anyone can read invoice status transitions" on invoice_status_transitions;
+create policy "Anyone can read invoice status transitions"
+  on invoice_status_transitions for select
+  using (true);
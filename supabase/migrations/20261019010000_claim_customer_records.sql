@@ -0,0 +1,136 @@
+-- Claiming customer records
+-- A business adds a customer by phone number before the customer has an
+-- account, which leaves a customers row with no user_id. When the customer
+-- first signs in with a phone OTP, claim_customer_records attaches the
+-- unclaimed rows for that verified number to their account, which also
+-- gives them the customer role (assign_user_role).
+--
+-- Older data can hold several unclaimed rows for one number, one per
+-- business that added it. They are merged into the claimed row, so the
+-- customer has a single profile with every business that has invoiced them.
+
+-- Move everything that belongs to p_merge onto p_keep, then delete p_merge.
+-- Internal: callers must already have checked both rows may be merged.
+create or replace function merge_customers(p_keep uuid, p_merge uuid)
+returns customers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_customer customers%rowtype;
+begin
+  if p_keep = p_merge then
+    raise exception 'Cannot merge a customer into itself';
+  end if;
+
+  -- Invoice history records the move as a merge rather than an edit
+  perform set_config('audit.source', 'customer_merge', true);
+
+  -- A business linked to both keeps the link it already had with p_keep
+  delete from business_customers m
+  where m.customer_id = p_merge
+    and exists (select 1 from business_customers k where k.customer_id = p_keep and k.business_id = m.business_id);
+  update business_customers set customer_id = p_keep where customer_id = p_merge;
+
+  delete from catalogue_customer_prices m
+  where m.customer_id = p_merge
+    and exists (
+      select 1 from catalogue_customer_prices k
+      where k.customer_id = p_keep and k.catalogue_item_id = m.catalogue_item_id
+    );
+  update catalogue_customer_prices set customer_id = p_keep where customer_id = p_merge;
+
+  update invoices set customer_id = p_keep where customer_id = p_merge;
+  update invoice_edit_requests set requested_by = p_keep where requested_by = p_merge;
+  update invoice_notes set customer_id = p_keep where customer_id = p_merge;
+  update recurring_invoices set customer_id = p_keep where customer_id = p_merge;
+  update invoice_reminders set customer_id = p_keep where customer_id = p_merge;
+
+  -- Fill in details the kept row is missing
+  update customers k
+  set
+    email = coalesce(k.email, m.email),
+    address = coalesce(k.address, m.address),
+    state_code = coalesce(k.state_code, m.state_code)
+  from customers m
+  where k.id = p_keep and m.id = p_merge
+  returning k.* into v_customer;
+
+  delete from customers where id = p_merge;
+
+  return v_customer;
+end;
+$$;
+
+revoke execute on function merge_customers(uuid, uuid) from public, anon, authenticated;
+
+-- Attach the unclaimed customer rows for the signed-in user's verified
+-- phone number. Returns the customer profile, or null when no business has
+-- added this number yet. Safe to call on every sign-in.
+create or replace function claim_customer_records()
+returns customers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_phone text;
+  v_customer customers%rowtype;
+  v_unclaimed uuid;
+begin
+  select '+' || ltrim(phone, '+') into v_phone
+  from auth.users
+  where id = auth.uid() and coalesce(phone, '') <> '';
+
+  if v_phone is null then
+    raise exception 'Sign in with your phone number to see your invoices';
+  end if;
+
+  -- A customer who signed up already has a profile; otherwise the oldest
+  -- unclaimed row becomes theirs
+  select * into v_customer
+  from customers
+  where user_id = auth.uid()
+  order by created_at
+  limit 1;
+
+  if not found then
+    select * into v_customer
+    from customers
+    where user_id is null and phone_number = v_phone
+    order by created_at
+    limit 1
+    for update;
+
+    if not found then
+      return null;
+    end if;
+
+    update customers
+    set user_id = auth.uid()
+    where id = v_customer.id
+    returning * into v_customer;
+  end if;
+
+  for v_unclaimed in
+    select id from customers
+    where user_id is null and phone_number = v_phone and id <> v_customer.id
+    order by created_at
+  loop
+    v_customer := merge_customers(v_customer.id, v_unclaimed);
+  end loop;
+
+  return v_customer;
+end;
+$$;
+
+-- Merged rows keep their original customer_id in the append-only history,
+-- so customers read history through the invoices they can see
+drop policy if exists "Parties can read invoice history" on invoice_audit_log;
+create policy "Parties can read invoice history"
+  on invoice_audit_log for select
+  using (
+    is_business_user(business_id)
+    or exists (select 1 from invoices where id = invoice_audit_log.invoice_id)
+  );
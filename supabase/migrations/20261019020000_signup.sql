@@ -0,0 +1,166 @@
+-- Server-side signup
+-- The signup route creates the auth user with the service role, then calls
+-- complete_signup to create the business or customer profile (and with it
+-- the role) in one transaction. If this fails the route deletes the auth
+-- user again, so a failed signup leaves nothing behind.
+--
+-- A customer signing up with a phone number a business has already added
+-- takes over that record instead of creating a second one, the same way
+-- an OTP sign-in does.
+
+-- Attach the unclaimed customer rows for a phone number to a user, merging
+-- any duplicates. Returns the user's customer profile, or null when they
+-- have none and nothing was waiting for them.
+-- Internal: callers must already have verified the user owns the number.
+create or replace function attach_customer_records(p_user_id uuid, p_phone text)
+returns customers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_customer customers%rowtype;
+  v_unclaimed uuid;
+begin
+  select * into v_customer
+  from customers
+  where user_id = p_user_id
+  order by created_at
+  limit 1;
+
+  if not found then
+    select * into v_customer
+    from customers
+    where user_id is null and phone_number = p_phone
+    order by created_at
+    limit 1
+    for update;
+
+    if not found then
+      return null;
+    end if;
+
+    update customers
+    set user_id = p_user_id
+    where id = v_customer.id
+    returning * into v_customer;
+  end if;
+
+  for v_unclaimed in
+    select id from customers
+    where user_id is null and phone_number = p_phone and id <> v_customer.id
+    order by created_at
+  loop
+    v_customer := merge_customers(v_customer.id, v_unclaimed);
+  end loop;
+
+  return v_customer;
+end;
+$$;
+
+revoke execute on function attach_customer_records(uuid, text) from public, anon, authenticated;
+
+create or replace function claim_customer_records()
+returns customers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_phone text;
+begin
+  select '+' || ltrim(phone, '+') into v_phone
+  from auth.users
+  where id = auth.uid() and coalesce(phone, '') <> '';
+
+  if v_phone is null then
+    raise exception 'Sign in with your phone number to see your invoices';
+  end if;
+
+  return attach_customer_records(auth.uid(), v_phone);
+end;
+$$;
+
+-- p_profile holds the profile columns: business_name, email, phone_number,
+-- gst_number and state_code for a business; customer_name, email and
+-- phone_number for a customer. Returns the new profile as json.
+create or replace function complete_signup(p_user_id uuid, p_role text, p_profile jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_phone text := nullif(trim(p_profile->>'phone_number'), '');
+  v_gstin text := nullif(upper(trim(p_profile->>'gst_number')), '');
+  v_business businesses%rowtype;
+  v_customer customers%rowtype;
+begin
+  if exists (select 1 from user_roles where user_id = p_user_id) then
+    raise exception 'This account already has a profile';
+  end if;
+  if v_phone is null or v_phone !~ '^\+[1-9][0-9]{7,14}$' then
+    raise exception 'Enter a valid phone number';
+  end if;
+
+  if p_role = 'business' then
+    if coalesce(trim(p_profile->>'business_name'), '') = '' then
+      raise exception 'Enter your business name';
+    end if;
+    if v_gstin is not null then
+      if v_gstin !~ '^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$' then
+        raise exception 'GSTIN % is not in the right format', v_gstin;
+      end if;
+      if exists (select 1 from businesses where upper(gst_number) = v_gstin) then
+        raise exception 'A business with GSTIN % is already registered', v_gstin;
+      end if;
+    end if;
+
+    insert into businesses (user_id, business_name, email, phone_number, gst_number, state_code)
+    values (
+      p_user_id,
+      trim(p_profile->>'business_name'),
+      nullif(trim(p_profile->>'email'), ''),
+      v_phone,
+      v_gstin,
+      nullif(p_profile->>'state_code', '')
+    )
+    returning * into v_business;
+
+    return to_jsonb(v_business);
+  end if;
+
+  if p_role = 'customer' then
+    if coalesce(trim(p_profile->>'customer_name'), '') = '' then
+      raise exception 'Enter your name';
+    end if;
+    if exists (select 1 from customers where phone_number = v_phone and user_id is not null) then
+      raise exception 'An account already exists for this phone number - sign in with a code instead';
+    end if;
+
+    v_customer := attach_customer_records(p_user_id, v_phone);
+
+    if v_customer.id is null then
+      insert into customers (user_id, customer_name, email, phone_number)
+      values (
+        p_user_id,
+        trim(p_profile->>'customer_name'),
+        nullif(trim(p_profile->>'email'), ''),
+        v_phone
+      )
+      returning * into v_customer;
+    else
+      update customers
+      set email = coalesce(email, nullif(trim(p_profile->>'email'), ''))
+      where id = v_customer.id
+      returning * into v_customer;
+    end if;
+
+    return to_jsonb(v_customer);
+  end if;
+
+  raise exception 'Choose business or customer';
+end;
+$$;
+
+revoke execute on function complete_signup(uuid, text, jsonb) from public, anon, authenticated;
@@ -0,0 +1,1033 @@
+-- Business teams
+-- A business used to be a single account: the user_id on businesses. Now
+-- any number of accounts can work for a business as members, each with a
+-- role: owner, accountant or sales. What a role may do is listed in
+-- business_role_permissions and checked by the database functions and
+-- policies, so a hidden button is never the only thing stopping an action.
+--
+-- The owner invites a team member by email. The invitee signs up as a team
+-- member (or already has an account) and joins the business the first time
+-- they sign in with that confirmed email address.
+--
+-- Every member has the business role in user_roles, and an account works
+-- for one business only, so the dashboard always knows which to open.
+-- businesses.user_id still records the account that created the business.
+
+create table if not exists business_permissions (
+  permission text primary key,
+  -- Completes "Your role does not allow you to ..."
+  description text not null
+);
+
+insert into business_permissions (permission, description) values
+  ('create_invoices', 'create and issue invoices'),
+  ('cancel_invoices', 'void or cancel invoices'),
+  ('record_payments', 'record payments'),
+  ('issue_notes', 'issue credit and debit notes'),
+  ('review_edit_requests', 'answer edit requests'),
+  ('add_customers', 'add customers'),
+  ('manage_credit', 'set or override credit limits and payment terms'),
+  ('manage_catalogue', 'change the catalogue'),
+  ('manage_recurring', 'change recurring invoices'),
+  ('send_reminders', 'send payment reminders'),
+  ('manage_settings', 'change the business settings'),
+  ('manage_team', 'manage the team')
+on conflict (permission) do update set description = excluded.description;
+
+create table if not exists business_role_permissions (
+  role text not null check (role in ('owner', 'accountant', 'sales')),
+  permission text not null references business_permissions(permission) on delete cascade,
+  primary key (role, permission)
+);
+
+-- Owners can do everything; accountants everything but settings and the
+-- team; sales raise invoices for new and existing customers
+insert into business_role_permissions (role, permission)
+select 'owner', permission from business_permissions
+union all
+select 'accountant', permission from business_permissions
+where permission not in ('manage_settings', 'manage_team')
+union all
+select 'sales', permission from business_permissions
+where permission in ('create_invoices', 'add_customers', 'send_reminders')
+on conflict do nothing;
+
+create table if not exists business_members (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  role text not null check (role in ('owner', 'accountant', 'sales')),
+  -- Shown in the team list and the invoice history
+  display_name text,
+  email text,
+  invited_by uuid references auth.users(id),
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists business_members_user_id_idx on business_members (user_id);
+create index if not exists business_members_business_id_idx on business_members (business_id);
+
+create table if not exists business_invitations (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  email text not null check (email = lower(trim(email)) and email <> ''),
+  role text not null check (role in ('owner', 'accountant', 'sales')),
+  invited_by uuid default auth.uid() references auth.users(id),
+  created_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  accepted_by uuid references auth.users(id)
+);
+
+create unique index if not exists business_invitations_pending_idx
+  on business_invitations (business_id, email)
+  where accepted_at is null;
+
+-- Every existing business is owned by the account that created it
+insert into business_members (business_id, user_id, role, display_name, email)
+select b.id, b.user_id, 'owner', coalesce(u.raw_user_meta_data->>'name', b.business_name), coalesce(u.email, b.email)
+from businesses b
+left join auth.users u on u.id = b.user_id
+where not exists (select 1 from business_members m where m.user_id = b.user_id)
+on conflict do nothing;
+
+-- The signed-in user's role in a business, or null if they are not a member
+create or replace function business_member_role(p_business_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from business_members where business_id = p_business_id and user_id = auth.uid()
+$$;
+
+create or replace function is_business_user(p_business_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select business_member_role(p_business_id) is not null
+$$;
+
+create or replace function has_business_permission(p_business_id uuid, p_permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from business_role_permissions
+    where role = business_member_role(p_business_id) and permission = p_permission
+  )
+$$;
+
+-- The business, or an error if the signed-in user is not a member or their
+-- role does not have the permission
+create or replace function require_business_permission(p_business_id uuid, p_permission text)
+returns businesses
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_business businesses%rowtype;
+  v_description text;
+begin
+  select * into v_business from businesses where id = p_business_id;
+  if not found or not is_business_user(p_business_id) then
+    raise exception 'Business not found';
+  end if;
+
+  if not has_business_permission(p_business_id, p_permission) then
+    select description into v_description from business_permissions where permission = p_permission;
+    raise exception 'Your role does not allow you to %', coalesce(v_description, p_permission);
+  end if;
+
+  return v_business;
+end;
+$$;
+
+revoke execute on function require_business_permission(uuid, text) from public, anon, authenticated;
+
+-- Kept for anything that still calls it: owners only
+create or replace function require_business_owner(p_business_id uuid)
+returns businesses
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  return require_business_permission(p_business_id, 'manage_team');
+end;
+$$;
+
+-- Members get the business role, the same as the account that created it
+create or replace function assign_user_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_role text := case when tg_table_name = 'customers' then 'customer' else 'business' end;
+  v_existing text;
+begin
+  if new.user_id is null then
+    return new;
+  end if;
+
+  insert into user_roles (user_id, role)
+  values (new.user_id, v_role)
+  on conflict (user_id) do nothing;
+
+  select role into v_existing from user_roles where user_id = new.user_id;
+  if v_existing <> v_role then
+    raise exception 'This account is already registered as a %', v_existing;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists business_members_assign_user_role on business_members;
+create trigger business_members_assign_user_role
+  after insert or update of user_id on business_members
+  for each row execute function assign_user_role();
+
+-- Whoever creates a business owns it
+create or replace function add_business_owner()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into business_members (business_id, user_id, role, display_name, email)
+  select new.id, new.user_id, 'owner', coalesce(u.raw_user_meta_data->>'name', new.business_name), coalesce(u.email, new.email)
+  from auth.users u
+  where u.id = new.user_id;
+
+  return new;
+end;
+$$;
+
+revoke execute on function add_business_owner() from public, anon, authenticated;
+
+drop trigger if exists businesses_add_owner on businesses;
+create trigger businesses_add_owner
+  after insert on businesses
+  for each row execute function add_business_owner();
+
+-- A business always keeps at least one owner. When the whole business is
+-- deleted its members go with it.
+create or replace function keep_business_owner()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if old.role = 'owner'
+    and (tg_op = 'DELETE' or new.role <> 'owner')
+    and exists (select 1 from businesses where id = old.business_id)
+    and not exists (
+      select 1 from business_members
+      where business_id = old.business_id and role = 'owner' and id <> old.id
+    )
+  then
+    raise exception 'A business needs at least one owner';
+  end if;
+
+  return coalesce(new, old);
+end;
+$$;
+
+revoke execute on function keep_business_owner() from public, anon, authenticated;
+
+drop trigger if exists business_members_keep_owner on business_members;
+create trigger business_members_keep_owner
+  before update of role or delete on business_members
+  for each row execute function keep_business_owner();
+
+-- A removed member loses the business role, so they can no longer reach
+-- the dashboard
+create or replace function release_user_role()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from user_roles
+  where user_id = old.user_id
+    and role = 'business'
+    and not exists (select 1 from business_members where user_id = old.user_id);
+
+  return old;
+end;
+$$;
+
+revoke execute on function release_user_role() from public, anon, authenticated;
+
+drop trigger if exists business_members_release_user_role on business_members;
+create trigger business_members_release_user_role
+  after delete on business_members
+  for each row execute function release_user_role();
+
+-- Join the business that invited the signed-in user's confirmed email
+-- address. Returns the membership, or null when there is no invitation.
+-- Safe to call on every sign-in.
+create or replace function accept_business_invitation()
+returns business_members
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user auth.users%rowtype;
+  v_invitation business_invitations%rowtype;
+  v_member business_members%rowtype;
+begin
+  select * into v_user from auth.users where id = auth.uid();
+
+  select * into v_member from business_members where user_id = auth.uid();
+  if found then
+    return v_member;
+  end if;
+  if v_user.email_confirmed_at is null then
+    return null;
+  end if;
+
+  select * into v_invitation
+  from business_invitations
+  where email = lower(v_user.email) and accepted_at is null
+  order by created_at
+  limit 1
+  for update;
+
+  if not found then
+    return null;
+  end if;
+
+  insert into business_members (business_id, user_id, role, display_name, email, invited_by)
+  values (
+    v_invitation.business_id,
+    auth.uid(),
+    v_invitation.role,
+    coalesce(v_user.raw_user_meta_data->>'name', v_user.email),
+    lower(v_user.email),
+    v_invitation.invited_by
+  )
+  returning * into v_member;
+
+  update business_invitations
+  set accepted_at = now(), accepted_by = auth.uid()
+  where id = v_invitation.id;
+
+  return v_member;
+end;
+$$;
+
+-- p_profile holds the profile columns: business_name, email, phone_number,
+-- gst_number and state_code for a business; customer_name, email and
+-- phone_number for a customer; email for a team member, who joins their
+-- business on first sign-in. Returns the new profile as json.
+create or replace function complete_signup(p_user_id uuid, p_role text, p_profile jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_phone text := nullif(trim(p_profile->>'phone_number'), '');
+  v_gstin text := nullif(upper(trim(p_profile->>'gst_number')), '');
+  v_business businesses%rowtype;
+  v_customer customers%rowtype;
+  v_invitation business_invitations%rowtype;
+begin
+  if exists (select 1 from user_roles where user_id = p_user_id) then
+    raise exception 'This account already has a profile';
+  end if;
+  if v_phone is null or v_phone !~ '^\+[1-9][0-9]{7,14}$' then
+    raise exception 'Enter a valid phone number';
+  end if;
+
+  if p_role = 'staff' then
+    select * into v_invitation
+    from business_invitations
+    where email = lower(trim(p_profile->>'email')) and accepted_at is null
+    order by created_at
+    limit 1;
+
+    if not found then
+      raise exception 'No business has invited this email address yet';
+    end if;
+
+    return jsonb_build_object(
+      'business_name', (select business_name from businesses where id = v_invitation.business_id),
+      'role', v_invitation.role
+    );
+  end if;
+
+  if p_role = 'business' then
+    if coalesce(trim(p_profile->>'business_name'), '') = '' then
+      raise exception 'Enter your business name';
+    end if;
+    if v_gstin is not null then
+      if v_gstin !~ '^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$' then
+        raise exception 'GSTIN % is not in the right format', v_gstin;
+      end if;
+      if exists (select 1 from businesses where upper(gst_number) = v_gstin) then
+        raise exception 'A business with GSTIN % is already registered', v_gstin;
+      end if;
+    end if;
+
+    insert into businesses (user_id, business_name, email, phone_number, gst_number, state_code)
+    values (
+      p_user_id,
+      trim(p_profile->>'business_name'),
+      nullif(trim(p_profile->>'email'), ''),
+      v_phone,
+      v_gstin,
+      nullif(p_profile->>'state_code', '')
+    )
+    returning * into v_business;
+
+    return to_jsonb(v_business);
+  end if;
+
+  if p_role = 'customer' then
+    if coalesce(trim(p_profile->>'customer_name'), '') = '' then
+      raise exception 'Enter your name';
+    end if;
+    if exists (select 1 from customers where phone_number = v_phone and user_id is not null) then
+      raise exception 'An account already exists for this phone number - sign in with a code instead';
+    end if;
+
+    v_customer := attach_customer_records(p_user_id, v_phone);
+
+    if v_customer.id is null then
+      insert into customers (user_id, customer_name, email, phone_number)
+      values (
+        p_user_id,
+        trim(p_profile->>'customer_name'),
+        nullif(trim(p_profile->>'email'), ''),
+        v_phone
+      )
+      returning * into v_customer;
+    else
+      update customers
+      set email = coalesce(email, nullif(trim(p_profile->>'email'), ''))
+      where id = v_customer.id
+      returning * into v_customer;
+    end if;
+
+    return to_jsonb(v_customer);
+  end if;
+
+  raise exception 'Choose business, customer or team member';
+end;
+$$;
+
+-- Functions the business dashboard calls, now checked against the caller's
+-- role instead of the business's single account
+
+-- Over-limit invoices need someone who may override the credit limit
+create or replace function create_invoice(
+  p_business_id uuid,
+  p_customer_id uuid,
+  p_invoice_date date,
+  p_place_of_supply text,
+  p_items jsonb,
+  p_credit_override_reason text default null,
+  p_draft boolean default false
+)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform require_business_permission(p_business_id, 'create_invoices');
+  if coalesce(trim(p_credit_override_reason), '') <> '' then
+    perform require_business_permission(p_business_id, 'manage_credit');
+  end if;
+
+  return write_invoice(
+    p_business_id, p_customer_id, p_invoice_date, p_place_of_supply,
+    p_items, p_credit_override_reason, p_draft
+  );
+end;
+$$;
+
+create or replace function record_payment(
+  p_business_id uuid,
+  p_invoice_ids uuid[],
+  p_amount numeric,
+  p_payment_date date,
+  p_payment_method text,
+  p_reference_number text default null
+)
+returns setof payments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_remaining numeric := round(coalesce(p_amount, 0), 2);
+  v_applied numeric;
+  v_payment payments%rowtype;
+begin
+  perform require_business_permission(p_business_id, 'record_payments');
+
+  if v_remaining <= 0 then
+    raise exception 'Enter a payment amount';
+  end if;
+
+  for v_invoice in
+    select * from invoices
+    where id = any(p_invoice_ids)
+      and business_id = p_business_id
+      and status not in ('draft', 'void', 'cancelled')
+    order by due_date, id
+    for update
+  loop
+    exit when v_remaining <= 0;
+
+    v_applied := least(v_remaining, invoice_balance(v_invoice));
+    continue when v_applied <= 0;
+
+    insert into payments (invoice_id, amount, payment_date, payment_method, reference_number)
+    values (v_invoice.id, v_applied, p_payment_date, p_payment_method, nullif(trim(coalesce(p_reference_number, '')), ''))
+    returning * into v_payment;
+
+    update invoices
+    set
+      paid_amount = paid_amount + v_applied,
+      updated_at = now()
+    where id = v_invoice.id;
+
+    v_remaining := v_remaining - v_applied;
+    return next v_payment;
+  end loop;
+
+  if v_remaining > 0 then
+    raise exception 'Payment exceeds the outstanding balance of the selected invoices by %', v_remaining;
+  end if;
+end;
+$$;
+
+-- Issuing a draft is part of invoicing; voiding and cancelling are not
+create or replace function transition_invoice(p_invoice_id uuid, p_status text, p_reason text default null)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id for update;
+  if not found then
+    raise exception 'Invoice not found';
+  end if;
+
+  perform require_business_permission(
+    v_invoice.business_id,
+    case when p_status = 'sent' then 'create_invoices' else 'cancel_invoices' end
+  );
+
+  if p_status = 'sent' then
+    if v_invoice.status <> 'draft' then
+      raise exception 'Only drafts can be issued';
+    end if;
+
+    update invoices
+    set status = invoice_status(total_amount, paid_amount, due_date), updated_at = now()
+    where id = p_invoice_id
+    returning * into v_invoice;
+  elsif p_status in ('void', 'cancelled') then
+    if coalesce(trim(p_reason), '') = '' then
+      raise exception 'Give a reason for the %', case when p_status = 'void' then 'void' else 'cancellation' end;
+    end if;
+
+    update invoices
+    set status = p_status, status_reason = trim(p_reason), updated_at = now()
+    where id = p_invoice_id
+    returning * into v_invoice;
+  else
+    raise exception 'Invoices can only be issued, voided or cancelled';
+  end if;
+
+  return v_invoice;
+end;
+$$;
+
+create or replace function issue_invoice_note(
+  p_invoice_id uuid,
+  p_note_type text,
+  p_reason text,
+  p_items jsonb
+)
+returns invoice_notes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id;
+  if not found then
+    raise exception 'Invoice not found';
+  end if;
+
+  perform require_business_permission(v_invoice.business_id, 'issue_notes');
+
+  return write_invoice_note(p_invoice_id, p_note_type, p_reason, p_items);
+end;
+$$;
+
+-- Approving, countering and rejecting all start here
+create or replace function business_edit_request(p_request_id uuid)
+returns invoice_edit_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request invoice_edit_requests%rowtype;
+begin
+  select r.* into v_request
+  from invoice_edit_requests r
+  where r.id = p_request_id and is_business_user(r.business_id)
+  for update of r;
+
+  if not found then
+    raise exception 'Edit request not found';
+  end if;
+
+  perform require_business_permission(v_request.business_id, 'review_edit_requests');
+
+  if v_request.status <> 'pending' then
+    raise exception 'This edit request has already been answered';
+  end if;
+
+  return v_request;
+end;
+$$;
+
+create or replace function import_catalogue_items(p_business_id uuid, p_items jsonb)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_item jsonb;
+  v_name text;
+  v_count integer := 0;
+begin
+  perform require_business_permission(p_business_id, 'manage_catalogue');
+
+  if jsonb_typeof(p_items) is distinct from 'array' then
+    raise exception 'Nothing to import';
+  end if;
+
+  for v_item in select value from jsonb_array_elements(p_items) loop
+    v_name := trim(coalesce(v_item->>'item_name', ''));
+    if v_name = '' then
+      raise exception 'Every item needs a name';
+    end if;
+
+    update catalogue_items
+    set
+      unit = nullif(trim(coalesce(v_item->>'unit', '')), ''),
+      default_price = coalesce((v_item->>'default_price')::numeric, 0),
+      hsn_sac = nullif(trim(coalesce(v_item->>'hsn_sac', '')), ''),
+      gst_rate = coalesce((v_item->>'gst_rate')::numeric, 0),
+      active = true,
+      updated_at = now()
+    where business_id = p_business_id
+      and lower(item_name) = lower(v_name);
+
+    if not found then
+      insert into catalogue_items (business_id, item_name, unit, default_price, hsn_sac, gst_rate)
+      values (
+        p_business_id,
+        v_name,
+        nullif(trim(coalesce(v_item->>'unit', '')), ''),
+        coalesce((v_item->>'default_price')::numeric, 0),
+        nullif(trim(coalesce(v_item->>'hsn_sac', '')), ''),
+        coalesce((v_item->>'gst_rate')::numeric, 0)
+      );
+    end if;
+
+    v_count := v_count + 1;
+  end loop;
+
+  return v_count;
+end;
+$$;
+
+-- Anyone who may add customers can do so on the default terms; other
+-- terms need manage_credit
+create or replace function add_business_customer(
+  p_business_id uuid,
+  p_customer_name text,
+  p_phone_number text,
+  p_email text default null,
+  p_address text default null,
+  p_state_code text default null,
+  p_credit_limit numeric default 0,
+  p_payment_terms_days integer default 30
+)
+returns business_customers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_customer_id uuid;
+  v_link business_customers%rowtype;
+begin
+  perform require_business_permission(p_business_id, 'add_customers');
+  if coalesce(p_credit_limit, 0) <> 0 or coalesce(p_payment_terms_days, 30) <> 30 then
+    perform require_business_permission(p_business_id, 'manage_credit');
+  end if;
+
+  if coalesce(trim(p_phone_number), '') = '' then
+    raise exception 'Enter the customer''s phone number';
+  end if;
+
+  select id into v_customer_id
+  from customers
+  where phone_number = trim(p_phone_number)
+  order by user_id is null, created_at
+  limit 1;
+
+  if v_customer_id is null then
+    if coalesce(trim(p_customer_name), '') = '' then
+      raise exception 'Enter the customer''s name';
+    end if;
+
+    insert into customers (customer_name, phone_number, email, address, state_code)
+    values (
+      trim(p_customer_name),
+      trim(p_phone_number),
+      nullif(trim(p_email), ''),
+      nullif(trim(p_address), ''),
+      nullif(p_state_code, '')
+    )
+    returning id into v_customer_id;
+  end if;
+
+  if exists (select 1 from business_customers where business_id = p_business_id and customer_id = v_customer_id) then
+    raise exception 'This customer is already linked to your business';
+  end if;
+
+  insert into business_customers (business_id, customer_id, credit_limit, payment_terms_days)
+  values (p_business_id, v_customer_id, coalesce(p_credit_limit, 0), coalesce(p_payment_terms_days, 30))
+  returning * into v_link;
+
+  return v_link;
+end;
+$$;
+
+-- The invoice history names the team member behind each change
+alter table invoice_audit_log
+  add column if not exists actor_name text;
+
+create or replace function log_invoice_version(p_invoice_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_before jsonb;
+  v_after jsonb := invoice_snapshot(p_invoice_id);
+  v_changes jsonb;
+  v_action text;
+  v_document jsonb;
+  v_member business_members%rowtype;
+begin
+  select after into v_before
+  from invoice_audit_log
+  where invoice_id = p_invoice_id
+  order by id desc
+  limit 1;
+
+  if v_before is not distinct from v_after then
+    return;
+  end if;
+
+  v_changes := snapshot_changes(v_before, v_after);
+  v_document := coalesce(v_after, v_before);
+
+  v_action := case
+    when v_before is null then 'create'
+    when v_after is null then 'delete'
+    when current_setting('audit.action', true) <> '' then current_setting('audit.action', true)
+    when v_changes ? 'payments' then 'payment'
+    when (select array_agg(key) from jsonb_object_keys(v_changes) as key)
+      <@ array['status', 'status_reason', 'status_changed_at', 'invoice_number'] then 'status_change'
+    else 'update'
+  end;
+
+  select * into v_member
+  from business_members
+  where business_id = (v_document->>'business_id')::uuid and user_id = auth.uid();
+
+  insert into invoice_audit_log (
+    invoice_id, business_id, customer_id, action, actor_id, actor_role, actor_name, source, before, after, changes
+  )
+  values (
+    p_invoice_id,
+    (v_document->>'business_id')::uuid,
+    (v_document->>'customer_id')::uuid,
+    v_action,
+    auth.uid(),
+    case
+      when auth.uid() is null then 'system'
+      when v_member.id is not null then 'business'
+      else 'customer'
+    end,
+    v_member.display_name,
+    coalesce(
+      nullif(current_setting('audit.source', true), ''),
+      case when auth.uid() is null then 'system' else 'app' end
+    ),
+    v_before,
+    v_after,
+    v_changes
+  );
+end;
+$$;
+
+alter table business_permissions enable row level security;
+alter table business_role_permissions enable row level security;
+alter table business_members enable row level security;
+alter table business_invitations enable row level security;
+
+-- permissions
+
+drop policy if exists "Anyone can read business permissions" on business_permissions;
+create policy "Anyone can read business permissions"
+  on business_permissions for select
+  using (true);
+
+drop policy if exists "Anyone can read business role permissions" on business_role_permissions;
+create policy "Anyone can read business role permissions"
+  on business_role_permissions for select
+  using (true);
+
+revoke insert, update, delete on business_permissions from anon, authenticated;
+revoke insert, update, delete on business_role_permissions from anon, authenticated;
+
+-- members and invitations
+
+drop policy if exists "Members read their team" on business_members;
+create policy "Members read their team"
+  on business_members for select
+  using (is_business_user(business_id));
+
+drop policy if exists "Owners change team roles" on business_members;
+create policy "Owners change team roles"
+  on business_members for update
+  using (has_business_permission(business_id, 'manage_team'))
+  with check (has_business_permission(business_id, 'manage_team'));
+
+drop policy if exists "Owners remove team members" on business_members;
+create policy "Owners remove team members"
+  on business_members for delete
+  using (has_business_permission(business_id, 'manage_team'));
+
+-- Members join through accept_business_invitation; only the role changes
+revoke insert, update on business_members from anon, authenticated;
+grant update (role) on business_members to authenticated;
+
+drop policy if exists "Owners manage invitations" on business_invitations;
+create policy "Owners manage invitations"
+  on business_invitations for all
+  using (has_business_permission(business_id, 'manage_team'))
+  with check (has_business_permission(business_id, 'manage_team') and accepted_at is null);
+
+revoke update on business_invitations from anon, authenticated;
+
+-- businesses
+
+drop policy if exists "Businesses manage their own profile" on businesses;
+
+drop policy if exists "Members read their business" on businesses;
+create policy "Members read their business"
+  on businesses for select
+  using (is_business_user(id));
+
+drop policy if exists "Owners change business settings" on businesses;
+create policy "Owners change business settings"
+  on businesses for update
+  using (has_business_permission(id, 'manage_settings'))
+  with check (has_business_permission(id, 'manage_settings'));
+
+-- business_customers
+
+drop policy if exists "Businesses manage their customer links" on business_customers;
+
+drop policy if exists "Members read their customer links" on business_customers;
+create policy "Members read their customer links"
+  on business_customers for select
+  using (is_business_user(business_id));
+
+drop policy if exists "Members add customer links" on business_customers;
+create policy "Members add customer links"
+  on business_customers for insert
+  with check (has_business_permission(business_id, 'add_customers'));
+
+drop policy if exists "Members change customer terms" on business_customers;
+create policy "Members change customer terms"
+  on business_customers for update
+  using (has_business_permission(business_id, 'manage_credit'))
+  with check (has_business_permission(business_id, 'manage_credit'));
+
+drop policy if exists "Members remove customer links" on business_customers;
+create policy "Members remove customer links"
+  on business_customers for delete
+  using (has_business_permission(business_id, 'manage_credit'));
+
+-- catalogue
+
+drop policy if exists "Businesses manage their catalogue" on catalogue_items;
+
+drop policy if exists "Members read their catalogue" on catalogue_items;
+create policy "Members read their catalogue"
+  on catalogue_items for select
+  using (is_business_user(business_id));
+
+drop policy if exists "Members manage their catalogue" on catalogue_items;
+create policy "Members manage their catalogue"
+  on catalogue_items for all
+  using (has_business_permission(business_id, 'manage_catalogue'))
+  with check (has_business_permission(business_id, 'manage_catalogue'));
+
+drop policy if exists "Businesses manage customer prices" on catalogue_customer_prices;
+
+drop policy if exists "Members read customer prices" on catalogue_customer_prices;
+create policy "Members read customer prices"
+  on catalogue_customer_prices for select
+  using (exists (
+    select 1 from catalogue_items ci
+    where ci.id = catalogue_customer_prices.catalogue_item_id and is_business_user(ci.business_id)
+  ));
+
+drop policy if exists "Members manage customer prices" on catalogue_customer_prices;
+create policy "Members manage customer prices"
+  on catalogue_customer_prices for all
+  using (exists (
+    select 1 from catalogue_items ci
+    where ci.id = catalogue_customer_prices.catalogue_item_id
+      and has_business_permission(ci.business_id, 'manage_catalogue')
+  ))
+  with check (exists (
+    select 1
+    from catalogue_items ci
+    join business_customers bc on bc.business_id = ci.business_id and bc.customer_id = catalogue_customer_prices.customer_id
+    where ci.id = catalogue_customer_prices.catalogue_item_id
+      and has_business_permission(ci.business_id, 'manage_catalogue')
+  ));
+
+-- recurring invoices
+
+drop policy if exists "Businesses manage their recurring invoices" on recurring_invoices;
+
+drop policy if exists "Members read their recurring invoices" on recurring_invoices;
+create policy "Members read their recurring invoices"
+  on recurring_invoices for select
+  using (is_business_user(business_id));
+
+drop policy if exists "Members manage their recurring invoices" on recurring_invoices;
+create policy "Members manage their recurring invoices"
+  on recurring_invoices for all
+  using (has_business_permission(business_id, 'manage_recurring'))
+  with check (has_business_permission(business_id, 'manage_recurring'));
+
+drop policy if exists "Businesses read their recurring runs" on recurring_invoice_runs;
+create policy "Businesses read their recurring runs"
+  on recurring_invoice_runs for select
+  using (exists (
+    select 1 from recurring_invoices ri
+    where ri.id = recurring_invoice_runs.recurring_invoice_id and is_business_user(ri.business_id)
+  ));
+
+drop policy if exists "Businesses skip upcoming runs" on recurring_invoice_runs;
+create policy "Businesses skip upcoming runs"
+  on recurring_invoice_runs for insert
+  with check (
+    status = 'skipped'
+    and run_date >= current_date
+    and exists (
+      select 1 from recurring_invoices ri
+      where ri.id = recurring_invoice_runs.recurring_invoice_id
+        and has_business_permission(ri.business_id, 'manage_recurring')
+    )
+  );
+
+drop policy if exists "Businesses undo skipped runs" on recurring_invoice_runs;
+create policy "Businesses undo skipped runs"
+  on recurring_invoice_runs for delete
+  using (
+    status = 'skipped'
+    and run_date >= current_date
+    and exists (
+      select 1 from recurring_invoices ri
+      where ri.id = recurring_invoice_runs.recurring_invoice_id
+        and has_business_permission(ri.business_id, 'manage_recurring')
+    )
+  );
+
+-- reminders
+
+drop policy if exists "Businesses manage their reminder rules" on reminder_rules;
+
+drop policy if exists "Members read their reminder rules" on reminder_rules;
+create policy "Members read their reminder rules"
+  on reminder_rules for select
+  using (is_business_user(business_id));
+
+drop policy if exists "Owners manage reminder rules" on reminder_rules;
+create policy "Owners manage reminder rules"
+  on reminder_rules for all
+  using (has_business_permission(business_id, 'manage_settings'))
+  with check (has_business_permission(business_id, 'manage_settings'));
+
+drop policy if exists "Parties can read invoice reminders" on invoice_reminders;
+create policy "Parties can read invoice reminders"
+  on invoice_reminders for select
+  using (is_business_user(business_id) or is_customer_user(customer_id));
+
+drop policy if exists "Businesses log manual reminders" on invoice_reminders;
+create policy "Businesses log manual reminders"
+  on invoice_reminders for insert
+  with check (
+    rule_id is null
+    and has_business_permission(business_id, 'send_reminders')
+    and exists (
+      select 1 from invoices i
+      where i.id = invoice_reminders.invoice_id
+        and i.business_id = invoice_reminders.business_id
+        and i.customer_id = invoice_reminders.customer_id
+    )
+  );
+
+-- credit and debit notes
+
+drop policy if exists "Parties can read invoice notes" on invoice_notes;
+create policy "Parties can read invoice notes"
+  on invoice_notes for select
+  using (is_business_user(business_id) or is_customer_user(customer_id));
@@ -0,0 +1,834 @@
+-- Branches
+-- A business can run several outlets, all under its own GSTIN or with a
+-- separate GSTIN in each state it trades from. Every business has a main
+-- branch, and every invoice and customer link belongs to a branch.
+--
+-- Each branch numbers its invoices and notes in its own series. The main
+-- branch uses the business's invoice prefix and the others their own, so
+-- the business's pattern must include {PREFIX} once there is more than one
+-- branch. Notes from other branches add the branch prefix to the note
+-- prefix, e.g. CN-PUN/2026-27/0001.
+--
+-- A branch's GSTIN and state decide whether its invoices charge CGST and
+-- SGST or IGST. Left blank they fall back to the business's.
+
+create table if not exists branches (
+  id uuid primary key default gen_random_uuid(),
+  business_id uuid not null references businesses(id) on delete cascade,
+  branch_name text not null check (length(trim(branch_name)) > 0),
+  is_main boolean not null default false,
+  invoice_prefix text,
+  gst_number text,
+  state_code text,
+  address text,
+  created_at timestamptz not null default now(),
+  check (is_main or invoice_prefix is not null)
+);
+
+create unique index if not exists branches_main_idx on branches (business_id) where is_main;
+create unique index if not exists branches_business_name_idx on branches (business_id, lower(branch_name));
+
+insert into branches (business_id, branch_name, is_main)
+select b.id, 'Main branch', true
+from businesses b
+where not exists (select 1 from branches where business_id = b.id and is_main);
+
+-- Prefix a branch numbers its invoices with
+create or replace function branch_invoice_prefix(p_business businesses, p_branch branches)
+returns text
+language sql
+stable
+as $$
+  select coalesce(p_branch.invoice_prefix, p_business.invoice_prefix)
+$$;
+
+-- State a branch supplies from: its own state or GSTIN, else the business's
+create or replace function branch_supplier_state(p_branch_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    nullif(br.state_code, ''),
+    substring(br.gst_number from '^([0-9]{2})'),
+    supplier_state(b)
+  )
+  from branches br
+  join businesses b on b.id = br.business_id
+  where br.id = p_branch_id
+$$;
+
+create or replace function main_branch_id(p_business_id uuid)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select id from branches where business_id = p_business_id and is_main
+$$;
+
+-- Every new business starts with its main branch
+create or replace function add_main_branch()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into branches (business_id, branch_name, is_main)
+  values (new.id, 'Main branch', true);
+
+  return new;
+end;
+$$;
+
+revoke execute on function add_main_branch() from public, anon, authenticated;
+
+drop trigger if exists businesses_add_main_branch on businesses;
+create trigger businesses_add_main_branch
+  after insert on businesses
+  for each row execute function add_main_branch();
+
+-- Keep branch numbering distinct and branch GST details consistent
+create or replace function check_branch()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_business businesses%rowtype;
+  v_prefix text;
+begin
+  if tg_op = 'UPDATE' and (new.is_main <> old.is_main or new.business_id <> old.business_id) then
+    raise exception 'A branch cannot move to another business or change which branch is the main one';
+  end if;
+
+  select * into v_business from businesses where id = new.business_id;
+
+  new.branch_name := trim(new.branch_name);
+  new.invoice_prefix := case when new.is_main then null else nullif(trim(coalesce(new.invoice_prefix, '')), '') end;
+  new.gst_number := nullif(upper(trim(coalesce(new.gst_number, ''))), '');
+  new.state_code := coalesce(nullif(new.state_code, ''), substring(new.gst_number from '^([0-9]{2})'));
+  new.address := nullif(trim(coalesce(new.address, '')), '');
+
+  if new.gst_number is not null and new.state_code <> left(new.gst_number, 2) then
+    raise exception 'GSTIN % is not registered in state %', new.gst_number, new.state_code;
+  end if;
+
+  -- A GSTIN covers one state, so a branch elsewhere needs its own
+  if new.gst_number is null and new.state_code <> supplier_state(v_business) then
+    raise exception 'A branch in another state needs its own GSTIN';
+  end if;
+
+  if not new.is_main then
+    if v_business.invoice_number_pattern not like '%{PREFIX}%' then
+      raise exception 'Add {PREFIX} to the invoice number pattern so each branch''s invoice numbers are distinct';
+    end if;
+
+    v_prefix := branch_invoice_prefix(v_business, new);
+    if exists (
+      select 1 from branches br
+      where br.business_id = new.business_id
+        and br.id <> new.id
+        and upper(branch_invoice_prefix(v_business, br)) = upper(v_prefix)
+    ) then
+      raise exception 'Another branch already numbers its invoices with the prefix %', v_prefix;
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+revoke execute on function check_branch() from public, anon, authenticated;
+
+drop trigger if exists branches_check on branches;
+create trigger branches_check
+  before insert or update on branches
+  for each row execute function check_branch();
+
+-- The main branch goes only with its business, and a branch with invoices
+-- or customers stays for their records
+create or replace function keep_branch()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from businesses where id = old.business_id) then
+    return old;
+  end if;
+
+  if old.is_main then
+    raise exception 'The main branch cannot be removed';
+  end if;
+
+  if exists (select 1 from invoices where branch_id = old.id)
+    or exists (select 1 from business_customers where branch_id = old.id)
+  then
+    raise exception '% has invoices or customers and cannot be removed', old.branch_name;
+  end if;
+
+  return old;
+end;
+$$;
+
+revoke execute on function keep_branch() from public, anon, authenticated;
+
+drop trigger if exists branches_keep on branches;
+create trigger branches_keep
+  before delete on branches
+  for each row execute function keep_branch();
+
+-- The business's numbering settings must leave every branch's series distinct
+create or replace function check_branch_numbering()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from branches where business_id = new.id and not is_main) then
+    return new;
+  end if;
+
+  if new.invoice_number_pattern not like '%{PREFIX}%' then
+    raise exception 'The invoice number pattern must include {PREFIX} while you have more than one branch';
+  end if;
+
+  if exists (
+    select 1 from branches
+    where business_id = new.id and not is_main and upper(invoice_prefix) = upper(new.invoice_prefix)
+  ) then
+    raise exception 'Another branch already numbers its invoices with the prefix %', new.invoice_prefix;
+  end if;
+
+  return new;
+end;
+$$;
+
+revoke execute on function check_branch_numbering() from public, anon, authenticated;
+
+drop trigger if exists businesses_check_branch_numbering on businesses;
+create trigger businesses_check_branch_numbering
+  before update of invoice_prefix, invoice_number_pattern on businesses
+  for each row execute function check_branch_numbering();
+
+-- Invoices and customer links belong to a branch
+
+alter table invoices
+  add column if not exists branch_id uuid references branches(id);
+alter table business_customers
+  add column if not exists branch_id uuid references branches(id);
+
+update business_customers
+set branch_id = main_branch_id(business_id)
+where branch_id is null;
+
+update invoices
+set branch_id = main_branch_id(business_id)
+where branch_id is null;
+
+alter table invoices
+  alter column branch_id set not null;
+alter table business_customers
+  alter column branch_id set not null;
+
+create index if not exists invoices_branch_id_idx on invoices (branch_id);
+create index if not exists business_customers_branch_id_idx on business_customers (branch_id);
+
+-- A customer link without a branch goes to the main branch, and an invoice
+-- without one to its customer's branch. Invoices keep their branch, and so
+-- their number, once created.
+create or replace function assign_branch()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'UPDATE' and tg_table_name = 'invoices' and new.branch_id is distinct from old.branch_id then
+    raise exception 'An invoice cannot move to another branch';
+  end if;
+
+  if new.branch_id is null and tg_table_name = 'invoices' then
+    select branch_id into new.branch_id
+    from business_customers
+    where business_id = new.business_id and customer_id = new.customer_id;
+  end if;
+
+  if new.branch_id is null then
+    new.branch_id := main_branch_id(new.business_id);
+  end if;
+
+  if not exists (select 1 from branches where id = new.branch_id and business_id = new.business_id) then
+    raise exception 'Branch not found';
+  end if;
+
+  return new;
+end;
+$$;
+
+revoke execute on function assign_branch() from public, anon, authenticated;
+
+drop trigger if exists invoices_assign_branch on invoices;
+create trigger invoices_assign_branch
+  before insert or update of branch_id on invoices
+  for each row execute function assign_branch();
+
+drop trigger if exists business_customers_assign_branch on business_customers;
+create trigger business_customers_assign_branch
+  before insert or update of branch_id on business_customers
+  for each row execute function assign_branch();
+
+-- Numbering series per branch
+
+alter table invoice_number_series
+  add column if not exists branch_id uuid references branches(id) on delete cascade;
+update invoice_number_series
+set branch_id = main_branch_id(business_id)
+where branch_id is null;
+alter table invoice_number_series
+  alter column branch_id set not null;
+alter table invoice_number_series
+  drop constraint if exists invoice_number_series_pkey;
+alter table invoice_number_series
+  add constraint invoice_number_series_pkey primary key (branch_id, financial_year);
+
+alter table note_number_series
+  add column if not exists branch_id uuid references branches(id) on delete cascade;
+update note_number_series
+set branch_id = main_branch_id(business_id)
+where branch_id is null;
+alter table note_number_series
+  alter column branch_id set not null;
+alter table note_number_series
+  drop constraint if exists note_number_series_pkey;
+alter table note_number_series
+  add constraint note_number_series_pkey primary key (branch_id, note_type, financial_year);
+
+-- Drafts get their number from their branch's series when they are issued.
+-- invoices_assign_branch runs first, so the branch is already set.
+create or replace function assign_invoice_number()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_business businesses%rowtype;
+  v_branch branches%rowtype;
+  v_financial_year text := financial_year(new.invoice_date);
+  v_sequence integer;
+begin
+  if new.invoice_number is not null or new.status = 'draft' then
+    return new;
+  end if;
+
+  select * into v_business from businesses where id = new.business_id;
+  select * into v_branch from branches where id = new.branch_id;
+
+  insert into invoice_number_series (business_id, branch_id, financial_year, last_value)
+  values (new.business_id, new.branch_id, v_financial_year, 1)
+  on conflict (branch_id, financial_year)
+  do update set last_value = invoice_number_series.last_value + 1
+  returning last_value into v_sequence;
+
+  new.invoice_number := format_invoice_number(
+    v_business.invoice_number_pattern,
+    branch_invoice_prefix(v_business, v_branch),
+    v_financial_year,
+    v_sequence
+  );
+
+  return new;
+end;
+$$;
+
+drop function if exists next_note_number(businesses, text, date);
+
+-- Note numbers reuse the business's pattern when it has a {PREFIX} to tell
+-- notes from invoices, and fall back to the default pattern otherwise
+create or replace function next_note_number(p_business businesses, p_branch branches, p_note_type text, p_date date)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_financial_year text := financial_year(p_date);
+  v_prefix text := case when p_note_type = 'credit' then p_business.credit_note_prefix else p_business.debit_note_prefix end;
+  v_sequence integer;
+begin
+  insert into note_number_series (business_id, branch_id, note_type, financial_year, last_value)
+  values (p_business.id, p_branch.id, p_note_type, v_financial_year, 1)
+  on conflict (branch_id, note_type, financial_year)
+  do update set last_value = note_number_series.last_value + 1
+  returning last_value into v_sequence;
+
+  if not p_branch.is_main then
+    v_prefix := v_prefix || '-' || p_branch.invoice_prefix;
+  end if;
+
+  return format_invoice_number(
+    case when p_business.invoice_number_pattern like '%{PREFIX}%'
+      then p_business.invoice_number_pattern
+      else '{PREFIX}/{FY}/{SEQ:4}'
+    end,
+    v_prefix,
+    v_financial_year,
+    v_sequence
+  );
+end;
+$$;
+
+revoke execute on function next_note_number(businesses, branches, text, date) from public, anon, authenticated;
+
+-- GST is split by the state of the invoice's branch
+
+-- Replace an invoice's lines and bring its totals and status up to date.
+-- Internal: callers must already have checked access to the invoice.
+create or replace function write_invoice_items(p_invoice_id uuid, p_items jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_supply_state text;
+  v_lines jsonb;
+  v_total numeric;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id for update;
+
+  if v_invoice.status in ('void', 'cancelled') then
+    raise exception 'Invoice % is %', v_invoice.invoice_number, v_invoice.status;
+  end if;
+
+  v_supply_state := branch_supplier_state(v_invoice.branch_id);
+  v_lines := compute_invoice_lines(
+    p_items,
+    coalesce(v_supply_state <> v_invoice.place_of_supply, false)
+  );
+
+  delete from invoice_items where invoice_id = p_invoice_id;
+
+  insert into invoice_items (
+    invoice_id, item_name, hsn_sac, unit, quantity, unit_price, gst_rate, total_price,
+    cgst_amount, sgst_amount, igst_amount, tax_amount, line_total
+  )
+  select
+    p_invoice_id,
+    line->>'item_name',
+    line->>'hsn_sac',
+    nullif(trim(coalesce(line->>'unit', '')), ''),
+    (line->>'quantity')::numeric,
+    (line->>'unit_price')::numeric,
+    (line->>'gst_rate')::numeric,
+    (line->>'total_price')::numeric,
+    (line->>'cgst_amount')::numeric,
+    (line->>'sgst_amount')::numeric,
+    (line->>'igst_amount')::numeric,
+    (line->>'tax_amount')::numeric,
+    (line->>'line_total')::numeric
+  from jsonb_array_elements(v_lines) as line;
+
+  select coalesce(sum((line->>'line_total')::numeric), 0)
+    into v_total
+    from jsonb_array_elements(v_lines) as line;
+
+  update invoices
+  set
+    taxable_amount = (select coalesce(sum((line->>'total_price')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    cgst_amount = (select coalesce(sum((line->>'cgst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    sgst_amount = (select coalesce(sum((line->>'sgst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    igst_amount = (select coalesce(sum((line->>'igst_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    tax_amount = (select coalesce(sum((line->>'tax_amount')::numeric), 0) from jsonb_array_elements(v_lines) as line),
+    total_amount = v_total,
+    status = case when status = 'draft' then status else invoice_status(v_total, paid_amount, due_date) end,
+    updated_at = now()
+  where id = p_invoice_id;
+
+  return v_lines;
+end;
+$$;
+
+create or replace function counter_edit_request(p_request_id uuid, p_items jsonb, p_decisions jsonb default null)
+returns invoice_edit_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request invoice_edit_requests%rowtype := business_edit_request(p_request_id);
+  v_invoice invoices%rowtype;
+  v_lines jsonb;
+begin
+  select * into v_invoice from invoices where id = v_request.invoice_id;
+
+  v_lines := compute_invoice_lines(
+    p_items,
+    coalesce(branch_supplier_state(v_invoice.branch_id) <> v_invoice.place_of_supply, false)
+  );
+
+  update invoice_edit_requests
+  set
+    status = 'countered',
+    rounds = rounds || jsonb_build_array(jsonb_build_object(
+      'by', 'business', 'action', 'countered', 'decisions', p_decisions, 'items', v_lines, 'created_at', now()
+    ))
+  where id = p_request_id
+  returning * into v_request;
+
+  return v_request;
+end;
+$$;
+
+-- Issue a note against an invoice and update the invoice's balance.
+-- Internal: callers must already have checked access to the invoice.
+create or replace function write_invoice_note(
+  p_invoice_id uuid,
+  p_note_type text,
+  p_reason text,
+  p_items jsonb,
+  p_edit_request_id uuid default null
+)
+returns invoice_notes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_business businesses%rowtype;
+  v_branch branches%rowtype;
+  v_lines jsonb;
+  v_note invoice_notes%rowtype;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id for update;
+  select * into v_business from businesses where id = v_invoice.business_id;
+  select * into v_branch from branches where id = v_invoice.branch_id;
+
+  if v_invoice.status in ('draft', 'void', 'cancelled') then
+    raise exception 'Notes can only be issued against an issued invoice';
+  end if;
+  if p_note_type not in ('credit', 'debit') then
+    raise exception 'Unknown note type %', p_note_type;
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'Give a reason for the % note', p_note_type;
+  end if;
+
+  v_lines := compute_invoice_lines(
+    p_items,
+    coalesce(branch_supplier_state(v_branch.id) <> v_invoice.place_of_supply, false)
+  );
+
+  insert into invoice_notes (
+    business_id, customer_id, invoice_id, edit_request_id, note_type, note_number, reason, items,
+    taxable_amount, cgst_amount, sgst_amount, igst_amount, tax_amount, total_amount
+  )
+  select
+    v_invoice.business_id,
+    v_invoice.customer_id,
+    v_invoice.id,
+    p_edit_request_id,
+    p_note_type,
+    next_note_number(v_business, v_branch, p_note_type, current_date),
+    trim(p_reason),
+    v_lines,
+    sum((line->>'total_price')::numeric),
+    sum((line->>'cgst_amount')::numeric),
+    sum((line->>'sgst_amount')::numeric),
+    sum((line->>'igst_amount')::numeric),
+    sum((line->>'tax_amount')::numeric),
+    sum((line->>'line_total')::numeric)
+  from jsonb_array_elements(v_lines) as line
+  returning * into v_note;
+
+  if p_note_type = 'credit' and v_note.total_amount > v_invoice.total_amount + v_invoice.debited_amount - v_invoice.credited_amount then
+    raise exception 'Credit note % is more than the invoice''s remaining value', v_note.note_number;
+  end if;
+
+  perform set_config('audit.action', p_note_type || '_note', true);
+
+  update invoices
+  set
+    credited_amount = credited_amount + case when p_note_type = 'credit' then v_note.total_amount else 0 end,
+    debited_amount = debited_amount + case when p_note_type = 'debit' then v_note.total_amount else 0 end,
+    updated_at = now()
+  where id = v_invoice.id;
+
+  return v_note;
+end;
+$$;
+
+create or replace function approve_edit_request_with_notes(
+  p_request_id uuid,
+  p_items jsonb,
+  p_credit_items jsonb,
+  p_debit_items jsonb,
+  p_decisions jsonb default null
+)
+returns invoice_edit_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request invoice_edit_requests%rowtype := business_edit_request(p_request_id);
+  v_invoice invoices%rowtype;
+  v_lines jsonb;
+  v_change numeric;
+  v_noted numeric := 0;
+  v_note invoice_notes%rowtype;
+begin
+  select * into v_invoice from invoices where id = v_request.invoice_id;
+
+  v_lines := compute_invoice_lines(
+    p_items,
+    coalesce(branch_supplier_state(v_invoice.branch_id) <> v_invoice.place_of_supply, false)
+  );
+
+  select sum((line->>'line_total')::numeric) - v_invoice.total_amount
+    into v_change
+    from jsonb_array_elements(v_lines) as line;
+
+  if jsonb_array_length(coalesce(p_credit_items, '[]'::jsonb)) > 0 then
+    v_note := write_invoice_note(v_invoice.id, 'credit', coalesce(v_request.reason, 'Approved edit request'), p_credit_items, p_request_id);
+    v_noted := v_noted - v_note.total_amount;
+  end if;
+
+  if jsonb_array_length(coalesce(p_debit_items, '[]'::jsonb)) > 0 then
+    v_note := write_invoice_note(v_invoice.id, 'debit', coalesce(v_request.reason, 'Approved edit request'), p_debit_items, p_request_id);
+    v_noted := v_noted + v_note.total_amount;
+  end if;
+
+  -- Tax is rounded per line, so allow a paisa of difference per line
+  if abs(v_noted - v_change) > 0.01 * jsonb_array_length(v_lines) then
+    raise exception 'The notes (%) do not match the approved change (%)', v_noted, v_change;
+  end if;
+
+  update invoice_edit_requests
+  set
+    status = 'approved',
+    final_items = v_lines,
+    settled_with_notes = true,
+    rounds = rounds || jsonb_build_array(jsonb_build_object(
+      'by', 'business', 'action', 'approved', 'decisions', p_decisions, 'items', v_lines, 'created_at', now()
+    )),
+    reviewed_at = now()
+  where id = p_request_id
+  returning * into v_request;
+
+  return v_request;
+end;
+$$;
+
+-- Creating invoices and customers for a chosen branch
+
+drop function if exists write_invoice(uuid, uuid, date, text, jsonb, text, boolean);
+
+-- Create an invoice and its lines, optionally as a draft. The due date
+-- follows the customer's payment terms, and a credit limit breach needs an
+-- override reason. Without a branch the invoice goes to the customer's.
+-- Internal: callers must already have checked access to the business.
+create or replace function write_invoice(
+  p_business_id uuid,
+  p_customer_id uuid,
+  p_invoice_date date,
+  p_place_of_supply text,
+  p_items jsonb,
+  p_credit_override_reason text default null,
+  p_draft boolean default false,
+  p_branch_id uuid default null
+)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_link business_customers%rowtype;
+  v_invoice invoices%rowtype;
+  v_outstanding numeric;
+begin
+  select * into v_link
+  from business_customers
+  where business_id = p_business_id and customer_id = p_customer_id;
+
+  if not found then
+    raise exception 'Customer not found';
+  end if;
+
+  insert into invoices (
+    business_id, branch_id, customer_id, invoice_date, due_date, place_of_supply,
+    total_amount, paid_amount, status, credit_override_reason
+  )
+  values (
+    p_business_id,
+    coalesce(p_branch_id, v_link.branch_id),
+    p_customer_id,
+    p_invoice_date,
+    p_invoice_date + coalesce(v_link.payment_terms_days, 30),
+    nullif(p_place_of_supply, ''),
+    0,
+    0,
+    case when p_draft then 'draft' else 'sent' end,
+    nullif(trim(coalesce(p_credit_override_reason, '')), '')
+  )
+  returning * into v_invoice;
+
+  perform write_invoice_items(v_invoice.id, p_items);
+
+  select * into v_invoice from invoices where id = v_invoice.id;
+
+  -- A limit of 0 means no limit. The limit covers the customer across
+  -- every branch.
+  if coalesce(v_link.credit_limit, 0) > 0 then
+    select coalesce(sum(total_amount - paid_amount), 0)
+      into v_outstanding
+      from invoices
+      where business_id = p_business_id
+        and customer_id = p_customer_id
+        and (status not in ('draft', 'void', 'cancelled') or id = v_invoice.id);
+
+    if v_outstanding > v_link.credit_limit and v_invoice.credit_override_reason is null then
+      raise exception 'Invoice takes the customer over their credit limit of %', v_link.credit_limit
+        using hint = 'Give a reason to override the credit limit';
+    end if;
+  end if;
+
+  return v_invoice;
+end;
+$$;
+
+revoke execute on function write_invoice(uuid, uuid, date, text, jsonb, text, boolean, uuid) from public, anon, authenticated;
+
+drop function if exists create_invoice(uuid, uuid, date, text, jsonb, text, boolean);
+
+create or replace function create_invoice(
+  p_business_id uuid,
+  p_customer_id uuid,
+  p_invoice_date date,
+  p_place_of_supply text,
+  p_items jsonb,
+  p_credit_override_reason text default null,
+  p_draft boolean default false,
+  p_branch_id uuid default null
+)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform require_business_permission(p_business_id, 'create_invoices');
+  if coalesce(trim(p_credit_override_reason), '') <> '' then
+    perform require_business_permission(p_business_id, 'manage_credit');
+  end if;
+
+  return write_invoice(
+    p_business_id, p_customer_id, p_invoice_date, p_place_of_supply,
+    p_items, p_credit_override_reason, p_draft, p_branch_id
+  );
+end;
+$$;
+
+drop function if exists add_business_customer(uuid, text, text, text, text, text, numeric, integer);
+
+-- Anyone who may add customers can do so on the default terms; other
+-- terms need manage_credit. Without a branch the customer goes to the
+-- main branch.
+create or replace function add_business_customer(
+  p_business_id uuid,
+  p_customer_name text,
+  p_phone_number text,
+  p_email text default null,
+  p_address text default null,
+  p_state_code text default null,
+  p_credit_limit numeric default 0,
+  p_payment_terms_days integer default 30,
+  p_branch_id uuid default null
+)
+returns business_customers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_customer_id uuid;
+  v_link business_customers%rowtype;
+begin
+  perform require_business_permission(p_business_id, 'add_customers');
+  if coalesce(p_credit_limit, 0) <> 0 or coalesce(p_payment_terms_days, 30) <> 30 then
+    perform require_business_permission(p_business_id, 'manage_credit');
+  end if;
+
+  if coalesce(trim(p_phone_number), '') = '' then
+    raise exception 'Enter the customer''s phone number';
+  end if;
+
+  select id into v_customer_id
+  from customers
+  where phone_number = trim(p_phone_number)
+  order by user_id is null, created_at
+  limit 1;
+
+  if v_customer_id is null then
+    if coalesce(trim(p_customer_name), '') = '' then
+      raise exception 'Enter the customer''s name';
+    end if;
+
+    insert into customers (customer_name, phone_number, email, address, state_code)
+    values (
+      trim(p_customer_name),
+      trim(p_phone_number),
+      nullif(trim(p_email), ''),
+      nullif(trim(p_address), ''),
+      nullif(p_state_code, '')
+    )
+    returning id into v_customer_id;
+  end if;
+
+  if exists (select 1 from business_customers where business_id = p_business_id and customer_id = v_customer_id) then
+    raise exception 'This customer is already linked to your business';
+  end if;
+
+  insert into business_customers (business_id, customer_id, branch_id, credit_limit, payment_terms_days)
+  values (p_business_id, v_customer_id, p_branch_id, coalesce(p_credit_limit, 0), coalesce(p_payment_terms_days, 30))
+  returning * into v_link;
+
+  return v_link;
+end;
+$$;
+
+-- Row-level security
+
+alter table branches enable row level security;
+
+drop policy if exists "Members read their branches" on branches;
+create policy "Members read their branches"
+  on branches for select
+  using (is_business_user(business_id));
+
+-- Customers see the branch details printed on their invoices
+drop policy if exists "Customers read the branches that bill them" on branches;
+create policy "Customers read the branches that bill them"
+  on branches for select
+  using (exists (
+    select 1 from business_customers bc
+    where bc.business_id = branches.business_id and is_customer_user(bc.customer_id)
+  ));
+
+drop policy if exists "Owners manage branches" on branches;
+create policy "Owners manage branches"
+  on branches for all
+  using (has_business_permission(business_id, 'manage_settings'))
+  with check (has_business_permission(business_id, 'manage_settings'));
@@ -0,0 +1,158 @@
+-- Phone numbers in E.164
+-- Customers are matched and sign in by phone number, so a number stored as
+-- typed (9876543210, 098765 43210, 919876543210) made a second customer for
+-- the same person. The app now normalises every number to E.164 with
+-- lib/phone.js before it reaches the database. This migration brings the
+-- existing numbers into that form, merges the customers that turn out to
+-- share a number, and rejects numbers in any other form from now on.
+
+-- E.164 form of a stored number. Numbers without a country code are taken
+-- as Indian, which is how the app read them before it had a country picker.
+-- Returns null for anything it cannot read.
+create or replace function normalize_phone(p_phone text)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+  v_value text := regexp_replace(coalesce(p_phone, ''), '[\s().-]', '', 'g');
+begin
+  if v_value ~ '^\+[1-9][0-9]{7,14}$' then
+    return v_value;
+  end if;
+  if v_value ~ '^00[1-9][0-9]{7,14}$' then
+    return '+' || substr(v_value, 3);
+  end if;
+
+  v_value := regexp_replace(v_value, '^(0|91)(?=[6-9][0-9]{9}$)', '');
+  if v_value ~ '^[6-9][0-9]{9}$' then
+    return '+91' || v_value;
+  end if;
+
+  return null;
+end;
+$$;
+
+update customers
+set phone_number = normalize_phone(phone_number)
+where normalize_phone(phone_number) <> phone_number;
+
+update businesses
+set phone_number = normalize_phone(phone_number)
+where normalize_phone(phone_number) <> phone_number;
+
+-- Merge the customers that share a number. The row with an account is
+-- kept, or the oldest when none has one; rows of other accounts with the
+-- same number are left alone, since each is someone's sign-in. Numbers
+-- that could not be read are not merged: the same unreadable value (a
+-- placeholder such as 0) is no sign of the same person.
+do $$
+declare
+  v_keep customers%rowtype;
+  v_merge uuid;
+begin
+  for v_keep in
+    select distinct on (phone_number) *
+    from customers
+    where phone_number in (
+      select phone_number from customers
+      where phone_number ~ '^\+[1-9][0-9]{7,14}$'
+      group by phone_number
+      having count(*) > 1
+    )
+    order by phone_number, user_id is null, created_at
+  loop
+    for v_merge in
+      select id from customers
+      where phone_number = v_keep.phone_number and user_id is null and id <> v_keep.id
+      order by created_at
+    loop
+      perform merge_customers(v_keep.id, v_merge);
+    end loop;
+  end loop;
+end;
+$$;
+
+-- Numbers a migration could not read are left for the business to fix;
+-- new and changed numbers must be in E.164
+alter table customers
+  drop constraint if exists customers_phone_number_e164_check;
+alter table customers
+  add constraint customers_phone_number_e164_check
+  check (phone_number ~ '^\+[1-9][0-9]{7,14}$') not valid;
+
+-- One unclaimed customer per number, so every business that adds the
+-- number links the same customer. Numbers that could not be read are left
+-- out, since they were not merged.
+create unique index if not exists customers_unclaimed_phone_number_idx
+  on customers (phone_number)
+  where user_id is null and phone_number ~ '^\+[1-9][0-9]{7,14}$';
+
+-- Customers added by number are looked up in E.164, so the same number
+-- typed another way still finds them
+create or replace function add_business_customer(
+  p_business_id uuid,
+  p_customer_name text,
+  p_phone_number text,
+  p_email text default null,
+  p_address text default null,
+  p_state_code text default null,
+  p_credit_limit numeric default 0,
+  p_payment_terms_days integer default 30,
+  p_branch_id uuid default null
+)
+returns business_customers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_phone text := normalize_phone(p_phone_number);
+  v_customer_id uuid;
+  v_link business_customers%rowtype;
+begin
+  perform require_business_permission(p_business_id, 'add_customers');
+  if coalesce(p_credit_limit, 0) <> 0 or coalesce(p_payment_terms_days, 30) <> 30 then
+    perform require_business_permission(p_business_id, 'manage_credit');
+  end if;
+
+  if coalesce(trim(p_phone_number), '') = '' then
+    raise exception 'Enter the customer''s phone number';
+  end if;
+  if v_phone is null then
+    raise exception 'Enter the customer''s phone number with its country code, e.g. +919876543210';
+  end if;
+
+  select id into v_customer_id
+  from customers
+  where phone_number = v_phone
+  order by user_id is null, created_at
+  limit 1;
+
+  if v_customer_id is null then
+    if coalesce(trim(p_customer_name), '') = '' then
+      raise exception 'Enter the customer''s name';
+    end if;
+
+    insert into customers (customer_name, phone_number, email, address, state_code)
+    values (
+      trim(p_customer_name),
+      v_phone,
+      nullif(trim(p_email), ''),
+      nullif(trim(p_address), ''),
+      nullif(p_state_code, '')
+    )
+    returning id into v_customer_id;
+  end if;
+
+  if exists (select 1 from business_customers where business_id = p_business_id and customer_id = v_customer_id) then
+    raise exception 'This customer is already linked to your business';
+  end if;
+
+  insert into business_customers (business_id, customer_id, branch_id, credit_limit, payment_terms_days)
+  values (p_business_id, v_customer_id, p_branch_id, coalesce(p_credit_limit, 0), coalesce(p_payment_terms_days, 30))
+  returning * into v_link;
+
+  return v_link;
+end;
+$$;
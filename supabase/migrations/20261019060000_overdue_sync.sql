@@ -0,0 +1,62 @@
+-- Overdue sync in the database
+-- The overdue job used to read open invoices into the app (at most one page
+-- of rows) and update them one at a time, judging due dates against the
+-- UTC date. Until 05:30 IST that is still yesterday, so invoices falling
+-- due that day were missed. Statuses are now worked out here against the
+-- date in India, and the job brings every open invoice up to date in one
+-- statement.
+
+-- Today's date where the businesses trade
+create or replace function india_today()
+returns date
+language sql
+stable
+as $$
+  select (now() at time zone 'Asia/Kolkata')::date
+$$;
+
+-- Status an invoice should have given its payments and due date
+create or replace function invoice_status(
+  p_total_amount numeric,
+  p_paid_amount numeric,
+  p_due_date date
+)
+returns text
+language sql
+stable
+as $$
+  select case
+    when p_total_amount - coalesce(p_paid_amount, 0) <= 0 then 'paid'
+    when p_due_date < india_today() then 'overdue'
+    when coalesce(p_paid_amount, 0) > 0 then 'partially_paid'
+    else 'sent'
+  end
+$$;
+
+-- Move open invoices whose status is out of date with today's date.
+-- invoices_balance_status works out the new status as each row is touched.
+-- Run by the scheduled job with the service role; returns what changed.
+create or replace function sync_invoice_statuses()
+returns table (invoice_id uuid, from_status text, to_status text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  return query
+  with stale as (
+    select i.id, i.status
+    from invoices i
+    where i.status in ('sent', 'partially_paid', 'overdue')
+      and invoice_status(invoice_balance(i) + i.paid_amount, i.paid_amount, i.due_date) <> i.status
+    for update
+  )
+  update invoices i
+  set updated_at = now()
+  from stale
+  where i.id = stale.id
+  returning i.id, stale.status, i.status;
+end;
+$$;
+
+revoke execute on function sync_invoice_statuses() from public, anon, authenticated;
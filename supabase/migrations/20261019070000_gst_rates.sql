@@ -0,0 +1,104 @@
+-- GST rates in one place
+-- The rates were listed separately in lib/gst.js, in the checks on
+-- invoice_items and catalogue_items and in compute_invoice_lines, and none
+-- of them had the 40% slab in force since the September 2025 rate
+-- rationalisation. They are now rows of gst_rates: invoice and catalogue
+-- lines reference it, compute_invoice_lines checks against it and the app
+-- reads it for its rate pickers (loadGstRates in lib/gst.js). The 12% and
+-- 28% slabs stay, since issued invoices and some goods still carry them.
+
+create table if not exists gst_rates (
+  rate numeric(5, 2) primary key check (rate >= 0 and rate < 100)
+);
+
+insert into gst_rates (rate) values
+  (0), (0.25), (3), (5), (12), (18), (28), (40)
+on conflict do nothing;
+
+alter table gst_rates enable row level security;
+
+drop policy if exists "Anyone can read GST rates" on gst_rates;
+create policy "Anyone can read GST rates"
+  on gst_rates for select
+  using (true);
+
+revoke insert, update, delete on gst_rates from anon, authenticated;
+
+alter table invoice_items
+  drop constraint if exists invoice_items_gst_rate_check;
+alter table invoice_items
+  drop constraint if exists invoice_items_gst_rate_fkey;
+alter table invoice_items
+  add constraint invoice_items_gst_rate_fkey
+  foreign key (gst_rate) references gst_rates(rate);
+
+alter table catalogue_items
+  drop constraint if exists catalogue_items_gst_rate_check;
+alter table catalogue_items
+  drop constraint if exists catalogue_items_gst_rate_fkey;
+alter table catalogue_items
+  add constraint catalogue_items_gst_rate_fkey
+  foreign key (gst_rate) references gst_rates(rate);
+
+-- Validate line items and compute the taxable value and CGST/SGST/IGST split
+-- for each, matching computeLineTax in lib/gst.js
+create or replace function compute_invoice_lines(p_items jsonb, p_inter_state boolean)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  v_item jsonb;
+  v_quantity numeric;
+  v_unit_price numeric;
+  v_rate numeric;
+  v_taxable numeric;
+  v_tax numeric;
+  v_cgst numeric;
+  v_lines jsonb := '[]'::jsonb;
+begin
+  if jsonb_typeof(p_items) is distinct from 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'An invoice needs at least one item';
+  end if;
+
+  for v_item in select value from jsonb_array_elements(p_items) loop
+    if coalesce(trim(v_item->>'item_name'), '') = '' then
+      raise exception 'Every item needs a name';
+    end if;
+
+    v_quantity := coalesce((v_item->>'quantity')::numeric, 0);
+    v_unit_price := coalesce((v_item->>'unit_price')::numeric, 0);
+    v_rate := coalesce((v_item->>'gst_rate')::numeric, 0);
+
+    if v_quantity <= 0 then
+      raise exception 'Quantity for % must be more than zero', v_item->>'item_name';
+    end if;
+    if v_unit_price < 0 then
+      raise exception 'Unit price for % cannot be negative', v_item->>'item_name';
+    end if;
+    if not exists (select 1 from gst_rates where rate = v_rate) then
+      raise exception '% is not a GST rate', v_rate;
+    end if;
+
+    v_taxable := round(v_quantity * v_unit_price, 2);
+    v_tax := round(v_taxable * v_rate / 100, 2);
+    v_cgst := case when p_inter_state then 0 else round(v_tax / 2, 2) end;
+
+    v_lines := v_lines || jsonb_build_array(v_item || jsonb_build_object(
+      'item_name', trim(v_item->>'item_name'),
+      'hsn_sac', nullif(trim(coalesce(v_item->>'hsn_sac', '')), ''),
+      'quantity', v_quantity,
+      'unit_price', v_unit_price,
+      'gst_rate', v_rate,
+      'total_price', v_taxable,
+      'cgst_amount', v_cgst,
+      'sgst_amount', case when p_inter_state then 0 else v_tax - v_cgst end,
+      'igst_amount', case when p_inter_state then v_tax else 0 end,
+      'tax_amount', v_tax,
+      'line_total', v_taxable + v_tax
+    ));
+  end loop;
+
+  return v_lines;
+end;
+$$;
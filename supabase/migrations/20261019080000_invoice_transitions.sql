@@ -0,0 +1,64 @@
+-- Manual invoice transitions only
+-- invoice_status_transitions listed every move the balance triggers make
+-- (draft to paid, paid back to sent and so on) so that they would pass the
+-- check, which also let those moves through as if they were manual. It now
+-- lists only what a user can do: issue a draft, and void or cancel an
+-- issued invoice. The moves between sent, partially paid, paid and overdue
+-- that follow payments, notes and due dates are recognised as such by the
+-- check instead.
+
+delete from invoice_status_transitions
+where (from_status, to_status) not in (
+  ('draft', 'sent'),
+  ('sent', 'void'),
+  ('sent', 'cancelled'),
+  ('partially_paid', 'cancelled'),
+  ('overdue', 'void'),
+  ('overdue', 'cancelled')
+);
+
+create or replace function enforce_invoice_status_transition()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_requested text := new.status;
+begin
+  if tg_op = 'INSERT' then
+    if new.status not in ('draft', 'sent') then
+      raise exception 'New invoices must be drafts or sent';
+    end if;
+    return new;
+  end if;
+
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  -- invoices_balance_status has already set any of these statuses from the
+  -- balance and due date. Between two of them that is the balance moving,
+  -- not a transition. From a draft it is the draft being issued, which
+  -- lands on whichever of them the balance gives and is checked as sent.
+  if new.status in ('sent', 'partially_paid', 'paid', 'overdue')
+    and new.status = invoice_status(invoice_balance(new) + new.paid_amount, new.paid_amount, new.due_date) then
+    if old.status in ('sent', 'partially_paid', 'paid', 'overdue') then
+      return new;
+    end if;
+    v_requested := 'sent';
+  end if;
+
+  if not exists (
+    select 1 from invoice_status_transitions
+    where from_status = old.status and to_status = v_requested
+  ) then
+    raise exception 'Invoice % cannot go from % to %', coalesce(old.invoice_number, 'draft'), old.status, v_requested;
+  end if;
+
+  if new.status = 'void' and new.paid_amount > 0 then
+    raise exception 'Invoice % has payments against it; cancel it instead of voiding', old.invoice_number;
+  end if;
+
+  new.status_changed_at := now();
+  return new;
+end;
+$$;
@@ -0,0 +1,82 @@
+-- Credit limits net of notes
+-- write_invoice checked the credit limit against invoice totals less
+-- payments, so a credit note did not free up any of the customer's limit
+-- and a debit note did not use any, while the app (customerOutstanding)
+-- counted both. It now sums invoice_balance like everything else.
+
+-- Create an invoice and its lines, optionally as a draft. The due date
+-- follows the customer's payment terms, and a credit limit breach needs an
+-- override reason. Without a branch the invoice goes to the customer's.
+-- Internal: callers must already have checked access to the business.
+create or replace function write_invoice(
+  p_business_id uuid,
+  p_customer_id uuid,
+  p_invoice_date date,
+  p_place_of_supply text,
+  p_items jsonb,
+  p_credit_override_reason text default null,
+  p_draft boolean default false,
+  p_branch_id uuid default null
+)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_link business_customers%rowtype;
+  v_invoice invoices%rowtype;
+  v_outstanding numeric;
+begin
+  select * into v_link
+  from business_customers
+  where business_id = p_business_id and customer_id = p_customer_id;
+
+  if not found then
+    raise exception 'Customer not found';
+  end if;
+
+  insert into invoices (
+    business_id, branch_id, customer_id, invoice_date, due_date, place_of_supply,
+    total_amount, paid_amount, status, credit_override_reason
+  )
+  values (
+    p_business_id,
+    coalesce(p_branch_id, v_link.branch_id),
+    p_customer_id,
+    p_invoice_date,
+    p_invoice_date + coalesce(v_link.payment_terms_days, 30),
+    nullif(p_place_of_supply, ''),
+    0,
+    0,
+    case when p_draft then 'draft' else 'sent' end,
+    nullif(trim(coalesce(p_credit_override_reason, '')), '')
+  )
+  returning * into v_invoice;
+
+  perform write_invoice_items(v_invoice.id, p_items);
+
+  select * into v_invoice from invoices where id = v_invoice.id;
+
+  -- A limit of 0 means no limit. The limit covers the customer across
+  -- every branch, and what they owe is net of credit and debit notes, as
+  -- customerOutstanding works it out in the app.
+  if coalesce(v_link.credit_limit, 0) > 0 then
+    select coalesce(sum(invoice_balance(i)), 0)
+      into v_outstanding
+      from invoices i
+      where i.business_id = p_business_id
+        and i.customer_id = p_customer_id
+        and (i.status not in ('draft', 'void', 'cancelled') or i.id = v_invoice.id);
+
+    if v_outstanding > v_link.credit_limit and v_invoice.credit_override_reason is null then
+      raise exception 'Invoice takes the customer over their credit limit of %', v_link.credit_limit
+        using hint = 'Give a reason to override the credit limit';
+    end if;
+  end if;
+
+  return v_invoice;
+end;
+$$;
+
+revoke execute on function write_invoice(uuid, uuid, date, text, jsonb, text, boolean, uuid) from public, anon, authenticated;
@@ -0,0 +1,124 @@
+-- Invoice acceptance codes
+-- acknowledge_invoice used to accept any session that had signed in with a
+-- phone OTP in the last ten minutes, so one code confirmed every invoice the
+-- customer could see in that window, and a code sent for one purpose could
+-- be spent on another. Each acceptance now needs its own code, sent to the
+-- customer's phone for that invoice and good for it alone.
+--
+-- Codes are made and sent by the app server, which stores them through
+-- store_invoice_acceptance_code with the service role; only a hash is kept.
+-- A code lasts ten minutes, allows five wrong tries and is spent when the
+-- invoice is accepted. A new code can be asked for once a minute.
+
+create table if not exists invoice_acceptance_codes (
+  invoice_id uuid primary key references invoices(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  code_hash text not null,
+  attempts integer not null default 0,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+-- Read and written only through the functions below
+alter table invoice_acceptance_codes enable row level security;
+
+create or replace function acceptance_code_hash(p_invoice_id uuid, p_code text)
+returns text
+language sql
+immutable
+as $$
+  select encode(sha256(convert_to(p_invoice_id::text || ':' || p_code, 'UTF8')), 'hex')
+$$;
+
+-- Replace any earlier code for the invoice. The app server checks that
+-- p_user_id is the invoice's customer before it sends the code.
+create or replace function store_invoice_acceptance_code(p_invoice_id uuid, p_user_id uuid, p_code text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (
+    select 1 from invoice_acceptance_codes
+    where invoice_id = p_invoice_id and created_at > now() - interval '1 minute'
+  ) then
+    raise exception 'A code was sent less than a minute ago; wait before asking for another';
+  end if;
+
+  insert into invoice_acceptance_codes (invoice_id, user_id, code_hash, expires_at)
+  values (p_invoice_id, p_user_id, acceptance_code_hash(p_invoice_id, p_code), now() + interval '10 minutes')
+  on conflict (invoice_id) do update
+  set
+    user_id = excluded.user_id,
+    code_hash = excluded.code_hash,
+    attempts = 0,
+    expires_at = excluded.expires_at,
+    created_at = now();
+end;
+$$;
+
+revoke execute on function store_invoice_acceptance_code(uuid, uuid, text) from public, anon, authenticated;
+
+drop function if exists acknowledge_invoice(uuid, jsonb);
+drop function if exists recent_otp_sign_in(interval);
+
+-- Returns the accepted invoice, or null when the code is wrong. A wrong code
+-- is counted rather than raised, since raising would undo the count.
+create or replace function acknowledge_invoice(p_invoice_id uuid, p_code text, p_device jsonb default null)
+returns invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_code invoice_acceptance_codes%rowtype;
+begin
+  select * into v_invoice from invoices where id = p_invoice_id for update;
+
+  if not found or not exists (
+    select 1 from customers where id = v_invoice.customer_id and user_id = auth.uid()
+  ) then
+    raise exception 'Invoice not found';
+  end if;
+
+  if v_invoice.status in ('draft', 'void', 'cancelled') then
+    raise exception 'Invoice % cannot be accepted', coalesce(v_invoice.invoice_number, 'draft');
+  end if;
+  if v_invoice.acknowledged_at is not null then
+    raise exception 'Invoice % has already been accepted', v_invoice.invoice_number;
+  end if;
+
+  select * into v_code
+  from invoice_acceptance_codes
+  where invoice_id = p_invoice_id and user_id = auth.uid()
+  for update;
+
+  if not found or v_code.expires_at <= now() then
+    raise exception 'The code has expired; ask for a new one';
+  end if;
+  if v_code.attempts >= 5 then
+    raise exception 'Too many wrong codes; ask for a new one';
+  end if;
+  if v_code.code_hash <> acceptance_code_hash(p_invoice_id, coalesce(p_code, '')) then
+    update invoice_acceptance_codes set attempts = attempts + 1 where invoice_id = p_invoice_id;
+    return null;
+  end if;
+
+  delete from invoice_acceptance_codes where invoice_id = p_invoice_id;
+
+  perform set_config('audit.action', 'acknowledged', true);
+
+  update invoices
+  set
+    acknowledged_at = now(),
+    acknowledged_by = auth.uid(),
+    acknowledgement_method = 'otp',
+    acknowledgement_device = p_device
+  where id = p_invoice_id
+  returning * into v_invoice;
+
+  return v_invoice;
+end;
+$$;
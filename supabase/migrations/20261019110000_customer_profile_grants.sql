@@ -0,0 +1,23 @@
+-- Customer profile writes
+-- "Customers manage their own profile" covered every command, so a signed-in
+-- customer could insert customer rows for any phone number and change the
+-- phone number on their own row. Businesses find customers by phone, so
+-- either let one customer pass as another. Customer rows are now only
+-- created and linked by signup, add_business_customer and the verified
+-- claim, and a customer can change only their name and contact details.
+
+drop policy if exists "Customers manage their own profile" on customers;
+
+drop policy if exists "Customers read their own profile" on customers;
+create policy "Customers read their own profile"
+  on customers for select
+  using (user_id = auth.uid());
+
+drop policy if exists "Customers update their own profile" on customers;
+create policy "Customers update their own profile"
+  on customers for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+revoke insert, update, delete on customers from anon, authenticated;
+grant update (customer_name, email, address, state_code) on customers to authenticated;
@@ -0,0 +1,27 @@
+-- Claims need a confirmed phone number
+-- claim_customer_records took the phone number on the auth user as proof of
+-- ownership, but that number is only proven once the user has entered a
+-- code sent to it. Until then it is whatever was typed at signup, so
+-- anyone could sign up with another person's number and claim the invoices
+-- businesses had raised to it. Claims now need the number confirmed.
+
+create or replace function claim_customer_records()
+returns customers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_phone text;
+begin
+  select '+' || ltrim(phone, '+') into v_phone
+  from auth.users
+  where id = auth.uid() and coalesce(phone, '') <> '' and phone_confirmed_at is not null;
+
+  if v_phone is null then
+    raise exception 'Sign in with your phone number to see your invoices';
+  end if;
+
+  return attach_customer_records(auth.uid(), v_phone);
+end;
+$$;
@@ -0,0 +1,171 @@
+-- Signup creates a new customer
+-- complete_signup gave a new customer the records businesses had made for
+-- their phone number, and add_business_customer linked a number to any
+-- customer holding it. Neither number had been confirmed: signup takes the
+-- number as typed, so anyone could sign up with someone else's number and
+-- read the invoices raised to it. Signup now always creates a new customer,
+-- and businesses are only linked to a customer whose account has confirmed
+-- the number. The customer takes over the records for their number through
+-- claim_customer_records once they sign in with a code sent to it.
+
+create or replace function complete_signup(p_user_id uuid, p_role text, p_profile jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_phone text := nullif(trim(p_profile->>'phone_number'), '');
+  v_gstin text := nullif(upper(trim(p_profile->>'gst_number')), '');
+  v_business businesses%rowtype;
+  v_customer customers%rowtype;
+  v_invitation business_invitations%rowtype;
+begin
+  if exists (select 1 from user_roles where user_id = p_user_id) then
+    raise exception 'This account already has a profile';
+  end if;
+  if v_phone is null or v_phone !~ '^\+[1-9][0-9]{7,14}$' then
+    raise exception 'Enter a valid phone number';
+  end if;
+
+  if p_role = 'staff' then
+    select * into v_invitation
+    from business_invitations
+    where email = lower(trim(p_profile->>'email')) and accepted_at is null
+    order by created_at
+    limit 1;
+
+    if not found then
+      raise exception 'No business has invited this email address yet';
+    end if;
+
+    return jsonb_build_object(
+      'business_name', (select business_name from businesses where id = v_invitation.business_id),
+      'role', v_invitation.role
+    );
+  end if;
+
+  if p_role = 'business' then
+    if coalesce(trim(p_profile->>'business_name'), '') = '' then
+      raise exception 'Enter your business name';
+    end if;
+    if v_gstin is not null then
+      if v_gstin !~ '^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$' then
+        raise exception 'GSTIN % is not in the right format', v_gstin;
+      end if;
+      if exists (select 1 from businesses where upper(gst_number) = v_gstin) then
+        raise exception 'A business with GSTIN % is already registered', v_gstin;
+      end if;
+    end if;
+
+    insert into businesses (user_id, business_name, email, phone_number, gst_number, state_code)
+    values (
+      p_user_id,
+      trim(p_profile->>'business_name'),
+      nullif(trim(p_profile->>'email'), ''),
+      v_phone,
+      v_gstin,
+      nullif(p_profile->>'state_code', '')
+    )
+    returning * into v_business;
+
+    return to_jsonb(v_business);
+  end if;
+
+  if p_role = 'customer' then
+    if coalesce(trim(p_profile->>'customer_name'), '') = '' then
+      raise exception 'Enter your name';
+    end if;
+    if exists (select 1 from customers where phone_number = v_phone and user_id is not null) then
+      raise exception 'An account already exists for this phone number - sign in with a code instead';
+    end if;
+
+    insert into customers (user_id, customer_name, email, phone_number)
+    values (
+      p_user_id,
+      trim(p_profile->>'customer_name'),
+      nullif(trim(p_profile->>'email'), ''),
+      v_phone
+    )
+    returning * into v_customer;
+
+    return to_jsonb(v_customer);
+  end if;
+
+  raise exception 'Choose business, customer or team member';
+end;
+$$;
+
+create or replace function add_business_customer(
+  p_business_id uuid,
+  p_customer_name text,
+  p_phone_number text,
+  p_email text default null,
+  p_address text default null,
+  p_state_code text default null,
+  p_credit_limit numeric default 0,
+  p_payment_terms_days integer default 30,
+  p_branch_id uuid default null
+)
+returns business_customers
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_phone text := normalize_phone(p_phone_number);
+  v_customer_id uuid;
+  v_link business_customers%rowtype;
+begin
+  perform require_business_permission(p_business_id, 'add_customers');
+  if coalesce(p_credit_limit, 0) <> 0 or coalesce(p_payment_terms_days, 30) <> 30 then
+    perform require_business_permission(p_business_id, 'manage_credit');
+  end if;
+
+  if coalesce(trim(p_phone_number), '') = '' then
+    raise exception 'Enter the customer''s phone number';
+  end if;
+  if v_phone is null then
+    raise exception 'Enter the customer''s phone number with its country code, e.g. +919876543210';
+  end if;
+
+  -- The customer whose account has confirmed the number, or else the
+  -- number's unclaimed record, which they take over when they confirm it
+  select c.id into v_customer_id
+  from customers c
+  left join auth.users u on u.id = c.user_id
+  where c.phone_number = v_phone
+    and (
+      c.user_id is null
+      or (u.phone_confirmed_at is not null and '+' || ltrim(u.phone, '+') = v_phone)
+    )
+  order by c.user_id is null, c.created_at
+  limit 1;
+
+  if v_customer_id is null then
+    if coalesce(trim(p_customer_name), '') = '' then
+      raise exception 'Enter the customer''s name';
+    end if;
+
+    insert into customers (customer_name, phone_number, email, address, state_code)
+    values (
+      trim(p_customer_name),
+      v_phone,
+      nullif(trim(p_email), ''),
+      nullif(trim(p_address), ''),
+      nullif(p_state_code, '')
+    )
+    returning id into v_customer_id;
+  end if;
+
+  if exists (select 1 from business_customers where business_id = p_business_id and customer_id = v_customer_id) then
+    raise exception 'This customer is already linked to your business';
+  end if;
+
+  insert into business_customers (business_id, customer_id, branch_id, credit_limit, payment_terms_days)
+  values (p_business_id, v_customer_id, p_branch_id, coalesce(p_credit_limit, 0), coalesce(p_payment_terms_days, 30))
+  returning * into v_link;
+
+  return v_link;
+end;
+$$;
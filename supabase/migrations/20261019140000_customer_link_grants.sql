@@ -0,0 +1,12 @@
+-- Customer links only through add_business_customer
+-- "Members add customer links" let anyone who may add customers insert a
+-- link to any customer id, skipping the phone number match in
+-- add_business_customer and with it the check that the customer has
+-- confirmed their number. Links are now only made by that function, and
+-- members who manage credit can change a link's terms and branch but not
+-- which business or customer it joins.
+
+drop policy if exists "Members add customer links" on business_customers;
+
+revoke insert, update on business_customers from anon, authenticated;
+grant update (credit_limit, payment_terms_days, branch_id) on business_customers to authenticated;
@@ -0,0 +1,68 @@
+-- Customers raise edit requests through submit_edit_request
+-- Edit requests were inserted by the customer's browser, which also sent the
+-- invoice's current lines as original_items. The review compares the request
+-- with those lines, so a customer could send made-up originals that matched
+-- the prices they wanted, have the change shown as "unchanged", and get it
+-- approved onto the invoice. submit_edit_request now takes the original
+-- lines from invoice_items, recomputes GST on the requested lines and starts
+-- the request's rounds itself, and customers can no longer insert requests
+-- directly.
+
+create or replace function submit_edit_request(p_invoice_id uuid, p_items jsonb, p_reason text)
+returns invoice_edit_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice invoices%rowtype;
+  v_original jsonb;
+  v_lines jsonb;
+  v_request invoice_edit_requests%rowtype;
+begin
+  select i.* into v_invoice
+  from invoices i
+  join customers c on c.id = i.customer_id
+  where i.id = p_invoice_id and c.user_id = auth.uid()
+  for update of i;
+
+  if not found then
+    raise exception 'Invoice not found';
+  end if;
+  if v_invoice.status in ('draft', 'void', 'cancelled') then
+    raise exception 'Invoice % cannot be changed', coalesce(v_invoice.invoice_number, 'draft');
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'Explain why the invoice should change';
+  end if;
+
+  select coalesce(jsonb_agg(to_jsonb(ii) order by ii.created_at, ii.id), '[]'::jsonb) into v_original
+  from invoice_items ii
+  where ii.invoice_id = p_invoice_id;
+
+  v_lines := compute_invoice_lines(
+    p_items,
+    coalesce(branch_supplier_state(v_invoice.branch_id) <> v_invoice.place_of_supply, false)
+  );
+
+  insert into invoice_edit_requests (invoice_id, requested_by, original_items, requested_items, rounds, reason, status)
+  values (
+    v_invoice.id,
+    v_invoice.customer_id,
+    v_original,
+    v_lines,
+    jsonb_build_array(jsonb_build_object(
+      'by', 'customer', 'action', 'requested', 'items', v_lines, 'created_at', now()
+    )),
+    trim(p_reason),
+    'pending'
+  )
+  returning * into v_request;
+
+  return v_request;
+end;
+$$;
+
+drop policy if exists "Customers request edits" on invoice_edit_requests;
+
+revoke insert on invoice_edit_requests from anon, authenticated;
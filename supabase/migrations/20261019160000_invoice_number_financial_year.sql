@@ -0,0 +1,18 @@
+-- Invoice number patterns need {FY}
+-- Each branch's series starts again at 1 every financial year, so a pattern
+-- without {FY}, such as '{PREFIX}-{SEQ:4}', gives the first invoice of the
+-- new year the same number as the first invoice of the last one, and the
+-- insert fails on invoices_business_invoice_number_key. Patterns must now
+-- include {FY}. Patterns saved without it get {FY}/ in front of the
+-- sequence, so their next invoices keep the business's format and carry the
+-- year.
+
+update businesses
+set invoice_number_pattern = regexp_replace(invoice_number_pattern, '(\{SEQ(:[1-9])?\})', '{FY}/\1')
+where invoice_number_pattern not like '%{FY}%';
+
+alter table businesses
+  drop constraint if exists businesses_invoice_number_pattern_check;
+alter table businesses
+  add constraint businesses_invoice_number_pattern_check
+  check (invoice_number_pattern ~ '\{SEQ(:[1-9])?\}' and invoice_number_pattern like '%{FY}%');
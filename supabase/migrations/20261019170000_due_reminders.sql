@@ -0,0 +1,46 @@
+-- Reminders due today, worked out in the database
+-- The reminder job read every open invoice and every reminder logged today
+-- through the API, which returns at most 1000 rows a request. Invoices
+-- past the first page were never reminded, and reminders logged past it
+-- looked unsent and were sent again. due_reminders returns just the
+-- reminders that fire on the given day and have not been logged for it,
+-- matching ruleFiresOn in lib/reminders.js. Rows come in a fixed order so
+-- the job can page through them.
+
+create or replace function due_reminders(p_today date)
+returns table (invoice jsonb, rule jsonb)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    to_jsonb(i) || jsonb_build_object(
+      'business', jsonb_build_object('business_name', b.business_name),
+      'customer', jsonb_build_object('customer_name', c.customer_name, 'phone_number', c.phone_number, 'email', c.email)
+    ),
+    to_jsonb(r)
+  from invoices i
+  join businesses b on b.id = i.business_id
+  join customers c on c.id = i.customer_id
+  join reminder_rules r on r.business_id = i.business_id
+  where b.reminders_enabled
+    and r.active
+    and i.status in ('sent', 'partially_paid', 'overdue')
+    and invoice_balance(i) > 0
+    and (
+      p_today - i.due_date = r.days_from_due
+      or (
+        r.repeat_every_days is not null
+        and p_today - i.due_date > r.days_from_due
+        and (p_today - i.due_date - r.days_from_due) % r.repeat_every_days = 0
+      )
+    )
+    and not exists (
+      select 1 from invoice_reminders ir
+      where ir.invoice_id = i.id and ir.rule_id = r.id and ir.reminder_date = p_today
+    )
+  order by i.id, r.id
+$$;
+
+revoke execute on function due_reminders(date) from public, anon, authenticated;
@@ -0,0 +1,43 @@
+-- Recurring invoices cannot be moved into the past
+-- check_recurring_invoice only refused a past first run when a schedule was
+-- created, so editing a schedule could set next_run_date to an earlier day
+-- and the next job run would backdate invoices for every period since. It
+-- also compared with current_date, which is the UTC date and a day behind
+-- India until 05:30. A changed next_run_date must now be India's today or
+-- later, unless the change ends the schedule, as the job does when it runs
+-- past the end date.
+
+create or replace function check_recurring_invoice()
+returns trigger
+language plpgsql
+as $$
+begin
+  perform compute_invoice_lines(new.items, false);
+
+  if not exists (
+    select 1 from business_customers
+    where business_id = new.business_id and customer_id = new.customer_id
+  ) then
+    raise exception 'Customer not found';
+  end if;
+
+  if tg_op = 'INSERT' then
+    new.next_run_date := coalesce(new.next_run_date, new.start_date);
+    new.anchor_day := coalesce(new.anchor_day, extract(day from new.next_run_date)::integer);
+  end if;
+
+  if new.status <> 'ended' and new.end_date is not null and new.next_run_date > new.end_date then
+    new.status := 'ended';
+  end if;
+
+  if (tg_op = 'INSERT' or new.next_run_date is distinct from old.next_run_date)
+    and new.status <> 'ended'
+    and new.next_run_date < india_today()
+  then
+    raise exception 'The next run cannot be in the past';
+  end if;
+
+  new.updated_at := now();
+  return new;
+end;
+$$;
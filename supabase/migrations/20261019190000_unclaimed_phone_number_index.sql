@@ -0,0 +1,15 @@
+-- Unreadable numbers stay out of the unclaimed number index
+-- The phone number migration merged every group of customers sharing a
+-- stored number, including numbers it could not read, so two businesses
+-- that typed the same placeholder for different people ended up with one
+-- customer. 20261019050000_phone_numbers.sql now merges and indexes only
+-- E.164 numbers. It was changed in place because, with unreadable
+-- duplicates left unmerged, its index could not be built. This recreates
+-- the index on databases that ran the earlier version. New numbers are
+-- always E.164, so the index treats them the same either way.
+
+drop index if exists customers_unclaimed_phone_number_idx;
+
+create unique index customers_unclaimed_phone_number_idx
+  on customers (phone_number)
+  where user_id is null and phone_number ~ '^\+[1-9][0-9]{7,14}$';
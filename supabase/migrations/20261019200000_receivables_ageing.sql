@@ -0,0 +1,44 @@
+-- Receivables ageing in the database
+-- The ageing report was built from the dashboard's invoice list, which the
+-- API cuts off at 1000 rows, so a business with more invoices saw only part
+-- of what it is owed. receivables_ageing adds up the outstanding balances
+-- per customer by days past due, matching AGEING_BUCKETS in lib/ageing.js.
+-- It runs with the caller's row-level security, so members only see their
+-- own business.
+
+create or replace function receivables_ageing(p_business_id uuid, p_branch_id uuid default null)
+returns table (
+  customer_id uuid,
+  customer_name text,
+  current numeric,
+  days_1_30 numeric,
+  days_31_60 numeric,
+  days_61_90 numeric,
+  days_90_plus numeric,
+  total numeric
+)
+language sql
+stable
+as $$
+  with outstanding as (
+    select i.customer_id, invoice_balance(i) as balance, india_today() - i.due_date as days
+    from invoices i
+    where i.business_id = p_business_id
+      and (p_branch_id is null or i.branch_id = p_branch_id)
+      and i.status not in ('draft', 'void', 'cancelled')
+      and invoice_balance(i) > 0
+  )
+  select
+    o.customer_id,
+    c.customer_name,
+    coalesce(sum(o.balance) filter (where o.days <= 0), 0),
+    coalesce(sum(o.balance) filter (where o.days between 1 and 30), 0),
+    coalesce(sum(o.balance) filter (where o.days between 31 and 60), 0),
+    coalesce(sum(o.balance) filter (where o.days between 61 and 90), 0),
+    coalesce(sum(o.balance) filter (where o.days > 90), 0),
+    sum(o.balance)
+  from outstanding o
+  join customers c on c.id = o.customer_id
+  group by o.customer_id, c.customer_name
+  order by sum(o.balance) desc, o.customer_id
+$$;
@@ -0,0 +1,72 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asUser, createBusiness, createDatabase, createUser } from './db'
+
+let db
+let business
+let other
+let salesUserId
+let linkId
+
+async function link() {
+  const { rows: [row] } = await db.query('select business_id, customer_id, credit_limit, payment_terms_days from business_customers where id = $1', [linkId])
+  return row
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  business = await createBusiness(db, { name: 'Acme Traders' })
+  other = await createBusiness(db, { name: 'Bharat Stores' })
+
+  salesUserId = await createUser(db, { email: 'sales@example.com' })
+  await db.query(`insert into business_members (business_id, user_id, role) values ($1, $2, 'sales')`, [business.businessId, salesUserId])
+
+  const customerId = await addCustomer(db, business, { phone: '+919811111111' })
+  const { rows: [row] } = await db.query('select id from business_customers where customer_id = $1', [customerId])
+  linkId = row.id
+})
+
+describe('business_customers', () => {
+  it('only links customers through add_business_customer', async () => {
+    const otherCustomerId = await addCustomer(db, other, { phone: '+919822222222' })
+
+    for (const userId of [business.userId, salesUserId]) {
+      await expect(asUser(
+        db,
+        userId,
+        'insert into business_customers (business_id, customer_id) values ($1, $2)',
+        [business.businessId, otherCustomerId]
+      )).rejects.toThrow(/permission denied/)
+    }
+  })
+
+  it('lets members who manage credit change the terms and branch', async () => {
+    const rows = await asUser(
+      db,
+      business.userId,
+      'update business_customers set credit_limit = 50000, payment_terms_days = 45, branch_id = main_branch_id(business_id) where id = $1 returning id',
+      [linkId]
+    )
+
+    expect(rows).toHaveLength(1)
+    expect(await link()).toMatchObject({ credit_limit: '50000.00', payment_terms_days: 45 })
+  })
+
+  it('does not let sales change the terms', async () => {
+    const rows = await asUser(db, salesUserId, 'update business_customers set credit_limit = 1 where id = $1 returning id', [linkId])
+
+    expect(rows).toEqual([])
+    expect((await link()).credit_limit).toBe('50000.00')
+  })
+
+  it('does not let a link move to another customer or business', async () => {
+    const { rows: [customer] } = await db.query(`select id from customers where phone_number = '+919822222222'`)
+    const before = await link()
+
+    await expect(asUser(db, business.userId, 'update business_customers set customer_id = $2 where id = $1', [linkId, customer.id]))
+      .rejects.toThrow(/permission denied/)
+    await expect(asUser(db, business.userId, 'update business_customers set business_id = $2 where id = $1', [linkId, other.businessId]))
+      .rejects.toThrow(/permission denied/)
+
+    expect(await link()).toEqual(before)
+  })
+})
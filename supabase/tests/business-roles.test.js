@@ -0,0 +1,113 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asUser, createBusiness, createDatabase, createInvoice, createUser } from './db'
+
+let db
+let owner
+let customerId
+let customerUserId
+let limitedCustomerId
+const members = {}
+
+// A team member who accepted the owner's invitation, acting for the
+// owner's business
+async function addMember(role) {
+  const email = `${role}@example.com`
+  await asUser(db, owner.userId, 'insert into business_invitations (business_id, email, role) values ($1, $2, $3)', [owner.businessId, email, role])
+
+  const userId = await createUser(db, { email })
+  await db.query('update auth.users set email_confirmed_at = now() where id = $1', [userId])
+  await db.query(`select complete_signup($1, 'staff', $2)`, [userId, { email, phone_number: '+919800000000' }])
+  await asUser(db, userId, 'select accept_business_invitation()')
+
+  return { userId, businessId: owner.businessId }
+}
+
+function recordPayment(member, invoiceId) {
+  return asUser(db, member.userId, `select record_payment($1, $2, 100, india_today(), 'UPI')`, [member.businessId, [invoiceId]])
+}
+
+async function editRequest() {
+  const invoice = await createInvoice(db, owner, customerId)
+  const [request] = await asUser(
+    db,
+    customerUserId,
+    'select id, requested_items from submit_edit_request($1, $2, $3)',
+    [invoice.id, JSON.stringify([{ item_name: 'Goods', quantity: 1, unit_price: 900, gst_rate: 0 }]), 'Agreed a discount']
+  )
+  return request
+}
+
+function approve(member, request) {
+  return asUser(db, member.userId, 'select status from approve_edit_request($1, $2)', [request.id, request.requested_items])
+}
+
+function invite(member, email) {
+  return asUser(db, member.userId, `insert into business_invitations (business_id, email, role) values ($1, $2, 'sales')`, [member.businessId, email])
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  owner = await createBusiness(db)
+  customerId = await addCustomer(db, owner, { phone: '+919811111111' })
+  customerUserId = await createUser(db, { phone: '+919811111111' })
+  await db.query('update customers set user_id = $1 where id = $2', [customerUserId, customerId])
+  limitedCustomerId = await addCustomer(db, owner, { phone: '+919822222222', creditLimit: 1000 })
+
+  members.sales = await addMember('sales')
+  members.accountant = await addMember('accountant')
+})
+
+describe('sales', () => {
+  it('can create invoices', async () => {
+    await expect(createInvoice(db, members.sales, customerId, { amount: 100 })).resolves.toMatchObject({ status: 'sent' })
+  })
+
+  it('cannot go over a credit limit', async () => {
+    await expect(createInvoice(db, members.sales, limitedCustomerId, { amount: 5000, creditOverrideReason: 'Regular customer' }))
+      .rejects.toThrow(/Your role does not allow you to/)
+  })
+
+  it('cannot record payments', async () => {
+    const invoice = await createInvoice(db, owner, customerId, { amount: 100 })
+    await expect(recordPayment(members.sales, invoice.id)).rejects.toThrow(/Your role does not allow you to/)
+  })
+
+  it('cannot approve edit requests', async () => {
+    const request = await editRequest()
+    await expect(approve(members.sales, request)).rejects.toThrow(/Your role does not allow you to/)
+  })
+
+  it('cannot invite team members', async () => {
+    await expect(invite(members.sales, 'friend@example.com')).rejects.toThrow(/row-level security/)
+  })
+})
+
+describe('accountant', () => {
+  it('can go over a credit limit with a reason', async () => {
+    await expect(createInvoice(db, members.accountant, limitedCustomerId, { amount: 5000, creditOverrideReason: 'Regular customer' }))
+      .resolves.toMatchObject({ credit_override_reason: 'Regular customer' })
+  })
+
+  it('can record payments', async () => {
+    const invoice = await createInvoice(db, owner, customerId, { amount: 100 })
+    await recordPayment(members.accountant, invoice.id)
+
+    const { rows: [row] } = await db.query('select status from invoices where id = $1', [invoice.id])
+    expect(row.status).toBe('paid')
+  })
+
+  it('can approve edit requests', async () => {
+    const request = await editRequest()
+    expect(await approve(members.accountant, request)).toEqual([{ status: 'approved' }])
+  })
+
+  it('cannot invite team members', async () => {
+    await expect(invite(members.accountant, 'friend@example.com')).rejects.toThrow(/row-level security/)
+  })
+})
+
+describe('owner', () => {
+  it('can invite team members', async () => {
+    await expect(invite(owner, 'friend@example.com')).resolves.toEqual([])
+  })
+})
@@ -0,0 +1,90 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asUser, createBusiness, createDatabase, createInvoice, createUser } from './db'
+
+let db
+let acme
+let bharat
+
+function claim(userId) {
+  return asUser(db, userId, 'select * from claim_customer_records()')
+}
+
+async function customerRows(phone) {
+  const { rows } = await db.query('select id, user_id from customers where phone_number = $1 order by created_at', [phone])
+  return rows
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  acme = await createBusiness(db, { name: 'Acme Traders' })
+  bharat = await createBusiness(db, { name: 'Bharat Stores' })
+})
+
+describe('claim_customer_records', () => {
+  it('gives a customer who confirmed their number the record businesses made for it', async () => {
+    const customerId = await addCustomer(db, acme, { phone: '+919811111111' })
+    await addCustomer(db, bharat, { phone: '+919811111111' })
+    const invoice = await createInvoice(db, acme, customerId)
+    const userId = await createUser(db, { phone: '+919811111111' })
+
+    const [customer] = await claim(userId)
+
+    expect(customer).toMatchObject({ id: customerId, user_id: userId })
+    const links = await asUser(db, userId, 'select business_id from business_customers order by business_id')
+    expect(links.map(link => link.business_id).sort()).toEqual([acme.businessId, bharat.businessId].sort())
+    expect(await asUser(db, userId, 'select id from invoices')).toEqual([{ id: invoice.id }])
+
+    const [role] = await asUser(db, userId, 'select role from user_roles')
+    expect(role.role).toBe('customer')
+  })
+
+  it('refuses a number that has not been confirmed with a code', async () => {
+    await addCustomer(db, acme, { phone: '+919822222222' })
+    const userId = await createUser(db, { phone: '+919822222222', phoneConfirmed: false })
+
+    await expect(claim(userId)).rejects.toThrow(/Sign in with your phone number/)
+    expect(await customerRows('+919822222222')).toEqual([expect.objectContaining({ user_id: null })])
+  })
+
+  it('refuses an account without a phone number', async () => {
+    const userId = await createUser(db, { email: 'someone@example.com' })
+    await expect(claim(userId)).rejects.toThrow(/Sign in with your phone number/)
+  })
+
+  it('only takes records for the confirmed number', async () => {
+    await addCustomer(db, acme, { phone: '+919833333333' })
+    const userId = await createUser(db, { phone: '+919844444444' })
+
+    expect(await claim(userId)).toEqual([expect.objectContaining({ id: null })])
+    expect(await customerRows('+919833333333')).toEqual([expect.objectContaining({ user_id: null })])
+  })
+
+  it('merges a record made after signup into the customer\'s own profile', async () => {
+    const userId = await createUser(db, { phone: '+919855555555', phoneConfirmed: false })
+    const { rows: [{ profile }] } = await db.query(
+      `select complete_signup($1, 'customer', $2) as profile`,
+      [userId, { customer_name: 'Meera', phone_number: '+919855555555' }]
+    )
+    const unclaimedId = await addCustomer(db, acme, { phone: '+919855555555' })
+    const invoice = await createInvoice(db, acme, unclaimedId)
+
+    await db.query('update auth.users set phone_confirmed_at = now() where id = $1', [userId])
+    const [customer] = await claim(userId)
+
+    expect(customer.id).toBe(profile.id)
+    expect(await customerRows('+919855555555')).toEqual([{ id: profile.id, user_id: userId }])
+    const { rows: [moved] } = await db.query('select customer_id from invoices where id = $1', [invoice.id])
+    expect(moved.customer_id).toBe(profile.id)
+  })
+
+  it('can be called on every sign-in', async () => {
+    await addCustomer(db, acme, { phone: '+919866666666' })
+    const userId = await createUser(db, { phone: '+919866666666' })
+
+    const [first] = await claim(userId)
+    const [second] = await claim(userId)
+
+    expect(second.id).toBe(first.id)
+    expect(await customerRows('+919866666666')).toHaveLength(1)
+  })
+})
@@ -0,0 +1,51 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asUser, createBusiness, createDatabase, createInvoice } from './db'
+
+let db
+let business
+
+function issueNote(invoiceId, noteType, amount) {
+  return asUser(
+    db,
+    business.userId,
+    `select issue_invoice_note($1, $2, 'Adjustment', $3)`,
+    [invoiceId, noteType, JSON.stringify([{ item_name: 'Goods', quantity: 1, unit_price: amount, gst_rate: 0 }])]
+  )
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  business = await createBusiness(db)
+})
+
+describe('credit limit check', () => {
+  it('rejects an invoice that takes the customer over their limit', async () => {
+    const customerId = await addCustomer(db, business, { phone: '+919811111111', creditLimit: 1000 })
+    await createInvoice(db, business, customerId, { amount: 600 })
+
+    await expect(createInvoice(db, business, customerId, { amount: 500 })).rejects.toThrow('over their credit limit')
+  })
+
+  it('frees up the limit when a credit note clears an invoice', async () => {
+    const customerId = await addCustomer(db, business, { phone: '+919822222222', creditLimit: 1000 })
+    const invoice = await createInvoice(db, business, customerId, { amount: 1000 })
+    await issueNote(invoice.id, 'credit', 1000)
+
+    await expect(createInvoice(db, business, customerId, { amount: 800 })).resolves.toMatchObject({ total_amount: '800.00' })
+  })
+
+  it('counts a debit note against the limit', async () => {
+    const customerId = await addCustomer(db, business, { phone: '+919833333333', creditLimit: 1000 })
+    const invoice = await createInvoice(db, business, customerId, { amount: 500 })
+    await issueNote(invoice.id, 'debit', 300)
+
+    await expect(createInvoice(db, business, customerId, { amount: 300 })).rejects.toThrow('over their credit limit')
+  })
+
+  it('lets a breach through with an override reason', async () => {
+    const customerId = await addCustomer(db, business, { phone: '+919844444444', creditLimit: 1000 })
+
+    await expect(createInvoice(db, business, customerId, { amount: 1500, creditOverrideReason: 'Long-standing customer' }))
+      .resolves.toMatchObject({ credit_override_reason: 'Long-standing customer' })
+  })
+})
@@ -0,0 +1,128 @@
+// supabase/tests/db.js
+// A database for the tests: PGlite (Postgres compiled to WebAssembly, so
+// nothing needs installing or running) with the Supabase stubs in
+// supabase.sql and every migration applied in order. Queries run as the
+// superuser unless they go through asUser or asService, which switch role
+// and JWT claims the way PostgREST does for each API request.
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { PGlite } from '@electric-sql/pglite'
+
+const testsDir = path.dirname(fileURLToPath(import.meta.url))
+const migrationsDir = path.join(testsDir, '..', 'migrations')
+
+async function migrate(db, keep) {
+  for (const file of fs.readdirSync(migrationsDir).sort().filter(keep)) {
+    await db.exec(fs.readFileSync(path.join(migrationsDir, file), 'utf8'))
+  }
+}
+
+// With until, only the migrations before that file are applied, so a test
+// can seed rows as they were before it and then run migrateFrom(db, until)
+export async function createDatabase({ until = null } = {}) {
+  const db = new PGlite()
+
+  await db.exec(fs.readFileSync(path.join(testsDir, 'supabase.sql'), 'utf8'))
+  await migrate(db, file => !until || file < until)
+
+  return db
+}
+
+// Apply the migrations from the named file onwards
+export function migrateFrom(db, from) {
+  return migrate(db, file => file >= from)
+}
+
+async function asRole(db, role, userId, sql, params) {
+  return db.transaction(async (tx) => {
+    await tx.query(
+      `select set_config('role', $1, true), set_config('request.jwt.claim.sub', $2, true), set_config('request.jwt.claim.role', $1, true)`,
+      [role, userId || '']
+    )
+    const { rows } = await tx.query(sql, params)
+    return rows
+  })
+}
+
+// Run a statement as a signed-in user, through row-level security
+export function asUser(db, userId, sql, params = []) {
+  return asRole(db, 'authenticated', userId, sql, params)
+}
+
+// Run a statement with the service role, as the scheduled jobs and server
+// routes do
+export function asService(db, sql, params = []) {
+  return asRole(db, 'service_role', null, sql, params)
+}
+
+// Run a statement without signing in
+export function asAnon(db, sql, params = []) {
+  return asRole(db, 'anon', null, sql, params)
+}
+
+// An auth user. Supabase stores phone numbers without the +, and marks them
+// confirmed once the user has entered a code sent to them.
+export async function createUser(db, { email = null, phone = null, phoneConfirmed = Boolean(phone) } = {}) {
+  const { rows: [user] } = await db.query(
+    `insert into auth.users (email, phone, phone_confirmed_at)
+     values ($1, $2, case when $3 then now() end)
+     returning id`,
+    [email, phone ? phone.replace(/^\+/, '') : null, phoneConfirmed]
+  )
+  return user.id
+}
+
+let businessCount = 0
+
+// A business signed up the way the signup route does it. Returns the
+// owner's user id and the business id.
+export async function createBusiness(db, { name = 'Acme Traders', stateCode = '27' } = {}) {
+  businessCount += 1
+  const userId = await createUser(db, { email: `owner${businessCount}@example.com` })
+  const { rows: [{ profile }] } = await db.query(
+    `select complete_signup($1, 'business', $2) as profile`,
+    [userId, {
+      business_name: name,
+      email: `owner${businessCount}@example.com`,
+      phone_number: `+9190000${String(businessCount).padStart(5, '0')}`,
+      state_code: stateCode
+    }]
+  )
+  return { userId, businessId: profile.id }
+}
+
+// Add a customer by phone number as the business owner; returns the
+// customer id
+export async function addCustomer(db, business, { name = 'Ravi Kumar', phone = '+919876543210', creditLimit = 0 } = {}) {
+  const [link] = await asUser(
+    db,
+    business.userId,
+    `select customer_id from add_business_customer($1, $2, $3, null, null, '27', $4)`,
+    [business.businessId, name, phone, creditLimit]
+  )
+  return link.customer_id
+}
+
+// Issue an invoice as the business owner for a single zero-rated line
+export async function createInvoice(db, business, customerId, { amount = 1000, draft = false, creditOverrideReason = null } = {}) {
+  const [invoice] = await asUser(
+    db,
+    business.userId,
+    `select * from create_invoice($1, $2, india_today(), '27', $3, $4, $5)`,
+    [
+      business.businessId,
+      customerId,
+      JSON.stringify([{ item_name: 'Goods', quantity: 1, unit_price: amount, gst_rate: 0 }]),
+      creditOverrideReason,
+      draft
+    ]
+  )
+  return invoice
+}
+
+export async function invoiceStatus(db, invoiceId) {
+  const { rows: [invoice] } = await db.query('select status from invoices where id = $1', [invoiceId])
+  return invoice.status
+}
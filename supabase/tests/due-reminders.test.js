@@ -0,0 +1,81 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asService, asUser, createBusiness, createDatabase, createInvoice } from './db'
+
+let db
+let business
+let customerId
+let onDueDate
+let weekly
+
+async function addRule(target, fields) {
+  const { rows: [rule] } = await db.query(
+    `insert into reminder_rules (business_id, days_from_due, repeat_every_days, channel, template)
+     values ($1, $2, $3, 'sms', 'Pay up') returning id`,
+    [target.businessId, fields.daysFromDue, fields.repeatEveryDays || null]
+  )
+  return rule.id
+}
+
+// Invoices are dated today and due in 30 days, so day n after the due date
+// is today + 30 + n
+async function dueOn(daysPastDue) {
+  const rows = await asService(db, 'select invoice, rule from due_reminders(india_today() + $1::integer)', [30 + daysPastDue])
+  return rows.map(row => [row.invoice.id, row.rule.id])
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  business = await createBusiness(db)
+  customerId = await addCustomer(db, business)
+  await db.query('update businesses set reminders_enabled = true where id = $1', [business.businessId])
+  onDueDate = await addRule(business, { daysFromDue: 0 })
+  weekly = await addRule(business, { daysFromDue: 7, repeatEveryDays: 7 })
+})
+
+describe('due_reminders', () => {
+  it('returns each rule that fires on the day with the invoice, business and customer', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+
+    expect(await dueOn(0)).toContainEqual([invoice.id, onDueDate])
+    expect(await dueOn(14)).toContainEqual([invoice.id, weekly])
+    expect((await dueOn(1)).filter(([id]) => id === invoice.id)).toEqual([])
+
+    const [row] = await asService(db, 'select invoice from due_reminders(india_today() + 30) where (invoice->>\'id\')::uuid = $1', [invoice.id])
+    expect(row.invoice).toMatchObject({
+      invoice_number: invoice.invoice_number,
+      business: { business_name: 'Acme Traders' },
+      customer: { customer_name: 'Ravi Kumar', phone_number: '+919876543210' }
+    })
+  })
+
+  it('leaves out reminders already logged for the day', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+    await db.query(
+      `insert into invoice_reminders (invoice_id, business_id, customer_id, rule_id, reminder_date, channel, message, provider, status)
+       values ($1, $2, $3, $4, india_today() + 30, 'sms', 'Pay up', 'test', 'sent')`,
+      [invoice.id, business.businessId, customerId, onDueDate]
+    )
+
+    expect((await dueOn(0)).filter(([id]) => id === invoice.id)).toEqual([])
+  })
+
+  it('leaves out invoices that are paid', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+    await asUser(db, business.userId, `select record_payment($1, $2, 1000, india_today(), 'UPI')`, [business.businessId, [invoice.id]])
+
+    expect((await dueOn(0)).filter(([id]) => id === invoice.id)).toEqual([])
+  })
+
+  it('leaves out businesses with reminders turned off', async () => {
+    const other = await createBusiness(db, { name: 'Bharat Stores' })
+    const otherCustomerId = await addCustomer(db, other, { phone: '+919811111111' })
+    await addRule(other, { daysFromDue: 0 })
+    const invoice = await createInvoice(db, other, otherCustomerId)
+
+    expect((await dueOn(0)).filter(([id]) => id === invoice.id)).toEqual([])
+  })
+
+  it('cannot be called by signed-in users', async () => {
+    await expect(asUser(db, business.userId, 'select * from due_reminders(india_today())')).rejects.toThrow(/permission denied/)
+  })
+})
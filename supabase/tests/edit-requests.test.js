@@ -0,0 +1,78 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asUser, createBusiness, createDatabase, createInvoice, createUser } from './db'
+
+let db
+let business
+let customerId
+let customerUserId
+
+function lines(amount) {
+  return JSON.stringify([{ item_name: 'Goods', quantity: 1, unit_price: amount, gst_rate: 0 }])
+}
+
+function submit(userId, invoiceId, items, reason = 'Wrong price') {
+  return asUser(db, userId, 'select * from submit_edit_request($1, $2, $3)', [invoiceId, items, reason])
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  business = await createBusiness(db)
+  customerId = await addCustomer(db, business, { phone: '+919811111111' })
+  customerUserId = await createUser(db, { phone: '+919811111111' })
+  await db.query('update customers set user_id = $1 where id = $2', [customerUserId, customerId])
+})
+
+describe('submit_edit_request', () => {
+  it('takes the original lines from the invoice, not from the customer', async () => {
+    const invoice = await createInvoice(db, business, customerId, { amount: 1000 })
+
+    const [request] = await submit(customerUserId, invoice.id, lines(10))
+
+    expect(request.original_items).toEqual([expect.objectContaining({ item_name: 'Goods', unit_price: 1000 })])
+    expect(request.requested_items).toEqual([expect.objectContaining({ unit_price: 10, line_total: 10 })])
+    expect(request.rounds).toEqual([expect.objectContaining({ by: 'customer', action: 'requested' })])
+    expect(request.status).toBe('pending')
+  })
+
+  it('does not let a customer insert a request with made-up original lines', async () => {
+    const invoice = await createInvoice(db, business, customerId, { amount: 1000 })
+
+    await expect(asUser(
+      db,
+      customerUserId,
+      `insert into invoice_edit_requests (invoice_id, requested_by, original_items, requested_items, reason)
+       values ($1, $2, $3, $3, 'Wrong price')`,
+      [invoice.id, customerId, lines(10)]
+    )).rejects.toThrow(/permission denied/)
+
+    const { rows } = await db.query('select id from invoice_edit_requests where invoice_id = $1', [invoice.id])
+    expect(rows).toEqual([])
+  })
+
+  it('recomputes GST on the requested lines', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+
+    const [request] = await submit(customerUserId, invoice.id, JSON.stringify([
+      { item_name: 'Goods', quantity: 2, unit_price: 100, gst_rate: 18, tax_amount: 0, line_total: 1 }
+    ]))
+
+    expect(request.requested_items).toEqual([expect.objectContaining({ total_price: 200, tax_amount: 36, line_total: 236 })])
+  })
+
+  it('needs a reason', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+    await expect(submit(customerUserId, invoice.id, lines(10), ' ')).rejects.toThrow(/Explain why/)
+  })
+
+  it('refuses another customer\'s invoice', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+    const otherUserId = await createUser(db, { phone: '+919822222222' })
+    await expect(submit(otherUserId, invoice.id, lines(10))).rejects.toThrow(/Invoice not found/)
+  })
+
+  it('refuses a void invoice', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+    await asUser(db, business.userId, `select transition_invoice($1, 'void', 'Raised twice')`, [invoice.id])
+    await expect(submit(customerUserId, invoice.id, lines(10))).rejects.toThrow(/cannot be changed/)
+  })
+})
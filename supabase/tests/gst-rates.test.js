@@ -0,0 +1,54 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asAnon, asUser, createBusiness, createDatabase } from './db'
+
+let db
+let business
+let customerId
+
+function invoiceAtRate(rate) {
+  return asUser(
+    db,
+    business.userId,
+    `select total_amount, tax_amount from create_invoice($1, $2, india_today(), '27', $3)`,
+    [business.businessId, customerId, JSON.stringify([{ item_name: 'Goods', quantity: 1, unit_price: 100, gst_rate: rate }])]
+  )
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  business = await createBusiness(db)
+  customerId = await addCustomer(db, business)
+})
+
+describe('gst_rates', () => {
+  it('lists every slab, including 40%, for anyone to read', async () => {
+    const rows = await asAnon(db, 'select rate from gst_rates order by rate')
+    expect(rows.map(row => Number(row.rate))).toEqual([0, 0.25, 3, 5, 12, 18, 28, 40])
+  })
+
+  it('cannot be changed from the app', async () => {
+    await expect(asUser(db, business.userId, 'insert into gst_rates (rate) values (7)')).rejects.toThrow(/permission denied/)
+  })
+
+  it('taxes invoice lines at 40%', async () => {
+    const [invoice] = await invoiceAtRate(40)
+    expect(Number(invoice.tax_amount)).toBe(40)
+    expect(Number(invoice.total_amount)).toBe(140)
+  })
+
+  it('rejects invoice lines at a rate that is not a slab', async () => {
+    await expect(invoiceAtRate(7)).rejects.toThrow('7 is not a GST rate')
+  })
+
+  it('holds catalogue items to the same rates', async () => {
+    const insert = (rate) => asUser(
+      db,
+      business.userId,
+      `insert into catalogue_items (business_id, item_name, gst_rate) values ($1, $2, $3)`,
+      [business.businessId, `Item at ${rate}%`, rate]
+    )
+
+    await expect(insert(40)).resolves.toBeDefined()
+    await expect(insert(7)).rejects.toThrow(/catalogue_items_gst_rate_fkey/)
+  })
+})
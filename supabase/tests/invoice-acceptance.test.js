@@ -0,0 +1,118 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asService, asUser, createBusiness, createDatabase, createInvoice, createUser } from './db'
+
+let db
+let business
+let customerUserId
+let customerId
+
+async function storeCode(invoiceId, code, userId = customerUserId) {
+  await asService(db, 'select store_invoice_acceptance_code($1, $2, $3)', [invoiceId, userId, code])
+}
+
+// Whether the code was taken: a wrong code gives back an empty row
+async function accept(invoiceId, code, userId = customerUserId) {
+  const [{ accepted }] = await asUser(db, userId, 'select id is not null as accepted from acknowledge_invoice($1, $2)', [invoiceId, code])
+  return accepted
+}
+
+async function acknowledgedAt(invoiceId) {
+  const { rows: [invoice] } = await db.query('select acknowledged_at from invoices where id = $1', [invoiceId])
+  return invoice.acknowledged_at
+}
+
+// Make the stored code older than the resend wait
+async function ageCode(invoiceId, interval) {
+  await db.query(
+    `update invoice_acceptance_codes set created_at = created_at - $2::interval, expires_at = expires_at - $2::interval where invoice_id = $1`,
+    [invoiceId, interval]
+  )
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  business = await createBusiness(db)
+  customerUserId = await createUser(db, { phone: '+919876543210' })
+  customerId = await addCustomer(db, business)
+  await db.query('update customers set user_id = $1 where id = $2', [customerUserId, customerId])
+})
+
+function customerInvoice() {
+  return createInvoice(db, business, customerId)
+}
+
+describe('acknowledge_invoice', () => {
+  it('accepts the invoice with the code sent for it, once', async () => {
+    const invoice = await customerInvoice()
+    await storeCode(invoice.id, '123456')
+
+    expect(await accept(invoice.id, '123456')).toBe(true)
+    expect(await acknowledgedAt(invoice.id)).not.toBeNull()
+
+    const { rows } = await db.query('select 1 from invoice_acceptance_codes where invoice_id = $1', [invoice.id])
+    expect(rows).toHaveLength(0)
+  })
+
+  it('does not accept without a code, even for a session signed in by phone', async () => {
+    const invoice = await customerInvoice()
+    await expect(accept(invoice.id, '123456')).rejects.toThrow(/expired/)
+    expect(await acknowledgedAt(invoice.id)).toBeNull()
+  })
+
+  it('does not take a code sent for another invoice', async () => {
+    const first = await customerInvoice()
+    const second = await customerInvoice()
+    await storeCode(first.id, '111111')
+    await storeCode(second.id, '222222')
+
+    expect(await accept(second.id, '111111')).toBe(false)
+    expect(await acknowledgedAt(second.id)).toBeNull()
+  })
+
+  it('locks the code after five wrong tries', async () => {
+    const invoice = await customerInvoice()
+    await storeCode(invoice.id, '123456')
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      expect(await accept(invoice.id, '000000')).toBe(false)
+    }
+
+    await expect(accept(invoice.id, '123456')).rejects.toThrow(/Too many wrong codes/)
+  })
+
+  it('does not take an expired code', async () => {
+    const invoice = await customerInvoice()
+    await storeCode(invoice.id, '123456')
+    await ageCode(invoice.id, '11 minutes')
+
+    await expect(accept(invoice.id, '123456')).rejects.toThrow(/expired/)
+  })
+
+  it('only lets the customer use their code', async () => {
+    const invoice = await customerInvoice()
+    await storeCode(invoice.id, '123456')
+
+    await expect(accept(invoice.id, '123456', business.userId)).rejects.toThrow(/Invoice not found/)
+  })
+})
+
+describe('store_invoice_acceptance_code', () => {
+  it('waits a minute before sending another code', async () => {
+    const invoice = await customerInvoice()
+    await storeCode(invoice.id, '123456')
+    await expect(storeCode(invoice.id, '654321')).rejects.toThrow(/less than a minute ago/)
+
+    await ageCode(invoice.id, '2 minutes')
+    await storeCode(invoice.id, '654321')
+
+    expect(await accept(invoice.id, '123456')).toBe(false)
+    expect(await accept(invoice.id, '654321')).toBe(true)
+  })
+
+  it('is only open to the server', async () => {
+    const invoice = await customerInvoice()
+    await expect(asUser(db, customerUserId, 'select store_invoice_acceptance_code($1, $2, $3)', [invoice.id, customerUserId, '123456']))
+      .rejects.toThrow(/permission denied/)
+    await expect(asUser(db, customerUserId, 'select * from invoice_acceptance_codes')).resolves.toEqual([])
+  })
+})
@@ -0,0 +1,50 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asUser, createBusiness, createDatabase, migrateFrom } from './db'
+
+const MIGRATION = '20261019160000_invoice_number_financial_year.sql'
+
+let db
+let business
+let customerId
+
+function invoiceOn(date) {
+  return asUser(
+    db,
+    business.userId,
+    `select invoice_number from create_invoice($1, $2, $3, '27', $4)`,
+    [business.businessId, customerId, date, JSON.stringify([{ item_name: 'Goods', quantity: 1, unit_price: 100, gst_rate: 0 }])]
+  ).then(([invoice]) => invoice.invoice_number)
+}
+
+function setPattern(pattern) {
+  return asUser(db, business.userId, 'update businesses set invoice_number_pattern = $2 where id = $1', [business.businessId, pattern])
+}
+
+beforeAll(async () => {
+  db = await createDatabase({ until: MIGRATION })
+  business = await createBusiness(db)
+  customerId = await addCustomer(db, business)
+  await setPattern('{PREFIX}-{SEQ:4}')
+  await migrateFrom(db, MIGRATION)
+})
+
+describe('invoice number patterns', () => {
+  it('adds the financial year to patterns saved without it', async () => {
+    const { rows: [row] } = await db.query('select invoice_number_pattern from businesses where id = $1', [business.businessId])
+    expect(row.invoice_number_pattern).toBe('{PREFIX}-{FY}/{SEQ:4}')
+  })
+
+  it('refuses a pattern without the financial year', async () => {
+    await expect(setPattern('{PREFIX}-{SEQ:4}')).rejects.toThrow(/businesses_invoice_number_pattern_check/)
+  })
+
+  it('gives invoices on either side of the financial year end different numbers', async () => {
+    await setPattern('{PREFIX}/{FY}/{SEQ:4}')
+
+    const march = await invoiceOn('2027-03-30')
+    const april = await invoiceOn('2027-04-02')
+
+    expect(march).toBe('INV/2026-27/0001')
+    expect(april).toBe('INV/2027-28/0001')
+  })
+})
@@ -0,0 +1,119 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asService, asUser, createBusiness, createDatabase, createInvoice, invoiceStatus } from './db'
+
+let db
+let business
+let customerId
+
+// Move an invoice's due date without its triggers, as if the days had
+// passed since it was last updated
+async function setDueDate(invoiceId, daysFromToday) {
+  await db.transaction(async (tx) => {
+    await tx.exec('set local session_replication_role = replica')
+    await tx.query('update invoices set due_date = india_today() + $2::int where id = $1', [invoiceId, daysFromToday])
+  })
+}
+
+async function sync() {
+  return asService(db, 'select * from sync_invoice_statuses()')
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  business = await createBusiness(db)
+  customerId = await addCustomer(db, business)
+})
+
+describe('india_today', () => {
+  it('is the date in Asia/Kolkata', async () => {
+    const { rows: [row] } = await db.query(`select india_today() = (now() at time zone 'Asia/Kolkata')::date as matches`)
+    expect(row.matches).toBe(true)
+  })
+})
+
+describe('sync_invoice_statuses', () => {
+  it('leaves an invoice due today as sent and marks one due yesterday overdue', async () => {
+    const dueToday = await createInvoice(db, business, customerId)
+    const dueYesterday = await createInvoice(db, business, customerId)
+    await setDueDate(dueToday.id, 0)
+    await setDueDate(dueYesterday.id, -1)
+
+    const changes = await sync()
+
+    expect(await invoiceStatus(db, dueToday.id)).toBe('sent')
+    expect(await invoiceStatus(db, dueYesterday.id)).toBe('overdue')
+    expect(changes).toContainEqual({ invoice_id: dueYesterday.id, from_status: 'sent', to_status: 'overdue' })
+  })
+
+  it('marks a part-paid invoice overdue once its due date passes', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+    await asUser(db, business.userId, `select record_payment($1, $2, 400, india_today(), 'UPI')`, [business.businessId, [invoice.id]])
+    expect(await invoiceStatus(db, invoice.id)).toBe('partially_paid')
+
+    await setDueDate(invoice.id, -3)
+    await sync()
+
+    expect(await invoiceStatus(db, invoice.id)).toBe('overdue')
+  })
+
+  it('treats an invoice cleared by a credit note as paid, not overdue', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+    await asUser(
+      db,
+      business.userId,
+      `select issue_invoice_note($1, 'credit', 'Goods returned', $2)`,
+      [invoice.id, JSON.stringify([{ item_name: 'Goods', quantity: 1, unit_price: 1000, gst_rate: 0 }])]
+    )
+
+    await setDueDate(invoice.id, -10)
+    await sync()
+
+    expect(await invoiceStatus(db, invoice.id)).toBe('paid')
+  })
+
+  it('moves an overdue invoice back to sent when its due date moves forward', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+    await setDueDate(invoice.id, -1)
+    await sync()
+    expect(await invoiceStatus(db, invoice.id)).toBe('overdue')
+
+    await setDueDate(invoice.id, 7)
+    await sync()
+
+    expect(await invoiceStatus(db, invoice.id)).toBe('sent')
+  })
+
+  it('leaves drafts and void invoices alone', async () => {
+    const draft = await createInvoice(db, business, customerId, { draft: true })
+    const voided = await createInvoice(db, business, customerId)
+    await asUser(db, business.userId, `select transition_invoice($1, 'void', 'Raised in error')`, [voided.id])
+    await setDueDate(draft.id, -30)
+    await setDueDate(voided.id, -30)
+
+    await sync()
+
+    expect(await invoiceStatus(db, draft.id)).toBe('draft')
+    expect(await invoiceStatus(db, voided.id)).toBe('void')
+  })
+
+  it('updates every stale invoice, however many there are', async () => {
+    await db.transaction(async (tx) => {
+      await tx.exec('set local session_replication_role = replica')
+      await tx.query(
+        `insert into invoices (business_id, branch_id, customer_id, invoice_number, invoice_date, due_date, total_amount, status)
+         select $1, main_branch_id($1), $2, 'BULK-' || n, india_today() - 40, india_today() - 10, 100, 'sent'
+         from generate_series(1, 1500) as n`,
+        [business.businessId, customerId]
+      )
+    })
+
+    await sync()
+
+    const { rows: [row] } = await db.query(`select count(*)::int as stale from invoices where invoice_number like 'BULK-%' and status <> 'overdue'`)
+    expect(row.stale).toBe(0)
+  })
+
+  it('is only open to the scheduled job', async () => {
+    await expect(asUser(db, business.userId, 'select * from sync_invoice_statuses()')).rejects.toThrow(/permission denied/)
+  })
+})
@@ -0,0 +1,91 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asUser, createBusiness, createDatabase, createInvoice, invoiceStatus } from './db'
+
+let db
+let business
+let customerId
+
+function transition(invoiceId, status, reason = null) {
+  return asUser(db, business.userId, 'select transition_invoice($1, $2, $3)', [invoiceId, status, reason])
+}
+
+function pay(invoiceId, amount) {
+  return asUser(db, business.userId, `select record_payment($1, $2, $3, india_today(), 'UPI')`, [business.businessId, [invoiceId], amount])
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  business = await createBusiness(db)
+  customerId = await addCustomer(db, business)
+})
+
+describe('invoice_status_transitions', () => {
+  it('lists only the changes a user can make', async () => {
+    const { rows } = await db.query('select from_status, to_status from invoice_status_transitions order by 1, 2')
+    expect(rows.map(row => `${row.from_status}->${row.to_status}`)).toEqual([
+      'draft->sent',
+      'overdue->cancelled',
+      'overdue->void',
+      'partially_paid->cancelled',
+      'sent->cancelled',
+      'sent->void'
+    ])
+  })
+})
+
+describe('status changes', () => {
+  it('issues a draft past its due date straight to overdue', async () => {
+    const draft = await createInvoice(db, business, customerId, { draft: true })
+    await db.query('update invoices set due_date = india_today() - 5 where id = $1', [draft.id])
+
+    await transition(draft.id, 'sent')
+
+    expect(await invoiceStatus(db, draft.id)).toBe('overdue')
+  })
+
+  it('moves an invoice through partially paid to paid as payments come in', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+
+    await pay(invoice.id, 300)
+    expect(await invoiceStatus(db, invoice.id)).toBe('partially_paid')
+
+    await pay(invoice.id, 700)
+    expect(await invoiceStatus(db, invoice.id)).toBe('paid')
+  })
+
+  it('does not let a status that follows from the balance be set by hand', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+
+    await db.query(`update invoices set status = 'paid' where id = $1`, [invoice.id])
+
+    expect(await invoiceStatus(db, invoice.id)).toBe('sent')
+  })
+
+  it('rejects voiding a draft', async () => {
+    const draft = await createInvoice(db, business, customerId, { draft: true })
+    await expect(transition(draft.id, 'void', 'Not needed')).rejects.toThrow('cannot go from draft to void')
+  })
+
+  it('rejects cancelling a paid invoice', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+    await pay(invoice.id, 1000)
+
+    await expect(transition(invoice.id, 'cancelled', 'Returned')).rejects.toThrow(/cannot go from paid to cancelled/)
+  })
+
+  it('rejects voiding an invoice with payments against it', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+    await pay(invoice.id, 100)
+
+    await expect(transition(invoice.id, 'void', 'Raised in error')).rejects.toThrow(/cannot go from partially_paid to void/)
+    await transition(invoice.id, 'cancelled', 'Order cancelled')
+    expect(await invoiceStatus(db, invoice.id)).toBe('cancelled')
+  })
+
+  it('keeps void invoices void', async () => {
+    const invoice = await createInvoice(db, business, customerId)
+    await transition(invoice.id, 'void', 'Raised in error')
+
+    await expect(db.query(`update invoices set status = 'sent' where id = $1`, [invoice.id])).rejects.toThrow(/cannot go from void to sent/)
+  })
+})
@@ -0,0 +1,111 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { asUser, createBusiness, createDatabase, createUser, migrateFrom } from './db'
+
+const MIGRATION = '20261019050000_phone_numbers.sql'
+
+let db
+let acme
+let bharat
+const seeded = {}
+
+// A customer row as the app stored it before numbers were normalised,
+// linked to the business with an invoice
+async function seedCustomer(business, phone, { userId = null } = {}) {
+  const { rows: [customer] } = await db.query(
+    `insert into customers (customer_name, phone_number, user_id) values ('Ravi Kumar', $1, $2) returning id`,
+    [phone, userId]
+  )
+  await db.query('insert into business_customers (business_id, customer_id) values ($1, $2)', [business.businessId, customer.id])
+  const [invoice] = await asUser(
+    db,
+    business.userId,
+    `select id from create_invoice($1, $2, current_date, '27', $3)`,
+    [business.businessId, customer.id, JSON.stringify([{ item_name: 'Goods', quantity: 1, unit_price: 100, gst_rate: 0 }])]
+  )
+  return { customerId: customer.id, invoiceId: invoice.id }
+}
+
+async function customer(id) {
+  const { rows: [row] } = await db.query('select phone_number, user_id from customers where id = $1', [id])
+  return row
+}
+
+async function invoiceCustomers(seeds) {
+  const { rows } = await db.query('select distinct customer_id from invoices where id = any($1)', [seeds.map(seed => seed.invoiceId)])
+  return rows.map(row => row.customer_id)
+}
+
+async function linkedBusinesses(customerId) {
+  const { rows } = await db.query('select business_id from business_customers where customer_id = $1', [customerId])
+  return rows.map(row => row.business_id).sort()
+}
+
+beforeAll(async () => {
+  db = await createDatabase({ until: MIGRATION })
+  acme = await createBusiness(db, { name: 'Acme Traders' })
+  bharat = await createBusiness(db, { name: 'Bharat Stores' })
+
+  seeded.unclaimed = [
+    await seedCustomer(acme, '9876543210'),
+    await seedCustomer(bharat, '098765 43210')
+  ]
+
+  const userId = await createUser(db, { phone: '+919811111111' })
+  seeded.account = { userId, ...await seedCustomer(acme, '919811111111', { userId }) }
+  seeded.accountDuplicates = [
+    await seedCustomer(bharat, '+91 98111 11111'),
+    await seedCustomer(acme, '9811111111')
+  ]
+
+  const otherUserIds = [await createUser(db, { phone: '+919822222222' }), await createUser(db, { phone: '+919822222222' })]
+  seeded.accounts = [
+    await seedCustomer(acme, '9822222222', { userId: otherUserIds[0] }),
+    await seedCustomer(bharat, '+919822222222', { userId: otherUserIds[1] })
+  ]
+
+  seeded.unreadable = [
+    await seedCustomer(acme, '0'),
+    await seedCustomer(bharat, '0')
+  ]
+
+  await migrateFrom(db, MIGRATION)
+})
+
+describe('phone number migration', () => {
+  it('merges unclaimed customers whose numbers were only typed differently', async () => {
+    const [kept, merged] = seeded.unclaimed
+
+    expect(await customer(kept.customerId)).toEqual({ phone_number: '+919876543210', user_id: null })
+    expect(await customer(merged.customerId)).toBeUndefined()
+    expect(await invoiceCustomers(seeded.unclaimed)).toEqual([kept.customerId])
+    expect(await linkedBusinesses(kept.customerId)).toEqual([acme.businessId, bharat.businessId].sort())
+  })
+
+  it('merges unclaimed customers into the one with an account', async () => {
+    expect(await customer(seeded.account.customerId)).toEqual({ phone_number: '+919811111111', user_id: seeded.account.userId })
+    for (const duplicate of seeded.accountDuplicates) {
+      expect(await customer(duplicate.customerId)).toBeUndefined()
+    }
+    expect(await invoiceCustomers([seeded.account, ...seeded.accountDuplicates])).toEqual([seeded.account.customerId])
+    expect(await linkedBusinesses(seeded.account.customerId)).toEqual([acme.businessId, bharat.businessId].sort())
+  })
+
+  it('keeps customers with their own accounts apart', async () => {
+    for (const account of seeded.accounts) {
+      expect(await customer(account.customerId)).toMatchObject({ phone_number: '+919822222222' })
+    }
+  })
+
+  it('leaves customers with the same unreadable number apart', async () => {
+    for (const unreadable of seeded.unreadable) {
+      expect(await customer(unreadable.customerId)).toEqual({ phone_number: '0', user_id: null })
+    }
+    expect(await invoiceCustomers(seeded.unreadable)).toHaveLength(2)
+  })
+
+  it('still allows only one unclaimed customer per number', async () => {
+    await expect(db.query(
+      `insert into customers (customer_name, phone_number) values ('Ravi Kumar', '+919876543210')`
+    )).rejects.toThrow(/customers_unclaimed_phone_number_idx/)
+  })
+})
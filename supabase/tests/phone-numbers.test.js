@@ -0,0 +1,23 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { normalizePhone } from '@/lib/phone'
+import { createDatabase } from './db'
+
+let db
+
+beforeAll(async () => {
+  db = await createDatabase()
+})
+
+describe('normalize_phone', () => {
+  it('reads Indian numbers the way lib/phone.js does', async () => {
+    for (const typed of ['9876543210', '09876543210', '919876543210', '+91 98765 43210', '(98765) 43210', '+14155552671', '12345', '']) {
+      const { rows: [row] } = await db.query('select normalize_phone($1) as phone', [typed])
+      expect(row.phone, typed).toBe(normalizePhone(typed))
+    }
+  })
+
+  it('takes a 00 international prefix as +', async () => {
+    const { rows: [row] } = await db.query(`select normalize_phone('00447911123456') as phone`)
+    expect(row.phone).toBe('+447911123456')
+  })
+})
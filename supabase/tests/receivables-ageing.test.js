@@ -0,0 +1,119 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asUser, createBusiness, createDatabase, createInvoice } from './db'
+import { AGEING_BUCKETS } from '../../lib/ageing'
+
+let db
+let acme
+let bharat
+let raviId
+let priyaId
+let otherBranchId
+
+// Change an invoice without its triggers, as if it had been issued with
+// these values earlier
+async function backdate(invoiceId, { dueInDays = 0, status = null, branchId = null } = {}) {
+  await db.transaction(async (tx) => {
+    await tx.exec('set local session_replication_role = replica')
+    await tx.query(
+      `update invoices
+       set due_date = india_today() + $2::int,
+           status = coalesce($3, status),
+           branch_id = coalesce($4, branch_id)
+       where id = $1`,
+      [invoiceId, dueInDays, status, branchId]
+    )
+  })
+}
+
+async function invoice(business, customerId, amount, options) {
+  const { id } = await createInvoice(db, business, customerId, { amount })
+  await backdate(id, options)
+  return id
+}
+
+// The report's rows with the amounts as numbers
+async function ageing(business, branchId = null) {
+  const rows = await asUser(
+    db,
+    business.userId,
+    'select * from receivables_ageing($1, $2)',
+    [business.businessId, branchId]
+  )
+  return rows.map(row => ({
+    ...row,
+    ...Object.fromEntries([...AGEING_BUCKETS.map(bucket => bucket.key), 'total'].map(key => [key, Number(row[key])]))
+  }))
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  acme = await createBusiness(db)
+  bharat = await createBusiness(db, { name: 'Bharat Stores' })
+  raviId = await addCustomer(db, acme, { creditLimit: 1000000 })
+  priyaId = await addCustomer(db, acme, { name: 'Priya Shah', phone: '+919811111111', creditLimit: 1000000 })
+  await addCustomer(db, bharat, { creditLimit: 1000000 })
+
+  const { rows: [branch] } = await db.query(
+    `insert into branches (business_id, branch_name, invoice_prefix) values ($1, 'Pune', 'PUN') returning id`,
+    [acme.businessId]
+  )
+  otherBranchId = branch.id
+
+  await invoice(acme, raviId, 100, { dueInDays: 5 })
+  await invoice(acme, raviId, 200, { dueInDays: 0 })
+  await invoice(acme, raviId, 300, { dueInDays: -1 })
+  await invoice(acme, raviId, 400, { dueInDays: -31, branchId: otherBranchId })
+  await invoice(acme, raviId, 500, { dueInDays: -90 })
+  await invoice(acme, raviId, 600, { dueInDays: -91 })
+  await invoice(acme, priyaId, 5000, { dueInDays: -10, status: 'void' })
+
+  const partPaid = await invoice(acme, priyaId, 1000, { dueInDays: -45 })
+  await asUser(db, acme.userId, `select record_payment($1, $2, 250, india_today(), 'UPI')`, [acme.businessId, [partPaid]])
+
+  const paid = await invoice(acme, priyaId, 700, { dueInDays: -60 })
+  await asUser(db, acme.userId, `select record_payment($1, $2, 700, india_today(), 'UPI')`, [acme.businessId, [paid]])
+
+  await createInvoice(db, acme, priyaId, { amount: 900, draft: true })
+  await invoice(bharat, raviId, 800, { dueInDays: -20 })
+})
+
+describe('receivables_ageing', () => {
+  it('buckets outstanding balances by days past due, largest customer first', async () => {
+    const rows = await ageing(acme)
+
+    expect(rows).toEqual([
+      {
+        customer_id: raviId,
+        customer_name: 'Ravi Kumar',
+        current: 300,
+        days_1_30: 300,
+        days_31_60: 400,
+        days_61_90: 500,
+        days_90_plus: 600,
+        total: 2100
+      },
+      {
+        customer_id: priyaId,
+        customer_name: 'Priya Shah',
+        current: 0,
+        days_1_30: 0,
+        days_31_60: 750,
+        days_61_90: 0,
+        days_90_plus: 0,
+        total: 750
+      }
+    ])
+  })
+
+  it('shows only the chosen branch', async () => {
+    const rows = await ageing(acme, otherBranchId)
+
+    expect(rows).toEqual([expect.objectContaining({ customer_id: raviId, days_31_60: 400, total: 400 })])
+  })
+
+  it('shows another business nothing', async () => {
+    const rows = await asUser(db, bharat.userId, 'select * from receivables_ageing($1)', [acme.businessId])
+
+    expect(rows).toEqual([])
+  })
+})
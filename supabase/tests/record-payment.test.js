@@ -0,0 +1,83 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asUser, createBusiness, createDatabase, createInvoice, invoiceStatus } from './db'
+
+let db
+let business
+let customerId
+
+// An invoice falling due the given number of days from today
+async function invoiceDue(dueInDays, amount = 1000) {
+  const { id } = await createInvoice(db, business, customerId, { amount })
+  await db.transaction(async (tx) => {
+    await tx.exec('set local session_replication_role = replica')
+    await tx.query('update invoices set due_date = india_today() + $2::int where id = $1', [id, dueInDays])
+  })
+  return id
+}
+
+function recordPayment(invoiceIds, amount) {
+  return asUser(
+    db,
+    business.userId,
+    `select invoice_id, amount from record_payment($1, $2, $3, india_today(), 'UPI', 'UTR123')`,
+    [business.businessId, invoiceIds, amount]
+  )
+}
+
+async function paidAmount(invoiceId) {
+  const { rows: [invoice] } = await db.query('select paid_amount from invoices where id = $1', [invoiceId])
+  return Number(invoice.paid_amount)
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  business = await createBusiness(db)
+  customerId = await addCustomer(db, business, { creditLimit: 1000000 })
+})
+
+describe('record_payment', () => {
+  it('pays the invoice due first before the later ones', async () => {
+    const later = await invoiceDue(20)
+    const earlier = await invoiceDue(-5)
+
+    const payments = await recordPayment([later, earlier], 1500)
+
+    expect(payments.map(payment => [payment.invoice_id, Number(payment.amount)])).toEqual([[earlier, 1000], [later, 500]])
+    expect(await invoiceStatus(db, earlier)).toBe('paid')
+    expect(await invoiceStatus(db, later)).toBe('partially_paid')
+  })
+
+  it('refuses more than the selected invoices owe and records none of it', async () => {
+    const first = await invoiceDue(5)
+    const second = await invoiceDue(10, 500)
+
+    await expect(recordPayment([first, second], 1600)).rejects.toThrow(/exceeds the outstanding balance of the selected invoices by 100/)
+
+    expect(await paidAmount(first)).toBe(0)
+    expect(await paidAmount(second)).toBe(0)
+    const { rows } = await db.query('select id from payments where invoice_id = any($1)', [[first, second]])
+    expect(rows).toEqual([])
+  })
+
+  it('only pays what is left on a part-paid invoice', async () => {
+    const invoiceId = await invoiceDue(5)
+    await recordPayment([invoiceId], 300)
+
+    await expect(recordPayment([invoiceId], 800)).rejects.toThrow(/by 100/)
+    await expect(recordPayment([invoiceId], 700)).resolves.toHaveLength(1)
+    expect(await invoiceStatus(db, invoiceId)).toBe('paid')
+  })
+
+  it('ignores drafts among the selected invoices', async () => {
+    const draft = await createInvoice(db, business, customerId, { draft: true })
+
+    await expect(recordPayment([draft.id], 100)).rejects.toThrow(/exceeds the outstanding balance/)
+    expect(await paidAmount(draft.id)).toBe(0)
+  })
+
+  it('needs an amount', async () => {
+    const invoiceId = await invoiceDue(5)
+
+    await expect(recordPayment([invoiceId], 0)).rejects.toThrow(/Enter a payment amount/)
+  })
+})
@@ -0,0 +1,96 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asService, asUser, createBusiness, createDatabase } from './db'
+import { nextRecurringDate } from '../../lib/recurring'
+
+let db
+let business
+let customerId
+
+const ITEMS = JSON.stringify([{ item_name: 'Rent', quantity: 1, unit_price: 5000, gst_rate: 18 }])
+
+async function createTemplate(startOffset = 0) {
+  const [template] = await asUser(
+    db,
+    business.userId,
+    `insert into recurring_invoices (business_id, customer_id, items, place_of_supply, frequency, start_date)
+     values ($1, $2, $3, '27', 'monthly', india_today() + $4::integer)
+     returning id, next_run_date`,
+    [business.businessId, customerId, ITEMS, startOffset]
+  )
+  return template
+}
+
+function moveNextRun(templateId, offset) {
+  return asUser(
+    db,
+    business.userId,
+    'update recurring_invoices set next_run_date = india_today() + $2::integer where id = $1 returning next_run_date',
+    [templateId, offset]
+  )
+}
+
+// A run the job has not caught up with yet, as if it had been missed
+function backdate(templateId) {
+  return db.transaction(async (tx) => {
+    await tx.exec('set local session_replication_role = replica')
+    await tx.query('update recurring_invoices set next_run_date = next_run_date - 3 where id = $1', [templateId])
+  })
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  business = await createBusiness(db)
+  customerId = await addCustomer(db, business)
+})
+
+describe('recurring invoice run dates', () => {
+  it('refuses a first run in the past', async () => {
+    await expect(createTemplate(-1)).rejects.toThrow(/cannot be in the past/)
+  })
+
+  it('refuses moving the next run into the past', async () => {
+    const template = await createTemplate()
+
+    await expect(moveNextRun(template.id, -1)).rejects.toThrow(/cannot be in the past/)
+    await expect(moveNextRun(template.id, 10)).resolves.toHaveLength(1)
+  })
+
+  it('still lets other changes through on a schedule whose run is overdue', async () => {
+    const template = await createTemplate()
+    await backdate(template.id)
+
+    await expect(asUser(
+      db,
+      business.userId,
+      `update recurring_invoices set status = 'paused' where id = $1 returning status`,
+      [template.id]
+    )).resolves.toEqual([{ status: 'paused' }])
+  })
+
+  it('lets the job move the next run on after an overdue run', async () => {
+    const template = await createTemplate()
+    await backdate(template.id)
+
+    const runs = await asService(db, 'select status from run_recurring_invoices(india_today())')
+    expect(runs).toContainEqual({ status: 'created' })
+
+    const { rows: [{ after }] } = await db.query('select next_run_date > india_today() as after from recurring_invoices where id = $1', [template.id])
+    expect(after).toBe(true)
+  })
+
+  it('finds the same next dates as the app for month-end anchor days', async () => {
+    const cases = [
+      ['2027-01-31', 'monthly', 31],
+      ['2028-01-31', 'monthly', 31],
+      ['2027-02-28', 'monthly', 31],
+      ['2026-11-30', 'quarterly', 31],
+      ['2028-02-29', 'yearly', 29],
+      ['2026-12-31', 'weekly', 31]
+    ]
+
+    for (const [date, frequency, anchorDay] of cases) {
+      const { rows: [row] } = await db.query(`select to_char(next_recurring_date($1, $2, $3), 'YYYY-MM-DD') as next`, [date, frequency, anchorDay])
+      expect(row.next, `${frequency} from ${date}`).toBe(nextRecurringDate(date, frequency, anchorDay))
+    }
+  })
+})
@@ -0,0 +1,203 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asAnon, asUser, createBusiness, createDatabase, createInvoice, createUser } from './db'
+
+let db
+let a
+let b
+
+const ITEMS = JSON.stringify([{ item_name: 'Goods', quantity: 1, unit_price: 100, gst_rate: 0 }])
+
+// One business with its customer, their customer account, an invoice with a
+// payment, a note and an edit request against it, and the business's
+// catalogue and reminder schedule
+async function createTenant(name, phone) {
+  const business = await createBusiness(db, { name })
+  const customerId = await addCustomer(db, business, { name: `${name} Customer`, phone })
+  const customerUserId = await createUser(db, { phone })
+  await db.query('update customers set user_id = $1 where id = $2', [customerUserId, customerId])
+
+  const invoice = await createInvoice(db, business, customerId)
+  await asUser(db, business.userId, `select record_payment($1, $2, 100, india_today(), 'UPI')`, [business.businessId, [invoice.id]])
+  await asUser(db, business.userId, `select issue_invoice_note($1, 'credit', 'Goods returned', $2)`, [invoice.id, ITEMS])
+  await asUser(db, business.userId, `insert into catalogue_items (business_id, item_name) values ($1, 'Goods')`, [business.businessId])
+  await asUser(db, business.userId, `insert into reminder_rules (business_id, days_from_due, channel, template) values ($1, 0, 'sms', 'Due today')`, [business.businessId])
+  await db.query(
+    `insert into invoice_edit_requests (invoice_id, business_id, requested_by, original_items, requested_items, reason)
+     values ($1, $2, $3, $4, $4, 'Wrong price')`,
+    [invoice.id, business.businessId, customerId, ITEMS]
+  )
+
+  return { ...business, customerId, customerUserId, invoiceId: invoice.id }
+}
+
+// What each table holds for a tenant, found by the tenant's business,
+// invoice or customer
+const TENANT_ROWS = {
+  businesses: ['select id from businesses where id = $1', 'businessId'],
+  branches: ['select id from branches where business_id = $1', 'businessId'],
+  business_members: ['select id from business_members where business_id = $1', 'businessId'],
+  business_customers: ['select id from business_customers where business_id = $1', 'businessId'],
+  customers: ['select id from customers where id = $1', 'customerId'],
+  invoices: ['select id from invoices where business_id = $1', 'businessId'],
+  invoice_items: ['select id from invoice_items where invoice_id = $1', 'invoiceId'],
+  payments: ['select id from payments where invoice_id = $1', 'invoiceId'],
+  invoice_notes: ['select id from invoice_notes where business_id = $1', 'businessId'],
+  invoice_edit_requests: ['select id from invoice_edit_requests where business_id = $1', 'businessId'],
+  invoice_audit_log: ['select id from invoice_audit_log where invoice_id = $1', 'invoiceId'],
+  invoice_number_series: ['select business_id from invoice_number_series where business_id = $1', 'businessId'],
+  catalogue_items: ['select id from catalogue_items where business_id = $1', 'businessId'],
+  reminder_rules: ['select id from reminder_rules where business_id = $1', 'businessId']
+}
+
+const NOTHING = Object.fromEntries(Object.keys(TENANT_ROWS).map(table => [table, 0]))
+
+// How many of the tenant's rows in each table a query runner can see
+async function readTenant(run, tenant) {
+  const counts = await Promise.all(Object.entries(TENANT_ROWS).map(async ([table, [sql, key]]) => {
+    const rows = await run(sql, [tenant[key]])
+    return [table, rows.length]
+  }))
+  return Object.fromEntries(counts)
+}
+
+// A direct write is refused when it raises a privilege or policy error, or
+// when row-level security leaves it nothing to change
+async function refused(userId, sql, params = []) {
+  try {
+    const rows = await asUser(db, userId, sql, params)
+    return rows.length === 0
+  } catch (error) {
+    if (/permission denied|row-level security/.test(error.message)) return true
+    throw error
+  }
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  a = await createTenant('Acme Traders', '+919811111111')
+  b = await createTenant('Bharat Stores', '+919822222222')
+})
+
+describe('reading across tenants', () => {
+  it('shows each business and its customer their own rows', async () => {
+    const byOwner = await readTenant((sql, params) => asUser(db, a.userId, sql, params), a)
+    for (const [table, count] of Object.entries(byOwner)) {
+      expect(count, table).toBeGreaterThan(0)
+    }
+
+    const byCustomer = await readTenant((sql, params) => asUser(db, a.customerUserId, sql, params), a)
+    for (const table of ['businesses', 'customers', 'business_customers', 'invoices', 'invoice_items', 'payments', 'invoice_notes', 'invoice_edit_requests']) {
+      expect(byCustomer[table], table).toBeGreaterThan(0)
+    }
+  })
+
+  it('shows another business nothing', async () => {
+    expect(await readTenant((sql, params) => asUser(db, b.userId, sql, params), a)).toEqual(NOTHING)
+  })
+
+  it('shows another business\'s customer nothing', async () => {
+    expect(await readTenant((sql, params) => asUser(db, b.customerUserId, sql, params), a)).toEqual(NOTHING)
+  })
+
+  it('shows visitors who are not signed in nothing', async () => {
+    expect(await readTenant((sql, params) => asAnon(db, sql, params), a)).toEqual(NOTHING)
+  })
+})
+
+describe('writing across tenants', () => {
+  it('refuses direct writes to another business\'s rows', async () => {
+    const attempts = [
+      [`update businesses set business_name = 'Taken' where id = $1 returning id`, [a.businessId]],
+      [`update branches set branch_name = 'Taken' where business_id = $1 returning id`, [a.businessId]],
+      [`update business_customers set credit_limit = 1 where business_id = $1 returning id`, [a.businessId]],
+      [`delete from business_customers where business_id = $1 returning id`, [a.businessId]],
+      [`insert into business_customers (business_id, customer_id) values ($1, $2) returning id`, [a.businessId, b.customerId]],
+      [`update invoices set total_amount = 1 where business_id = $1 returning id`, [a.businessId]],
+      [`insert into payments (invoice_id, amount) values ($1, 900) returning id`, [a.invoiceId]],
+      [`insert into catalogue_items (business_id, item_name) values ($1, 'Taken') returning id`, [a.businessId]],
+      [`delete from catalogue_items where business_id = $1 returning id`, [a.businessId]],
+      [`insert into reminder_rules (business_id, days_from_due, channel, template) values ($1, 0, 'sms', 'Taken') returning id`, [a.businessId]],
+      [`insert into business_invitations (business_id, email, role) values ($1, 'spy@example.com', 'owner') returning id`, [a.businessId]],
+      [`update customers set customer_name = 'Taken' where id = $1 returning id`, [a.customerId]]
+    ]
+
+    for (const [sql, params] of attempts) {
+      expect(await refused(b.userId, sql, params), sql).toBe(true)
+    }
+
+    const { rows: [business] } = await db.query('select business_name from businesses where id = $1', [a.businessId])
+    expect(business.business_name).toBe('Acme Traders')
+  })
+
+  it('refuses another business\'s invoices, payments and notes through the functions', async () => {
+    await expect(asUser(db, b.userId, `select * from create_invoice($1, $2, india_today(), '27', $3)`, [a.businessId, a.customerId, ITEMS]))
+      .rejects.toThrow(/Business not found/)
+    await expect(asUser(db, b.userId, `select record_payment($1, $2, 100, india_today(), 'UPI')`, [a.businessId, [a.invoiceId]]))
+      .rejects.toThrow(/Business not found/)
+    // Through its own business, the other business's invoice takes none of the payment
+    await expect(asUser(db, b.userId, `select record_payment($1, $2, 100, india_today(), 'UPI')`, [b.businessId, [a.invoiceId]]))
+      .rejects.toThrow(/exceeds the outstanding balance/)
+    await expect(asUser(db, b.userId, `select transition_invoice($1, 'void', 'Taken')`, [a.invoiceId]))
+      .rejects.toThrow(/Business not found/)
+    await expect(asUser(db, b.userId, `select issue_invoice_note($1, 'credit', 'Taken', $2)`, [a.invoiceId, ITEMS]))
+      .rejects.toThrow(/Business not found/)
+    await expect(asUser(db, b.userId, `select add_business_customer($1, 'Taken', '+919833333333')`, [a.businessId]))
+      .rejects.toThrow(/Business not found/)
+
+    const { rows: [invoice] } = await db.query('select status, paid_amount from invoices where id = $1', [a.invoiceId])
+    expect(invoice).toEqual({ status: 'partially_paid', paid_amount: '100.00' })
+  })
+
+  it('refuses edit requests and comments on another customer\'s invoices', async () => {
+    expect(await refused(
+      b.customerUserId,
+      `insert into invoice_edit_requests (invoice_id, business_id, requested_by, original_items, requested_items)
+       values ($1, $2, $3, $4, $4) returning id`,
+      [a.invoiceId, a.businessId, b.customerId, ITEMS]
+    )).toBe(true)
+
+    const { rows: [request] } = await db.query('select id from invoice_edit_requests where invoice_id = $1', [a.invoiceId])
+    expect(await refused(
+      b.customerUserId,
+      `insert into edit_request_comments (request_id, author_id, author_role, body) values ($1, $2, 'customer', 'Taken') returning id`,
+      [request.id, b.customerUserId]
+    )).toBe(true)
+  })
+
+  it('refuses accepting another customer\'s invoice', async () => {
+    await expect(asUser(db, b.customerUserId, `select * from acknowledge_invoice($1, '123456')`, [a.invoiceId]))
+      .rejects.toThrow(/Invoice not found/)
+  })
+})
+
+describe('customer profiles', () => {
+  it('lets a customer change their name and contact details', async () => {
+    const rows = await asUser(
+      db,
+      a.customerUserId,
+      `update customers set customer_name = 'Ravi K', email = 'ravi@example.com', address = 'Pune', state_code = '27' where id = $1 returning id`,
+      [a.customerId]
+    )
+    expect(rows).toHaveLength(1)
+  })
+
+  it('does not let a customer create customer rows, such as one under another customer\'s number', async () => {
+    expect(await refused(
+      a.customerUserId,
+      `insert into customers (user_id, customer_name, phone_number) values ($1, 'Taken', $2) returning id`,
+      [a.customerUserId, '+919822222222']
+    )).toBe(true)
+  })
+
+  it('does not let a customer change the phone number or account on their row', async () => {
+    expect(await refused(a.customerUserId, `update customers set phone_number = '+919822222222' where id = $1 returning id`, [a.customerId])).toBe(true)
+    expect(await refused(a.customerUserId, `update customers set user_id = $2 where id = $1 returning id`, [a.customerId, b.customerUserId])).toBe(true)
+
+    const { rows: [customer] } = await db.query('select phone_number, user_id from customers where id = $1', [a.customerId])
+    expect(customer).toEqual({ phone_number: '+919811111111', user_id: a.customerUserId })
+  })
+
+  it('does not let a customer delete their row', async () => {
+    expect(await refused(a.customerUserId, 'delete from customers where id = $1 returning id', [a.customerId])).toBe(true)
+  })
+})
@@ -0,0 +1,85 @@
+import { beforeAll, describe, expect, it } from 'vitest'
+import { addCustomer, asUser, createBusiness, createDatabase, createInvoice, createUser } from './db'
+
+let db
+let business
+
+// A customer signed up the way the signup route does it: the number is on
+// the auth user but not yet confirmed
+async function signUpCustomer(phone, name = 'Meera') {
+  const userId = await createUser(db, { phone, phoneConfirmed: false })
+  const { rows: [{ profile }] } = await db.query(
+    `select complete_signup($1, 'customer', $2) as profile`,
+    [userId, { customer_name: name, phone_number: phone }]
+  )
+  return { userId, profile }
+}
+
+async function confirmPhone(userId) {
+  await db.query('update auth.users set phone_confirmed_at = now() where id = $1', [userId])
+}
+
+beforeAll(async () => {
+  db = await createDatabase()
+  business = await createBusiness(db)
+})
+
+describe('complete_signup', () => {
+  it('creates a new customer instead of taking over the record a business made', async () => {
+    const existingId = await addCustomer(db, business, { phone: '+919811111111' })
+    await createInvoice(db, business, existingId)
+
+    const { userId, profile } = await signUpCustomer('+919811111111')
+
+    expect(profile.id).not.toBe(existingId)
+    const { rows: [existing] } = await db.query('select user_id from customers where id = $1', [existingId])
+    expect(existing.user_id).toBeNull()
+    expect(await asUser(db, userId, 'select id from invoices')).toEqual([])
+    expect(await asUser(db, userId, 'select id from business_customers')).toEqual([])
+  })
+
+  it('hands the record over once the customer confirms the number', async () => {
+    const existingId = await addCustomer(db, business, { phone: '+919822222222' })
+    const invoice = await createInvoice(db, business, existingId)
+    const { userId, profile } = await signUpCustomer('+919822222222')
+
+    await confirmPhone(userId)
+    await asUser(db, userId, 'select claim_customer_records()')
+
+    expect(await asUser(db, userId, 'select id from invoices')).toEqual([{ id: invoice.id }])
+    const { rows } = await db.query('select id from customers where phone_number = $1', ['+919822222222'])
+    expect(rows).toEqual([{ id: profile.id }])
+  })
+})
+
+describe('add_business_customer', () => {
+  it('does not link a business to a customer who has not confirmed the number', async () => {
+    const { userId, profile } = await signUpCustomer('+919833333333')
+
+    const customerId = await addCustomer(db, business, { phone: '+919833333333' })
+
+    expect(customerId).not.toBe(profile.id)
+    const { rows: [customer] } = await db.query('select user_id from customers where id = $1', [customerId])
+    expect(customer.user_id).toBeNull()
+    expect(await asUser(db, userId, 'select id from business_customers')).toEqual([])
+  })
+
+  it('links a business to the customer who confirmed the number', async () => {
+    const { userId, profile } = await signUpCustomer('+919844444444')
+    await confirmPhone(userId)
+
+    const customerId = await addCustomer(db, business, { phone: '919844444444' })
+
+    expect(customerId).toBe(profile.id)
+    expect(await asUser(db, userId, 'select business_id from business_customers')).toEqual([{ business_id: business.businessId }])
+  })
+
+  it('shares one unclaimed record between the businesses that add a number', async () => {
+    const other = await createBusiness(db, { name: 'Bharat Stores' })
+
+    const first = await addCustomer(db, business, { phone: '+919855555555' })
+    const second = await addCustomer(db, other, { phone: '+91 98555 55555' })
+
+    expect(second).toBe(first)
+  })
+})
@@ -0,0 +1,52 @@
+-- The parts of a Supabase project the migrations rely on: the auth schema
+-- with its users table and helper functions, the API roles and the
+-- realtime publication. A hosted or local Supabase already has these.
+
+create schema auth;
+
+create table auth.users (
+  id uuid primary key default gen_random_uuid(),
+  email text,
+  phone text,
+  phone_confirmed_at timestamptz,
+  email_confirmed_at timestamptz,
+  raw_user_meta_data jsonb default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create function auth.uid()
+returns uuid
+language sql
+stable
+as $$
+  select nullif(current_setting('request.jwt.claim.sub', true), '')::uuid
+$$;
+
+create function auth.jwt()
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(nullif(current_setting('request.jwt.claims', true), ''), '{}')::jsonb
+$$;
+
+create function auth.role()
+returns text
+language sql
+stable
+as $$
+  select coalesce(nullif(current_setting('request.jwt.claim.role', true), ''), 'anon')
+$$;
+
+create role anon nologin;
+create role authenticated nologin;
+create role service_role nologin bypassrls;
+
+grant usage on schema public to anon, authenticated, service_role;
+grant usage on schema auth to anon, authenticated, service_role;
+
+alter default privileges in schema public grant all on tables to anon, authenticated, service_role;
+alter default privileges in schema public grant all on sequences to anon, authenticated, service_role;
+alter default privileges in schema public grant execute on functions to anon, authenticated, service_role;
+
+create publication supabase_realtime;
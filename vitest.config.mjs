@@ -0,0 +1,15 @@
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { defineConfig } from 'vitest/config'
+
+export default defineConfig({
+  resolve: {
+    alias: { '@': path.dirname(fileURLToPath(import.meta.url)) }
+  },
+  test: {
+    environment: 'node',
+    // The database tests apply every migration before they start
+    hookTimeout: 60000,
+    testTimeout: 30000
+  }
+})